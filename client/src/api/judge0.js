@@ -1,6 +1,6 @@
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 
 import { addNotification } from '../store/slices/uiSlice';
 import {
@@ -10,12 +10,317 @@ import {
     setStatus,
     setTime,
     setMemory,
+    setTestResults,
+    setDiagnostics,
+    setSubmissionToken,
+    setIsLocalRun,
+    appendLiveOutput,
     clearJudge0States,
 } from '../store/slices/executionSlice';
 import { decodeFromBase64, encodeToBase64 } from '../utils/base64';
-import { judge0Limits } from '../conf/judge0Config';
+import {
+    CANCELLED_STATUS,
+    executionErrorMessages,
+    judge0Limits,
+} from '../conf/judge0Config';
+import { getRoomToken, sendRoomMessage } from '../lib/yjs';
+import { MULTI_FILE_LANGUAGE_ID } from '../conf/multiFileRun';
+import { authService } from '../appwrite-services/auth';
+import { formatRetryAfter } from '../utils/formatRetryAfter';
+import { saveRunToHistory } from '../store/slices/runHistorySlice';
+import { getBrowserRunner, LocalRunError } from '../lib/localRunner';
+import { LOCAL_RUN_TIMEOUT } from '../conf/localRun';
+import { parseDiagnostics } from '../lib/diagnostics';
+import { getFilePath } from '../utils/filePaths';
 
 const API_URL = '/api'; // Proxied to backend or Vercel function
+const TEST_POLL_ATTEMPTS = 20; // Polled every second
+const FIRST_POLL_INTERVAL = 500; // ms, grows up to MAX_POLL_INTERVAL while polling without event streams
+const MAX_POLL_INTERVAL = 3000; // ms
+const MAX_FOLLOW_TIME = 15 * 60 * 1000; // 15 minutes, long Judge0 queues included
+const USER_JWT_TTL = 10 * 60 * 1000; // Appwrite JWTs live 15 minutes, renewed before they expire
+const RETRYABLE_ERROR_CODES = ['upstream_rate_limited', 'execution_failed']; // Refusals of the proxy are final
+const MAX_SUBMIT_RETRIES = 3;
+const SUBMIT_RETRY_DELAY = 2000; // ms
+
+// JWT identifying the signed in user to the backend, so runs count against the user quota
+let userJwt = null; // {jwt: string, expiresAt: number}
+
+// Submissions being followed, so cancelling one stops following it
+const activeFollows = new Map(); // token -> AbortController
+
+/**
+ * Returns a JWT of the signed in user, created once and reused until shortly before it expires.
+ * @returns {Promise<string|null>} The JWT, null for anonymous users.
+ */
+export async function getUserJwt() {
+    if (userJwt?.expiresAt > Date.now()) return userJwt.jwt;
+    try {
+        userJwt = {
+            jwt: await authService.createJwt(),
+            expiresAt: Date.now() + USER_JWT_TTL,
+        };
+        return userJwt.jwt;
+    } catch {
+        userJwt = null;
+        return null;
+    }
+}
+
+/**
+ * Builds the Judge0 submission of a run: a single file, or a whole project as a multi-file program whose sources are
+ * in the zipped additional files. The limits of the run configuration replace the default `judge0Limits`.
+ * @param {Object} run
+ * @param {number} [run.language] - Language ID of a single file run.
+ * @param {string} [run.sourceCode] - Code of a single file run.
+ * @param {string} [run.additionalFiles] - Zipped project of a project run.
+ * @param {string} [run.stdin] - Input of the program.
+ * @param {Object} [run.runOptions] - Submission fields of the run configuration.
+ * @param {Object} options
+ * @param {boolean} options.base64Encoded - Whether the source code and input are base64 encoded.
+ * @returns {Object} The submission.
+ */
+export function getSubmissionBody(
+    { language, sourceCode, additionalFiles, stdin, runOptions },
+    { base64Encoded }
+) {
+    const encode = base64Encoded ? encodeToBase64 : (text) => text;
+    const program = additionalFiles
+        ? {
+              language_id: MULTI_FILE_LANGUAGE_ID,
+              additional_files: additionalFiles,
+          }
+        : {
+              source_code: encode(sourceCode),
+              language_id: language,
+          };
+    return {
+        ...program,
+        ...(stdin != null && { stdin: encode(stdin) }),
+        ...judge0Limits,
+        ...runOptions,
+    };
+}
+
+/**
+ * Headers of a run request: the JWT of the signed in user so runs count against the user quota, and the room token
+ * during a live session so the server applies its run policy and room quota.
+ * @returns {Promise<Object>} The headers.
+ */
+async function getRunHeaders() {
+    const roomToken = getRoomToken();
+    const jwt = await getUserJwt();
+    return {
+        'content-type': 'application/json',
+        ...(jwt && { 'x-appwrite-jwt': jwt }),
+        ...(roomToken && { 'x-room-token': roomToken }),
+    };
+}
+
+/**
+ * Turns a failed response of the execution proxy into an error carrying its status, error code and, when rate
+ * limited, the seconds until runs are accepted again.
+ * @param {Response} response - The failed response.
+ * @returns {Promise<Error>} The error to throw.
+ */
+async function readApiError(response) {
+    const body = await response.json().catch(() => ({}));
+    return Object.assign(
+        new Error(body.error || `Judge0 API error: ${response.status}`),
+        {
+            status: response.status,
+            code: body.code,
+            retryAfter:
+                body.retryAfter ??
+                (parseInt(response.headers.get('retry-after')) || null),
+        }
+    );
+}
+
+/**
+ * Message of the notification for a failed run, a clear one for the error codes of the execution proxy.
+ * @param {Error} error - Error thrown by the run.
+ * @param {string} prefix - Start of the message for other errors.
+ * @returns {string} The message.
+ */
+export function getRunErrorMessage(error, prefix) {
+    const message = executionErrorMessages[error.code];
+    if (!message) return `${prefix}: ${error.message}`;
+    return error.retryAfter
+        ? `${message}, try again ${formatRetryAfter(error.retryAfter)}`
+        : message;
+}
+
+/**
+ * Fetches how many runs the user has left today, per scope the runs are counted against.
+ * @returns {Promise<Array<Object>>} The quotas, empty where the backend has none, e.g. on Vercel functions.
+ */
+export async function fetchRunQuota() {
+    const response = await fetch(`${API_URL}/quota`, {
+        headers: await getRunHeaders(),
+    });
+    if (response.status === 404) return [];
+    if (!response.ok) throw await readApiError(response);
+    return (await response.json()).quotas;
+}
+
+/**
+ * Hook to read the run quotas of the user using TanStack Query, refreshed after every run.
+ * @param {boolean} isYjsConnected - Whether a live session is active, its runs count against the room quota too.
+ * @returns {Object} Query result with the quotas as data.
+ */
+export function useRunQuota(isYjsConnected) {
+    return useQuery({
+        queryKey: ['run-quota', isYjsConnected],
+        queryFn: fetchRunQuota,
+        retry: 1,
+        staleTime: 60 * 1000, // 1 minute
+    });
+}
+
+/**
+ * Fetches the languages of the execution backend.
+ * @returns {Promise<Array<{id: number, name: string}>>} The languages, named with their version.
+ * @throws {Error} If the backend cannot list its languages, e.g. on Vercel functions.
+ */
+export async function fetchLanguages() {
+    const response = await fetch(`${API_URL}/languages`);
+    if (!response.ok) throw await readApiError(response);
+    return (await response.json()).languages;
+}
+
+/**
+ * Hook to read the languages of the execution backend using TanStack Query.
+ * @returns {Object} Query result with the languages as data.
+ */
+export function useBackendLanguages() {
+    return useQuery({
+        queryKey: ['languages'],
+        queryFn: fetchLanguages,
+        retry: 1,
+        staleTime: 60 * 60 * 1000, // 1 hour
+    });
+}
+
+/**
+ * Polls a submission until it finishes, for deployments without the event stream endpoint.
+ * @param {string} token - Token of the submission.
+ * @param {Object} options
+ * @param {Function} options.onStatus - Called with the status while the submission is queued or processing.
+ * @param {AbortSignal} options.signal - Stops polling.
+ * @returns {Promise<Object|null>} The finished submission, null if polling was aborted.
+ */
+async function pollSubmission(token, { onStatus, signal }) {
+    const startedAt = Date.now();
+    let interval = FIRST_POLL_INTERVAL;
+
+    while (Date.now() - startedAt < MAX_FOLLOW_TIME) {
+        await new Promise((resolve) => setTimeout(resolve, interval));
+        if (signal.aborted) return null;
+
+        let response;
+        try {
+            response = await fetch(
+                `${API_URL}/submissions/${token}?base64_encoded=true`
+            );
+        } catch {
+            // The server can't be reached for now, the submission runs on
+            interval = Math.min(interval * 1.5, MAX_POLL_INTERVAL);
+            continue;
+        }
+        if (!response.ok && response.status !== 429) {
+            throw new Error(`Judge0 API error: ${response.status}`);
+        }
+        if (response.ok) {
+            const submission = await response.json();
+            if (signal.aborted) return null;
+            if (submission.status?.id > 2) return submission;
+            onStatus(submission.status);
+        }
+        interval = Math.min(interval * 1.5, MAX_POLL_INTERVAL);
+    }
+    throw new Error(
+        `The submission did not finish within ${MAX_FOLLOW_TIME / 60000} minutes`
+    );
+}
+
+/**
+ * Follows a submission until it finishes through the Server-Sent Events of the backend, which polls Judge0 on the
+ * client's behalf. Falls back to polling where the event stream is not available, e.g. on Vercel functions, or once
+ * the stream is lost, so the same submission is followed to its end.
+ * @param {string} token - Token of the submission.
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] - Called with the status while the submission is queued or processing.
+ * @returns {Promise<Object>} The finished Judge0 submission, with the Cancelled status if it was cancelled.
+ */
+export async function followSubmission(token, { onStatus = () => {} } = {}) {
+    const controller = new AbortController();
+    activeFollows.set(token, controller);
+
+    try {
+        const submission = await new Promise((resolve, reject) => {
+            const source = new EventSource(
+                `${API_URL}/submissions/${token}/events?base64_encoded=true`
+            );
+
+            function finish(callback) {
+                source.close();
+                controller.signal.removeEventListener('abort', onAbort);
+                callback();
+            }
+            function onAbort() {
+                finish(() => resolve(null));
+            }
+            controller.signal.addEventListener('abort', onAbort);
+
+            source.addEventListener('status', (event) =>
+                onStatus(JSON.parse(event.data).status)
+            );
+            source.addEventListener('result', (event) =>
+                finish(() => resolve(JSON.parse(event.data)))
+            );
+            source.addEventListener('cancelled', () =>
+                finish(() => resolve(null))
+            );
+            source.addEventListener('failed', (event) =>
+                finish(() => reject(new Error(JSON.parse(event.data).error)))
+            );
+            source.onerror = () => {
+                // The browser reconnects dropped streams by itself, a closed one was refused or lost
+                if (source.readyState !== EventSource.CLOSED) return;
+                finish(() =>
+                    pollSubmission(token, {
+                        onStatus,
+                        signal: controller.signal,
+                    }).then(resolve, reject)
+                );
+            };
+        });
+
+        return submission ?? { status: CANCELLED_STATUS };
+    } finally {
+        activeFollows.delete(token);
+    }
+}
+
+/**
+ * Cancels a submission: the local runner stops the program, Judge0 runs it to the end but it is not followed anymore.
+ * @param {string} token - Token of the submission.
+ * @returns {Promise<void>}
+ */
+export async function cancelSubmission(token) {
+    try {
+        const response = await fetch(`${API_URL}/submissions/${token}/cancel`, {
+            method: 'POST',
+            headers: await getRunHeaders(), // Only who ran it or their room can cancel it
+        });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Judge0 API error: ${response.status}`);
+        }
+    } finally {
+        activeFollows.get(token)?.abort();
+    }
+}
 
 /**
  * Executes code using Judge0 CE API via backend proxy in dev mode or via vercel functions in prod. Fetch variant
@@ -56,17 +361,7 @@ export async function executeCodeFetch({ language, sourceCode, stdin }) {
 
         const { token } = await response.json();
 
-        let result;
-        for (let i = 0; i < 10; i++) {
-            await new Promise((resolve) => setTimeout(resolve, 1000));
-            const statusResponse = await fetch(
-                `${API_URL}/submissions/${token}?base64_encoded=true`
-            );
-            result = await statusResponse.json();
-            if (result.status.id > 2) break;
-        }
-
-        console.log(result);
+        const result = await followSubmission(token);
 
         let {
             stdout,
@@ -122,16 +417,7 @@ export async function executeCodeAxios({ language, sourceCode, stdin }) {
         );
 
         const { token } = response.data;
-        let result;
-        for (let i = 0; i < 10; i++) {
-            await new Promise((resolve) => setTimeout(resolve, 1000));
-            result = (
-                await axios.get(
-                    `${API_URL}/submissions/${token}?base64_encoded=true`
-                )
-            ).data;
-            if (result.status.id > 2) break;
-        }
+        const result = await followSubmission(token);
 
         let {
             stdout,
@@ -165,52 +451,106 @@ export async function executeCodeAxios({ language, sourceCode, stdin }) {
 }
 
 /**
- * Hook to execute code through Judge0 using TanStack Query.
+ * Submits a run, trying again a few times while Judge0 is rate limited or failing. Only the submission is retried,
+ * once it has a token the run is followed and never submitted again.
+ * @param {Object} variables - The run, see {@link getSubmissionBody}.
+ * @returns {Promise<string>} Token of the submission.
+ * @throws {Error} The last error of the proxy, with its status and error code.
+ */
+async function createSubmission(variables) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(
+            `${API_URL}/submissions?base64_encoded=true`,
+            {
+                method: 'POST',
+                headers: await getRunHeaders(),
+                body: JSON.stringify(
+                    getSubmissionBody(variables, { base64Encoded: true })
+                ),
+            }
+        );
+        if (response.ok) {
+            const { token } = await response.json();
+            return token;
+        }
+
+        const error = await readApiError(response);
+        if (
+            !RETRYABLE_ERROR_CODES.includes(error.code) ||
+            attempt >= MAX_SUBMIT_RETRIES
+        ) {
+            throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, SUBMIT_RETRY_DELAY));
+    }
+}
+
+/**
+ * Hook to execute code through Judge0 using TanStack Query. Finished runs of a project, given as `projectId`, are
+ * added to its run history. `runOptions` are the submission fields of the run configuration, its limits replace the
+ * default `judge0Limits`. With the browser run engine, single files of the languages the browser can run run there,
+ * streaming their output, and on Judge0 when the browser lacks what they need. Errors of the output located in the
+ * project files are kept as diagnostics.
  * @returns {Object} Mutation hook with execute mutation function and other props.
  */
 export function useExecuteCode() {
     const dispatch = useDispatch();
-
-    return useMutation({
-        mutationFn: async ({ language, sourceCode, stdin }) => {
-            const response = await fetch(
-                `${API_URL}/submissions?base64_encoded=true`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'content-type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        source_code: encodeToBase64(sourceCode),
-                        language_id: language,
-                        stdin: encodeToBase64(stdin),
-                        ...judge0Limits,
-                    }),
-                }
+    const queryClient = useQueryClient();
+    const { runEngine } = useSelector((state) => state.execution);
+    const { files } = useSelector((state) => state.files);
+
+    /**
+     * Runs a single file in the browser.
+     * @param {Object} params - The mutation variables.
+     * @returns {Promise<Object|null>} The run, null if it must run on Judge0 instead.
+     */
+    async function runInBrowser({
+        languageName,
+        sourceCode,
+        stdin,
+        runOptions,
+    }) {
+        dispatch(setIsLocalRun(true));
+        try {
+            return await getBrowserRunner(languageName).run({
+                sourceCode,
+                language: languageName,
+                stdin,
+                args: runOptions?.command_line_arguments,
+                timeout: runOptions?.wall_time_limit ?? LOCAL_RUN_TIMEOUT,
+                onOutput: (chunks) => dispatch(appendLiveOutput(chunks)),
+            });
+        } catch (error) {
+            if (!(error instanceof LocalRunError)) throw error;
+            dispatch(
+                addNotification({
+                    message: `${error.message}, running on Judge0 instead`,
+                    type: 'info',
+                })
             );
+            return null;
+        } finally {
+            dispatch(setIsLocalRun(false));
+        }
+    }
 
-            if (!response.ok) {
-                if (response.status === 429) {
-                    throw new Error(
-                        `Too many requests. Please try after some time...`
-                    );
-                }
-                throw new Error(`Judge0 API error: ${response.status}`);
+    return useMutation({
+        mutationFn: async (variables) => {
+            if (
+                runEngine === 'browser' &&
+                !variables.additionalFiles &&
+                getBrowserRunner(variables.languageName)
+            ) {
+                const result = await runInBrowser(variables);
+                if (result) return result;
             }
 
-            const { token } = await response.json();
+            const token = await createSubmission(variables);
 
-            let result;
-            for (let i = 0; i < 10; i++) {
-                await new Promise((resolve) => setTimeout(resolve, 1000));
-                const statusResponse = await fetch(
-                    `${API_URL}/submissions/${token}?base64_encoded=true`
-                );
-                result = await statusResponse.json();
-                if (result.status.id > 2) break;
-            }
-
-            console.log(result);
+            dispatch(setSubmissionToken(token));
+            const result = await followSubmission(token, {
+                onStatus: (status) => dispatch(setStatus(status)),
+            });
 
             let {
                 stdout,
@@ -236,20 +576,59 @@ export function useExecuteCode() {
             return { stdout: output, stderr: error, time, memory, status };
         },
 
-        retry: 3,
-        retryDelay: 2000,
-
-        onMutate: () => {
+        onMutate: ({ stdin, fileName, languageName }) => {
             dispatch(setIsRunning(true));
             dispatch(clearJudge0States());
+
+            // Collaborators of a live session see who runs what, and the result
+            const sharedRun = {
+                id: crypto.randomUUID(),
+                fileName,
+                language: languageName,
+                stdin,
+            };
+            sendRoomMessage({
+                type: 'run-update',
+                run: { ...sharedRun, phase: 'started' },
+            });
+            return { sharedRun };
         },
 
-        onSuccess: (data) => {
+        onSuccess: (data, variables, { sharedRun }) => {
+            sendRoomMessage({
+                type: 'run-update',
+                run: { ...sharedRun, ...data, phase: 'finished' },
+            });
+            if (variables.projectId) {
+                dispatch(
+                    saveRunToHistory({
+                        projectId: variables.projectId,
+                        fileName: variables.fileName,
+                        language: variables.languageName,
+                        languageId: variables.language,
+                        sourceCode: variables.sourceCode,
+                        additionalFiles: variables.additionalFiles,
+                        runOptions: variables.runOptions,
+                        stdin: variables.stdin,
+                        result: data,
+                    })
+                );
+            }
+
             if (data.stdout) {
                 dispatch(setOutput(data.stdout));
             }
             if (data.stderr) {
                 dispatch(setError(data.stderr));
+                dispatch(
+                    setDiagnostics(
+                        parseDiagnostics(data.stderr, {
+                            runFile: variables.fileName,
+                            projectPaths: files.map(getFilePath),
+                            isProjectRun: !!variables.additionalFiles,
+                        })
+                    )
+                );
                 dispatch(
                     addNotification({
                         message: `Execution error: ${data.stderr}`,
@@ -266,12 +645,201 @@ export function useExecuteCode() {
             dispatch(setStatus(data.status));
         },
 
-        onError: (error) => {
+        onError: (error, _variables, context) => {
             console.error(`Execution failed error: ${error.message}`);
+            if (context) {
+                sendRoomMessage({
+                    type: 'run-update',
+                    run: {
+                        ...context.sharedRun,
+                        stderr: error.message,
+                        phase: 'finished',
+                    },
+                });
+            }
+            dispatch(setError(error.message));
+            dispatch(
+                addNotification({
+                    message: getRunErrorMessage(error, 'Execution failed'),
+                    type: 'error',
+                    timeout: 4000,
+                })
+            );
+        },
+
+        onSettled: () => {
+            dispatch(setSubmissionToken(null));
+            dispatch(setIsRunning(false));
+            queryClient.invalidateQueries({ queryKey: ['run-quota'] });
+        },
+    });
+}
+
+/**
+ * Submits one submission per test case, as a single batch submission when the backend supports it.
+ * @param {Array<Object>} submissions - Judge0 submission bodies.
+ * @returns {Promise<Array<{token: string}|{error: string}>>} A token or an error per submission.
+ */
+async function createTestSubmissions(submissions) {
+    const response = await fetch(
+        `${API_URL}/submissions/batch?base64_encoded=true`,
+        {
+            method: 'POST',
+            headers: await getRunHeaders(),
+            body: JSON.stringify({ submissions }),
+        }
+    );
+
+    if (response.ok) {
+        return response.json();
+    }
+    if (response.status !== 404 && response.status !== 501) {
+        throw await readApiError(response);
+    }
+
+    // Batches are not available, submit the test cases one by one
+    const headers = await getRunHeaders();
+    return Promise.all(
+        submissions.map(async (submission) => {
+            const singleResponse = await fetch(
+                `${API_URL}/submissions?base64_encoded=true`,
+                {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(submission),
+                }
+            );
+            return singleResponse.ok
+                ? singleResponse.json()
+                : { error: `Judge0 API error: ${singleResponse.status}` };
+        })
+    );
+}
+
+/**
+ * Polls submissions until all of them finished or the attempts run out.
+ * @param {Array<string>} tokens - Tokens of the submissions.
+ * @returns {Promise<Array<Object|null>>} The Judge0 submissions, in order.
+ */
+async function pollTestSubmissions(tokens) {
+    let submissions = [];
+    for (let i = 0; i < TEST_POLL_ATTEMPTS; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        const response = await fetch(
+            `${API_URL}/submissions/batch?base64_encoded=true&tokens=${tokens.join(',')}`
+        );
+        if (response.ok) {
+            submissions = (await response.json()).submissions;
+        } else {
+            // Batches are not available, poll the submissions one by one
+            submissions = await Promise.all(
+                tokens.map(async (token) => {
+                    const singleResponse = await fetch(
+                        `${API_URL}/submissions/${token}?base64_encoded=true`
+                    );
+                    return singleResponse.ok ? singleResponse.json() : null;
+                })
+            );
+        }
+        if (submissions.every((submission) => submission?.status?.id > 2)) {
+            break;
+        }
+    }
+    return submissions;
+}
+
+/**
+ * Runs a program against test cases through Judge0, which compares the outputs with `expected_output`.
+ * @param {Object} params
+ * @param {number} params.language - Language ID (50 for C, 54 for C++, 71 for Python).
+ * @param {string} params.sourceCode - Code to execute.
+ * @param {Array<{id: string, name: string, stdin: string, expectedOutput: string}>} params.testCases - The test cases.
+ * @returns {Promise<Array<Object>>} A result per test case: its verdict, outputs, time and memory.
+ */
+export async function executeTestCases({ language, sourceCode, testCases }) {
+    const created = await createTestSubmissions(
+        testCases.map((testCase) => ({
+            source_code: encodeToBase64(sourceCode),
+            language_id: language,
+            stdin: encodeToBase64(testCase.stdin),
+            expected_output: encodeToBase64(testCase.expectedOutput),
+            ...judge0Limits,
+        }))
+    );
+
+    const tokens = created
+        .filter(({ token }) => token)
+        .map(({ token }) => token);
+    const submissions = tokens.length ? await pollTestSubmissions(tokens) : [];
+
+    let tokenIndex = 0;
+    return testCases.map((testCase, index) => {
+        const submission = created[index].token
+            ? submissions[tokenIndex++]
+            : null;
+        const { stdout, stderr, compile_output, time, wall_time, memory } =
+            submission || {};
+        const status = submission?.status ?? {
+            id: 13,
+            description: created[index].error || 'No result',
+        };
+
+        return {
+            id: testCase.id,
+            name: testCase.name,
+            expectedOutput: testCase.expectedOutput,
+            status,
+            passed: status.id === 3,
+            stdout: stdout ? decodeFromBase64(stdout) : '',
+            stderr: stderr
+                ? decodeFromBase64(stderr)
+                : compile_output
+                  ? decodeFromBase64(compile_output)
+                  : '',
+            time: status.id === 5 ? wall_time : time,
+            memory,
+        };
+    });
+}
+
+/**
+ * Hook to run the test cases of a program through Judge0 using TanStack Query.
+ * @returns {Object} Mutation hook with run tests mutation function and other props.
+ */
+export function useRunTests() {
+    const dispatch = useDispatch();
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: executeTestCases,
+
+        onMutate: () => {
+            dispatch(setIsRunning(true));
+            dispatch(setOutput(''));
+            dispatch(setStatus(null));
+            dispatch(setTime(''));
+            dispatch(setMemory(null));
+            dispatch(setTestResults([]));
+        },
+
+        onSuccess: (results) => {
+            dispatch(setTestResults(results));
+
+            const passedCount = results.filter(({ passed }) => passed).length;
+            dispatch(
+                addNotification({
+                    message: `${passedCount}/${results.length} tests passed`,
+                    type: passedCount === results.length ? 'success' : 'warn',
+                })
+            );
+        },
+
+        onError: (error) => {
+            console.error(`Test run failed error: ${error.message}`);
             dispatch(setError(error.message));
             dispatch(
                 addNotification({
-                    message: `Execution failed: ${error.message}`,
+                    message: getRunErrorMessage(error, 'Test run failed'),
                     type: 'error',
                     timeout: 4000,
                 })
@@ -280,6 +848,7 @@ export function useExecuteCode() {
 
         onSettled: () => {
             dispatch(setIsRunning(false));
+            queryClient.invalidateQueries({ queryKey: ['run-quota'] });
         },
     });
 }
@@ -0,0 +1,84 @@
+import { getUserJwt } from './judge0';
+
+const API_URL = '/api'; // Proxied to backend
+
+/**
+ * Parses a rooms API response and throws with the server's error message and status on failure.
+ * @param {Response} response - The fetch response.
+ * @returns {Promise<Object>} The parsed response.
+ */
+async function parseResponse(response) {
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw Object.assign(
+            new Error(
+                data.error || `Room API error: Status - ${response.status}`
+            ),
+            { status: response.status }
+        );
+    }
+
+    return data;
+}
+
+/**
+ * Sends a JSON POST request to the rooms API as the signed in user, whose account the server reads the username from.
+ * @param {string} path - Path relative to the API URL.
+ * @param {Object} body - JSON body.
+ * @returns {Promise<Object>} The parsed response.
+ */
+async function postJson(path, body) {
+    const jwt = await getUserJwt();
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            ...(jwt && { 'x-appwrite-jwt': jwt }),
+        },
+        body: JSON.stringify(body),
+    });
+
+    return parseResponse(response);
+}
+
+/**
+ * Starts (or resumes) a collaboration session for a room. Only the owner of the project can.
+ * @param {Object} params
+ * @param {string} params.room - The room name (project ID).
+ * @returns {Promise<{token: string, expiresIn: number, role: string, ownerKey: string, inviteKey: string}>} Admin token and session keys.
+ */
+export function startRoomSession({ room }) {
+    return postJson(`/rooms/${encodeURIComponent(room)}/session`, {});
+}
+
+/**
+ * Requests a fresh short-lived token for a room.
+ * @param {Object} params
+ * @param {string} params.room - The room name (project ID).
+ * @param {string} params.key - Owner key or invite key of the room.
+ * @returns {Promise<{token: string, expiresIn: number, role: string}>} The room token.
+ */
+export function requestRoomToken({ room, key }) {
+    return postJson(`/rooms/${encodeURIComponent(room)}/token`, { key });
+}
+
+/**
+ * Downloads the session recording of a room. Only the room owner can download it.
+ * @param {Object} params
+ * @param {string} params.room - The room name (project ID).
+ * @param {string} params.token - Admin room token.
+ * @returns {Promise<{version: number, room: string, events: Array<Object>}>} The recording.
+ */
+export async function fetchRoomRecording({ room, token }) {
+    const response = await fetch(
+        `${API_URL}/rooms/${encodeURIComponent(room)}/recording`,
+        {
+            headers: {
+                authorization: `Bearer ${token}`,
+            },
+        }
+    );
+
+    return parseResponse(response);
+}
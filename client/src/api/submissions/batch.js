@@ -0,0 +1,47 @@
+const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
+const JUDGE0_API_KEY = process.env.JUDGE0_API_KEY;
+
+/**
+ * Vercel serverless function to proxy Judge0 batch submissions: POST creates them, GET polls them by tokens.
+ * @param {Object} req - Vercel request object.
+ * @param {Object} res - Vercel response object.
+ */
+export default async function handler(req, res) {
+    const params = new URLSearchParams();
+    if (req.query.base64_encoded) params.set('base64_encoded', 'true');
+    if (req.method === 'GET') {
+        params.set('tokens', req.query.tokens || '');
+        params.set('fields', '*');
+    }
+
+    try {
+        const response = await fetch(
+            `${JUDGE0_URL}/submissions/batch?${params}`,
+            {
+                method: req.method,
+                headers: {
+                    'content-type': 'application/json',
+                    'x-rapidapi-key': JUDGE0_API_KEY,
+                    'x-rapidapi-host': 'judge0-ce.p.rapidapi.com',
+                },
+                body:
+                    req.method === 'POST'
+                        ? JSON.stringify(req.body)
+                        : undefined,
+            }
+        );
+
+        if (!response.ok) {
+            throw new Error(
+                `Judge0 API error: ${response.status} - ${response.statusText}`
+            );
+        }
+
+        const data = await response.json();
+        return res.status(response.status).json(data);
+    } catch (error) {
+        return res
+            .status(error.response?.status || 500)
+            .json({ error: error.message });
+    }
+}
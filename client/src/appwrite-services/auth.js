@@ -243,6 +243,16 @@ class AuthService {
         return this.#account.get();
     }
 
+    /**
+     * Creates a short-lived JWT of the current session, for the backend to identify the user (valid 15 minutes).
+     * @returns {Promise<string>} The JWT.
+     * @throws {AppwriteException} If the Appwrite API call fails, e.g. without a session.
+     */
+    async createJwt() {
+        const { jwt } = await this.#account.createJWT();
+        return jwt;
+    }
+
     /**
      * Requests a password reset for the provided email address.
      * @param {string} email - The user's email address.
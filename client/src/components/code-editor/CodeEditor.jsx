@@ -1,4 +1,4 @@
-import { memo, useCallback, useEffect, useRef } from 'react';
+import { memo, useCallback, useEffect, useRef, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import MonacoEditor from '@monaco-editor/react';
 import { MonacoBinding } from 'y-monaco';
@@ -8,81 +8,97 @@ import {
 } from 'yjs';
 
 import {
+    focusPane,
     setCodeContent,
+    setRevealPosition,
     setSelectedFileContent,
 } from '../../store/slices/editorSlice';
 import { Spinner } from '../componentsIndex';
 import { addNotification } from '../../store/slices/uiSlice';
 import { useDebounce } from '../../hooks/useDebounce';
-import { setCss, setHtml, setJs } from '../../store/slices/previewSlice';
-import { setAreFilesSaved } from '../../store/slices/filesSlice';
+import { markFileUnsaved, updateFile } from '../../store/slices/filesSlice';
+import {
+    COLLABORATOR_COLORS,
+    buildCollaboratorDecorations,
+} from '../../utils/collaboratorDecorations';
+import { getFilePath } from '../../utils/filePaths';
+import { getLanguageFromFileName } from '../../utils/getLanguageFromFileName';
 
 import nightOwlTheme from './themes/night-owl.json';
 import vsLight from './themes/custom-light.json';
 import './CodeEditor.css';
 
+// Owner of the markers of the problems of the last run, kept apart from those of the language services
+const RUN_DIAGNOSTICS_OWNER = 'run-diagnostics';
+
 /**
- * CodeEditor component for rendering Monaco Editor with file selection.
+ * CodeEditor component for rendering the Monaco Editor of an editor pane, with its own model.
  * @param {Object} props The props object for CodeEditor component
- * @param {React.RefObject} editorRef The react ref for monaco editor.
+ * @param {React.RefObject} editorRef The react ref for monaco editor, set to this editor while its pane is active.
+ * @param {string} props.paneId - ID of the editor pane.
+ * @param {Object|null} props.file - The file shown in the pane.
+ * @param {boolean} props.isActive - Whether the pane is the active one, whose file is the selected file.
  * @param {import('yjs').Text} props.yText - The Y.Text instance for the current file.
  * @param {import('y-websocket').Awareness} props.awareness - The Awareness instance for the current provider.
  * @param {boolean} props.isYjsConnected - Whether yjs is connected or not.
  * @returns {JSX.Element} The Monaco Editor.
  */
-function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
+function CodeEditor({
+    ref: editorRef,
+    paneId,
+    file,
+    isActive,
+    yjsResources,
+    isYjsConnected,
+}) {
     const dispatch = useDispatch();
-    const { language, codeContent, settings } = useSelector(
-        (state) => state.editor
-    );
+    const { language, codeContent, settings, selectedFile, revealPosition } =
+        useSelector((state) => state.editor);
+    const { diagnostics } = useSelector((state) => state.execution);
     const { theme } = useSelector((state) => state.ui);
-    const { executionMode } = useSelector((state) => state.execution);
-    const { areFilesSaved } = useSelector((state) => state.files);
+    const { unsavedFileIds } = useSelector((state) => state.files);
     const { yDoc, yText, awareness } = yjsResources;
 
+    // The selected file has the latest content, other files are shown as they were left
+    const isSelectedFile = !file || file.$id === selectedFile?.$id;
+    const fileContent = isSelectedFile ? codeContent : file.codeContent || '';
+    const fileLanguage = isSelectedFile
+        ? language
+        : getLanguageFromFileName(file.fileName);
+
     const bindingRef = useRef(null); // To store the MonacoBinding instance for cleanup
     const closestSectionRef = useRef(null); // To store the parent section of Monaco for relative postioning of tooltips
     const awarenessTimerRef = useRef(null); // To debounce the awareness update rendering
     const clientDecorationsRef = useRef(new Map()); // Map to store decorations for each client
     const lastHeartbeatTimeRef = useRef(0); // To store last time heartbeat state is updated for throttling
+    const awarenessUpdateHandlerRef = useRef(null); // To remove the decorations listener from the project-wide awareness
+    const ownSelectionRef = useRef(null); // Last selection this pane shared, cleared on unmount only if still shared
+    const monacoRef = useRef(null); // To set the markers of the problems of the last run
+    const paneEditorRef = useRef(null); // The Monaco editor of this pane
+    const [isEditorMounted, setIsEditorMounted] = useState(false);
+    const filePath = file ? getFilePath(file) : null;
 
-    // Distinct cursor colors for each collaborator
-    const cursorColors = [
-        '#b40000',
-        '#00b100',
-        '#000061',
-        '#9c009c',
-        '#009191',
-    ];
-
+    /**
+     * Keeps the edits of a file, the selected one unless its pane was left before the debounce delay.
+     * @param {string} value - The content.
+     * @param {Object|null} editedFile - The file shown when it was edited.
+     */
     const handleContentChange = useCallback(
-        (value) => {
+        (value, editedFile) => {
             if (yText) return;
 
-            dispatch(setCodeContent(value));
-            dispatch(setSelectedFileContent(value));
-            if (areFilesSaved) {
-                dispatch(setAreFilesSaved(false));
+            if (!editedFile || editedFile.$id === selectedFile?.$id) {
+                dispatch(setCodeContent(value));
+                dispatch(setSelectedFileContent(value));
+            } else {
+                dispatch(updateFile({ ...editedFile, codeContent: value }));
             }
-
-            if (executionMode === 'preview') {
-                switch (language) {
-                    case 'html': {
-                        dispatch(setHtml(value));
-                        break;
-                    }
-                    case 'css': {
-                        dispatch(setCss(value));
-                        break;
-                    }
-                    case 'javascript': {
-                        dispatch(setJs(value));
-                        break;
-                    }
-                }
+            const fileId = editedFile?.$id ?? selectedFile?.$id;
+            if (fileId && !unsavedFileIds.includes(fileId)) {
+                dispatch(markFileUnsaved(fileId));
             }
         },
-        [areFilesSaved, dispatch, executionMode, language, yText]
+        [dispatch, selectedFile, unsavedFileIds, yText]
     );
 
     const debouncedHandleContentChange = useDebounce(handleContentChange, 400);
@@ -144,8 +160,13 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
     }
 
     function handleEditorDidMount(editor, monaco) {
-        editorRef.current = editor;
-        editorRef.current?.focus();
+        paneEditorRef.current = editor;
+        monacoRef.current = monaco;
+        setIsEditorMounted(true);
+        if (isActive) editor.focus();
+
+        // The pane being edited is the active one
+        editor.onDidFocusEditorText(() => dispatch(focusPane(paneId)));
 
         // Ensure yText and awareness are available before attempting binding
         // This check is crucial if props can be null/undefined initially
@@ -194,7 +215,7 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
             }
 
             let availableIndex = -1;
-            for (let i = 0; i < cursorColors.length; i++) {
+            for (let i = 0; i < COLLABORATOR_COLORS.length; i++) {
                 if (!usedIndices.has(i)) {
                     availableIndex = i;
                     break;
@@ -209,7 +230,8 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
 
         // Update awareness on local cursor movement and selection change
         editor.onDidChangeCursorSelection((e) => {
-            if (!yText || !awareness) return;
+            // The selection of an unfocused pane only moves with the edits of others
+            if (!yText || !awareness || !editor.hasTextFocus()) return;
 
             const model = editor.getModel();
             const anchorIndex = model.getOffsetAt(
@@ -223,7 +245,8 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
             );
             const head = createRelativePositionFromTypeIndex(yText, headIndex);
 
-            awareness.setLocalStateField('selection', { anchor, head });
+            ownSelectionRef.current = { anchor, head };
+            awareness.setLocalStateField('selection', ownSelectionRef.current);
         });
 
         function sendThrottledHeartbeat() {
@@ -262,14 +285,30 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                         [...added, ...updated].forEach((clientId) => {
                             const state = awareness.getStates().get(clientId); // Use getStates() to get all states
 
-                            if (!state || !state.selection || !state.user) {
-                                // If state is incomplete, clean up any existing decorations/tooltips for this client
-                                console.warn(
-                                    `Incomplete awareness states for client ${clientId}. Cleaning up.`
-                                );
-                                const tooltipElement = document.querySelector(
-                                    `.collaborator-tooltip-${clientId}`
-                                );
+                            // Collaborators share one awareness per project, only show those editing this file
+                            const isOnThisFile =
+                                !!state?.selection &&
+                                createAbsolutePositionFromRelativePosition(
+                                    state.selection.head,
+                                    yDoc
+                                )?.type === yText;
+
+                            if (
+                                !state ||
+                                !state.selection ||
+                                !state.user ||
+                                !isOnThisFile
+                            ) {
+                                // If state is incomplete or on another file, clean up any existing decorations/tooltips for this client
+                                if (!state?.user) {
+                                    console.warn(
+                                        `Incomplete awareness states for client ${clientId}. Cleaning up.`
+                                    );
+                                }
+                                const tooltipElement =
+                                    editorDomNode.querySelector(
+                                        `.collaborator-tooltip-${clientId}`
+                                    );
                                 if (tooltipElement) {
                                     tooltipElement.remove();
                                 }
@@ -277,7 +316,9 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                                     clientDecorationsRef.current.get(clientId);
                                 if (decorationCollection) {
                                     decorationCollection.clear();
-                                    clientDecorationsRef.current.clear();
+                                    clientDecorationsRef.current.delete(
+                                        clientId
+                                    );
                                 }
                                 return;
                             }
@@ -285,7 +326,7 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                             const { user, selection /* , heartbeat */ } = state;
 
                             const cursorColorIndex = user.cursorColorIndex;
-                            const color = cursorColors[cursorColorIndex];
+                            const color = COLLABORATOR_COLORS[cursorColorIndex];
 
                             const headAbs =
                                 createAbsolutePositionFromRelativePosition(
@@ -298,66 +339,13 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                                     yDoc
                                 )?.index ?? 0;
 
-                            const headPos = model.getPositionAt(headAbs);
-                            const anchorPos = model.getPositionAt(anchorAbs);
-
-                            const decorationsForClient = [];
-
-                            // Create decorations for selections (if any)
-                            if (
-                                headPos.lineNumber !== anchorPos.lineNumber ||
-                                headPos.column !== anchorPos.column
-                            ) {
-                                // Head and anchor are not equal so it's a selection, not just a cursor
-                                const [start, end] = [headPos, anchorPos].sort(
-                                    (a, b) => {
-                                        if (a.lineNumber !== b.lineNumber)
-                                            return a.lineNumber - b.lineNumber;
-                                        return a.column - b.column;
-                                    }
-                                );
-                                const range = new monaco.Range(
-                                    start.lineNumber,
-                                    start.column,
-                                    end.lineNumber,
-                                    end.column
-                                );
-                                decorationsForClient.push({
-                                    range: range,
-                                    options: {
-                                        className: `collaborator-selection`,
-                                        inlineClassName: `collaborator-selection-${cursorColorIndex}`,
-                                        stickiness:
-                                            monaco.editor.TrackedRangeStickiness
-                                                .NeverGrowsWhenTyping,
-                                        // Ensure these don't interfere with the cursor line highlight
-                                        overviewRuler: {
-                                            color: color,
-                                            position:
-                                                monaco.editor.OverviewRulerLane
-                                                    .Center,
-                                        },
-                                    },
-                                });
-                            }
-
-                            // Create decoration for cursor
-                            const cursorPosition = {
-                                lineNumber: anchorPos.lineNumber,
-                                column: anchorPos.column,
-                            };
-
-                            decorationsForClient.push({
-                                range: new monaco.Range(
-                                    cursorPosition.lineNumber,
-                                    cursorPosition.column,
-                                    cursorPosition.lineNumber,
-                                    cursorPosition.column
-                                ),
-                                options: {
-                                    className: `collaborator-cursor collaborator-cursor-${cursorColorIndex}`, // Class for the cursor line
-                                    isWholeLine: false, // Apply only to the cursor position, not the whole line
-                                },
+                            const {
+                                decorations: decorationsForClient,
+                                cursorPosition,
+                            } = buildCollaboratorDecorations(monaco, model, {
+                                anchor: anchorAbs,
+                                head: headAbs,
+                                colorIndex: cursorColorIndex,
                             });
 
                             batchedDecorationsMap.set(
@@ -369,7 +357,7 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                             const overlayContainer = editor
                                 .getDomNode()
                                 ?.querySelector('.view-overlays');
-                            let tooltipElement = document.querySelector(
+                            let tooltipElement = editorDomNode.querySelector(
                                 `.collaborator-tooltip-${clientId}`
                             );
                             if (!tooltipElement) {
@@ -446,7 +434,7 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
 
                         // Clean up removed clients' tooltips
                         removed.forEach((clientId) => {
-                            const tooltipElement = document.querySelector(
+                            const tooltipElement = editorDomNode.querySelector(
                                 `.collaborator-tooltip-${clientId}`
                             );
                             if (tooltipElement) {
@@ -465,6 +453,7 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
         };
 
         awareness.on('update', updateDecorations);
+        awarenessUpdateHandlerRef.current = updateDecorations;
 
         return () => {
             if (awarenessTimerRef.current) {
@@ -473,6 +462,94 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
         };
     }
 
+    // The actions of the editor layout, e.g. formatting, apply to the editor of the active pane
+    useEffect(() => {
+        if (isActive && isEditorMounted) {
+            editorRef.current = paneEditorRef.current;
+        }
+    }, [isActive, isEditorMounted, editorRef]);
+
+    // Marks the problems of the last run located in the open file
+    useEffect(() => {
+        const monaco = monacoRef.current;
+        const model = paneEditorRef.current?.getModel();
+        if (!isEditorMounted || !monaco || !model) return;
+
+        const severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            info: monaco.MarkerSeverity.Info,
+        };
+        const markers = diagnostics
+            .filter(
+                ({ path, line }) =>
+                    path === filePath && line <= model.getLineCount()
+            )
+            .map(({ line, column, severity, message }) => {
+                const lineEndColumn = model.getLineMaxColumn(line);
+                if (!column) {
+                    // Only the line is known, mark its code
+                    return {
+                        severity: severities[severity],
+                        message,
+                        startLineNumber: line,
+                        startColumn:
+                            model.getLineFirstNonWhitespaceColumn(line) || 1,
+                        endLineNumber: line,
+                        endColumn: lineEndColumn,
+                    };
+                }
+                const startColumn = Math.min(column, lineEndColumn);
+                const word = model.getWordAtPosition({
+                    lineNumber: line,
+                    column: startColumn,
+                });
+                return {
+                    severity: severities[severity],
+                    message,
+                    startLineNumber: line,
+                    startColumn,
+                    endLineNumber: line,
+                    endColumn:
+                        word?.endColumn ??
+                        Math.min(startColumn + 1, lineEndColumn),
+                };
+            });
+        monaco.editor.setModelMarkers(model, RUN_DIAGNOSTICS_OWNER, markers);
+    }, [diagnostics, filePath, isEditorMounted]);
+
+    // Moves to the problem or search match picked in a list once its file is open in the active pane
+    useEffect(() => {
+        const editor = paneEditorRef.current;
+        if (
+            !isActive ||
+            !isEditorMounted ||
+            !editor ||
+            !revealPosition ||
+            revealPosition.path !== filePath
+        ) {
+            return;
+        }
+
+        const position = {
+            lineNumber: revealPosition.line,
+            column: revealPosition.column ?? 1,
+        };
+        editor.revealLineInCenter(position.lineNumber);
+        if (revealPosition.endLine) {
+            editor.setSelection({
+                startLineNumber: position.lineNumber,
+                startColumn: position.column,
+                endLineNumber: revealPosition.endLine,
+                endColumn: revealPosition.endColumn,
+            });
+        } else {
+            editor.setPosition(position);
+        }
+        editor.focus();
+        dispatch(setRevealPosition(null));
+    }, [revealPosition, filePath, isActive, isEditorMounted, dispatch]);
+
     // AFK effect
     useEffect(() => {
         if (!awareness) return;
@@ -488,13 +565,12 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
                     return;
                 }
                 if (!state.user || !state.heartbeat) return;
-                const tooltip = document.querySelector(
-                    `.collaborator-tooltip-${clientId}`
-                );
-                if (tooltip) {
-                    const isAfk = (now - state.heartbeat) / (60 * 1000) >= 2;
-                    tooltip.classList.toggle('tooltip-afk', isAfk);
-                }
+                const isAfk = (now - state.heartbeat) / (60 * 1000) >= 2;
+                document
+                    .querySelectorAll(`.collaborator-tooltip-${clientId}`)
+                    .forEach((tooltip) =>
+                        tooltip.classList.toggle('tooltip-afk', isAfk)
+                    );
             });
         };
 
@@ -505,29 +581,39 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
 
         return () => {
             clearInterval(afkCheckInterval);
+            awareness.off('change', updateAfkStatus);
         };
     }, [awareness]);
 
     // Effect to clean up the MonacoBinding and awareness listeners when CodeEditor unmounts
-    // or when yText/awareness props change (indicating a file switch, requiring re-binding)
+    // (it is remounted on file switches, requiring re-binding)
     useEffect(() => {
+        const editorSection = closestSectionRef.current;
+
         return () => {
             if (bindingRef.current) {
                 bindingRef.current.destroy();
                 bindingRef.current = null;
             }
             if (awareness) {
-                // Clear local awareness state when editor unmounts or file changes
-                awareness.setLocalStateField('selection', null);
-                awareness.setLocalStateField('user', null);
-                awareness.setLocalStateField('heartbeat', null);
-                awareness.setLocalStateField('isAfk', null);
-                awareness.setLocalState(null);
-                awareness.getStates()?.delete(awareness.clientID);
+                // The awareness is shared by all panes and files of the project, so only clear the selection if this
+                // pane shared it, not once the focus moved to another pane
+                if (awarenessUpdateHandlerRef.current) {
+                    awareness.off('update', awarenessUpdateHandlerRef.current);
+                    awarenessUpdateHandlerRef.current = null;
+                }
+                if (
+                    ownSelectionRef.current &&
+                    awareness.getLocalState()?.selection ===
+                        ownSelectionRef.current
+                ) {
+                    awareness.setLocalStateField('selection', null);
+                }
+                ownSelectionRef.current = null;
             }
 
             // Clear all remaining decorations from clientDecorations map
-            if (editorRef.current) {
+            if (paneEditorRef.current) {
                 // eslint-disable-next-line react-hooks/exhaustive-deps
                 clientDecorationsRef.current.forEach((decorations) => {
                     decorations.clear();
@@ -535,26 +621,26 @@ function CodeEditor({ ref: editorRef, yjsResources, isYjsConnected }) {
             }
             clientDecorationsRef.current?.clear(); // Clear the map
 
-            // Clean up any remaining tooltips from this client if it was the last one
-            document
-                .querySelectorAll('.collaborator-tooltip')
+            // Clean up any remaining tooltips of this pane, the other pane keeps its own
+            editorSection
+                ?.querySelectorAll('.collaborator-tooltip')
                 .forEach((el) => el.remove());
         };
-    }, [yText, awareness, editorRef]); // Re-run effect on file switches
+    }, [yText, awareness]); // Re-run effect on file switches
 
     const editorSectionProps = {
         className:
-            'relative flex h-[calc(100%-4rem)] flex-col text-gray-800 dark:text-gray-200',
+            'relative flex min-h-0 flex-1 flex-col text-gray-800 dark:text-gray-200',
         'aria-label': 'Code editor',
         ref: closestSectionRef,
     };
 
     const editorProps = {
-        height: '91vh',
+        height: '100%',
         width: '100%',
-        language,
-        value: !yText ? codeContent : undefined,
-        onChange: debouncedHandleContentChange,
+        language: fileLanguage,
+        value: !yText ? fileContent : undefined,
+        onChange: (value) => debouncedHandleContentChange(value, file),
         theme: theme === 'dark' ? 'night-owl' : 'vs-light',
         beforeMount: handleEditorWillMount,
         onMount: handleEditorDidMount,
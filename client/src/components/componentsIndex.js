@@ -28,6 +28,14 @@ export { default as Hamburger } from './svg/Hamburger.jsx';
 export { default as Cross } from './svg/Cross.jsx';
 export { default as Files } from './svg/Files.jsx';
 export { default as AddFile } from './svg/AddFile.jsx';
+export { default as AddFolder } from './svg/AddFolder.jsx';
+export { default as Replay } from './svg/Replay.jsx';
+export { default as History } from './svg/History.jsx';
+export { default as Download } from './svg/Download.jsx';
+export { default as Upload } from './svg/Upload.jsx';
+export { default as RunSettings } from './svg/RunSettings.jsx';
+export { default as RunLog } from './svg/RunLog.jsx';
+export { default as Search } from './svg/Search.jsx';
 
 // Auth Components
 export { default as AuthLayout } from '../components/auth-layout/AuthLayout.jsx';
@@ -41,6 +49,8 @@ export { default as ResetPassword } from '../pages/reset-password/ResetPassword.
 
 // Editor Components
 export { default as CodeEditor } from './code-editor/CodeEditor.jsx';
+export { default as EditorPanes } from './editor-panes/EditorPanes.jsx';
+export { default as EditorTabs } from './editor-panes/EditorTabs.jsx';
 export { default as EditorLayout } from './editor-layout/EditorLayout.jsx';
 export { default as ProjectEditor } from '../pages/project-editor/ProjectEditor.jsx';
 export { default as NewProject } from '../pages/new-project/NewProject.jsx';
@@ -52,6 +62,13 @@ export { default as EditorToolbar } from './editor-toolbar/EditorToolbar.jsx';
 export { default as InviteAdminPanel } from './invite-panels/InviteAdminPanel.jsx';
 export { default as InvitePanel } from './invite-panels/InvitePanel.jsx';
 export { default as ModeSelector } from './mode-selector/ModeSelector.jsx';
+export { default as ConnectionStatus } from './connection-status/ConnectionStatus.jsx';
+export { default as RunQuota } from './run-quota/RunQuota.jsx';
+export { default as RunConfigurationSelector } from './run-configuration-selector/RunConfigurationSelector.jsx';
+export { default as TestCasesEditor } from './test-cases/TestCasesEditor.jsx';
+export { default as TestResults } from './test-cases/TestResults.jsx';
+export { default as TerminalPanel } from './terminal-panel/TerminalPanel.jsx';
+export { default as ProblemsList } from './problems-list/ProblemsList.jsx';
 
 // UI Components
 export { default as Modal } from './modal/Modal.jsx';
@@ -64,6 +81,16 @@ export { default as KeyboardShortcuts } from './modal-contents/keyboard-shortcut
 export { default as CreateFile } from './modal-contents/new-file/CreateFile.jsx';
 export { default as RenameFile } from './modal-contents/rename-file/RenameFile.jsx';
 export { default as DeleteFile } from './modal-contents/delete-file/DeleteFile.jsx';
+export { default as CreateFolder } from './modal-contents/new-folder/CreateFolder.jsx';
+export { default as RenameFolder } from './modal-contents/rename-folder/RenameFolder.jsx';
+export { default as DeleteFolder } from './modal-contents/delete-folder/DeleteFolder.jsx';
+export { default as ReplayPlayer } from './modal-contents/replay-player/ReplayPlayer.jsx';
+export { default as VersionHistory } from './modal-contents/version-history/VersionHistory.jsx';
+export { default as RunSettingsContent } from './modal-contents/run-settings/RunSettingsContent.jsx';
+export { default as RunHistory } from './modal-contents/run-history/RunHistory.jsx';
 
 // File Explorer
 export { default as FileExplorer } from './file-explorer/FileExplorer.jsx';
+
+// Project Search
+export { default as SearchPanel } from './search-panel/SearchPanel.jsx';
@@ -0,0 +1,53 @@
+import { memo } from 'react';
+
+import { Tooltip } from '../componentsIndex';
+
+// Label, tooltip and dot color for each WebsocketProvider status
+const STATUS_DETAILS = {
+    connected: {
+        label: 'Live',
+        description: 'Changes are synced with collaborators',
+        dotClassName: 'bg-green-500',
+    },
+    connecting: {
+        label: 'Reconnecting...',
+        description:
+            'Changes are saved on this device and will sync once reconnected',
+        dotClassName: 'animate-pulse bg-amber-400',
+    },
+    disconnected: {
+        label: 'Offline',
+        description:
+            'Changes are saved on this device and will sync once reconnected',
+        dotClassName: 'bg-red-500',
+    },
+};
+
+/**
+ * Indicator of the collaboration connection status.
+ * @param {Object} props
+ * @param {'connecting'|'connected'|'disconnected'} props.status - Status of the Yjs WebsocketProvider.
+ * @returns {JSX.Element} The status badge.
+ */
+function ConnectionStatus({ status }) {
+    const { label, description, dotClassName } =
+        STATUS_DETAILS[status] ?? STATUS_DETAILS.disconnected;
+
+    return (
+        <Tooltip content={description}>
+            <span
+                className="flex items-center gap-1.5 rounded-full px-2 py-1 text-xs whitespace-nowrap text-gray-600 dark:text-gray-300"
+                role="status"
+                aria-live="polite"
+            >
+                <span
+                    className={`inline-block h-2 w-2 rounded-full ${dotClassName}`}
+                    aria-hidden="true"
+                />
+                {label}
+            </span>
+        </Tooltip>
+    );
+}
+
+export default memo(ConnectionStatus);
@@ -4,7 +4,7 @@ import { AnimatePresence } from 'framer-motion';
 import { useLocation, useNavigate } from 'react-router';
 
 import {
-    CodeEditor,
+    EditorPanes,
     EditorToolbar,
     FileExplorer,
     InputPanel,
@@ -12,28 +12,39 @@ import {
     Modal,
     OutputPanel,
     PreviewPanel,
+    ReplayPlayer,
+    RunHistory,
+    RunSettingsContent,
+    SearchPanel,
     SettingsContent,
+    VersionHistory,
 } from '../componentsIndex.js';
 import { disconnectAllYjs } from '../../lib/yjs.js';
+import { defaultRunSettings } from '../../conf/multiFileRun.js';
 import { useRealTimeSync } from '../../hooks/yjs-real-time-sync/useRealTimeSync.js';
 import { usePanelsResize } from '../../hooks/editor-layout-and-actions/usePanelsResize.js';
 import { useEditorActions } from '../../hooks/editor-layout-and-actions/useEditorActions.js';
 import { useFileActions } from '../../hooks/file-actions/useFileActions.js';
+import { useVersionHistory } from '../../hooks/version-history/useVersionHistory.js';
+import { useProjectArchive } from '../../hooks/project-archive/useProjectArchive.js';
+import { useTestSuites } from '../../hooks/test-suites/useTestSuites.js';
+import { useRunHistory } from '../../hooks/run-history/useRunHistory.js';
+import { useLanguageCatalogue } from '../../hooks/language-catalogue/useLanguageCatalogue.js';
+import { useEditorTabs } from '../../hooks/editor-tabs/useEditorTabs.js';
 
 /**
  * Layout component for the editor interface.
  * @param {object} props - Props for the component.
  * @param {string} props.projectId - Project ID of an existing project.
  * @param {boolean} props.isNewProject - Whether the project is new.
- * @returns {JSX.Element} The editor layout with CodeEditor, InputPanel and OutputPanel.
+ * @returns {JSX.Element} The editor layout with the editor panes, InputPanel and OutputPanel.
  */
 export default function EditorLayout({ projectId, isNewProject }) {
-    const { files } = useSelector((state) => state.files);
-    const { codeContent, selectedFile, language, settings } = useSelector(
-        (state) => state.editor
-    );
+    const { files, folders } = useSelector((state) => state.files);
+    const { codeContent, selectedFile, language, settings, tabLayout } =
+        useSelector((state) => state.editor);
     const { profile } = useSelector((state) => state.user);
-    const { username } = profile || {};
+    const { username, $id: userId } = profile || {};
     const { input, executionMode } = useSelector((state) => state.execution);
     const { isPreviewVisible } = useSelector((state) => state.preview);
     const { activeProject } = useSelector((state) => state.projects);
@@ -45,7 +56,12 @@ export default function EditorLayout({ projectId, isNewProject }) {
     const [isResizing, setIsResizing] = useState(false);
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
     const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+    const [isReplayOpen, setIsReplayOpen] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [isRunSettingsOpen, setIsRunSettingsOpen] = useState(false);
+    const [isRunHistoryOpen, setIsRunHistoryOpen] = useState(false);
     const [isFileExplorerOpen, setIsFileExplorerOpen] = useState(false);
+    const [isSearchPanelOpen, setIsSearchPanelOpen] = useState(false);
     const editorRef = useRef(null);
     const containerRef = useRef(null);
     const previewContainerRef = useRef(null);
@@ -53,12 +69,13 @@ export default function EditorLayout({ projectId, isNewProject }) {
     const isDraggingVertical = useRef(false);
 
     // YJS related states
-    // References to hold the currently active Y.Doc, Y.Text, WebsocketProvider and its Awareness
+    // References to hold the project Y.Doc, WebsocketProvider and its Awareness, and the selected file's Y.Text
     const [yjsResources, setYjsResources] = useState({
         yDoc: null,
         yText: null,
         awareness: null,
         wsProvider: null,
+        fileId: null,
     });
     const urlParams = useMemo(
         () => new URLSearchParams(window.location.search),
@@ -67,39 +84,50 @@ export default function EditorLayout({ projectId, isNewProject }) {
     const isInvitedSession = urlParams.get('invite') === 'true';
     const [isYjsConnected, setIsYjsConnected] = useState(isInvitedSession);
     const [isAdmin, setIsAdmin] = useState(!isInvitedSession);
-
-    // Store the currently active file ID that Yjs is connected to.
-    const currentConnectedFileIdRef = useRef(null);
+    // Signed room access of the current session: { room, key, token, expiresIn, role }
+    const [roomSession, setRoomSession] = useState(null);
+    // Status of the project room's WebsocketProvider: 'connecting' | 'connected' | 'disconnected'
+    const [connectionStatus, setConnectionStatus] = useState('disconnected');
 
     const navigate = useNavigate();
     const location = useLocation();
 
-    const { handleSaveAllFiles, toggleFileExplorer, setFilesForWebMode } =
-        useFileActions({
-            files,
-            profile,
-            isAdmin,
-            selectedFile,
-            isYjsConnected,
-            isNewProject,
-            activeProject,
-            setIsFileExplorerOpen,
-        });
+    const {
+        handleSaveAllFiles,
+        toggleFileExplorer,
+        toggleSearchPanel,
+        setFilesForWebMode,
+    } = useFileActions({
+        files,
+        profile,
+        selectedFile,
+        isYjsConnected,
+        isNewProject,
+        activeProject,
+        setIsFileExplorerOpen,
+        setIsSearchPanelOpen,
+    });
+
+    // Restores and stores the open tabs, the selected file is the one of the active pane
+    useEditorTabs({ files, selectedFile, tabLayout, activeProject });
 
     useRealTimeSync({
+        files,
         selectedFile,
         isYjsConnected,
         setIsYjsConnected,
         isAdmin,
         setIsAdmin,
-        yjsResources,
-        currentConnectedFileIdRef,
         setYjsResources,
         isNewProject,
         projectId,
         username,
         navigate,
         location,
+        roomSession,
+        setRoomSession,
+        setConnectionStatus,
+        urlParams,
     });
 
     const { handleHorizontalMouseDown, handleVerticalMouseDown } =
@@ -121,10 +149,21 @@ export default function EditorLayout({ projectId, isNewProject }) {
     const {
         handleFormatCode,
         handleRunCode,
+        prepareRun,
         handleOpenSettings,
         handleOpenKeyboardShortcuts,
+        handleOpenReplay,
+        handleOpenHistory,
+        handleOpenRunSettings,
+        handleOpenRunHistory,
         handleCloseSettings,
         handleCloseKeyboardShortcuts,
+        handleCloseReplay,
+        handleCloseHistory,
+        handleCloseRunSettings,
+        handleCloseRunHistory,
+        handleSaveRunSettings,
+        handleSelectRunConfiguration,
         handleResetCode,
         handleFontSizeIncrement,
         handleFontSizeDecrement,
@@ -134,6 +173,7 @@ export default function EditorLayout({ projectId, isNewProject }) {
         handleTabSizeChange,
         handleInvite,
         handleEndRoom,
+        handleRunPolicyChange,
     } = useEditorActions({
         projectId,
         editorRef,
@@ -147,13 +187,69 @@ export default function EditorLayout({ projectId, isNewProject }) {
         setIsYjsConnected,
         setIsSettingsOpen,
         setIsShortcutsOpen,
+        setIsReplayOpen,
+        setIsHistoryOpen,
+        setIsRunSettingsOpen,
+        setIsRunHistoryOpen,
+        activeProject,
         isAdmin,
         yjsResources,
         setYjsResources,
-        currentConnectedFileIdRef,
         username,
+        userId,
+        roomSession,
+        setRoomSession,
     });
 
+    const {
+        getCurrentFiles,
+        handleLoadSnapshots,
+        handleSaveVersion,
+        handleRestoreSnapshot,
+    } = useVersionHistory({
+        files,
+        selectedFile,
+        isYjsConnected,
+        activeProject,
+    });
+
+    const { handleImportProject, handleExportProject, isImporting } =
+        useProjectArchive({
+            files,
+            folders,
+            selectedFile,
+            isYjsConnected,
+            activeProject,
+        });
+
+    const { testCases, handleSaveTestCases, handleRunTests, isSavingTests } =
+        useTestSuites({
+            selectedFile,
+            codeContent,
+            language,
+            isYjsConnected,
+            yjsResources,
+            activeProject,
+        });
+
+    const {
+        runs,
+        canSyncRunHistory,
+        handleLoadRunHistory,
+        handleRerun,
+        handleDeleteRun,
+        handleClearRunHistory,
+        handleRunHistorySyncChange,
+    } = useRunHistory({
+        activeProject,
+        isYjsConnected,
+        isAdmin,
+        userId,
+    });
+
+    // Loads the languages of the execution backend for highlighting, templates and runs
+    useLanguageCatalogue();
+
     //TODO remove this when deploying, only for dev cuz of strict mode
     const isMountedRef = useRef(false);
 
@@ -183,6 +279,15 @@ export default function EditorLayout({ projectId, isNewProject }) {
                         {isFileExplorerOpen && (
                             <FileExplorer
                                 toggleFileExplorer={toggleFileExplorer}
+                                handleImportProject={handleImportProject}
+                                isImporting={isImporting}
+                            />
+                        )}
+                        {isSearchPanelOpen && (
+                            <SearchPanel
+                                toggleSearchPanel={toggleSearchPanel}
+                                isYjsConnected={isYjsConnected}
+                                yjsResources={yjsResources}
                             />
                         )}
                     </AnimatePresence>
@@ -203,14 +308,25 @@ export default function EditorLayout({ projectId, isNewProject }) {
                         handleEndRoom={handleEndRoom}
                         yjsResources={yjsResources}
                         isYjsConnected={isYjsConnected}
+                        connectionStatus={connectionStatus}
+                        handleOpenReplay={handleOpenReplay}
+                        handleOpenHistory={handleOpenHistory}
+                        handleOpenRunSettings={handleOpenRunSettings}
+                        handleSelectRunConfiguration={
+                            handleSelectRunConfiguration
+                        }
+                        handleOpenRunHistory={handleOpenRunHistory}
+                        handleExportProject={handleExportProject}
+                        handleRunPolicyChange={handleRunPolicyChange}
                         setIsYjsConnected={setIsYjsConnected}
                         isInvited={isInvitedSession}
                         toggleFileExplorer={toggleFileExplorer}
+                        toggleSearchPanel={toggleSearchPanel}
                         setFilesForWebMode={setFilesForWebMode}
                     />
                 </div>
-                <CodeEditor
-                    ref={editorRef}
+                <EditorPanes
+                    editorRef={editorRef}
                     yjsResources={yjsResources}
                     isYjsConnected={isYjsConnected}
                 />
@@ -248,6 +364,66 @@ export default function EditorLayout({ projectId, isNewProject }) {
                         <KeyboardShortcuts />
                     </Modal>
                 )}
+                {isReplayOpen && (
+                    <Modal
+                        key="replay-modal"
+                        isOpen={isReplayOpen}
+                        onClose={handleCloseReplay}
+                    >
+                        <ReplayPlayer
+                            roomSession={roomSession}
+                            isAdmin={isAdmin}
+                        />
+                    </Modal>
+                )}
+                {isHistoryOpen && (
+                    <Modal
+                        key="history-modal"
+                        isOpen={isHistoryOpen}
+                        onClose={handleCloseHistory}
+                    >
+                        <VersionHistory
+                            onLoad={handleLoadSnapshots}
+                            onSaveVersion={handleSaveVersion}
+                            onRestore={handleRestoreSnapshot}
+                            getCurrentFiles={getCurrentFiles}
+                            canRestore={isAdmin}
+                        />
+                    </Modal>
+                )}
+                {isRunSettingsOpen && (
+                    <Modal
+                        key="run-settings-modal"
+                        isOpen={isRunSettingsOpen}
+                        onClose={handleCloseRunSettings}
+                    >
+                        <RunSettingsContent
+                            runSettings={
+                                activeProject?.runSettings ?? defaultRunSettings
+                            }
+                            files={files}
+                            selectedFile={selectedFile}
+                            onSave={handleSaveRunSettings}
+                        />
+                    </Modal>
+                )}
+                {isRunHistoryOpen && (
+                    <Modal
+                        key="run-history-modal"
+                        isOpen={isRunHistoryOpen}
+                        onClose={handleCloseRunHistory}
+                    >
+                        <RunHistory
+                            runs={runs}
+                            onLoad={handleLoadRunHistory}
+                            onRerun={handleRerun}
+                            onDelete={handleDeleteRun}
+                            onClear={handleClearRunHistory}
+                            canSync={canSyncRunHistory}
+                            onSyncChange={handleRunHistorySyncChange}
+                        />
+                    </Modal>
+                )}
             </AnimatePresence>
 
             {/* Horizontal Resizer */}
@@ -270,7 +446,14 @@ export default function EditorLayout({ projectId, isNewProject }) {
             ) : (
                 <section className="flex w-full flex-col md:w-[calc(100%-var(--editor-width))] md:min-w-64 md:flex-1">
                     <section className="max-h-full min-h-40 md:h-[var(--input-height)]">
-                        <InputPanel />
+                        <InputPanel
+                            fileId={selectedFile?.$id}
+                            testCases={testCases}
+                            onSaveTestCases={handleSaveTestCases}
+                            onRunTests={handleRunTests}
+                            isSavingTests={isSavingTests}
+                            onPrepareRun={prepareRun}
+                        />
                     </section>
 
                     {/* Vertical Resizer */}
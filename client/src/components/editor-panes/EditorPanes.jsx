@@ -0,0 +1,89 @@
+import { memo, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+
+import { CodeEditor, EditorTabs } from '../componentsIndex';
+import { getFileYText } from '../../lib/yjs';
+import { MAX_PANES } from '../../lib/tabLayout';
+
+/**
+ * An editor pane: its tab strip and the Monaco editor of the file it shows.
+ * @param {Object} props
+ * @param {import('../../lib/tabLayout').EditorPane} props.pane The pane.
+ * @param {boolean} props.isActive Whether the pane is the active one.
+ * @param {boolean} props.canSplit Whether the editor can be split further.
+ * @param {React.RefObject} props.editorRef Ref to the Monaco editor of the active pane.
+ * @param {Object} props.yjsResources Yjs resources of the project room.
+ * @param {boolean} props.isYjsConnected Whether yjs is connected or not.
+ * @returns {JSX.Element}
+ */
+function EditorPane({
+    pane,
+    isActive,
+    canSplit,
+    editorRef,
+    yjsResources,
+    isYjsConnected,
+}) {
+    const { files } = useSelector((state) => state.files);
+    const file = files.find(({ $id }) => $id === pane.activeFileId) ?? null;
+    const { yDoc, awareness } = yjsResources;
+
+    // Every pane binds the shared content of its own file
+    const paneYjsResources = useMemo(
+        () => ({
+            yDoc,
+            awareness,
+            yText: yDoc && file ? getFileYText(file.$id) : null,
+        }),
+        [yDoc, awareness, file]
+    );
+
+    return (
+        <div className="flex min-h-0 min-w-0 flex-1 flex-col">
+            <EditorTabs pane={pane} isActive={isActive} canSplit={canSplit} />
+            {/* Remount per shared file so the Monaco binding follows the Y.Text of the file */}
+            <CodeEditor
+                key={`${pane.id}:${paneYjsResources.yText ? file.$id : 'local'}`}
+                ref={editorRef}
+                paneId={pane.id}
+                file={file}
+                isActive={isActive}
+                yjsResources={paneYjsResources}
+                isYjsConnected={isYjsConnected}
+            />
+        </div>
+    );
+}
+
+/**
+ * EditorPanes component rendering the editor panes side by side or stacked, each with its tabs and editor.
+ * @param {Object} props
+ * @param {React.RefObject} props.editorRef Ref to the Monaco editor of the active pane.
+ * @param {Object} props.yjsResources Yjs resources of the project room.
+ * @param {boolean} props.isYjsConnected Whether yjs is connected or not.
+ * @returns {JSX.Element} The editor panes.
+ */
+function EditorPanes({ editorRef, yjsResources, isYjsConnected }) {
+    const { tabLayout } = useSelector((state) => state.editor);
+    const { panes, activePaneId, splitDirection } = tabLayout;
+
+    return (
+        <div
+            className={`flex h-[88vh] gap-1 ${splitDirection === 'vertical' ? 'flex-col' : 'flex-col md:flex-row'}`}
+        >
+            {panes.map((pane) => (
+                <EditorPane
+                    key={pane.id}
+                    pane={pane}
+                    isActive={pane.id === activePaneId}
+                    canSplit={panes.length < MAX_PANES}
+                    editorRef={editorRef}
+                    yjsResources={yjsResources}
+                    isYjsConnected={isYjsConnected}
+                />
+            ))}
+        </div>
+    );
+}
+
+export default memo(EditorPanes);
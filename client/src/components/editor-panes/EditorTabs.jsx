@@ -0,0 +1,262 @@
+import { memo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { Cross } from '../componentsIndex';
+import { FILE_DRAG_TYPE } from '../file-explorer/FileTreeItem.jsx';
+import {
+    closeEditorTab,
+    closeOtherEditorTabs,
+    focusPane,
+    moveEditorTab,
+    selectTab,
+    splitEditor,
+} from '../../store/slices/editorSlice';
+import { getFilePath } from '../../utils/filePaths';
+
+// MIME type of the pane and file IDs carried by drag events of editor tabs
+const TAB_DRAG_TYPE = 'application/x-bytetogether-tab';
+
+const actionButtonClassName =
+    'cursor-pointer rounded px-2 py-0.5 text-xs whitespace-nowrap hover:bg-gray-300 focus:outline focus:outline-offset-1 focus:outline-blue-400 dark:hover:bg-[#2b2b44]';
+
+/**
+ * Tab strip of an editor pane: the open files, marked when they have unsaved edits. Tabs are reordered by dragging
+ * them or with Alt+Shift+Left/Right, and dragged to the other pane to move them there. Files dragged from the file
+ * explorer open in the pane.
+ * @param {Object} props
+ * @param {import('../../lib/tabLayout').EditorPane} props.pane The pane.
+ * @param {boolean} props.isActive Whether the pane is the active one.
+ * @param {boolean} props.canSplit Whether the editor can be split further.
+ * @returns {JSX.Element} The tab strip.
+ */
+function EditorTabs({ pane, isActive, canSplit }) {
+    const dispatch = useDispatch();
+    const { files, unsavedFileIds } = useSelector((state) => state.files);
+    const { tabLayout } = useSelector((state) => state.editor);
+    const [dropIndex, setDropIndex] = useState(null); // Position a dragged tab is dropped at
+
+    const isOnlyTab = tabLayout.panes.length === 1 && pane.fileIds.length === 1;
+    const tabs = pane.fileIds
+        .map((fileId) => files.find((file) => file.$id === fileId))
+        .filter(Boolean);
+
+    /**
+     * Runs a layout action on this pane after making it the active one.
+     * @param {Object} action The action.
+     */
+    function dispatchOnPane(action) {
+        dispatch(focusPane(pane.id));
+        dispatch(action);
+    }
+
+    function handleDrop(event, index) {
+        event.preventDefault();
+        event.stopPropagation();
+        setDropIndex(null);
+
+        const tab = event.dataTransfer.getData(TAB_DRAG_TYPE);
+        if (tab) {
+            const { paneId, fileId } = JSON.parse(tab);
+            // Positions are counted without the dragged tab
+            const fileIds = pane.fileIds.filter((id) => id !== fileId);
+            const targetId = tabs[index]?.$id;
+            dispatch(
+                moveEditorTab({
+                    fromPaneId: paneId,
+                    fileId,
+                    toPaneId: pane.id,
+                    index: targetId
+                        ? fileIds.indexOf(targetId)
+                        : fileIds.length,
+                })
+            );
+            return;
+        }
+        const fileId = event.dataTransfer.getData(FILE_DRAG_TYPE);
+        if (fileId) dispatch(selectTab({ paneId: pane.id, fileId }));
+    }
+
+    function handleDragOver(event, index) {
+        const { types } = event.dataTransfer;
+        if (!types.includes(TAB_DRAG_TYPE) && !types.includes(FILE_DRAG_TYPE)) {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        setDropIndex(index);
+    }
+
+    function handleTabKeyDown(event, fileId, index) {
+        if (!event.altKey || !event.shiftKey) return;
+        const offset = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+        const newIndex = index + (offset ?? 0);
+        if (!offset || newIndex < 0 || newIndex >= pane.fileIds.length) return;
+
+        event.preventDefault();
+        dispatch(
+            moveEditorTab({
+                fromPaneId: pane.id,
+                fileId,
+                toPaneId: pane.id,
+                index: newIndex,
+            })
+        );
+    }
+
+    return (
+        <div
+            className={`flex items-center gap-1 border-b ${isActive ? 'border-blue-500' : 'border-gray-300 dark:border-gray-600'}`}
+        >
+            <div
+                className="flex flex-1 overflow-x-auto"
+                role="tablist"
+                tabIndex={-1}
+                aria-label="Open files"
+                onDragOver={(event) => handleDragOver(event, tabs.length)}
+                onDragLeave={(event) => {
+                    if (!event.currentTarget.contains(event.relatedTarget)) {
+                        setDropIndex(null);
+                    }
+                }}
+                onDrop={(event) => handleDrop(event, tabs.length)}
+            >
+                {tabs.map((file, index) => {
+                    const isShown = file.$id === pane.activeFileId;
+                    const isUnsaved = unsavedFileIds.includes(file.$id);
+                    const path = getFilePath(file);
+
+                    return (
+                        <div
+                            key={file.$id}
+                            className={`group flex shrink-0 items-center gap-1 border-r border-gray-300 pr-1 dark:border-gray-600 ${
+                                isShown
+                                    ? 'bg-gray-200 dark:bg-[#141429]'
+                                    : 'hover:bg-gray-100 dark:hover:bg-[#2b2b44]'
+                            } ${dropIndex === index ? 'border-l-2 border-l-blue-500' : ''}`}
+                            draggable
+                            onDragStart={(event) => {
+                                event.dataTransfer.setData(
+                                    TAB_DRAG_TYPE,
+                                    JSON.stringify({
+                                        paneId: pane.id,
+                                        fileId: file.$id,
+                                    })
+                                );
+                                event.dataTransfer.effectAllowed = 'move';
+                            }}
+                            onDragOver={(event) => handleDragOver(event, index)}
+                            onDrop={(event) => handleDrop(event, index)}
+                        >
+                            <button
+                                type="button"
+                                role="tab"
+                                aria-selected={isShown}
+                                onClick={() =>
+                                    dispatch(
+                                        selectTab({
+                                            paneId: pane.id,
+                                            fileId: file.$id,
+                                        })
+                                    )
+                                }
+                                onAuxClick={(event) => {
+                                    // Middle click closes the tab
+                                    if (event.button === 1 && !isOnlyTab) {
+                                        dispatch(
+                                            closeEditorTab({
+                                                paneId: pane.id,
+                                                fileId: file.$id,
+                                            })
+                                        );
+                                    }
+                                }}
+                                onKeyDown={(event) =>
+                                    handleTabKeyDown(event, file.$id, index)
+                                }
+                                className={`max-w-48 cursor-pointer truncate py-1 pl-2 text-sm focus:outline focus:outline-offset-1 focus:outline-blue-400 ${isShown ? 'font-semibold' : ''}`}
+                                title={path}
+                                aria-label={`${path}${isUnsaved ? ' (unsaved)' : ''}`}
+                            >
+                                {file.fileName}
+                            </button>
+                            {isUnsaved && (
+                                <span
+                                    className="text-blue-600 dark:text-blue-300"
+                                    aria-hidden="true"
+                                >
+                                    ●
+                                </span>
+                            )}
+                            {!isOnlyTab && (
+                                <button
+                                    type="button"
+                                    onClick={() =>
+                                        dispatch(
+                                            closeEditorTab({
+                                                paneId: pane.id,
+                                                fileId: file.$id,
+                                            })
+                                        )
+                                    }
+                                    className={`cursor-pointer rounded-full opacity-60 group-hover:opacity-100 hover:opacity-100 focus:opacity-100 focus:outline focus:outline-blue-400 ${isShown ? '' : 'invisible group-hover:visible focus:visible'}`}
+                                    aria-label={`Close ${path}`}
+                                    title="Close"
+                                >
+                                    <Cross width={0.9} height={0.9} />
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {pane.fileIds.length > 1 && (
+                <button
+                    type="button"
+                    onClick={() =>
+                        dispatch(
+                            closeOtherEditorTabs({
+                                paneId: pane.id,
+                                fileId: pane.activeFileId,
+                            })
+                        )
+                    }
+                    className={actionButtonClassName}
+                    title="Close the other tabs of this pane"
+                >
+                    Close others
+                </button>
+            )}
+            {(canSplit || tabLayout.splitDirection === 'vertical') && (
+                <button
+                    type="button"
+                    onClick={() => dispatchOnPane(splitEditor('horizontal'))}
+                    className={actionButtonClassName}
+                    title={
+                        canSplit
+                            ? 'Open this file in a pane on the right'
+                            : 'Show the panes side by side'
+                    }
+                >
+                    Split right
+                </button>
+            )}
+            {(canSplit || tabLayout.splitDirection === 'horizontal') && (
+                <button
+                    type="button"
+                    onClick={() => dispatchOnPane(splitEditor('vertical'))}
+                    className={actionButtonClassName}
+                    title={
+                        canSplit
+                            ? 'Open this file in a pane below'
+                            : 'Stack the panes'
+                    }
+                >
+                    Split down
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default memo(EditorTabs);
@@ -3,21 +3,31 @@ import { AnimatePresence } from 'framer-motion';
 import { useSelector } from 'react-redux';
 
 import {
+    ConnectionStatus,
+    Download,
     Files,
     Format,
+    History,
     Invite,
     InviteAdminPanel,
     InvitePanel,
     Keyboard,
     LanguageSelector,
     ModeSelector,
+    Replay,
     Reset,
     Run,
+    RunConfigurationSelector,
+    RunLog,
+    RunQuota,
+    RunSettings,
     Save,
     SaveAll,
+    Search,
     Settings,
     Tooltip,
 } from '../componentsIndex';
+import { canRunInRoom } from '../../utils/canRunInRoom';
 
 /**
  * Toolbar component for editor controls.
@@ -34,6 +44,16 @@ import {
  * @param {Function} props.handleEndRoom Callback to end the collab room if admin or just leave the room if non-admin.
  * @param {React.ComponentState<Object>} props.yjsResources Yjs resources liek Ydoc, YText, Awareness and WSPRovider.
  * @param {React.SetStateAction<Function>} props.setIsYjsConnected State setter for isYjsConnected state.
+ * @param {React.ComponentState<boolean>} props.isYjsConnected Whether collaboration is active.
+ * @param {React.ComponentState<string>} props.connectionStatus Status of the collaboration connection.
+ * @param {Function} props.handleOpenReplay Callback to open the session replay modal.
+ * @param {Function} props.handleOpenHistory Callback to open the version history modal.
+ * @param {Function} props.handleOpenRunSettings Callback to open the run settings modal.
+ * @param {Function} props.handleSelectRunConfiguration Callback to select the run configuration used by Run.
+ * @param {Function} props.handleOpenRunHistory Callback to open the run history modal.
+ * @param {Function} props.handleExportProject Callback to download the project as a zip.
+ * @param {Function} props.handleRunPolicyChange Callback to change who may run code in the session, admin only.
+ * @param {Function} props.toggleSearchPanel Callback to open or close the project-wide search.
  * @returns {JSX.Element} The memoized editor toolbar with editor controls.
  */
 function EditorToolbar({
@@ -49,10 +69,26 @@ function EditorToolbar({
     handleEndRoom,
     yjsResources,
     setIsYjsConnected,
+    isYjsConnected,
+    connectionStatus,
+    handleOpenReplay,
+    handleOpenHistory,
+    handleOpenRunSettings,
+    handleSelectRunConfiguration,
+    handleOpenRunHistory,
+    handleExportProject,
+    handleRunPolicyChange,
     toggleFileExplorer,
+    toggleSearchPanel,
     setFilesForWebMode,
 }) {
-    const { executionMode } = useSelector((state) => state.execution);
+    const { executionMode, runPolicy, roomMembers } = useSelector(
+        (state) => state.execution
+    );
+    const { profile } = useSelector((state) => state.user);
+    const canRun =
+        !isYjsConnected ||
+        canRunInRoom(runPolicy, { userId: profile?.$id, isAdmin });
 
     const [isInvitePanelOpen, setIsInvitePanelOpen] = useState(false);
     const inviteButtonRef = useRef(null);
@@ -86,6 +122,15 @@ function EditorToolbar({
                         <Files width={2} height={2} />
                     </button>
                 </Tooltip>
+                <Tooltip content={'Search in files'}>
+                    <button
+                        className="flex cursor-pointer items-center justify-center rounded-xl p-1 hover:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                        onClick={toggleSearchPanel}
+                        aria-label="Search in files"
+                    >
+                        <Search width={1.6} height={1.6} />
+                    </button>
+                </Tooltip>
 
                 <ModeSelector setFilesForWebMode={setFilesForWebMode} />
             </div>
@@ -100,16 +145,53 @@ function EditorToolbar({
                     </button>
                 </Tooltip>
                 {executionMode === 'judge0' && (
-                    <Tooltip content={'Run code'}>
+                    <Tooltip
+                        content={
+                            canRun
+                                ? 'Run code'
+                                : 'The room admin does not allow you to run code'
+                        }
+                    >
                         <button
                             onClick={handleRunCode}
-                            className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-green-400 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                            disabled={!canRun}
+                            className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-green-400 disabled:cursor-not-allowed disabled:opacity-50 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
                             aria-label="Run code"
                         >
                             <Run width={1.2} height={1.2} />
                         </button>
                     </Tooltip>
                 )}
+                {executionMode === 'judge0' && (
+                    <RunConfigurationSelector
+                        onChange={handleSelectRunConfiguration}
+                    />
+                )}
+                {executionMode === 'judge0' && (
+                    <RunQuota isYjsConnected={isYjsConnected} />
+                )}
+                {executionMode === 'judge0' && (
+                    <Tooltip content={'Run history'}>
+                        <button
+                            onClick={handleOpenRunHistory}
+                            className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                            aria-label="Open run history"
+                        >
+                            <RunLog width={1.3} height={1.3} />
+                        </button>
+                    </Tooltip>
+                )}
+                {executionMode === 'judge0' && (
+                    <Tooltip content={'Run settings'}>
+                        <button
+                            onClick={handleOpenRunSettings}
+                            className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                            aria-label="Open run settings"
+                        >
+                            <RunSettings width={1.3} height={1.3} />
+                        </button>
+                    </Tooltip>
+                )}
                 <Tooltip content={'Reset code'}>
                     <button
                         onClick={handleResetCode}
@@ -136,6 +218,24 @@ function EditorToolbar({
                         )}
                     </button>
                 </Tooltip>
+                <Tooltip content={'Version history'}>
+                    <button
+                        onClick={handleOpenHistory}
+                        className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                        aria-label="Open version history"
+                    >
+                        <History width={1.3} height={1.3} />
+                    </button>
+                </Tooltip>
+                <Tooltip content={'Export project as .zip'}>
+                    <button
+                        onClick={handleExportProject}
+                        className="cursor-pointer rounded-full px-3 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                        aria-label="Export project as zip"
+                    >
+                        <Download width={1.3} height={1.3} />
+                    </button>
+                </Tooltip>
                 <Tooltip content={'Settings'}>
                     <button
                         onClick={handleOpenSettings}
@@ -156,6 +256,18 @@ function EditorToolbar({
                 </Tooltip>
                 {executionMode === 'judge0' && (
                     <>
+                        {isYjsConnected && (
+                            <ConnectionStatus status={connectionStatus} />
+                        )}
+                        <Tooltip content={'Session replay'}>
+                            <button
+                                onClick={handleOpenReplay}
+                                className="cursor-pointer rounded-full px-2.5 pt-2 pb-1.5 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                                aria-label="Open session replay"
+                            >
+                                <Replay width={1.3} height={1.3} />
+                            </button>
+                        </Tooltip>
                         <Tooltip content={'Invite'}>
                             <button
                                 ref={inviteButtonRef}
@@ -176,6 +288,9 @@ function EditorToolbar({
                                     onEndSession={handleEndSession}
                                     onCopyLink={handleInvite}
                                     anchorRef={inviteButtonRef}
+                                    runPolicy={runPolicy}
+                                    onRunPolicyChange={handleRunPolicyChange}
+                                    members={roomMembers}
                                 />
                             )}{' '}
                             {!isAdmin && isInvitePanelOpen && (
@@ -1,35 +1,65 @@
-import { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { useDispatch, useSelector } from 'react-redux';
 import { createPortal } from 'react-dom';
 
-import { updateFile } from '../../store/slices/filesSlice';
+import { updateFile, updateFileDB } from '../../store/slices/filesSlice';
 import { setSelectedFile } from '../../store/slices/editorSlice';
-import { setModalType } from '../../store/slices/uiSlice';
+import { addNotification, setModalType } from '../../store/slices/uiSlice';
+import { upsertYFile } from '../../lib/yjs';
+import { readDroppedSources, readZipSources } from '../../lib/projectArchive';
+import {
+    buildFileTree,
+    getFilePath,
+    isPathTaken,
+    joinPath,
+} from '../../utils/filePaths';
+import {
+    getCollapsedFolders,
+    saveCollapsedFolders,
+} from '../../utils/explorerState';
 import {
     AddFile,
+    AddFolder,
     Cross,
-    Delete,
     DeleteFile,
+    DeleteFolder,
     Modal,
     CreateFile,
-    Rename,
+    CreateFolder,
     RenameFile,
+    RenameFolder,
+    Spinner,
+    Upload,
 } from '../componentsIndex';
 
+import FileTreeItem, { FILE_DRAG_TYPE } from './FileTreeItem.jsx';
+
 /**
  * FileExplorer component for managing project files.
  * @param {Object} props
  * @param {Function} props.toggleFileExplorer - Function to toggle the file explorer.
+ * @param {Function} props.handleImportProject - Function to add the files of a dropped folder or a zip to the project.
+ * @param {boolean} props.isImporting - Whether an import is in progress.
  * @returns {JSX.Element} The file explorer UI.
  */
-function FileExplorer({ toggleFileExplorer }) {
+function FileExplorer({
+    toggleFileExplorer,
+    handleImportProject,
+    isImporting,
+}) {
     const dispatch = useDispatch();
 
     const { user } = useSelector((state) => state.auth);
-    const { files } = useSelector((state) => state.files);
+    const { files, folders } = useSelector((state) => state.files);
     const { selectedFile } = useSelector((state) => state.editor);
-    const { executionMode } = useSelector((state) => state.execution);
+    const { activeProject } = useSelector((state) => state.projects);
+
+    const userId = user?.$id || 'guest';
+    const projectId = activeProject?.$id || 'defaultProject';
+    // Folders are managed by the project owner, files by their owner
+    const canEditFolders =
+        !activeProject?.ownerId || activeProject.ownerId === user?.$id;
 
     const fileExplorerRef = useRef(null);
     const firstFocusableRef = useRef(null);
@@ -37,10 +67,27 @@ function FileExplorer({ toggleFileExplorer }) {
     const triggerRef = useRef(null);
     const fileToRenameRef = useRef(null);
     const fileToDeleteRef = useRef(null);
+    const targetFolderRef = useRef(''); // Folder to create a file or folder in, or to rename/delete
+    const importInputRef = useRef(null);
 
     const [isCreateFileModalOpen, setIsCreateFileModalOpen] = useState(false);
     const [isRenameFileModalOpen, setIsRenameFileModalOpen] = useState(false);
     const [isDeleteFileModalOpen, setIsDeleteFileModalOpen] = useState(false);
+    const [isCreateFolderModalOpen, setIsCreateFolderModalOpen] =
+        useState(false);
+    const [isRenameFolderModalOpen, setIsRenameFolderModalOpen] =
+        useState(false);
+    const [isDeleteFolderModalOpen, setIsDeleteFolderModalOpen] =
+        useState(false);
+    const [isRootDragOver, setIsRootDragOver] = useState(false);
+    const [collapsedPaths, setCollapsedPaths] = useState(
+        () => new Set(getCollapsedFolders(userId, projectId))
+    );
+
+    const fileTree = useMemo(
+        () => buildFileTree({ files, folders }),
+        [files, folders]
+    );
 
     useEffect(() => {
         if (!fileExplorerRef.current) return;
@@ -127,8 +174,8 @@ function FileExplorer({ toggleFileExplorer }) {
     }, [toggleFileExplorer]);
 
     const openCreateFileModal = useCallback(
-        (event) => {
-            event.stopPropagation();
+        (folderPath = '') => {
+            targetFolderRef.current = folderPath;
             dispatch(setModalType('create-new-file'));
             setIsCreateFileModalOpen(true);
         },
@@ -160,6 +207,161 @@ function FileExplorer({ toggleFileExplorer }) {
         setIsDeleteFileModalOpen(false);
     }, [dispatch]);
 
+    const openCreateFolderModal = useCallback(
+        (parentPath = '') => {
+            targetFolderRef.current = parentPath;
+            dispatch(setModalType('create-new-folder'));
+            setIsCreateFolderModalOpen(true);
+        },
+        [dispatch]
+    );
+
+    const closeCreateFolderModal = useCallback(() => {
+        dispatch(setModalType(null));
+        setIsCreateFolderModalOpen(false);
+    }, [dispatch]);
+
+    const openRenameFolderModal = useCallback(
+        (path) => {
+            targetFolderRef.current = path;
+            dispatch(setModalType('rename-folder'));
+            setIsRenameFolderModalOpen(true);
+        },
+        [dispatch]
+    );
+
+    const closeRenameFolderModal = useCallback(() => {
+        dispatch(setModalType(null));
+        setIsRenameFolderModalOpen(false);
+    }, [dispatch]);
+
+    const openDeleteFolderModal = useCallback(
+        (path) => {
+            targetFolderRef.current = path;
+            dispatch(setModalType('delete-folder'));
+            setIsDeleteFolderModalOpen(true);
+        },
+        [dispatch]
+    );
+
+    const closeDeleteFolderModal = useCallback(() => {
+        dispatch(setModalType(null));
+        setIsDeleteFolderModalOpen(false);
+    }, [dispatch]);
+
+    const toggleFolder = useCallback(
+        (path) => {
+            setCollapsedPaths((previous) => {
+                const next = new Set(previous);
+                if (!next.delete(path)) {
+                    next.add(path);
+                }
+                saveCollapsedFolders(userId, projectId, [...next]);
+                return next;
+            });
+        },
+        [projectId, userId]
+    );
+
+    const selectFile = useCallback(
+        (file) => {
+            dispatch(updateFile(selectedFile));
+            dispatch(setSelectedFile(file));
+        },
+        [dispatch, selectedFile]
+    );
+
+    /**
+     * Moves a file to another folder, e.g. when it is dropped on it.
+     */
+    const handleMoveFile = useCallback(
+        async (fileId, folderPath) => {
+            const file = files.find((candidate) => candidate.$id === fileId);
+            if (!file || (file.folderPath || '') === folderPath) return;
+
+            const newPath = joinPath(folderPath, file.fileName);
+            if (isPathTaken({ files, folders }, newPath, file.$id)) {
+                dispatch(
+                    addNotification({
+                        message: `"${newPath}" already exists`,
+                        type: 'warn',
+                    })
+                );
+                return;
+            }
+
+            const movedFile = { ...file, folderPath };
+            try {
+                await dispatch(
+                    updateFileDB({ ...movedFile, fileId: file.$id })
+                ).unwrap();
+                upsertYFile(movedFile); // Share the new path with collaborators
+
+                if (selectedFile?.$id === file.$id) {
+                    dispatch(setSelectedFile({ ...selectedFile, folderPath }));
+                }
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: `Failed to move ${getFilePath(file)}: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch, files, folders, selectedFile]
+    );
+
+    const handleImportZip = useCallback(
+        (event) => {
+            const [file] = event.target.files;
+            event.target.value = '';
+            if (file) handleImportProject(readZipSources(file));
+        },
+        [handleImportProject]
+    );
+
+    const treeProps = useMemo(
+        () => ({
+            selectedFileId: selectedFile?.$id,
+            collapsedPaths,
+            canEditFile: (file) => user?.$id === file?.ownerId,
+            canEditFolders,
+            actions: {
+                selectFile,
+                toggleFolder,
+                moveFile: handleMoveFile,
+                createFile: openCreateFileModal,
+                createFolder: openCreateFolderModal,
+                renameFolder: openRenameFolderModal,
+                deleteFolder: openDeleteFolderModal,
+                renameFile: (file) => {
+                    fileToRenameRef.current = file;
+                    openRenameFileModal();
+                },
+                deleteFile: (file) => {
+                    fileToDeleteRef.current = file;
+                    openDeleteFileModal();
+                },
+            },
+        }),
+        [
+            canEditFolders,
+            collapsedPaths,
+            handleMoveFile,
+            openCreateFileModal,
+            openCreateFolderModal,
+            openDeleteFileModal,
+            openDeleteFolderModal,
+            openRenameFileModal,
+            openRenameFolderModal,
+            selectFile,
+            selectedFile?.$id,
+            toggleFolder,
+            user?.$id,
+        ]
+    );
+
     return createPortal(
         // Overlay
         <motion.div
@@ -176,7 +378,7 @@ function FileExplorer({ toggleFileExplorer }) {
                 exit={{ x: '-100%' }}
                 transition={{ type: 'spring', stiffness: 300, damping: 30 }}
                 ref={fileExplorerRef}
-                className="fixed top-0 left-0 z-700 h-full w-64 bg-white text-gray-900 shadow-lg dark:bg-[#222233] dark:text-white"
+                className="fixed top-0 left-0 z-700 flex h-full w-64 flex-col bg-white text-gray-900 shadow-lg dark:bg-[#222233] dark:text-white"
                 role="dialog"
                 aria-modal="true"
                 aria-label="File Explorer"
@@ -187,15 +389,52 @@ function FileExplorer({ toggleFileExplorer }) {
                 <div className="flex items-center justify-between gap-2 border-b border-gray-700 p-2">
                     <p className="text-sm">EXPLORER</p>
                     <div className="flex gap-1">
-                        {executionMode === 'judge0' && (
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                importInputRef.current?.click();
+                            }}
+                            disabled={isImporting}
+                            aria-disabled={isImporting}
+                            className="flex cursor-pointer items-center justify-center rounded-xl px-1.5 py-1 text-gray-400 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 disabled:cursor-not-allowed dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                            aria-label="Import a zip, or drop a folder on the explorer"
+                            title="Import a .zip, or drop a folder on the explorer"
+                        >
+                            {isImporting ? (
+                                <Spinner />
+                            ) : (
+                                <Upload width={1.2} height={1.2} />
+                            )}
+                        </button>
+                        <input
+                            ref={importInputRef}
+                            type="file"
+                            accept=".zip,application/zip"
+                            className="hidden"
+                            onChange={handleImportZip}
+                        />
+                        {canEditFolders && (
                             <button
-                                onClick={openCreateFileModal}
+                                onClick={(event) => {
+                                    event.stopPropagation();
+                                    openCreateFolderModal();
+                                }}
                                 className="flex cursor-pointer items-center justify-center rounded-xl px-1.5 py-1 text-gray-400 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
-                                aria-label="Create new file"
+                                aria-label="Create new folder"
                             >
-                                <AddFile width={1.2} height={1.2} />
+                                <AddFolder width={1.2} height={1.2} />
                             </button>
                         )}
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                openCreateFileModal();
+                            }}
+                            className="flex cursor-pointer items-center justify-center rounded-xl px-1.5 py-1 text-gray-400 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                            aria-label="Create new file"
+                        >
+                            <AddFile width={1.2} height={1.2} />
+                        </button>
                         <button
                             onClick={toggleFileExplorer}
                             className="flex cursor-pointer items-center justify-center rounded-xl p-1 text-gray-400 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
@@ -205,97 +444,48 @@ function FileExplorer({ toggleFileExplorer }) {
                         </button>
                     </div>
                 </div>
-                <ul className={`flex flex-col gap-0.5 p-1`}>
-                    {files.map((file) => (
-                        <li
-                            key={file.$id}
-                            className={`group flex w-full cursor-pointer items-center justify-between rounded px-2 py-1 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44] ${
-                                selectedFile?.fileName === file.fileName
-                                    ? 'bg-gray-200 dark:bg-[#141429]'
-                                    : ''
-                            }`}
-                            onClick={(event) => {
-                                event.stopPropagation();
-                                dispatch(updateFile(selectedFile));
-                                dispatch(setSelectedFile(file));
-                            }}
-                            onKeyDown={(event) => {
-                                event.stopPropagation();
-                                if (
-                                    event.key === 'Enter' ||
-                                    event.key === ' '
-                                ) {
-                                    dispatch(updateFile(selectedFile));
-                                    dispatch(setSelectedFile(file));
-                                }
-                            }}
-                            tabIndex={0}
-                            // eslint-disable-next-line jsx-a11y/no-noninteractive-element-to-interactive-role
-                            role="button"
-                            aria-label={`${file.fileName}`}
-                        >
-                            <span
-                                className={
-                                    selectedFile?.fileName === file.fileName
-                                        ? 'font-bold'
-                                        : ''
-                                }
-                            >
-                                {file.fileName}
-                            </span>
-                            {/* <span className="hidden gap-2 group-hover:flex group-focus:flex"> */}
-                            {user?.$id === file?.ownerId &&
-                                executionMode === 'judge0' && (
-                                    <span className="flex gap-2">
-                                        <button
-                                            onClick={(event) => {
-                                                event.stopPropagation();
-                                                fileToRenameRef.current = file;
-                                                openRenameFileModal();
-                                            }}
-                                            onKeyDown={(event) => {
-                                                event.stopPropagation();
-
-                                                if (
-                                                    event.key === 'Enter' ||
-                                                    event.key === ' '
-                                                ) {
-                                                    fileToRenameRef.current =
-                                                        file;
-                                                    openRenameFileModal();
-                                                }
-                                            }}
-                                            className="cursor-pointer rounded-md p-1 hover:bg-gray-100 focus:bg-gray-100 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#3e3e52] dark:focus:bg-[#3e3e52]"
-                                            aria-label={`Rename ${file.fileName}`}
-                                        >
-                                            <Rename width={1.2} height={1.2} />
-                                        </button>
-                                        <button
-                                            onClick={(event) => {
-                                                event.stopPropagation();
-                                                fileToDeleteRef.current = file;
-                                                openDeleteFileModal();
-                                            }}
-                                            onKeyDown={(event) => {
-                                                event.stopPropagation();
-
-                                                if (
-                                                    event.key === 'Enter' ||
-                                                    event.key === ' '
-                                                ) {
-                                                    fileToDeleteRef.current =
-                                                        file;
-                                                    openDeleteFileModal();
-                                                }
-                                            }}
-                                            className="cursor-pointer rounded-md p-1 hover:bg-gray-100 focus:bg-gray-100 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#3e3e52] dark:focus:bg-[#3e3e52]"
-                                            aria-label={`Delete ${file.fileName}`}
-                                        >
-                                            <Delete width={1.2} height={1.2} />
-                                        </button>
-                                    </span>
-                                )}
-                        </li>
+                <ul
+                    className={`flex flex-1 flex-col gap-0.5 overflow-y-auto p-1 ${isRootDragOver ? 'bg-blue-100 dark:bg-[#2b2b55]' : ''}`}
+                    role="tree"
+                    aria-label="Project files"
+                    onDragOver={(event) => {
+                        const { types } = event.dataTransfer;
+                        const isImport =
+                            types.includes('Files') && !isImporting;
+                        if (!types.includes(FILE_DRAG_TYPE) && !isImport)
+                            return;
+                        event.preventDefault();
+                        setIsRootDragOver(true);
+                    }}
+                    onDragLeave={(event) => {
+                        if (
+                            !event.currentTarget.contains(event.relatedTarget)
+                        ) {
+                            setIsRootDragOver(false);
+                        }
+                    }}
+                    onDrop={(event) => {
+                        event.preventDefault();
+                        setIsRootDragOver(false);
+                        const fileId =
+                            event.dataTransfer.getData(FILE_DRAG_TYPE);
+                        if (fileId) {
+                            handleMoveFile(fileId, '');
+                        } else if (event.dataTransfer.files.length) {
+                            // Dropped items are only readable during the drop event
+                            handleImportProject(
+                                readDroppedSources(event.dataTransfer)
+                            );
+                        }
+                    }}
+                >
+                    {fileTree.map((node) => (
+                        <FileTreeItem
+                            key={node.path}
+                            node={node}
+                            depth={0}
+                            tree={treeProps}
+                        />
                     ))}
                 </ul>
                 <AnimatePresence>
@@ -308,6 +498,7 @@ function FileExplorer({ toggleFileExplorer }) {
                             <CreateFile
                                 onConfirm={closeCreateFileModal}
                                 onClose={closeCreateFileModal}
+                                folderPath={targetFolderRef.current}
                             />
                         </Modal>
                     )}
@@ -337,6 +528,45 @@ function FileExplorer({ toggleFileExplorer }) {
                             />
                         </Modal>
                     )}
+                    {isCreateFolderModalOpen && (
+                        <Modal
+                            key="create-new-folder"
+                            isOpen={isCreateFolderModalOpen}
+                            onClose={closeCreateFolderModal}
+                        >
+                            <CreateFolder
+                                onConfirm={closeCreateFolderModal}
+                                onClose={closeCreateFolderModal}
+                                parentPath={targetFolderRef.current}
+                            />
+                        </Modal>
+                    )}
+                    {isRenameFolderModalOpen && (
+                        <Modal
+                            key="rename-folder"
+                            isOpen={isRenameFolderModalOpen}
+                            onClose={closeRenameFolderModal}
+                        >
+                            <RenameFolder
+                                onConfirm={closeRenameFolderModal}
+                                onClose={closeRenameFolderModal}
+                                path={targetFolderRef.current}
+                            />
+                        </Modal>
+                    )}
+                    {isDeleteFolderModalOpen && (
+                        <Modal
+                            key="delete-folder"
+                            isOpen={isDeleteFolderModalOpen}
+                            onClose={closeDeleteFolderModal}
+                        >
+                            <DeleteFolder
+                                onConfirm={closeDeleteFolderModal}
+                                onClose={closeDeleteFolderModal}
+                                path={targetFolderRef.current}
+                            />
+                        </Modal>
+                    )}
                 </AnimatePresence>
             </motion.div>
         </motion.div>,
@@ -0,0 +1,227 @@
+import { memo, useState } from 'react';
+
+import { AddFile, AddFolder, Delete, Rename } from '../componentsIndex';
+
+// MIME type of the file ID carried by drag events of the file explorer
+export const FILE_DRAG_TYPE = 'application/x-bytetogether-file';
+
+const actionButtonClassName =
+    'cursor-pointer rounded-md p-1 hover:bg-gray-100 focus:bg-gray-100 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#3e3e52] dark:focus:bg-[#3e3e52]';
+
+/**
+ * Runs a callback on Enter and Space key presses.
+ * @param {Function} callback The callback.
+ * @returns {Function} The keydown handler.
+ */
+function onActivateKey(callback) {
+    return (event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            callback();
+        }
+    };
+}
+
+/**
+ * A file or folder of the file explorer tree, folders render their children recursively.
+ * @param {Object} props
+ * @param {Object} props.node Tree node built by `buildFileTree`.
+ * @param {number} props.depth Nesting level of the node, for indentation.
+ * @param {Object} props.tree Shared state and actions of the tree.
+ * @param {string} [props.tree.selectedFileId] ID of the selected file.
+ * @param {Set<string>} props.tree.collapsedPaths Paths of the collapsed folders.
+ * @param {Function} props.tree.canEditFile Whether the user can rename and delete a file.
+ * @param {boolean} props.tree.canEditFolders Whether the user can create, rename and delete folders.
+ * @param {Object} props.tree.actions Callbacks: selectFile, toggleFolder, createFile, createFolder, renameFile, deleteFile, renameFolder, deleteFolder, moveFile.
+ * @returns {JSX.Element} The tree item.
+ */
+function FileTreeItem({ node, depth, tree }) {
+    const { selectedFileId, collapsedPaths, canEditFile, canEditFolders } =
+        tree;
+    const { actions } = tree;
+    const [isDragOver, setIsDragOver] = useState(false);
+
+    const indentation = { paddingLeft: `${depth * 0.75 + 0.5}rem` };
+
+    if (node.type === 'file') {
+        const { file } = node;
+        const isSelected = selectedFileId === file.$id;
+
+        return (
+            <li
+                className={`group flex w-full cursor-pointer items-center justify-between rounded py-1 pr-2 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44] ${
+                    isSelected ? 'bg-gray-200 dark:bg-[#141429]' : ''
+                }`}
+                style={indentation}
+                onClick={(event) => {
+                    event.stopPropagation();
+                    actions.selectFile(file);
+                }}
+                onKeyDown={onActivateKey(() => actions.selectFile(file))}
+                draggable={canEditFile(file)}
+                onDragStart={(event) => {
+                    event.dataTransfer.setData(FILE_DRAG_TYPE, file.$id);
+                    event.dataTransfer.effectAllowed = 'move';
+                }}
+                tabIndex={0}
+                // eslint-disable-next-line jsx-a11y/no-noninteractive-element-to-interactive-role
+                role="button"
+                aria-label={node.path}
+            >
+                <span className={`truncate ${isSelected ? 'font-bold' : ''}`}>
+                    {node.name}
+                </span>
+                {canEditFile(file) && (
+                    <span className="flex gap-2">
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.renameFile(file);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.renameFile(file)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Rename ${node.path}`}
+                        >
+                            <Rename width={1.2} height={1.2} />
+                        </button>
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.deleteFile(file);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.deleteFile(file)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Delete ${node.path}`}
+                        >
+                            <Delete width={1.2} height={1.2} />
+                        </button>
+                    </span>
+                )}
+            </li>
+        );
+    }
+
+    const isExpanded = !collapsedPaths.has(node.path);
+
+    return (
+        <li
+            className={`flex flex-col rounded ${isDragOver ? 'bg-blue-100 dark:bg-[#2b2b55]' : ''}`}
+            onDragOver={(event) => {
+                if (!event.dataTransfer.types.includes(FILE_DRAG_TYPE)) return;
+                event.preventDefault();
+                event.stopPropagation();
+                setIsDragOver(true);
+            }}
+            onDragLeave={(event) => {
+                if (!event.currentTarget.contains(event.relatedTarget)) {
+                    setIsDragOver(false);
+                }
+            }}
+            onDrop={(event) => {
+                // Dropped folders and zips are imported by the explorer
+                if (!event.dataTransfer.types.includes(FILE_DRAG_TYPE)) return;
+                event.preventDefault();
+                event.stopPropagation();
+                setIsDragOver(false);
+                const fileId = event.dataTransfer.getData(FILE_DRAG_TYPE);
+                if (fileId) actions.moveFile(fileId, node.path);
+            }}
+        >
+            <div
+                className="group flex w-full cursor-pointer items-center justify-between rounded py-1 pr-2 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                style={indentation}
+                onClick={(event) => {
+                    event.stopPropagation();
+                    actions.toggleFolder(node.path);
+                }}
+                onKeyDown={onActivateKey(() => actions.toggleFolder(node.path))}
+                tabIndex={0}
+                role="button"
+                aria-expanded={isExpanded}
+                aria-label={`Folder ${node.path}`}
+            >
+                <span className="flex items-center gap-1 truncate">
+                    <span aria-hidden="true" className="w-3 text-xs">
+                        {isExpanded ? '▾' : '▸'}
+                    </span>
+                    {node.name}
+                </span>
+                {canEditFolders && (
+                    <span className="flex gap-1">
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.createFile(node.path);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.createFile(node.path)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Create file in ${node.path}`}
+                        >
+                            <AddFile width={1} height={1} />
+                        </button>
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.createFolder(node.path);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.createFolder(node.path)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Create folder in ${node.path}`}
+                        >
+                            <AddFolder width={1} height={1} />
+                        </button>
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.renameFolder(node.path);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.renameFolder(node.path)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Rename folder ${node.path}`}
+                        >
+                            <Rename width={1} height={1} />
+                        </button>
+                        <button
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                actions.deleteFolder(node.path);
+                            }}
+                            onKeyDown={onActivateKey(() =>
+                                actions.deleteFolder(node.path)
+                            )}
+                            className={actionButtonClassName}
+                            aria-label={`Delete folder ${node.path}`}
+                        >
+                            <Delete width={1} height={1} />
+                        </button>
+                    </span>
+                )}
+            </div>
+            {isExpanded && node.children.length > 0 && (
+                <ul className="flex flex-col gap-0.5" role="group">
+                    {node.children.map((child) => (
+                        <FileTreeItem
+                            key={child.path}
+                            node={child}
+                            depth={depth + 1}
+                            tree={tree}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+export default memo(FileTreeItem);
@@ -1,16 +1,41 @@
-import { memo } from 'react';
+import { memo, useState } from 'react';
 import DOMPurify from 'dompurify';
 import { useDispatch, useSelector } from 'react-redux';
 
 import { setInput } from '../../store/slices/executionSlice';
+import { TerminalPanel, TestCasesEditor } from '../componentsIndex';
+
+const INPUT_TABS = [
+    { id: 'stdin', label: 'Input' },
+    { id: 'tests', label: 'Tests' },
+    { id: 'terminal', label: 'Terminal' },
+];
 
 /**
- * InputPanel component for providing stdin for code execution.
+ * InputPanel component for providing stdin for code execution, the test cases of the selected file, or a terminal to
+ * run it interactively.
+ * @param {Object} props
+ * @param {string} [props.fileId] ID of the selected file.
+ * @param {Array<Object>} props.testCases Saved test cases of the selected file.
+ * @param {Function} props.onSaveTestCases Saves the test cases of the selected file.
+ * @param {Function} props.onRunTests Runs the selected file against test cases.
+ * @param {boolean} props.isSavingTests Whether test cases are being saved.
+ * @param {Function} props.onPrepareRun Builds the run of the selected file, for the terminal.
  * @returns {JSX.Element} The input panel.
  */
-function InputPanel() {
+function InputPanel({
+    fileId,
+    testCases,
+    onSaveTestCases,
+    onRunTests,
+    isSavingTests,
+    onPrepareRun,
+}) {
     const dispatch = useDispatch();
-    const { input } = useSelector((state) => state.execution);
+    const { input, isRunning } = useSelector((state) => state.execution);
+    const [activeTab, setActiveTab] = useState('stdin');
+    // Kept mounted once opened, so a running program survives switching tabs
+    const [hasOpenedTerminal, setHasOpenedTerminal] = useState(false);
 
     function handleInputChange(event) {
         const sanitizedInput = DOMPurify.sanitize(event.target.value);
@@ -24,20 +49,65 @@ function InputPanel() {
             role="region"
             aria-label="Input panel"
         >
-            <label htmlFor="stdin" className="mb-2 text-sm font-semibold">
-                Input
-            </label>
-            <textarea
-                id="stdin"
-                value={input}
-                onChange={handleInputChange}
-                className="h-24 min-h-11 w-full rounded border border-gray-500 bg-gray-100 p-2 transition-shadow duration-300 focus:ring-2 focus:ring-blue-500 focus:outline-none dark:bg-[#2b2b44] dark:text-white"
-                placeholder="Enter input for your code (stdin)..."
-                aria-label="Enter input for code execution"
-            />
-            <p className="mt-2 rounded bg-gray-100 p-2 text-xs dark:bg-[#2b2b44]">
-                If your code takes input, add it above before running.
-            </p>
+            <div className="mb-2 flex gap-2" role="tablist">
+                {INPUT_TABS.map((tab) => (
+                    <button
+                        key={tab.id}
+                        type="button"
+                        role="tab"
+                        aria-selected={activeTab === tab.id}
+                        onClick={() => {
+                            setActiveTab(tab.id);
+                            if (tab.id === 'terminal') {
+                                setHasOpenedTerminal(true);
+                            }
+                        }}
+                        className={`cursor-pointer rounded px-2 text-sm font-semibold ${activeTab === tab.id ? 'bg-gray-300 dark:bg-[#2b2b44]' : 'opacity-70 hover:opacity-100'}`}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {activeTab === 'stdin' ? (
+                <>
+                    <label htmlFor="stdin" className="sr-only">
+                        Input
+                    </label>
+                    <textarea
+                        id="stdin"
+                        value={input}
+                        onChange={handleInputChange}
+                        className="h-24 min-h-11 w-full rounded border border-gray-500 bg-gray-100 p-2 transition-shadow duration-300 focus:ring-2 focus:ring-blue-500 focus:outline-none dark:bg-[#2b2b44] dark:text-white"
+                        placeholder="Enter input for your code (stdin)..."
+                        aria-label="Enter input for code execution"
+                    />
+                    <p className="mt-2 rounded bg-gray-100 p-2 text-xs dark:bg-[#2b2b44]">
+                        If your code takes input, add it above before running.
+                    </p>
+                </>
+            ) : activeTab === 'tests' ? (
+                <TestCasesEditor
+                    key={fileId}
+                    testCases={testCases}
+                    onSave={onSaveTestCases}
+                    onRun={onRunTests}
+                    isSaving={isSavingTests}
+                    isRunning={isRunning}
+                    canSave={Boolean(fileId)}
+                />
+            ) : null}
+
+            {hasOpenedTerminal && (
+                <div
+                    className={`min-h-0 flex-1 flex-col ${activeTab === 'terminal' ? 'flex' : 'hidden'}`}
+                >
+                    <TerminalPanel
+                        onPrepareRun={onPrepareRun}
+                        isVisible={activeTab === 'terminal'}
+                    />
+                </div>
+            )}
         </div>
     );
 }
@@ -1,6 +1,14 @@
 import { motion } from 'framer-motion';
 import { useEffect, useMemo, useRef, useState } from 'react';
 
+import { RUN_POLICY_MODES } from '../../conf/runPolicy';
+
+const RUN_POLICY_OPTIONS = [
+    { value: RUN_POLICY_MODES.EVERYONE, label: 'Everyone' },
+    { value: RUN_POLICY_MODES.ADMIN, label: 'Only me' },
+    { value: RUN_POLICY_MODES.SELECTED, label: 'Selected users' },
+];
+
 /**
  * Popover panel for inviter to manage live session.
  * @param {Object} props
@@ -10,6 +18,10 @@ import { useEffect, useMemo, useRef, useState } from 'react';
  * @param {Function} props.onEndSession - Callback to disconnect from Yjs and end room.
  * @param {Function} props.onCopyLink - Callback to copy invite link.
  * @param {React.RefObject} props.anchorRef - Ref to the Invite button for positioning.
+ * @param {{mode: string, allowed: Array<string>}} props.runPolicy - Who may run code in the session.
+ * @param {Array<{clientId: number, userId: string, username: string}>} props.members - Users connected to the session,
+ * as verified by the server. The selected users who may run code are picked among them.
+ * @param {Function} props.onRunPolicyChange - Callback to change who may run code.
  */
 export default function InviteAdminPanel({
     isOpen,
@@ -18,6 +30,9 @@ export default function InviteAdminPanel({
     onEndSession,
     onCopyLink,
     anchorRef,
+    runPolicy,
+    onRunPolicyChange,
+    members,
 }) {
     const panelRef = useRef(null);
     const [position, setPosition] = useState(null);
@@ -70,6 +85,16 @@ export default function InviteAdminPanel({
         );
     }, [awareness]);
 
+    // A user connected from several tabs is listed once
+    const selectableUsers = useMemo(
+        () => [
+            ...new Map(
+                members.map((member) => [member.userId, member])
+            ).values(),
+        ],
+        [members]
+    );
+
     if (!isOpen || !position) return null;
 
     return (
@@ -117,15 +142,74 @@ export default function InviteAdminPanel({
                     </button>
                 )}
 
+                {awareness && (
+                    <div className="mt-2">
+                        <label
+                            htmlFor="run-policy"
+                            className="text-xs font-semibold text-gray-600 dark:text-gray-400"
+                        >
+                            Who can run code
+                        </label>
+                        <select
+                            id="run-policy"
+                            value={runPolicy.mode}
+                            onChange={(e) =>
+                                onRunPolicyChange({
+                                    ...runPolicy,
+                                    mode: e.target.value,
+                                })
+                            }
+                            className="mt-1 w-full cursor-pointer rounded border border-gray-300 bg-white px-2 py-1 text-gray-800 dark:border-gray-600 dark:bg-[#2b2b44] dark:text-gray-200"
+                        >
+                            {RUN_POLICY_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 {awareness && (
                     <div className="mt-2">
                         <h4 className="text-xs font-semibold text-gray-600 dark:text-gray-400">
                             Connected Users
                         </h4>
                         <ul className="mt-1 space-y-1 text-sm text-gray-700 dark:text-gray-300">
-                            {connectedUsers.map((user) => (
-                                <li key={user.clientId}>• {user.name}</li>
-                            ))}
+                            {runPolicy.mode === RUN_POLICY_MODES.SELECTED
+                                ? selectableUsers.map((user) => (
+                                      <li key={user.userId}>
+                                          <label className="flex cursor-pointer items-center gap-2">
+                                              <input
+                                                  type="checkbox"
+                                                  checked={runPolicy.allowed.includes(
+                                                      user.userId
+                                                  )}
+                                                  onChange={(e) =>
+                                                      onRunPolicyChange({
+                                                          ...runPolicy,
+                                                          allowed: e.target
+                                                              .checked
+                                                              ? [
+                                                                    ...runPolicy.allowed,
+                                                                    user.userId,
+                                                                ]
+                                                              : runPolicy.allowed.filter(
+                                                                    (userId) =>
+                                                                        userId !==
+                                                                        user.userId
+                                                                ),
+                                                      })
+                                                  }
+                                                  aria-label={`Allow ${user.username} to run code`}
+                                              />
+                                              {user.username}
+                                          </label>
+                                      </li>
+                                  ))
+                                : connectedUsers.map((user) => (
+                                      <li key={user.clientId}>• {user.name}</li>
+                                  ))}
                         </ul>
                     </div>
                 )}
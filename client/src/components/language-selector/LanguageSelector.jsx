@@ -1,10 +1,11 @@
 import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-import { languageMap } from '../../conf/languages';
+import { useLanguageCatalogue } from '../../hooks/language-catalogue/useLanguageCatalogue.js';
 
 /**
- * LanguageSelector component for selecting programming languages with animation.
+ * LanguageSelector component for selecting programming languages with animation, those of the execution backend with
+ * their version.
  * @param {string} selectedLanguage - The currently selected language.
  * @param {Function} onLanguageChange - Callback to handle language changes.
  * @returns {JSX.Element} The language selection dropdown.
@@ -15,6 +16,7 @@ export default function LanguageSelector({
 }) {
     const [isOpen, setIsOpen] = useState(false);
     const dropdownRef = useRef(null);
+    const { languages, byValue } = useLanguageCatalogue();
 
     // Close dropdown when clicking outside
     useEffect(() => {
@@ -64,9 +66,7 @@ export default function LanguageSelector({
                 aria-expanded={isOpen}
                 aria-label="Select programming language"
             >
-                {Object.values(languageMap).find(
-                    (lang) => lang.value === selectedLanguage
-                )?.label || 'Select Language'}
+                {byValue.get(selectedLanguage)?.label || 'Select Language'}
                 <svg
                     className={`ml-2 h-5 w-5 transition-transform ${isOpen ? 'rotate-180' : ''}`}
                     xmlns="http://www.w3.org/2000/svg"
@@ -94,7 +94,7 @@ export default function LanguageSelector({
                         role="listbox"
                         aria-label="Programming languages"
                     >
-                        {Object.values(languageMap).map((language) => (
+                        {languages.map((language) => (
                             <li
                                 key={language.value}
                                 onClick={() => {
@@ -115,6 +115,11 @@ export default function LanguageSelector({
                                 tabIndex={0}
                             >
                                 {language.label}
+                                {language.version && (
+                                    <span className="ml-2 text-xs text-gray-600 dark:text-gray-400">
+                                        {language.version}
+                                    </span>
+                                )}
                             </li>
                         ))}
                     </motion.ul>
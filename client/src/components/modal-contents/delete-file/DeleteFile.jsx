@@ -5,6 +5,7 @@ import { deleteFileDB } from '../../../store/slices/filesSlice';
 import { addNotification } from '../../../store/slices/uiSlice';
 import { setSelectedFile } from '../../../store/slices/editorSlice';
 import { Spinner } from '../../componentsIndex';
+import { deleteYFile } from '../../../lib/yjs';
 
 /** A component to render inside delete file modal with confirmation
  * @param {Object} props DeleteFile component props
@@ -21,6 +22,7 @@ export default function DeleteFile({ onClose, onConfirm, file }) {
     async function handleDelete() {
         try {
             await dispatch(deleteFileDB({ fileId: file.$id })).unwrap();
+            deleteYFile(file.$id); // Remove it for collaborators too
             dispatch(setSelectedFile(null)); // Clear selection after delete
             dispatch(
                 addNotification({
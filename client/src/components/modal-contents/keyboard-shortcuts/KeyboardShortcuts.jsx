@@ -73,6 +73,20 @@ export default function KeyboardShortcuts() {
                     </span>{' '}
                     : Open Find and Replace
                 </li>
+                <li className="py-2">
+                    <span className="rounded-md bg-gray-300 px-2 py-1 dark:bg-gray-600">
+                        Alt
+                    </span>{' '}
+                    +{' '}
+                    <span className="rounded-md bg-gray-300 px-2 py-1 dark:bg-gray-600">
+                        Shift
+                    </span>{' '}
+                    +{' '}
+                    <span className="rounded-md bg-gray-300 px-2 py-1 dark:bg-gray-600">
+                        Left/Right
+                    </span>{' '}
+                    : Move the focused editor tab
+                </li>
             </ul>
             <p className="py-4">
                 Mac Users: Replace{' '}
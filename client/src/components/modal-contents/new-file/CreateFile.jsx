@@ -9,16 +9,19 @@ import { getLanguageFromFileName } from '../../../utils/getLanguageFromFileName'
 import { getDefaultCodeForLanguage } from '../../../utils/getDefaultCodeForLanguage';
 import { Spinner } from '../../componentsIndex';
 import { setSelectedFile } from '../../../store/slices/editorSlice';
+import { upsertYFile } from '../../../lib/yjs';
+import { isPathTaken, joinPath } from '../../../utils/filePaths';
 
 /** A component to render inside new file modal with a form
  * @param {Object} props NewFile component props
  * @param {Function} props.onClose Function to close the new file modal
  * @param {Function} props.onConfirm Function to create a new file locally
+ * @param {string} [props.folderPath=''] Path of the folder to create the file in, empty for the project root
  */
-export default function CreateFile({ onClose, onConfirm }) {
+export default function CreateFile({ onClose, onConfirm, folderPath = '' }) {
     const dispatch = useDispatch();
     const { activeProject } = useSelector((state) => state.projects);
-    const { error } = useSelector((state) => state.files);
+    const { files, folders, error } = useSelector((state) => state.files);
 
     const {
         register,
@@ -38,13 +41,15 @@ export default function CreateFile({ onClose, onConfirm }) {
         const newFile = {
             projectId: activeProject?.$id || 'defaultProject',
             fileName: data.fileName,
+            folderPath,
             language,
             codeContent,
         };
 
         try {
             await dispatch(createFileDB({ ...newFile, documentId })).unwrap();
-            dispatch(setSelectedFile(newFile));
+            upsertYFile({ ...newFile, $id: documentId }); // Share it with collaborators
+            dispatch(setSelectedFile({ ...newFile, $id: documentId }));
 
             dispatch(
                 addNotification({
@@ -80,6 +85,11 @@ export default function CreateFile({ onClose, onConfirm }) {
             <h2 className="mb-4 text-xl font-semibold text-gray-900 dark:text-gray-100">
                 Create New File
             </h2>
+            {folderPath && (
+                <p className="mb-4 text-sm text-gray-700 dark:text-gray-300">
+                    In folder <code className="font-bold">{folderPath}</code>
+                </p>
+            )}
             <form
                 onSubmit={handleSubmit(handleNewFile)}
                 className="flex flex-col gap-4"
@@ -97,9 +107,15 @@ export default function CreateFile({ onClose, onConfirm }) {
                         {...register('fileName', {
                             required: 'File name is required',
                             pattern: {
-                                value: /^[a-zA-Z0-9-_]+(\.[cppjstavpyhmls]+)?$/,
+                                value: /^[a-zA-Z0-9-_]+(\.[cppjstavpyhmlsx]+)?$/,
                                 message: 'Invalid file name format/extension',
                             },
+                            validate: (value) =>
+                                !isPathTaken(
+                                    { files, folders },
+                                    joinPath(folderPath, value)
+                                ) ||
+                                'A file or folder with this name already exists here',
                         })}
                         className={`min-h-10 w-full rounded-md bg-gray-300 px-2 text-gray-800 ${
                             errors.fileName
@@ -0,0 +1,175 @@
+import { useForm } from 'react-hook-form';
+import { motion } from 'framer-motion';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { createFolderDB } from '../../../store/slices/filesSlice';
+import { addNotification } from '../../../store/slices/uiSlice';
+import { Spinner } from '../../componentsIndex';
+import { isPathTaken, joinPath } from '../../../utils/filePaths';
+
+/** A component to render inside new folder modal with a form
+ * @param {Object} props NewFolder component props
+ * @param {Function} props.onClose Function to close the new folder modal
+ * @param {Function} props.onConfirm Function to confirm the new folder
+ * @param {string} [props.parentPath=''] Path of the folder to create the folder in, empty for the project root
+ */
+export default function CreateFolder({ onClose, onConfirm, parentPath = '' }) {
+    const dispatch = useDispatch();
+    const { activeProject } = useSelector((state) => state.projects);
+    const { files, folders, error } = useSelector((state) => state.files);
+
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+        reset,
+    } = useForm({
+        mode: 'onChange',
+    });
+
+    async function handleNewFolder(data) {
+        const path = joinPath(parentPath, data.folderName);
+
+        try {
+            await dispatch(
+                createFolderDB({
+                    projectId: activeProject?.$id || 'defaultProject',
+                    path,
+                })
+            ).unwrap();
+
+            dispatch(
+                addNotification({
+                    message: `Folder "${path}" created successfully`,
+                    type: 'success',
+                })
+            );
+            onConfirm(path);
+            reset();
+        } catch (error) {
+            dispatch(
+                addNotification({
+                    message: `Failed to create folder: ${error}! Please try again...`,
+                    type: 'error',
+                })
+            );
+        }
+    }
+
+    function handleCancel() {
+        reset();
+        onClose();
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            transition={{ duration: 0.3, delay: 0.3, ease: 'easeInOut' }}
+            className="w-full max-w-md rounded-lg bg-gray-100 p-4 shadow-2xl dark:bg-[#222233]"
+        >
+            <h2 className="mb-4 text-xl font-semibold text-gray-900 dark:text-gray-100">
+                Create New Folder
+            </h2>
+            {parentPath && (
+                <p className="mb-4 text-sm text-gray-700 dark:text-gray-300">
+                    In folder <code className="font-bold">{parentPath}</code>
+                </p>
+            )}
+            <form
+                onSubmit={handleSubmit(handleNewFolder)}
+                className="flex flex-col gap-4"
+            >
+                <div className="flex flex-col gap-2">
+                    <label
+                        htmlFor="folderName"
+                        className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300"
+                    >
+                        Folder Name
+                    </label>
+                    <input
+                        id="folderName"
+                        type="text"
+                        {...register('folderName', {
+                            required: 'Folder name is required',
+                            pattern: {
+                                value: /^(?!\.{1,2}$)[a-zA-Z0-9-_.]+$/,
+                                message: 'Invalid folder name format',
+                            },
+                            validate: (value) =>
+                                !isPathTaken(
+                                    { files, folders },
+                                    joinPath(parentPath, value)
+                                ) ||
+                                'A file or folder with this name already exists here',
+                        })}
+                        className={`min-h-10 w-full rounded-md bg-gray-300 px-2 text-gray-800 ${
+                            errors.folderName
+                                ? 'border border-red-500 dark:border-red-400'
+                                : 'focus:ring-2 focus:ring-blue-500'
+                        } transition-all duration-300 outline-none dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200`}
+                        placeholder="e.g. utils"
+                        aria-placeholder="e.g. utils"
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        aria-invalid={errors.folderName ? 'true' : 'false'}
+                        aria-describedby={
+                            errors.folderName ? 'folder-name-error' : undefined
+                        }
+                        aria-required="true"
+                    />
+                    {errors.folderName && (
+                        <p
+                            id="folder-name-error"
+                            className="text-sm text-red-600/70 dark:text-red-400"
+                            role="alert"
+                        >
+                            {errors.folderName.message}
+                        </p>
+                    )}
+
+                    {/* Redux Errors */}
+                    {error && (
+                        <p
+                            className="text-center text-red-500/70 dark:text-red-400"
+                            role="alert"
+                        >
+                            {error}
+                        </p>
+                    )}
+                </div>
+                <div className="flex justify-center gap-3 sm:justify-end">
+                    <motion.button
+                        type="button"
+                        onClick={handleCancel}
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        whileHover={{ scale: 1.05 }}
+                        whileFocus={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        className="cursor-pointer rounded-md bg-gray-300 px-4 py-2 text-gray-700 hover:bg-gray-400/60 focus:bg-gray-400/60 focus:outline-2 focus:outline-offset-2 focus:outline-gray-400 disabled:cursor-not-allowed dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600 dark:focus:bg-gray-600 dark:focus:outline-gray-600"
+                    >
+                        Cancel
+                    </motion.button>
+                    <motion.button
+                        type="submit"
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        whileHover={{ scale: 1.05 }}
+                        whileFocus={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        className="cursor-pointer rounded-md bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 focus:bg-blue-700 focus:outline-2 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:bg-blue-400"
+                    >
+                        <p className="flex items-center justify-center gap-1">
+                            <span>
+                                {isSubmitting ? 'Creating...' : 'Confirm'}
+                            </span>
+                            {isSubmitting && <Spinner />}
+                        </p>
+                    </motion.button>
+                </div>
+            </form>
+        </motion.div>
+    );
+}
@@ -7,6 +7,8 @@ import { addNotification } from '../../../store/slices/uiSlice';
 import { getLanguageFromFileName } from '../../../utils/getLanguageFromFileName';
 import { setSelectedFile } from '../../../store/slices/editorSlice';
 import { Spinner } from '../../componentsIndex';
+import { upsertYFile } from '../../../lib/yjs';
+import { getFilePath, isPathTaken, joinPath } from '../../../utils/filePaths';
 
 /** A component to render inside rename file modal with a form
  * @param {Object} props RenameFile component props
@@ -17,7 +19,7 @@ import { Spinner } from '../../componentsIndex';
 export default function RenameFile({ onClose, onConfirm, file }) {
     const dispatch = useDispatch();
     const { selectedFile } = useSelector((state) => state.editor);
-    const { error } = useSelector((state) => state.files);
+    const { files, folders, error } = useSelector((state) => state.files);
 
     const {
         register,
@@ -40,6 +42,7 @@ export default function RenameFile({ onClose, onConfirm, file }) {
         };
         try {
             await dispatch(updateFileDB(updatedFile)).unwrap();
+            upsertYFile(updatedFile); // Share the new name with collaborators
 
             if (selectedFile?.$id !== updatedFile.$id) {
                 dispatch(setSelectedFile(updatedFile));
@@ -86,7 +89,7 @@ export default function RenameFile({ onClose, onConfirm, file }) {
                 <div className="flex flex-col gap-2">
                     <p className="font-medium text-gray-700 dark:text-gray-300">
                         Old File Name :{' '}
-                        <code className="font-bold">{file.fileName}</code>
+                        <code className="font-bold">{getFilePath(file)}</code>
                     </p>
 
                     {/* <label
@@ -116,12 +119,21 @@ export default function RenameFile({ onClose, onConfirm, file }) {
                         {...register('fileName', {
                             required: 'New file name is required',
                             pattern: {
-                                value: /^[a-zA-Z0-9-_]+(\.[cppjstavpyhmls]+)?$/,
+                                value: /^[a-zA-Z0-9-_]+(\.[cppjstavpyhmlsx]+)?$/,
                                 message: 'Invalid file name format/extension',
                             },
-                            validate: (value) =>
-                                value !== file.fileName ||
-                                'New name must differ from old name',
+                            validate: {
+                                differs: (value) =>
+                                    value !== file.fileName ||
+                                    'New name must differ from old name',
+                                isAvailable: (value) =>
+                                    !isPathTaken(
+                                        { files, folders },
+                                        joinPath(file.folderPath, value),
+                                        file.$id
+                                    ) ||
+                                    'A file or folder with this name already exists here',
+                            },
                         })}
                         className={`min-h-10 w-full rounded-md bg-gray-300 px-2 text-gray-800 ${
                             errors.fileName
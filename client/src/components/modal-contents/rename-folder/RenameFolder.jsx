@@ -0,0 +1,204 @@
+import { useForm } from 'react-hook-form';
+import { motion } from 'framer-motion';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { renameFolderDB } from '../../../store/slices/filesSlice';
+import { addNotification } from '../../../store/slices/uiSlice';
+import { setSelectedFile } from '../../../store/slices/editorSlice';
+import { Spinner } from '../../componentsIndex';
+import { upsertYFile } from '../../../lib/yjs';
+import {
+    getBaseName,
+    getParentPath,
+    isPathTaken,
+    joinPath,
+} from '../../../utils/filePaths';
+
+/** A component to render inside rename folder modal with a form
+ * @param {Object} props RenameFolder component props
+ * @param {Function} props.onClose Function to close the rename folder modal
+ * @param {Function} props.onConfirm Function to confirm the rename action
+ * @param {string} props.path Full path of the folder to rename
+ */
+export default function RenameFolder({ onClose, onConfirm, path }) {
+    const dispatch = useDispatch();
+    const { selectedFile } = useSelector((state) => state.editor);
+    const { files, folders, error } = useSelector((state) => state.files);
+
+    const folderName = getBaseName(path);
+    const parentPath = getParentPath(path);
+
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+        reset,
+    } = useForm({
+        mode: 'onChange',
+        defaultValues: { folderName },
+    });
+
+    async function handleRename(data) {
+        const newPath = joinPath(parentPath, data.folderName);
+
+        try {
+            const { files: movedFiles } = await dispatch(
+                renameFolderDB({ path, newPath })
+            ).unwrap();
+            movedFiles.forEach(upsertYFile); // Share the new paths with collaborators
+
+            const movedSelectedFile = movedFiles.find(
+                (file) => file.$id === selectedFile?.$id
+            );
+            if (movedSelectedFile) {
+                dispatch(
+                    setSelectedFile({
+                        ...selectedFile,
+                        folderPath: movedSelectedFile.folderPath,
+                    })
+                );
+            }
+
+            dispatch(
+                addNotification({
+                    message: `Folder renamed to "${newPath}" successfully`,
+                    type: 'success',
+                })
+            );
+            onConfirm(newPath);
+            reset({ folderName: data.folderName });
+        } catch (error) {
+            dispatch(
+                addNotification({
+                    message: `Failed to rename folder: ${error}! Please try again...`,
+                    type: 'error',
+                })
+            );
+        }
+    }
+
+    function handleCancel() {
+        reset({ folderName });
+        onClose();
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            transition={{ duration: 0.3, delay: 0.3, ease: 'easeInOut' }}
+            className="w-full max-w-md rounded-lg bg-gray-100 p-4 shadow-2xl dark:bg-[#222233]"
+        >
+            <h2 className="mb-4 text-xl font-semibold text-gray-900 dark:text-gray-100">
+                Rename Folder
+            </h2>
+            <form
+                onSubmit={handleSubmit(handleRename)}
+                className="flex flex-col gap-4"
+            >
+                <div className="flex flex-col gap-2">
+                    <p className="font-medium text-gray-700 dark:text-gray-300">
+                        Old Folder Path :{' '}
+                        <code className="font-bold">{path}</code>
+                    </p>
+                </div>
+                <div className="flex flex-col gap-2">
+                    <label
+                        htmlFor="folderName"
+                        className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300"
+                    >
+                        New Folder Name
+                    </label>
+                    <input
+                        id="folderName"
+                        type="text"
+                        {...register('folderName', {
+                            required: 'New folder name is required',
+                            pattern: {
+                                value: /^(?!\.{1,2}$)[a-zA-Z0-9-_.]+$/,
+                                message: 'Invalid folder name format',
+                            },
+                            validate: {
+                                differs: (value) =>
+                                    value !== folderName ||
+                                    'New name must differ from old name',
+                                isAvailable: (value) =>
+                                    value.toLowerCase() ===
+                                        folderName.toLowerCase() ||
+                                    !isPathTaken(
+                                        { files, folders },
+                                        joinPath(parentPath, value)
+                                    ) ||
+                                    'A file or folder with this name already exists here',
+                            },
+                        })}
+                        className={`min-h-10 w-full rounded-md bg-gray-300 px-2 text-gray-800 ${
+                            errors.folderName
+                                ? 'border border-red-500 dark:border-red-400'
+                                : 'focus:ring-2 focus:ring-blue-500'
+                        } transition-all duration-300 outline-none dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200`}
+                        placeholder="e.g. utils"
+                        aria-placeholder="e.g. utils"
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        aria-invalid={errors.folderName ? 'true' : 'false'}
+                        aria-describedby={
+                            errors.folderName ? 'folder-name-error' : undefined
+                        }
+                        aria-required="true"
+                    />
+                    {errors.folderName && (
+                        <p
+                            id="folder-name-error"
+                            className="text-sm text-red-600/70 dark:text-red-400"
+                            role="alert"
+                        >
+                            {errors.folderName.message}
+                        </p>
+                    )}
+
+                    {/* Redux Errors */}
+                    {error && (
+                        <p
+                            className="text-center text-red-500/70 dark:text-red-400"
+                            role="alert"
+                        >
+                            {error}
+                        </p>
+                    )}
+                </div>
+                <div className="flex justify-center gap-3 sm:justify-end">
+                    <motion.button
+                        type="button"
+                        onClick={handleCancel}
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        whileHover={{ scale: 1.05 }}
+                        whileFocus={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        className="cursor-pointer rounded-md bg-gray-300 px-4 py-2 text-gray-700 hover:bg-gray-400/60 focus:bg-gray-400/60 focus:outline-2 focus:outline-offset-2 focus:outline-gray-400 disabled:cursor-not-allowed dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600 dark:focus:bg-gray-600 dark:focus:outline-gray-600"
+                    >
+                        Cancel
+                    </motion.button>
+                    <motion.button
+                        type="submit"
+                        disabled={isSubmitting}
+                        aria-disabled={isSubmitting}
+                        whileHover={{ scale: 1.05 }}
+                        whileFocus={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        className="cursor-pointer rounded-md bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 focus:bg-blue-700 focus:outline-2 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:bg-blue-400"
+                    >
+                        <p className="flex items-center justify-center gap-1">
+                            <span>
+                                {isSubmitting ? 'Renaming...' : 'Confirm'}
+                            </span>
+                            {isSubmitting && <Spinner />}
+                        </p>
+                    </motion.button>
+                </div>
+            </form>
+        </motion.div>
+    );
+}
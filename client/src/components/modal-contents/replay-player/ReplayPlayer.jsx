@@ -0,0 +1,381 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import MonacoEditor from '@monaco-editor/react';
+
+import { Spinner } from '../../componentsIndex';
+import { SessionReplay } from '../../../lib/replay';
+import { fetchRoomRecording } from '../../../api/rooms';
+import { getFilePath } from '../../../utils/filePaths';
+import { addNotification } from '../../../store/slices/uiSlice';
+import {
+    COLLABORATOR_COLORS,
+    buildCollaboratorDecorations,
+} from '../../../utils/collaboratorDecorations';
+import nightOwlTheme from '../../code-editor/themes/night-owl.json';
+import vsLight from '../../code-editor/themes/custom-light.json';
+import '../../code-editor/CodeEditor.css';
+import './ReplayPlayer.css';
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+const TICK_MS = 100; // Interval between two playback frames
+
+/**
+ * Formats a duration as m:ss.
+ * @param {number} ms Duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Time-travel replay of a recorded collaboration session, with per-author coloring of text and cursors.
+ * @param {Object} props Props for the component.
+ * @param {React.ComponentState<Object>} props.roomSession Signed room access of the current session, used to load its recording.
+ * @param {React.ComponentState<boolean>} props.isAdmin Whether the user is admin or not.
+ * @returns {JSX.Element} The replay player.
+ */
+export default function ReplayPlayer({ roomSession, isAdmin }) {
+    const dispatch = useDispatch();
+    const { theme } = useSelector((state) => state.ui);
+
+    const [replay, setReplay] = useState(null);
+    const [time, setTime] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const [fileId, setFileId] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isEditorReady, setIsEditorReady] = useState(false);
+    const editorRef = useRef(null);
+    const monacoRef = useRef(null);
+    const decorationsRef = useRef(null);
+
+    const canLoadSession = isAdmin && !!roomSession?.token;
+
+    const openRecording = useCallback(
+        (recording) => {
+            try {
+                const nextReplay = new SessionReplay(recording);
+                setReplay(nextReplay);
+                setTime(nextReplay.startTime);
+                setIsPlaying(false);
+                setFileId(null);
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: `Failed to open recording: ${error.message}`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch]
+    );
+
+    // Release the replayed doc once another recording is opened or the player closes
+    useEffect(() => () => replay?.destroy(), [replay]);
+
+    const handleLoadSession = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            openRecording(
+                await fetchRoomRecording({
+                    room: roomSession.room,
+                    token: roomSession.token,
+                })
+            );
+        } catch (error) {
+            dispatch(
+                addNotification({
+                    message: `Failed to load recording: ${error.message}`,
+                    type: 'error',
+                })
+            );
+        } finally {
+            setIsLoading(false);
+        }
+    }, [dispatch, openRecording, roomSession]);
+
+    // Recordings are plain JSON so they can be replayed offline
+    const handleImport = useCallback(
+        async (event) => {
+            const [file] = event.target.files;
+            event.target.value = '';
+            if (!file) return;
+
+            try {
+                openRecording(JSON.parse(await file.text()));
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: `Failed to read recording: ${error.message}`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch, openRecording]
+    );
+
+    const handleExport = useCallback(() => {
+        const blob = new Blob([JSON.stringify(replay.recording)], {
+            type: 'application/json',
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${replay.room || 'session'}-recording.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [replay]);
+
+    // Advance the replay while playing
+    useEffect(() => {
+        if (!replay || !isPlaying) return;
+
+        const interval = setInterval(() => {
+            setTime((previous) => {
+                const next = Math.min(
+                    previous + TICK_MS * speed,
+                    replay.endTime
+                );
+                if (next >= replay.endTime) setIsPlaying(false);
+                return next;
+            });
+        }, TICK_MS);
+
+        return () => clearInterval(interval);
+    }, [replay, isPlaying, speed]);
+
+    const frame = useMemo(() => {
+        if (!replay) return null;
+
+        replay.seek(time);
+        const files = replay.getFiles();
+        const file =
+            files.find((candidate) => candidate.$id === fileId) ?? files[0];
+        return {
+            files,
+            file,
+            content: file ? replay.getFileContent(file.$id) : '',
+            ranges: file ? replay.getAuthorRanges(file.$id) : [],
+            cursors: file ? replay.getCursors(file.$id) : [],
+        };
+    }, [replay, time, fileId]);
+
+    // Color the text and cursors of the replayed file by author
+    useEffect(() => {
+        const editor = editorRef.current;
+        const monaco = monacoRef.current;
+        const model = editor?.getModel();
+        if (!frame || !isEditorReady || !model) return;
+
+        const colorIndexOf = (author) =>
+            Math.max(replay.authors.indexOf(author), 0) %
+            COLLABORATOR_COLORS.length;
+
+        const authorDecorations = frame.ranges
+            .filter(({ author }) => author)
+            .map(({ author, start, end }) => {
+                const startPos = model.getPositionAt(start);
+                const endPos = model.getPositionAt(end);
+                return {
+                    range: new monaco.Range(
+                        startPos.lineNumber,
+                        startPos.column,
+                        endPos.lineNumber,
+                        endPos.column
+                    ),
+                    options: {
+                        inlineClassName: `replay-author-${colorIndexOf(author)}`,
+                        hoverMessage: { value: author },
+                    },
+                };
+            });
+        const cursorDecorations = frame.cursors.flatMap(
+            ({ author, anchor, head }) =>
+                buildCollaboratorDecorations(monaco, model, {
+                    anchor,
+                    head,
+                    colorIndex: colorIndexOf(author),
+                }).decorations
+        );
+
+        decorationsRef.current.set([
+            ...authorDecorations,
+            ...cursorDecorations,
+        ]);
+    }, [frame, replay, isEditorReady]);
+
+    function handleEditorWillMount(monaco) {
+        monaco.editor.defineTheme('night-owl', nightOwlTheme);
+        monaco.editor.defineTheme('vs-light', vsLight);
+    }
+
+    function handleEditorDidMount(editor, monaco) {
+        editorRef.current = editor;
+        monacoRef.current = monaco;
+        decorationsRef.current = editor.createDecorationsCollection();
+        setIsEditorReady(true);
+    }
+
+    return (
+        <div className="flex flex-col gap-4 text-gray-800 dark:text-gray-200">
+            <h2 className="text-center text-xl font-bold">Session Replay</h2>
+
+            <div className="flex flex-wrap items-center justify-center gap-2">
+                {canLoadSession && (
+                    <button
+                        onClick={handleLoadSession}
+                        disabled={isLoading}
+                        className="cursor-pointer rounded-md bg-blue-600 px-3 py-1.5 text-white hover:bg-blue-700 focus:outline-1 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                        {isLoading ? 'Loading...' : 'Load this session'}
+                    </button>
+                )}
+                <label className="cursor-pointer rounded-md bg-gray-300 px-3 py-1.5 focus-within:outline-1 focus-within:outline-offset-2 focus-within:outline-gray-500 hover:bg-gray-400 dark:bg-[#2b2b44] dark:hover:bg-[#3b3b5c]">
+                    Import recording
+                    <input
+                        type="file"
+                        accept="application/json,.json"
+                        onChange={handleImport}
+                        className="sr-only"
+                    />
+                </label>
+                {replay && (
+                    <button
+                        onClick={handleExport}
+                        className="cursor-pointer rounded-md bg-gray-300 px-3 py-1.5 hover:bg-gray-400 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:bg-[#2b2b44] dark:hover:bg-[#3b3b5c]"
+                    >
+                        Export recording
+                    </button>
+                )}
+            </div>
+
+            {!replay && (
+                <p className="text-center text-sm text-gray-500 dark:text-gray-400">
+                    {canLoadSession
+                        ? 'Load the recording of this session or import an exported one.'
+                        : 'Import an exported recording to replay it.'}
+                </p>
+            )}
+
+            {frame && (
+                <>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <select
+                            value={frame.file?.$id ?? ''}
+                            onChange={(e) => setFileId(e.target.value)}
+                            className="rounded-md border border-gray-300 bg-transparent px-2 py-1 dark:border-gray-600"
+                            aria-label="Replayed file"
+                        >
+                            {frame.files.map((file) => (
+                                <option
+                                    key={file.$id}
+                                    value={file.$id}
+                                    className="dark:bg-[#222233]"
+                                >
+                                    {getFilePath(file)}
+                                </option>
+                            ))}
+                        </select>
+                        <ul
+                            className="flex flex-wrap gap-3 text-sm"
+                            aria-label="Authors"
+                        >
+                            {replay.authors.map((author, index) => (
+                                <li
+                                    key={author}
+                                    className="flex items-center gap-1"
+                                >
+                                    <span
+                                        className="inline-block h-3 w-3 rounded-full"
+                                        style={{
+                                            backgroundColor:
+                                                COLLABORATOR_COLORS[
+                                                    index %
+                                                        COLLABORATOR_COLORS.length
+                                                ],
+                                        }}
+                                    />
+                                    {author}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <section
+                        className="h-80 overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+                        aria-label="Replayed file content"
+                    >
+                        <MonacoEditor
+                            height="100%"
+                            width="100%"
+                            language={frame.file?.language}
+                            value={frame.content}
+                            theme={theme === 'dark' ? 'night-owl' : 'vs-light'}
+                            beforeMount={handleEditorWillMount}
+                            onMount={handleEditorDidMount}
+                            loading={<Spinner size="4" />}
+                            options={{
+                                readOnly: true,
+                                domReadOnly: true,
+                                minimap: { enabled: false },
+                                scrollBeyondLastLine: false,
+                                automaticLayout: true,
+                            }}
+                        />
+                    </section>
+
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={() => {
+                                if (time >= replay.endTime) {
+                                    setTime(replay.startTime);
+                                }
+                                setIsPlaying((previous) => !previous);
+                            }}
+                            className="w-16 cursor-pointer rounded-md bg-gray-300 px-2 py-1 hover:bg-gray-400 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:bg-[#2b2b44] dark:hover:bg-[#3b3b5c]"
+                            aria-label={
+                                isPlaying ? 'Pause replay' : 'Play replay'
+                            }
+                        >
+                            {isPlaying ? 'Pause' : 'Play'}
+                        </button>
+                        <input
+                            type="range"
+                            min={replay.startTime}
+                            max={replay.endTime}
+                            step={1}
+                            value={time}
+                            onChange={(e) => setTime(Number(e.target.value))}
+                            className="flex-1 cursor-pointer"
+                            aria-label="Replay position"
+                        />
+                        <span className="text-sm tabular-nums">
+                            {formatDuration(time - replay.startTime)} /{' '}
+                            {formatDuration(replay.duration)}
+                        </span>
+                        <select
+                            value={speed}
+                            onChange={(e) => setSpeed(Number(e.target.value))}
+                            className="rounded-md border border-gray-300 bg-transparent px-2 py-1 dark:border-gray-600"
+                            aria-label="Playback speed"
+                        >
+                            {PLAYBACK_SPEEDS.map((option) => (
+                                <option
+                                    key={option}
+                                    value={option}
+                                    className="dark:bg-[#222233]"
+                                >
+                                    {option}x
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,275 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { DiffEditor } from '@monaco-editor/react';
+
+import { Spinner } from '../../componentsIndex';
+import { judge0Verdicts } from '../../../conf/judge0Config';
+import nightOwlTheme from '../../code-editor/themes/night-owl.json';
+import vsLight from '../../code-editor/themes/custom-light.json';
+
+const SHORT_HASH_LENGTH = 7;
+
+/**
+ * Output of a run as compared with other runs: stdout, followed by stderr if there is any.
+ * @param {Object} run The run.
+ * @returns {string}
+ */
+function getRunOutput(run) {
+    return run.stderr
+        ? `${run.stdout}${run.stdout ? '\n' : ''}--- stderr ---\n${run.stderr}`
+        : run.stdout;
+}
+
+/**
+ * Verdict of a run, with the icon of the Judge0 verdicts where there is one.
+ * @param {Object} run The run.
+ * @returns {string}
+ */
+function getVerdict(run) {
+    return (
+        judge0Verdicts[run.status?.id] ?? run.status?.description ?? 'Unknown'
+    );
+}
+
+/**
+ * One line summary of a run: file, source hash, time and memory.
+ * @param {Object} run The run.
+ * @returns {string}
+ */
+function getRunSummary(run) {
+    return [
+        run.isProjectRun ? `${run.fileName} (project)` : run.fileName,
+        `#${run.sourceHash.slice(0, SHORT_HASH_LENGTH)}`,
+        run.time != null && `${run.time}s`,
+        run.memory != null && `${run.memory} KB`,
+    ]
+        .filter(Boolean)
+        .join(' · ');
+}
+
+/**
+ * Label of a run in a comparison: when it ran and its source hash.
+ * @param {Object} run The run.
+ * @returns {string}
+ */
+function getRunLabel(run) {
+    return `${new Date(run.createdAt).toLocaleString()} (#${run.sourceHash.slice(0, SHORT_HASH_LENGTH)})`;
+}
+
+/**
+ * Run history panel listing the past runs of a project, with their details, a rerun action and a diff of the outputs
+ * of two runs.
+ * @param {Object} props Props for the component.
+ * @param {Array<Object>} props.runs Runs of the project, the newest first.
+ * @param {Function} props.onLoad Callback to fetch the synced runs.
+ * @param {Function} props.onRerun Callback to run a past run again.
+ * @param {Function} props.onDelete Callback to delete a run.
+ * @param {Function} props.onClear Callback to delete every run.
+ * @param {boolean} props.canSync Whether runs can be synced to Appwrite.
+ * @param {Function} props.onSyncChange Callback to turn syncing new runs on or off.
+ * @returns {JSX.Element} The run history panel.
+ */
+export default function RunHistory({
+    runs,
+    onLoad,
+    onRerun,
+    onDelete,
+    onClear,
+    canSync,
+    onSyncChange,
+}) {
+    const { syncEnabled, isLoading } = useSelector((state) => state.runHistory);
+    const { isRunning } = useSelector((state) => state.execution);
+    const { theme } = useSelector((state) => state.ui);
+
+    const [selectedRunId, setSelectedRunId] = useState(null);
+    const [comparedRunIds, setComparedRunIds] = useState([]);
+    const [isConfirmingClear, setIsConfirmingClear] = useState(false);
+
+    useEffect(() => {
+        onLoad();
+    }, [onLoad]);
+
+    const selectedRun = runs.find((run) => run.id === selectedRunId) ?? runs[0];
+    // Compared oldest first, so the diff shows what changed since the older run
+    const comparedRuns = runs
+        .filter((run) => comparedRunIds.includes(run.id))
+        .reverse();
+
+    function handleToggleCompare(id) {
+        setComparedRunIds((prev) =>
+            prev.includes(id)
+                ? prev.filter((comparedId) => comparedId !== id)
+                : [...prev, id].slice(-2)
+        );
+    }
+
+    function handleDelete(id) {
+        setComparedRunIds((prev) =>
+            prev.filter((comparedId) => comparedId !== id)
+        );
+        onDelete(id);
+    }
+
+    function handleClear() {
+        if (!isConfirmingClear) {
+            setIsConfirmingClear(true);
+            return;
+        }
+        setIsConfirmingClear(false);
+        setComparedRunIds([]);
+        onClear();
+    }
+
+    function handleEditorWillMount(monaco) {
+        monaco.editor.defineTheme('night-owl', nightOwlTheme);
+        monaco.editor.defineTheme('vs-light', vsLight);
+    }
+
+    return (
+        <div className="flex w-[min(56rem,85vw)] flex-col gap-4 text-gray-800 dark:text-gray-200">
+            <h2 className="text-center text-xl font-bold">Run History</h2>
+
+            <div className="flex items-center justify-between gap-2 text-sm">
+                {canSync ? (
+                    <label className="flex cursor-pointer items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={syncEnabled}
+                            onChange={(e) => onSyncChange(e.target.checked)}
+                        />
+                        Sync new runs to my account
+                    </label>
+                ) : (
+                    <span className="text-gray-500 dark:text-gray-400">
+                        Runs are kept on this device
+                    </span>
+                )}
+                <button
+                    onClick={handleClear}
+                    disabled={!runs.length}
+                    className="cursor-pointer rounded-md bg-red-600 px-3 py-1.5 text-white hover:bg-red-700 focus:outline-1 focus:outline-offset-2 focus:outline-red-600 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                    {isConfirmingClear ? 'Confirm clear' : 'Clear history'}
+                </button>
+            </div>
+
+            <div className="flex flex-col gap-4 md:flex-row">
+                <ul
+                    className="flex max-h-96 flex-col gap-1 overflow-y-auto md:w-72"
+                    aria-label="Runs"
+                >
+                    {isLoading && !runs.length && <Spinner size="4" />}
+                    {!isLoading && !runs.length && (
+                        <li className="text-sm text-gray-500 dark:text-gray-400">
+                            No runs yet. Run some code to see it here.
+                        </li>
+                    )}
+                    {runs.map((run) => (
+                        <li key={run.id} className="flex items-start gap-2">
+                            <input
+                                type="checkbox"
+                                checked={comparedRunIds.includes(run.id)}
+                                onChange={() => handleToggleCompare(run.id)}
+                                className="mt-2.5 cursor-pointer"
+                                aria-label={`Compare the run of ${new Date(run.createdAt).toLocaleString()}`}
+                            />
+                            <button
+                                onClick={() => setSelectedRunId(run.id)}
+                                className={`min-w-0 flex-1 cursor-pointer rounded-md px-2 py-1.5 text-left hover:bg-gray-300 focus:outline-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44] ${run.id === selectedRun?.id ? 'bg-gray-300 dark:bg-[#2b2b44]' : ''}`}
+                                aria-pressed={run.id === selectedRun?.id}
+                            >
+                                <span className="block truncate font-medium">
+                                    {getVerdict(run)}
+                                </span>
+                                <span className="block truncate text-xs text-gray-500 dark:text-gray-400">
+                                    {getRunSummary(run)}
+                                </span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                    {new Date(run.createdAt).toLocaleString()}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                {comparedRuns.length === 2 ? (
+                    <section
+                        className="flex flex-1 flex-col gap-2"
+                        aria-label="Output differences of the compared runs"
+                    >
+                        <p className="text-sm">
+                            Output of the run of {getRunLabel(comparedRuns[0])}{' '}
+                            compared with the run of{' '}
+                            {getRunLabel(comparedRuns[1])}
+                        </p>
+                        <div className="h-80 overflow-hidden rounded-md border border-gray-300 dark:border-gray-600">
+                            <DiffEditor
+                                height="100%"
+                                width="100%"
+                                language="plaintext"
+                                original={getRunOutput(comparedRuns[0])}
+                                modified={getRunOutput(comparedRuns[1])}
+                                theme={
+                                    theme === 'dark' ? 'night-owl' : 'vs-light'
+                                }
+                                beforeMount={handleEditorWillMount}
+                                loading={<Spinner size="4" />}
+                                options={{
+                                    readOnly: true,
+                                    renderSideBySide: false,
+                                    minimap: { enabled: false },
+                                    scrollBeyondLastLine: false,
+                                    automaticLayout: true,
+                                }}
+                            />
+                        </div>
+                    </section>
+                ) : (
+                    selectedRun && (
+                        <section
+                            className="flex min-w-0 flex-1 flex-col gap-2"
+                            aria-label="Run details"
+                        >
+                            <div className="flex items-center gap-2">
+                                <p className="min-w-0 flex-1 truncate text-sm">
+                                    {selectedRun.language} ·{' '}
+                                    {getRunSummary(selectedRun)}
+                                </p>
+                                <button
+                                    onClick={() => onRerun(selectedRun)}
+                                    disabled={isRunning || !selectedRun.program}
+                                    title={
+                                        selectedRun.program
+                                            ? undefined
+                                            : 'Too big to keep its program'
+                                    }
+                                    className="cursor-pointer rounded-md bg-blue-600 px-3 py-1.5 text-white hover:bg-blue-700 focus:outline-1 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                    Rerun
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(selectedRun.id)}
+                                    className="cursor-pointer rounded-md px-3 py-1.5 hover:bg-gray-300 focus:outline-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44]"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                            <h3 className="text-sm font-semibold">Input</h3>
+                            <pre className="max-h-24 overflow-auto rounded bg-gray-100 p-2 text-xs whitespace-pre-wrap dark:bg-[#2b2b44]">
+                                {selectedRun.stdin || '(empty)'}
+                            </pre>
+                            <h3 className="text-sm font-semibold">Output</h3>
+                            <pre className="max-h-56 overflow-auto rounded bg-gray-100 p-2 text-xs whitespace-pre-wrap dark:bg-[#2b2b44]">
+                                {getRunOutput(selectedRun) || '(empty)'}
+                            </pre>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                Tick two runs to compare their outputs.
+                            </p>
+                        </section>
+                    )
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,499 @@
+import { useMemo, useState } from 'react';
+
+import { Spinner } from '../../componentsIndex';
+import {
+    defaultRunConfiguration,
+    MAX_RUN_CONFIGURATIONS,
+    multiFileRunDefaults,
+} from '../../../conf/multiFileRun';
+import { judge0MaxLimits } from '../../../conf/judge0Config';
+import { parseEnvironment } from '../../../lib/multiFileRun';
+import { getFilePath } from '../../../utils/filePaths';
+
+const SCOPES = [
+    { id: 'file', label: 'Selected file' },
+    { id: 'project', label: 'Whole project' },
+];
+
+const STDIN_SOURCES = [
+    { id: 'input', label: 'Input panel' },
+    { id: 'file', label: 'Project file' },
+];
+
+/**
+ * Run settings of a project: whether Run executes the selected file or the whole project, how the project is built
+ * and started, and its named run configurations with compiler options, arguments, environment, stdin and limits.
+ * @param {Object} props Props for the component.
+ * @param {Object} props.runSettings Saved run settings of the project.
+ * @param {Array<Object>} props.files Files of the project.
+ * @param {Object} [props.selectedFile] Currently selected file, the entry file when none is set.
+ * @param {Function} props.onSave Callback to save the run settings, resolves once saved.
+ * @returns {JSX.Element} The run settings form.
+ */
+export default function RunSettingsContent({
+    runSettings,
+    files,
+    selectedFile,
+    onSave,
+}) {
+    const [draft, setDraft] = useState(runSettings);
+    const [isSaving, setIsSaving] = useState(false);
+    const [editedConfigurationId, setEditedConfigurationId] = useState(
+        runSettings.activeConfigurationId ||
+            runSettings.configurations[0]?.id ||
+            ''
+    );
+    const [configurationError, setConfigurationError] = useState('');
+
+    const filePaths = useMemo(
+        () => files.map((file) => getFilePath(file)).sort(),
+        [files]
+    );
+    const entryPath =
+        draft.entryFile || (selectedFile ? getFilePath(selectedFile) : '');
+    const entryLanguage = files.find(
+        (file) => getFilePath(file) === entryPath
+    )?.language;
+    const defaults = multiFileRunDefaults[entryLanguage];
+
+    const editedConfiguration = draft.configurations.find(
+        (configuration) => configuration.id === editedConfigurationId
+    );
+
+    function updateDraft(changes) {
+        setDraft((prev) => ({ ...prev, ...changes }));
+    }
+
+    function updateConfiguration(changes) {
+        setConfigurationError('');
+        setDraft((prev) => ({
+            ...prev,
+            configurations: prev.configurations.map((configuration) =>
+                configuration.id === editedConfigurationId
+                    ? { ...configuration, ...changes }
+                    : configuration
+            ),
+        }));
+    }
+
+    function updateLimit(name, value) {
+        updateConfiguration({
+            limits: { ...editedConfiguration.limits, [name]: value },
+        });
+    }
+
+    function handleAddConfiguration() {
+        const configuration = {
+            ...defaultRunConfiguration,
+            id: crypto.randomUUID(),
+            name: `Configuration ${draft.configurations.length + 1}`,
+        };
+        updateDraft({
+            configurations: [...draft.configurations, configuration],
+        });
+        setEditedConfigurationId(configuration.id);
+    }
+
+    function handleDeleteConfiguration() {
+        const configurations = draft.configurations.filter(
+            (configuration) => configuration.id !== editedConfigurationId
+        );
+        updateDraft({
+            configurations,
+            activeConfigurationId:
+                draft.activeConfigurationId === editedConfigurationId
+                    ? ''
+                    : draft.activeConfigurationId,
+        });
+        setEditedConfigurationId(configurations[0]?.id ?? '');
+        setConfigurationError('');
+    }
+
+    async function handleSubmit(event) {
+        event.preventDefault();
+        const invalidConfiguration = draft.configurations.find(
+            (configuration) => {
+                try {
+                    parseEnvironment(configuration.environment);
+                    return false;
+                } catch (error) {
+                    setConfigurationError(
+                        `${configuration.name}: ${error.message}`
+                    );
+                    return true;
+                }
+            }
+        );
+        if (invalidConfiguration) {
+            setEditedConfigurationId(invalidConfiguration.id);
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await onSave({
+                ...draft,
+                compile: draft.compile.trim(),
+                run: draft.run.trim(),
+                configurations: draft.configurations.map(
+                    (configuration, index) => ({
+                        ...configuration,
+                        name:
+                            configuration.name.trim() ||
+                            `Configuration ${index + 1}`,
+                    })
+                ),
+            });
+        } finally {
+            setIsSaving(false);
+        }
+    }
+
+    const inputClassName =
+        'w-full rounded border border-gray-500 bg-gray-100 p-2 font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none disabled:opacity-60 dark:bg-[#2b2b44] dark:text-white';
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            className="flex max-h-[85vh] w-[min(32rem,80vw)] flex-col gap-4 overflow-y-auto text-gray-800 dark:text-gray-200"
+        >
+            <h2 className="text-center text-xl font-bold">Run Settings</h2>
+
+            <fieldset className="flex items-center justify-between">
+                <legend className="float-left">Run:</legend>
+                <div className="flex gap-4">
+                    {SCOPES.map((scope) => (
+                        <label
+                            key={scope.id}
+                            className="flex cursor-pointer items-center gap-1"
+                        >
+                            <input
+                                type="radio"
+                                name="run-scope"
+                                value={scope.id}
+                                checked={draft.scope === scope.id}
+                                onChange={() =>
+                                    updateDraft({ scope: scope.id })
+                                }
+                            />
+                            {scope.label}
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+
+            <div className="flex flex-col gap-1">
+                <label htmlFor="run-entry-file">Entry file:</label>
+                <select
+                    id="run-entry-file"
+                    value={draft.entryFile}
+                    onChange={(event) =>
+                        updateDraft({ entryFile: event.target.value })
+                    }
+                    disabled={draft.scope !== 'project'}
+                    className={inputClassName}
+                >
+                    <option value="">Selected file</option>
+                    {filePaths.map((path) => (
+                        <option key={path} value={path}>
+                            {path}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="flex flex-col gap-1">
+                <label htmlFor="run-compile-command">Build command:</label>
+                <input
+                    id="run-compile-command"
+                    type="text"
+                    value={draft.compile}
+                    onChange={(event) =>
+                        updateDraft({ compile: event.target.value })
+                    }
+                    disabled={draft.scope !== 'project'}
+                    placeholder={defaults?.compile || 'No build step'}
+                    className={inputClassName}
+                />
+            </div>
+
+            <div className="flex flex-col gap-1">
+                <label htmlFor="run-command">Run command:</label>
+                <input
+                    id="run-command"
+                    type="text"
+                    value={draft.run}
+                    onChange={(event) =>
+                        updateDraft({ run: event.target.value })
+                    }
+                    disabled={draft.scope !== 'project'}
+                    placeholder={defaults?.run || 'Required for this language'}
+                    className={inputClassName}
+                />
+            </div>
+
+            <p className="rounded bg-gray-100 p-2 text-xs dark:bg-[#2b2b44]">
+                Commands run in the project root. Leave them empty to use the
+                defaults of the entry file language. <code>{'{entry}'}</code> is
+                replaced by the entry file path and{' '}
+                <code>{'{entryClass}'}</code> by its Java class name.
+            </p>
+
+            <fieldset className="flex flex-col gap-3 border-t border-gray-400 pt-4">
+                <legend className="float-left mb-1 font-semibold">
+                    Run configurations
+                </legend>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={editedConfigurationId}
+                        onChange={(event) => {
+                            setEditedConfigurationId(event.target.value);
+                            setConfigurationError('');
+                        }}
+                        disabled={!draft.configurations.length}
+                        className={inputClassName}
+                        aria-label="Edited run configuration"
+                    >
+                        {!draft.configurations.length && (
+                            <option value="">No configurations</option>
+                        )}
+                        {draft.configurations.map((configuration) => (
+                            <option
+                                key={configuration.id}
+                                value={configuration.id}
+                            >
+                                {configuration.name || 'Unnamed'}
+                            </option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        onClick={handleAddConfiguration}
+                        disabled={
+                            draft.configurations.length >=
+                            MAX_RUN_CONFIGURATIONS
+                        }
+                        className="cursor-pointer rounded px-3 py-1.5 whitespace-nowrap hover:bg-gray-300 focus:outline-1 focus:outline-gray-500 disabled:cursor-not-allowed disabled:opacity-60 dark:hover:bg-[#2b2b44]"
+                    >
+                        New
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleDeleteConfiguration}
+                        disabled={!editedConfiguration}
+                        className="cursor-pointer rounded px-3 py-1.5 hover:bg-gray-300 focus:outline-1 focus:outline-gray-500 disabled:cursor-not-allowed disabled:opacity-60 dark:hover:bg-[#2b2b44]"
+                    >
+                        Delete
+                    </button>
+                </div>
+
+                {editedConfiguration && (
+                    <>
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="run-configuration-name">
+                                Name:
+                            </label>
+                            <input
+                                id="run-configuration-name"
+                                type="text"
+                                value={editedConfiguration.name}
+                                onChange={(event) =>
+                                    updateConfiguration({
+                                        name: event.target.value,
+                                    })
+                                }
+                                maxLength={40}
+                                className={inputClassName}
+                            />
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="run-compiler-options">
+                                Compiler options:
+                            </label>
+                            <input
+                                id="run-compiler-options"
+                                type="text"
+                                value={editedConfiguration.compilerOptions}
+                                onChange={(event) =>
+                                    updateConfiguration({
+                                        compilerOptions: event.target.value,
+                                    })
+                                }
+                                maxLength={512}
+                                placeholder="-O2 -std=c++20"
+                                className={inputClassName}
+                            />
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="run-arguments">
+                                Program arguments:
+                            </label>
+                            <input
+                                id="run-arguments"
+                                type="text"
+                                value={editedConfiguration.arguments}
+                                onChange={(event) =>
+                                    updateConfiguration({
+                                        arguments: event.target.value,
+                                    })
+                                }
+                                maxLength={512}
+                                placeholder='--verbose "two words"'
+                                className={inputClassName}
+                            />
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="run-environment">
+                                Environment (whole project runs):
+                            </label>
+                            <textarea
+                                id="run-environment"
+                                rows={2}
+                                value={editedConfiguration.environment}
+                                onChange={(event) =>
+                                    updateConfiguration({
+                                        environment: event.target.value,
+                                    })
+                                }
+                                placeholder="NAME=value"
+                                className={inputClassName}
+                            />
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="run-stdin-source">Stdin:</label>
+                            <div className="flex gap-2">
+                                <select
+                                    id="run-stdin-source"
+                                    value={editedConfiguration.stdinSource}
+                                    onChange={(event) =>
+                                        updateConfiguration({
+                                            stdinSource: event.target.value,
+                                        })
+                                    }
+                                    className={inputClassName}
+                                >
+                                    {STDIN_SOURCES.map((source) => (
+                                        <option
+                                            key={source.id}
+                                            value={source.id}
+                                        >
+                                            {source.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={editedConfiguration.stdinFile}
+                                    onChange={(event) =>
+                                        updateConfiguration({
+                                            stdinFile: event.target.value,
+                                        })
+                                    }
+                                    disabled={
+                                        editedConfiguration.stdinSource !==
+                                        'file'
+                                    }
+                                    className={inputClassName}
+                                    aria-label="Stdin file"
+                                >
+                                    <option value="">Choose a file</option>
+                                    {filePaths.map((path) => (
+                                        <option key={path} value={path}>
+                                            {path}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-3 gap-2">
+                            <label className="flex flex-col gap-1">
+                                CPU time (s):
+                                <input
+                                    type="number"
+                                    min={0.1}
+                                    step={0.1}
+                                    max={judge0MaxLimits.cpu_time_limit}
+                                    value={
+                                        editedConfiguration.limits
+                                            .cpu_time_limit
+                                    }
+                                    onChange={(event) =>
+                                        updateLimit(
+                                            'cpu_time_limit',
+                                            event.target.value
+                                        )
+                                    }
+                                    className={inputClassName}
+                                />
+                            </label>
+                            <label className="flex flex-col gap-1">
+                                Wall time (s):
+                                <input
+                                    type="number"
+                                    min={0.1}
+                                    step={0.1}
+                                    max={judge0MaxLimits.wall_time_limit}
+                                    value={
+                                        editedConfiguration.limits
+                                            .wall_time_limit
+                                    }
+                                    onChange={(event) =>
+                                        updateLimit(
+                                            'wall_time_limit',
+                                            event.target.value
+                                        )
+                                    }
+                                    className={inputClassName}
+                                />
+                            </label>
+                            <label className="flex flex-col gap-1">
+                                Memory (MB):
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={Math.floor(
+                                        judge0MaxLimits.memory_limit / 1024
+                                    )}
+                                    value={Math.round(
+                                        editedConfiguration.limits
+                                            .memory_limit / 1024
+                                    )}
+                                    onChange={(event) =>
+                                        updateLimit(
+                                            'memory_limit',
+                                            event.target.value * 1024
+                                        )
+                                    }
+                                    className={inputClassName}
+                                />
+                            </label>
+                        </div>
+
+                        <p className="rounded bg-gray-100 p-2 text-xs dark:bg-[#2b2b44]">
+                            Select the configuration Run uses in the toolbar.
+                            Limits above the server maxima are lowered to them.
+                        </p>
+                    </>
+                )}
+                {configurationError && (
+                    <p className="text-sm text-red-500" role="alert">
+                        {configurationError}
+                    </p>
+                )}
+            </fieldset>
+
+            <button
+                type="submit"
+                disabled={isSaving}
+                className="flex cursor-pointer items-center justify-center gap-2 self-end rounded bg-blue-600 px-4 py-1.5 font-semibold text-white hover:bg-blue-700 focus:outline focus:outline-offset-2 focus:outline-blue-400 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+                {isSaving && <Spinner />}
+                Save
+            </button>
+        </form>
+    );
+}
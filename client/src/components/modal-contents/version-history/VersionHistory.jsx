@@ -0,0 +1,255 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { DiffEditor } from '@monaco-editor/react';
+
+import { Spinner } from '../../componentsIndex';
+import { getFilePath } from '../../../utils/filePaths';
+import nightOwlTheme from '../../code-editor/themes/night-owl.json';
+import vsLight from '../../code-editor/themes/custom-light.json';
+
+/**
+ * Pairs the files of a snapshot with the current files of the project.
+ * @param {Array<Object>} snapshotFiles Files of the snapshot.
+ * @param {Array<Object>} currentFiles Current files of the project.
+ * @returns {Array<{$id: string, path: string, language: string, original: string, modified: string, status: string}>} The file pairs.
+ */
+function diffFiles(snapshotFiles, currentFiles) {
+    const current = new Map(currentFiles.map((file) => [file.$id, file]));
+    const pairs = snapshotFiles.map((file) => {
+        const currentFile = current.get(file.$id);
+        current.delete(file.$id);
+        return {
+            $id: file.$id,
+            path: getFilePath(currentFile ?? file),
+            language: file.language,
+            original: file.codeContent,
+            modified: currentFile?.codeContent ?? '',
+            status: !currentFile
+                ? 'deleted'
+                : currentFile.codeContent !== file.codeContent ||
+                    getFilePath(currentFile) !== getFilePath(file)
+                  ? 'modified'
+                  : 'unchanged',
+        };
+    });
+    current.forEach((file) =>
+        pairs.push({
+            $id: file.$id,
+            path: getFilePath(file),
+            language: file.language,
+            original: '',
+            modified: file.codeContent,
+            status: 'added',
+        })
+    );
+    return pairs;
+}
+
+const STATUS_LABELS = {
+    added: 'added since',
+    deleted: 'deleted since',
+    modified: 'modified since',
+    unchanged: 'unchanged',
+};
+
+/**
+ * Version history panel listing the snapshots of a project, with a diff against the current state and a restore action.
+ * @param {Object} props Props for the component.
+ * @param {Function} props.onLoad Callback to fetch the snapshots.
+ * @param {Function} props.onSaveVersion Callback to save a named snapshot.
+ * @param {Function} props.onRestore Callback to restore a snapshot.
+ * @param {Function} props.getCurrentFiles Reads the current content of every file.
+ * @param {boolean} props.canRestore Whether the user may restore snapshots (not a guest of a session).
+ * @returns {JSX.Element} The version history panel.
+ */
+export default function VersionHistory({
+    onLoad,
+    onSaveVersion,
+    onRestore,
+    getCurrentFiles,
+    canRestore,
+}) {
+    const { snapshots, isLoading } = useSelector((state) => state.snapshots);
+    const { theme } = useSelector((state) => state.ui);
+
+    const [versionName, setVersionName] = useState('');
+    const [selectedSnapshotId, setSelectedSnapshotId] = useState(null);
+    const [selectedFileId, setSelectedFileId] = useState(null);
+    const [isConfirmingRestore, setIsConfirmingRestore] = useState(false);
+    const [isRestoring, setIsRestoring] = useState(false);
+
+    useEffect(() => {
+        onLoad();
+    }, [onLoad]);
+
+    const selectedSnapshot = snapshots.find(
+        (snapshot) => snapshot.$id === selectedSnapshotId
+    );
+
+    const filePairs = useMemo(
+        () =>
+            selectedSnapshot
+                ? diffFiles(selectedSnapshot.files, getCurrentFiles())
+                : [],
+        [selectedSnapshot, getCurrentFiles]
+    );
+    const selectedPair =
+        filePairs.find((pair) => pair.$id === selectedFileId) ?? filePairs[0];
+
+    async function handleSaveVersion(e) {
+        e.preventDefault();
+        await onSaveVersion(versionName);
+        setVersionName('');
+    }
+
+    function handleSelectSnapshot(snapshotId) {
+        setSelectedSnapshotId(snapshotId);
+        setSelectedFileId(null);
+        setIsConfirmingRestore(false);
+    }
+
+    async function handleRestore() {
+        if (!isConfirmingRestore) {
+            setIsConfirmingRestore(true);
+            return;
+        }
+        setIsRestoring(true);
+        await onRestore(selectedSnapshot);
+        setIsRestoring(false);
+        setIsConfirmingRestore(false);
+        setSelectedSnapshotId(null);
+    }
+
+    function handleEditorWillMount(monaco) {
+        monaco.editor.defineTheme('night-owl', nightOwlTheme);
+        monaco.editor.defineTheme('vs-light', vsLight);
+    }
+
+    return (
+        <div className="flex flex-col gap-4 text-gray-800 dark:text-gray-200">
+            <h2 className="text-center text-xl font-bold">Version History</h2>
+
+            <form onSubmit={handleSaveVersion} className="flex gap-2">
+                <input
+                    type="text"
+                    value={versionName}
+                    onChange={(e) => setVersionName(e.target.value)}
+                    placeholder="Version name"
+                    maxLength={100}
+                    className="flex-1 rounded-md border border-gray-300 bg-transparent px-2 py-1 focus:outline-1 focus:outline-gray-500 dark:border-gray-600"
+                    aria-label="Version name"
+                />
+                <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="cursor-pointer rounded-md bg-blue-600 px-3 py-1.5 text-white hover:bg-blue-700 focus:outline-1 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                    Save version
+                </button>
+            </form>
+
+            <div className="flex flex-col gap-4 md:flex-row">
+                <ul
+                    className="flex max-h-96 flex-col gap-1 overflow-y-auto md:w-64"
+                    aria-label="Versions"
+                >
+                    {isLoading && !snapshots.length && <Spinner size="4" />}
+                    {!isLoading && !snapshots.length && (
+                        <li className="text-sm text-gray-500 dark:text-gray-400">
+                            No versions yet. Save one or use Save All.
+                        </li>
+                    )}
+                    {snapshots.map((snapshot) => (
+                        <li key={snapshot.$id}>
+                            <button
+                                onClick={() =>
+                                    handleSelectSnapshot(snapshot.$id)
+                                }
+                                className={`w-full cursor-pointer rounded-md px-2 py-1.5 text-left hover:bg-gray-300 focus:outline-1 focus:outline-gray-500 dark:hover:bg-[#2b2b44] ${snapshot.$id === selectedSnapshotId ? 'bg-gray-300 dark:bg-[#2b2b44]' : ''}`}
+                                aria-pressed={
+                                    snapshot.$id === selectedSnapshotId
+                                }
+                            >
+                                <span className="block truncate font-medium">
+                                    {snapshot.name}
+                                    {snapshot.isAutomatic && (
+                                        <span className="ml-2 rounded-md bg-gray-200 px-1.5 text-xs font-normal dark:bg-gray-600">
+                                            auto
+                                        </span>
+                                    )}
+                                </span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                    {snapshot.authorName} ·{' '}
+                                    {new Date(
+                                        snapshot.$createdAt
+                                    ).toLocaleString()}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                {selectedSnapshot && (
+                    <section
+                        className="flex flex-1 flex-col gap-2"
+                        aria-label="Changes since this version"
+                    >
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={selectedPair?.$id ?? ''}
+                                onChange={(e) =>
+                                    setSelectedFileId(e.target.value)
+                                }
+                                className="flex-1 rounded-md border border-gray-300 bg-transparent px-2 py-1 dark:border-gray-600"
+                                aria-label="Compared file"
+                            >
+                                {filePairs.map((pair) => (
+                                    <option
+                                        key={pair.$id}
+                                        value={pair.$id}
+                                        className="dark:bg-[#222233]"
+                                    >
+                                        {pair.path} (
+                                        {STATUS_LABELS[pair.status]})
+                                    </option>
+                                ))}
+                            </select>
+                            {canRestore && (
+                                <button
+                                    onClick={handleRestore}
+                                    disabled={isRestoring}
+                                    className="cursor-pointer rounded-md bg-red-600 px-3 py-1.5 text-white hover:bg-red-700 focus:outline-1 focus:outline-offset-2 focus:outline-red-600 disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                    {isConfirmingRestore
+                                        ? 'Confirm restore'
+                                        : 'Restore'}
+                                </button>
+                            )}
+                        </div>
+                        <div className="h-80 overflow-hidden rounded-md border border-gray-300 dark:border-gray-600">
+                            <DiffEditor
+                                height="100%"
+                                width="100%"
+                                language={selectedPair?.language}
+                                original={selectedPair?.original}
+                                modified={selectedPair?.modified}
+                                theme={
+                                    theme === 'dark' ? 'night-owl' : 'vs-light'
+                                }
+                                beforeMount={handleEditorWillMount}
+                                loading={<Spinner size="4" />}
+                                options={{
+                                    readOnly: true,
+                                    renderSideBySide: false,
+                                    minimap: { enabled: false },
+                                    scrollBeyondLastLine: false,
+                                    automaticLayout: true,
+                                }}
+                            />
+                        </div>
+                    </section>
+                )}
+            </div>
+        </div>
+    );
+}
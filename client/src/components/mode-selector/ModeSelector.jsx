@@ -2,12 +2,42 @@ import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDispatch, useSelector } from 'react-redux';
 
-import { setExecutionMode } from '../../store/slices/executionSlice';
+import {
+    setExecutionMode,
+    setRunEngine,
+} from '../../store/slices/executionSlice';
 import { setIsPreviewVisible } from '../../store/slices/previewSlice';
 import { addNotification } from '../../store/slices/uiSlice';
 
 /**
- * ModeSelector component for selecting execution mode between Judge0 and Web(HTML, CSS and JS)Preview.
+ * Modes offered by the selector: the execution mode and, for the compiler, where programs run.
+ */
+const executionModes = [
+    {
+        value: 'judge0',
+        label: 'Compiler',
+        executionMode: 'judge0',
+        runEngine: 'judge0',
+        description: 'Run programs on Judge0',
+    },
+    {
+        value: 'browser',
+        label: 'In Browser',
+        executionMode: 'judge0',
+        runEngine: 'browser',
+        description:
+            'Run Python, JavaScript and TypeScript in the browser, other languages and unsupported packages on Judge0',
+    },
+    {
+        value: 'preview',
+        label: 'Web Preview',
+        executionMode: 'preview',
+        description: 'Preview HTML, CSS and JavaScript',
+    },
+];
+
+/**
+ * ModeSelector component for selecting execution mode between Judge0, in the browser and Web(HTML, CSS and JS)Preview.
  * @returns {JSX.Element} The mode selection dropdown.
  */
 export default function ModeSelector({ setFilesForWebMode }) {
@@ -15,7 +45,9 @@ export default function ModeSelector({ setFilesForWebMode }) {
     const dropdownRef = useRef(null);
 
     const dispatch = useDispatch();
-    const { executionMode } = useSelector((state) => state.execution);
+    const { executionMode, runEngine } = useSelector(
+        (state) => state.execution
+    );
     const { areFilesSaved } = useSelector((state) => state.files);
     const { selectedFile } = useSelector((state) => state.editor);
 
@@ -49,6 +81,39 @@ export default function ModeSelector({ setFilesForWebMode }) {
         }
     }
 
+    const selectedMode = executionModes.find((mode) =>
+        executionMode === 'preview'
+            ? mode.value === 'preview'
+            : mode.runEngine === runEngine
+    );
+
+    function handleSelectMode(mode) {
+        if (
+            !areFilesSaved &&
+            executionMode !== mode.executionMode &&
+            selectedFile
+        ) {
+            dispatch(
+                addNotification({
+                    message: `Save your file(s) first...`,
+                    type: 'warn',
+                })
+            );
+            return;
+        }
+
+        if (mode.executionMode === 'preview') {
+            //TODO remove this from here and set these files before rendering UI after project creation
+            setFilesForWebMode();
+            dispatch(setIsPreviewVisible(true));
+        } else {
+            dispatch(setRunEngine(mode.runEngine));
+            dispatch(setIsPreviewVisible(false));
+        }
+        dispatch(setExecutionMode(mode.executionMode));
+        setIsOpen(false);
+    }
+
     function toggleExecutionModeSelector() {
         setIsOpen((isOpen) => !isOpen);
     }
@@ -67,7 +132,7 @@ export default function ModeSelector({ setFilesForWebMode }) {
                 aria-expanded={isOpen}
                 aria-label="Select execution mode"
             >
-                {executionMode === 'judge0' ? 'Compiler' : 'Web Preview'}
+                {selectedMode.label}
                 <svg
                     className={`ml-2 h-5 w-5 transition-transform ${isOpen ? 'rotate-180' : ''}`}
                     xmlns="http://www.w3.org/2000/svg"
@@ -95,110 +160,27 @@ export default function ModeSelector({ setFilesForWebMode }) {
                         role="listbox"
                         aria-label="Programming languages"
                     >
-                        <li
-                            key={'judge0'}
-                            onClick={() => {
-                                if (
-                                    !areFilesSaved &&
-                                    executionMode !== 'judge0' &&
-                                    selectedFile
-                                ) {
-                                    dispatch(
-                                        addNotification({
-                                            message: `Save your file(s) first...`,
-                                            type: 'warn',
-                                        })
-                                    );
-                                    return;
-                                }
-
-                                dispatch(setExecutionMode('judge0'));
-                                dispatch(setIsPreviewVisible(false));
-                                setIsOpen(false);
-                            }}
-                            onKeyDown={(e) => {
-                                e.stopPropagation();
-                                if (e.key === 'Enter' || e.key === ' ') {
-                                    if (
-                                        !areFilesSaved &&
-                                        executionMode !== 'judge0' &&
-                                        selectedFile
-                                    ) {
-                                        dispatch(
-                                            addNotification({
-                                                message: `Save your file(s) first...`,
-                                                type: 'warn',
-                                            })
-                                        );
-                                        return;
-                                    }
-
-                                    dispatch(setExecutionMode('judge0'));
-                                    dispatch(setIsPreviewVisible(false));
-                                    setIsOpen(false);
-                                }
-                            }}
-                            className={`cursor-pointer px-3 py-2 text-sm focus:outline-1 focus:-outline-offset-1 focus:outline-gray-800 dark:hover:bg-[#1A1B26] dark:focus:outline-white ${executionMode === 'judge0' ? '' : 'bg-gray-400 dark:bg-[#2e3044]'}`}
-                            role="option"
-                            aria-selected={executionMode === 'judge0'}
-                            tabIndex={0}
-                        >
-                            {'Compiler'}
-                        </li>
-                        <li
-                            key={'preview'}
-                            onClick={() => {
-                                if (
-                                    !areFilesSaved &&
-                                    executionMode !== 'preview' &&
-                                    selectedFile
-                                ) {
-                                    dispatch(
-                                        addNotification({
-                                            message: `Save your file(s) first...`,
-                                            type: 'warn',
-                                        })
-                                    );
-                                    return;
-                                }
-
-                                //TODO remove this from here and set these files before rendering UI after project creation
-                                setFilesForWebMode();
-                                dispatch(setExecutionMode('preview'));
-                                dispatch(setIsPreviewVisible(true));
-                                setIsOpen(false);
-                            }}
-                            onKeyDown={(e) => {
-                                e.stopPropagation();
-                                if (e.key === 'Enter' || e.key === ' ') {
-                                    if (
-                                        !areFilesSaved &&
-                                        executionMode !== 'preview' &&
-                                        selectedFile
-                                    ) {
-                                        dispatch(
-                                            addNotification({
-                                                message: `Save your file(s) first...`,
-                                                type: 'warn',
-                                            })
-                                        );
-                                        return;
+                        {executionModes.map((mode) => (
+                            <li
+                                key={mode.value}
+                                onClick={() => handleSelectMode(mode)}
+                                onKeyDown={(e) => {
+                                    e.stopPropagation();
+                                    if (e.key === 'Enter' || e.key === ' ') {
+                                        handleSelectMode(mode);
                                     }
-
-                                    //TODO remove this from here and set these files before rendering UI after project creation
-                                    setFilesForWebMode();
-                                    dispatch(setExecutionMode('preview'));
-                                    dispatch(setIsPreviewVisible(true));
-                                    setIsOpen(false);
+                                }}
+                                className={`cursor-pointer px-3 py-2 text-sm focus:outline-1 focus:-outline-offset-1 focus:outline-gray-800 dark:hover:bg-[#1A1B26] dark:focus:outline-white ${selectedMode.value === mode.value ? '' : 'bg-gray-400 dark:bg-[#2e3044]'}`}
+                                role="option"
+                                aria-selected={
+                                    selectedMode.value === mode.value
                                 }
-                            }}
-                            className={`cursor-pointer px-3 py-2 text-sm focus:outline-1 focus:-outline-offset-1 focus:outline-gray-800 dark:hover:bg-[#1A1B26] dark:focus:outline-white ${executionMode === 'preview' ? '' : 'bg-gray-400 dark:bg-[#2e3044]'}`}
-                            role="option"
-                            aria-selected={executionMode === 'preview'}
-                            tabIndex={0}
-                        >
-                            {'Web Preview'}
-                        </li>
+                                title={mode.description}
+                                tabIndex={0}
+                            >
+                                {mode.label}
+                            </li>
+                        ))}
                     </motion.ul>
                 )}
             </AnimatePresence>
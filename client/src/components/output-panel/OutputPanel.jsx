@@ -1,22 +1,124 @@
-import { memo } from 'react';
-import { useSelector } from 'react-redux';
+import { memo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
 
-import { Spinner } from '../componentsIndex';
+import { ProblemsList, Spinner, TestResults } from '../componentsIndex';
 import { judge0Verdicts } from '../../conf/judge0Config';
+import { cancelSubmission } from '../../api/judge0';
+import { stopBrowserRuns } from '../../lib/localRunner';
+import { addNotification } from '../../store/slices/uiSlice';
+
+// Colors of the output of programs running in the browser, by console level or stream
+const liveOutputClassNames = {
+    error: 'text-red-700 dark:text-red-400',
+    warn: 'text-amber-700 dark:text-amber-300',
+    info: 'text-blue-700 dark:text-blue-300',
+    debug: 'text-gray-500 dark:text-gray-400',
+    stderr: 'text-red-700 dark:text-red-400',
+};
 
 /**
- * OutputPanel component for displaying stdout from code execution.
+ * OutputPanel component for displaying stdout from code execution, or the results of a test suite run. The errors of a
+ * run located in the project files are listed above its error output.
  * @returns {JSX.Element} The output panel.
  */
 function OutputPanel() {
-    const { output, error, isRunning, status, time, memory } = useSelector(
-        (state) => state.execution
-    );
+    const dispatch = useDispatch();
+    const {
+        output,
+        error,
+        isRunning,
+        status,
+        time,
+        memory,
+        testResults,
+        submissionToken,
+        sharedRun,
+        isLocalRun,
+        liveOutput,
+    } = useSelector((state) => state.execution);
+    const [isCancelling, setIsCancelling] = useState(false);
+
+    async function handleCancel() {
+        setIsCancelling(true);
+        try {
+            await cancelSubmission(submissionToken);
+        } catch (error) {
+            dispatch(
+                addNotification({
+                    message: `Failed to cancel the run: ${error.message}`,
+                    type: 'error',
+                })
+            );
+        } finally {
+            setIsCancelling(false);
+        }
+    }
+
+    // Program running in the browser, its output streamed as it writes it
+    if (isRunning && isLocalRun) {
+        return (
+            <div
+                className="flex h-full max-h-full flex-col gap-2 overflow-auto p-4 dark:bg-[#222233]"
+                role="region"
+                aria-label="Output panel"
+            >
+                <div className="flex items-center gap-2" role="status">
+                    <Spinner />
+                    <h3 className="flex-1 text-sm font-semibold">
+                        Running in the browser...
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={stopBrowserRuns}
+                        className="cursor-pointer rounded border border-gray-500 px-3 py-1 text-sm hover:bg-gray-300 focus:outline focus:outline-offset-2 focus:outline-blue-400 dark:hover:bg-[#2b2b44]"
+                    >
+                        Cancel
+                    </button>
+                </div>
+                <pre
+                    className="min-h-8 flex-1 rounded-md bg-gray-100 p-2 break-words whitespace-pre-wrap dark:bg-[#2b2b44]"
+                    aria-live="polite"
+                    aria-label="Code execution output"
+                    lang="en"
+                >
+                    {liveOutput.map((chunk, index) => (
+                        <span
+                            key={index}
+                            className={
+                                liveOutputClassNames[
+                                    chunk.level ?? chunk.stream
+                                ]
+                            }
+                        >
+                            {chunk.text}
+                        </span>
+                    ))}
+                </pre>
+            </div>
+        );
+    }
 
     if (isRunning) {
         return (
-            <div className="flex h-full w-full items-center justify-center">
+            <div
+                className="flex h-full w-full flex-col items-center justify-center gap-4"
+                role="status"
+                aria-live="polite"
+            >
                 <Spinner size="4" />
+                {status?.description && (
+                    <p className="text-sm">{`${status.description}...`}</p>
+                )}
+                {submissionToken && (
+                    <button
+                        type="button"
+                        onClick={handleCancel}
+                        disabled={isCancelling}
+                        className="cursor-pointer rounded border border-gray-500 px-3 py-1 text-sm hover:bg-gray-300 focus:outline focus:outline-offset-2 focus:outline-blue-400 disabled:cursor-not-allowed disabled:opacity-60 dark:hover:bg-[#2b2b44]"
+                    >
+                        {isCancelling ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                )}
             </div>
         );
     }
@@ -29,7 +131,43 @@ function OutputPanel() {
         >
             <h3 className="mb-2 text-sm font-semibold">Output</h3>
 
-            {output || error || status ? (
+            {/* Run of a collaborator in the live session */}
+            {sharedRun && (
+                <div
+                    className="mb-2 flex flex-col gap-1 rounded-md bg-blue-100 p-2 text-sm text-blue-900 dark:bg-blue-900/40 dark:text-blue-200"
+                    aria-live="polite"
+                >
+                    <p className="flex items-center gap-2">
+                        {sharedRun.phase === 'started' && <Spinner />}
+                        <span>
+                            <span className="font-bold">
+                                {sharedRun.username}
+                            </span>
+                            {sharedRun.phase === 'started'
+                                ? ' is running '
+                                : ' ran '}
+                            <span className="font-mono">
+                                {sharedRun.fileName}
+                            </span>
+                        </span>
+                    </p>
+                    {sharedRun.stdin && (
+                        <details>
+                            <summary className="cursor-pointer">Input</summary>
+                            <pre className="mt-1 rounded bg-white/60 p-1 break-words whitespace-pre-wrap dark:bg-[#2b2b44]">
+                                {sharedRun.stdin}
+                            </pre>
+                        </details>
+                    )}
+                </div>
+            )}
+
+            {testResults.length ? (
+                <TestResults
+                    key={testResults.map(({ id }) => id).join()}
+                    results={testResults}
+                />
+            ) : output || error || status ? (
                 <div className="flex flex-col gap-4 rounded-md border border-gray-600 p-2">
                     <p
                         className={`rounded-md p-2 ${output ? 'bg-green-400/40' : error ? 'bg-red-500/40' : 'bg-gray-100 dark:bg-[#2b2b44]'}`}
@@ -61,6 +199,8 @@ function OutputPanel() {
                         </div>
                     )}
 
+                    <ProblemsList />
+
                     <div className="flex flex-col gap-2">
                         <p className="font-bold">
                             {output ? 'Your output:' : 'Error:'}
@@ -76,9 +216,11 @@ function OutputPanel() {
                     </div>
                 </div>
             ) : (
-                <p className="font-mono">
-                    Run your code to see the output here.
-                </p>
+                !sharedRun && (
+                    <p className="font-mono">
+                        Run your code to see the output here.
+                    </p>
+                )
             )}
         </div>
     );
@@ -1,112 +1,174 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useMemo, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import DOMPurify from 'dompurify';
 
 import {
     clearConsoleLogs,
     setConsoleLogs,
     setIsConsoleVisible,
 } from '../../store/slices/previewSlice';
+import {
+    PreviewBundler,
+    locatePreviewError,
+    locatePreviewStack,
+} from '../../lib/previewBundler';
+import { Transpiler } from '../../lib/transpiler';
+import { getFilePath } from '../../utils/filePaths';
 import { Clear } from '../componentsIndex';
 
+const allowedOrigins = [
+    'http://localhost:5173',
+    'https://bytetogether.vercel.app', //TODO Update prod URL
+];
+
+/**
+ * Builds the script forwarding the console and the errors of the preview page to the editor.
+ * Errors thrown by project files carry their location, mapped to the original source by the editor.
+ * @param {string} token Token identifying the messages of the current preview page.
+ * @returns {string} The inline script.
+ */
+function buildConsoleBridge(token) {
+    const targetOrigin = import.meta.env.PROD
+        ? allowedOrigins[1]
+        : allowedOrigins[0];
+
+    return `<script>
+        (() => {
+            const locate = ${locatePreviewError};
+            const locateStack = ${locatePreviewStack};
+            const post = (customType, message, logLevel, location) => {
+                window.parent.postMessage({ token: "${token}", customType, payload: { id: crypto.randomUUID(), message, logLevel, location } }, "${targetOrigin}");
+            };
+            ['log', 'warn', 'error'].forEach((method) => {
+                const originalConsoleMethod = console[method];
+                console[method] = (...args) => {
+                    let location = null;
+                    const newArgs = args.map((arg) => {
+                        if (arg instanceof Error) {
+                            location ??= locateStack(arg.stack);
+                            return arg.name + ': ' + arg.message;
+                        } else if (typeof arg === 'object') {
+                            return JSON.stringify(arg);
+                        } else if (typeof arg === 'function') {
+                            return arg.toString();
+                        }
+                        return arg;
+                    });
+                    post('CONSOLE', newArgs.join(' '), method, location);
+                    originalConsoleMethod.apply(console, args);
+                };
+            });
+            window.onerror = (message, source, line, column, error) => {
+                const location = locate(source, line);
+                post('ERROR', String(message), 'error', location ? { ...location, column } : locateStack(error?.stack));
+            };
+            window.addEventListener('unhandledrejection', (event) => {
+                post('ERROR', 'Uncaught (in promise) ' + (event.reason?.message ?? event.reason), 'error', locateStack(event.reason?.stack));
+            });
+        })();
+    </script>`;
+}
+
 export default function PreviewPanel({
     handleVerticalMouseDown,
     ref: previewContainerRef,
 }) {
     const dispatch = useDispatch();
-    const { html, css, js, consoleLogs, isConsoleVisible } = useSelector(
+    const { consoleLogs, isConsoleVisible } = useSelector(
         (state) => state.preview
     );
+    const { files } = useSelector((state) => state.files);
+    const { selectedFile } = useSelector((state) => state.editor);
     const iframeRef = useRef(null);
     const iframeToken = useRef(null); // stores latest token
+    const bundlerRef = useRef(null);
+    const transpilerRef = useRef(null);
+
+    // The selected file holds the latest edits, the others their content when they were last selected
+    const previewFiles = useMemo(
+        () =>
+            files.map((file) =>
+                file.$id === selectedFile?.$id
+                    ? { ...file, codeContent: selectedFile.codeContent }
+                    : file
+            ),
+        [files, selectedFile]
+    );
+
+    // Stop the transpiler worker with the panel
+    useEffect(() => {
+        return () => {
+            transpilerRef.current?.destroy();
+            transpilerRef.current = null;
+        };
+    }, []);
 
     useEffect(() => {
         const iframe = iframeRef.current;
         if (!iframe) return;
 
-        const allowedOrigins = [
-            'http://localhost:5173',
-            'https://bytetogether.vercel.app', //TODO Update prod URL
-        ];
-
-        const isProduction = import.meta.env.PROD;
-
-        const newToken = crypto.randomUUID();
-        iframeToken.current = newToken;
+        let isCancelled = false;
+        let timerId = null;
+        bundlerRef.current ??= new PreviewBundler();
+        transpilerRef.current ??= new Transpiler();
 
-        const parser = new DOMParser();
-        const htmlDoc = parser.parseFromString(html, 'text/html');
-        const scriptsInHTML = htmlDoc.scripts;
-        let jsInScripts = '';
-
-        for (let i = 0; i < scriptsInHTML.length; i++) {
-            jsInScripts += scriptsInHTML[i].innerHTML;
-        }
+        async function updatePreview() {
+            let transpiled;
+            try {
+                transpiled = await transpilerRef.current.transpile(
+                    previewFiles.map((file) => ({
+                        path: getFilePath(file),
+                        code: file.codeContent || '',
+                    }))
+                );
+            } catch (error) {
+                if (isCancelled) return;
+                dispatch(
+                    setConsoleLogs({
+                        id: crypto.randomUUID(),
+                        message: `Failed to transpile: ${error.message}`,
+                        logLevel: 'error',
+                    })
+                );
+                return;
+            }
+            if (isCancelled) return;
 
-        const sanitizedHTMLInsideBody = DOMPurify.sanitize(html || '');
-        const sanitizedCSS = DOMPurify.sanitize(css || '');
-        const sanitizedJS = DOMPurify.sanitize(js || '');
-        const sanitizedJsInScripts = DOMPurify.sanitize(jsInScripts || '');
-
-        const content = `
-                    <!DOCTYPE html>
-                    <html>
-                        <head>
-                        <title>Live Preview</title>
-                        <style>${sanitizedCSS}</style>
-                        </head>
-                        <body>
-                        ${sanitizedHTMLInsideBody}
-                        <script>
-                            ['log', 'warn', 'error'].forEach((method) => {
-                                const originalConsoleMethod = console[method];
-                                console[method] = (...args) => {
-                                    const newArgs = args.map((arg) => {
-
-                                        if(typeof arg === 'object') {
-                                            return JSON.stringify(arg);
-                                        } else if(typeof arg === 'function') {
-                                            return arg.toString(); 
-                                        }
-
-                                        return arg;
-                                    });
-                                    window.parent.postMessage({ token: "${newToken}", customType: 'CONSOLE', payload: {id: crypto.randomUUID(), message: newArgs.join(' '), logLevel: method} }, "${isProduction ? allowedOrigins[1] : allowedOrigins[0]}");
-                                    originalConsoleMethod.apply(console, args);
-                                };
-                            });
-                            window.onerror = (msg) => {
-                                window.parent.postMessage({ token: "${newToken}", customType: 'ERROR', payload: {id: crypto.randomUUID(), message: msg, logLevel: 'error'} }, "${isProduction ? allowedOrigins[1] : allowedOrigins[0]}");
-                            };
-                            try {
-                                ${sanitizedJS}
-                                ${sanitizedJsInScripts}
-                            } catch (e) {
-                                window.parent.postMessage({ token: "${newToken}", customType: 'ERROR', payload: {id: crypto.randomUUID(), message: e.message, logLevel: 'error'} }, "${isProduction ? allowedOrigins[1] : allowedOrigins[0]}");
-                            }
-                        </script>
-                        </body>
-                    </html>
-                    `;
+            const newToken = crypto.randomUUID();
+            iframeToken.current = newToken;
 
-        dispatch(clearConsoleLogs());
+            // The preview iframe is sandboxed without same-origin access, so project code runs as written
+            const { html, errors } = bundlerRef.current.build(previewFiles, {
+                prelude: buildConsoleBridge(newToken),
+                transpiled,
+            });
 
-        // Set srcdoc to avoid cross-origin issues
-        const timerId = setTimeout(() => {
-            requestAnimationFrame(() => {
-                iframe.srcdoc = content;
+            dispatch(clearConsoleLogs());
+            errors.forEach(({ path, line, message }) => {
+                dispatch(
+                    setConsoleLogs({
+                        id: crypto.randomUUID(),
+                        message: `${path}:${line} ${message}`,
+                        logLevel: 'error',
+                    })
+                );
             });
 
-            // Another way but Costly for each update
-            /* const blob = new Blob([content], { type: 'text/html' });
-            iframe.src = URL.createObjectURL(blob); */
-        }, 0);
+            // Set srcdoc to avoid cross-origin issues
+            timerId = setTimeout(() => {
+                requestAnimationFrame(() => {
+                    iframe.srcdoc = html;
+                });
+            }, 0);
+        }
+
+        updatePreview();
 
         return () => {
+            isCancelled = true;
             clearTimeout(timerId);
             iframeToken.current = null;
         };
-    }, [html, css, js, dispatch]);
+    }, [previewFiles, dispatch]);
 
     useEffect(() => {
         function handleMessage(event) {
@@ -122,7 +184,19 @@ export default function PreviewPanel({
             )
                 return;
 
-            dispatch(setConsoleLogs(event.data.payload));
+            const { location, ...payload } = data.payload;
+            if (location?.path) {
+                // Point transpiled files back to their TypeScript or JSX source
+                const { line, column } =
+                    transpilerRef.current?.mapPosition(
+                        location.path,
+                        location.line,
+                        location.column
+                    ) ?? location;
+                payload.message = `${location.path}:${line}${column ? `:${column}` : ''} ${payload.message}`;
+            }
+
+            dispatch(setConsoleLogs(payload));
         }
         window.addEventListener('message', handleMessage);
         return () => window.removeEventListener('message', handleMessage);
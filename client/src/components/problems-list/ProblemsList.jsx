@@ -0,0 +1,78 @@
+import { memo } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import {
+    setRevealPosition,
+    setSelectedFile,
+} from '../../store/slices/editorSlice';
+import { updateFile } from '../../store/slices/filesSlice';
+import { getFilePath } from '../../utils/filePaths';
+
+const SEVERITY_CLASS_NAMES = {
+    error: 'text-red-700 dark:text-red-400',
+    warning: 'text-amber-700 dark:text-amber-300',
+    info: 'text-blue-700 dark:text-blue-300',
+};
+
+/**
+ * ProblemsList component listing the errors and warnings of the last run located in the project files. Clicking a
+ * problem opens its file and moves the editor to it.
+ * @returns {JSX.Element|null} The list, null without problems.
+ */
+function ProblemsList() {
+    const dispatch = useDispatch();
+    const { diagnostics } = useSelector((state) => state.execution);
+    const { files } = useSelector((state) => state.files);
+    const { selectedFile } = useSelector((state) => state.editor);
+
+    if (!diagnostics.length) return null;
+
+    function handleSelect({ path, line, column }) {
+        const file = files.find((file) => getFilePath(file) === path);
+        if (!file) return;
+
+        if (!selectedFile || getFilePath(selectedFile) !== path) {
+            if (selectedFile) dispatch(updateFile(selectedFile));
+            dispatch(setSelectedFile(file));
+        }
+        dispatch(setRevealPosition({ path, line, column }));
+    }
+
+    return (
+        <div className="flex flex-col gap-1">
+            <p className="font-bold">{`Problems (${diagnostics.length}):`}</p>
+            <ul
+                className="flex flex-col rounded-md bg-gray-100 p-1 text-sm dark:bg-[#2b2b44]"
+                aria-label="Problems of the last run"
+            >
+                {diagnostics.map((diagnostic, index) => {
+                    const location = `${diagnostic.path}:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}`;
+                    return (
+                        <li key={index}>
+                            <button
+                                type="button"
+                                onClick={() => handleSelect(diagnostic)}
+                                className="flex w-full cursor-pointer gap-2 rounded px-1 text-left hover:bg-gray-300 focus:outline focus:outline-blue-400 dark:hover:bg-[#3b3b55]"
+                                title={`Go to ${location}`}
+                            >
+                                <span
+                                    className={`shrink-0 font-semibold ${SEVERITY_CLASS_NAMES[diagnostic.severity]}`}
+                                >
+                                    {diagnostic.severity}
+                                </span>
+                                <span className="shrink-0 font-mono">
+                                    {location}
+                                </span>
+                                <span className="break-words">
+                                    {diagnostic.message}
+                                </span>
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+export default memo(ProblemsList);
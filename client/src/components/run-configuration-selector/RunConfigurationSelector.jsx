@@ -0,0 +1,38 @@
+import { memo } from 'react';
+import { useSelector } from 'react-redux';
+
+import { Tooltip } from '../componentsIndex';
+
+/**
+ * Selects the run configuration of the active project used by Run. Hidden when the project has none.
+ * @param {Object} props
+ * @param {Function} props.onChange - Callback with the ID of the selected configuration, empty for the defaults.
+ * @returns {JSX.Element|null} The run configuration dropdown.
+ */
+function RunConfigurationSelector({ onChange }) {
+    const { activeProject } = useSelector((state) => state.projects);
+    const { isRunning } = useSelector((state) => state.execution);
+    const configurations = activeProject?.runSettings?.configurations ?? [];
+    if (!configurations.length) return null;
+
+    return (
+        <Tooltip content={'Run configuration'}>
+            <select
+                value={activeProject.runSettings.activeConfigurationId}
+                onChange={(event) => onChange(event.target.value)}
+                disabled={isRunning}
+                className="max-w-32 cursor-pointer truncate rounded border border-gray-400/90 bg-gray-300 px-2 py-1 text-xs text-gray-800 focus:outline-1 focus:outline-offset-2 focus:outline-gray-400 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-[#222233] dark:text-white"
+                aria-label="Run configuration"
+            >
+                <option value="">Default</option>
+                {configurations.map((configuration) => (
+                    <option key={configuration.id} value={configuration.id}>
+                        {configuration.name}
+                    </option>
+                ))}
+            </select>
+        </Tooltip>
+    );
+}
+
+export default memo(RunConfigurationSelector);
@@ -0,0 +1,54 @@
+import { memo } from 'react';
+
+import { Tooltip } from '../componentsIndex';
+import { useRunQuota } from '../../api/judge0';
+
+// How each scope runs are counted against is described to the user
+const SCOPE_LABELS = {
+    user: 'Your account',
+    ip: 'This network',
+    anonymous: 'Signed out on this network',
+    room: 'This session',
+};
+
+/**
+ * Runs left today under the most restrictive daily quota of the user. Hidden when the backend has no quotas.
+ * @param {Object} props
+ * @param {boolean} props.isYjsConnected - Whether a live session is active, its runs count against the room quota too.
+ * @returns {JSX.Element|null} The quota badge.
+ */
+function RunQuota({ isYjsConnected }) {
+    const { data: quotas = [] } = useRunQuota(isYjsConnected);
+    const limitedQuotas = quotas.filter((quota) => quota.perDay);
+    if (!limitedQuotas.length) return null;
+
+    const { remainingToday, resetsAt } = limitedQuotas.reduce(
+        (lowest, quota) =>
+            quota.remainingToday < lowest.remainingToday ? quota : lowest
+    );
+    const usage = limitedQuotas.map(
+        (quota) =>
+            `${SCOPE_LABELS[quota.scope] ?? quota.scope}: ${quota.usedToday}/${quota.perDay} runs today`
+    );
+    const resetTime = new Date(resetsAt).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+    return (
+        <Tooltip content={`${usage.join(', ')}. Resets at ${resetTime}`}>
+            <span
+                className={`rounded-full px-2 py-1 text-xs whitespace-nowrap ${
+                    remainingToday
+                        ? 'text-gray-600 dark:text-gray-300'
+                        : 'text-red-500'
+                }`}
+                role="status"
+            >
+                {remainingToday} {remainingToday === 1 ? 'run' : 'runs'} left
+            </span>
+        </Tooltip>
+    );
+}
+
+export default memo(RunQuota);
@@ -0,0 +1,415 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useDispatch, useSelector } from 'react-redux';
+import { createPortal } from 'react-dom';
+
+import { Cross } from '../componentsIndex';
+import {
+    setRevealPosition,
+    setSelectedFile,
+} from '../../store/slices/editorSlice';
+import { updateFile } from '../../store/slices/filesSlice';
+import { MAX_SEARCH_MATCHES } from '../../lib/projectSearch';
+import { useProjectSearch } from '../../hooks/project-search/useProjectSearch';
+import { useDebounce } from '../../hooks/useDebounce';
+
+// Characters of a line shown before a match in the results
+const PREVIEW_CONTEXT = 24;
+
+const initialForm = {
+    query: '',
+    replacement: '',
+    isRegex: false,
+    matchCase: false,
+    wholeWord: false,
+    include: '',
+    exclude: '',
+};
+
+const inputClassName =
+    'min-w-0 flex-1 rounded-md border border-gray-300 bg-transparent px-2 py-1 text-sm focus:outline-1 focus:outline-gray-500 dark:border-gray-600';
+
+const buttonClassName =
+    'cursor-pointer rounded px-2 py-0.5 text-xs whitespace-nowrap hover:bg-gray-300 focus:outline focus:outline-offset-1 focus:outline-blue-400 disabled:cursor-not-allowed disabled:opacity-50 dark:hover:bg-[#2b2b44]';
+
+/**
+ * Separates the replacement from the search options of the form.
+ * @param {typeof initialForm} form
+ * @returns {{searchOptions: import('../../lib/projectSearch').SearchOptions, replacement: string}}
+ */
+function toSubmittedSearch({ replacement, ...searchOptions }) {
+    return { searchOptions, replacement };
+}
+
+/**
+ * Splits the line of a match around it, leaving out the start of long lines.
+ * @param {import('../../lib/projectSearch').SearchMatch} match
+ * @returns {{before: string, text: string, after: string}}
+ */
+function getPreviewParts({ preview, column, length }) {
+    const start = column - 1;
+    const contextStart = Math.max(0, start - PREVIEW_CONTEXT);
+    return {
+        before: `${contextStart ? '…' : ''}${preview.slice(contextStart, start)}`.trimStart(),
+        text: preview.slice(start, start + length),
+        after: preview.slice(start + length),
+    };
+}
+
+/**
+ * Formats a count of things, e.g. `2 files`.
+ * @param {number} count
+ * @param {string} noun
+ * @param {string} [pluralNoun]
+ * @returns {string}
+ */
+function formatCount(count, noun, pluralNoun = `${noun}s`) {
+    return `${count} ${count === 1 ? noun : pluralNoun}`;
+}
+
+/**
+ * SearchPanel component searching and replacing across every file of the project. The results are grouped by file,
+ * clicking a match opens its file and selects it, and replacing all first previews the replaced lines.
+ * @param {Object} props
+ * @param {Function} props.toggleSearchPanel - Function to toggle the search panel.
+ * @param {boolean} props.isYjsConnected - Whether Yjs collaboration is active.
+ * @param {Object} props.yjsResources - Yjs resources of the project room.
+ * @returns {JSX.Element} The search panel.
+ */
+function SearchPanel({ toggleSearchPanel, isYjsConnected, yjsResources }) {
+    const dispatch = useDispatch();
+    const { files } = useSelector((state) => state.files);
+    const { selectedFile, codeContent } = useSelector((state) => state.editor);
+
+    const queryInputRef = useRef(null);
+    const triggerRef = useRef(null);
+
+    const [form, setForm] = useState(initialForm);
+    // The query, filters and replacement searched, the form debounced
+    const [submitted, setSubmitted] = useState(() =>
+        toSubmittedSearch(initialForm)
+    );
+    const [isPreviewing, setIsPreviewing] = useState(false); // Whether the replaced lines are previewed
+    const [collapsedFileIds, setCollapsedFileIds] = useState(() => new Set());
+
+    const submitForm = useDebounce((nextForm) => {
+        setSubmitted(toSubmittedSearch(nextForm));
+    }, 250);
+
+    const { search, error, handleReplaceAll } = useProjectSearch({
+        searchOptions: submitted.searchOptions,
+        replacement: submitted.replacement,
+        files,
+        selectedFile,
+        codeContent,
+        isYjsConnected,
+        yjsResources,
+    });
+    const { results, matchCount, isLimitReached } = search;
+
+    useEffect(() => {
+        triggerRef.current = document.activeElement;
+        queryInputRef.current?.focus();
+
+        return () => {
+            triggerRef.current?.focus();
+        };
+    }, []);
+
+    /**
+     * Updates fields of the form and searches them once typing pauses.
+     * @param {Partial<typeof initialForm>} fields
+     */
+    function updateForm(fields) {
+        const nextForm = { ...form, ...fields };
+        setForm(nextForm);
+        submitForm(nextForm);
+    }
+
+    function toggleFile(fileId) {
+        setCollapsedFileIds((previous) => {
+            const next = new Set(previous);
+            if (!next.delete(fileId)) {
+                next.add(fileId);
+            }
+            return next;
+        });
+    }
+
+    function handleSelect(result, match) {
+        const file = files.find(({ $id }) => $id === result.fileId);
+        if (!file) return;
+
+        if (file.$id !== selectedFile?.$id) {
+            if (selectedFile) dispatch(updateFile(selectedFile));
+            dispatch(setSelectedFile(file));
+        }
+        dispatch(
+            setRevealPosition({
+                path: result.path,
+                line: match.line,
+                column: match.column,
+                endLine: match.endLine,
+                endColumn: match.endColumn,
+            })
+        );
+    }
+
+    function handleConfirmReplace() {
+        handleReplaceAll();
+        setIsPreviewing(false);
+    }
+
+    const toggles = [
+        { field: 'matchCase', label: 'Aa', title: 'Match case' },
+        { field: 'wholeWord', label: 'ab', title: 'Match whole word' },
+        { field: 'isRegex', label: '.*', title: 'Use regular expression' },
+    ];
+
+    let status = null;
+    if (error) {
+        status = error;
+    } else if (submitted.searchOptions.query) {
+        status = matchCount
+            ? `${formatCount(matchCount, 'result')} in ${formatCount(results.length, 'file')}`
+            : 'No results';
+        if (isLimitReached) {
+            status += `, showing the first ${MAX_SEARCH_MATCHES}`;
+        }
+    }
+
+    return createPortal(
+        <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+            className="fixed top-0 right-0 z-700 flex h-full w-80 flex-col bg-white text-gray-900 shadow-lg dark:bg-[#222233] dark:text-white"
+            aria-label="Search"
+            onKeyDown={(event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    toggleSearchPanel();
+                }
+            }}
+        >
+            <div className="flex items-center justify-between gap-2 border-b border-gray-700 p-2">
+                <p className="text-sm">SEARCH</p>
+                <button
+                    onClick={toggleSearchPanel}
+                    className="flex cursor-pointer items-center justify-center rounded-xl p-1 text-gray-400 hover:bg-gray-300 focus:bg-gray-300 focus:outline-1 focus:outline-offset-2 focus:outline-gray-500 dark:hover:bg-[#2b2b44] dark:focus:bg-[#2b2b44]"
+                    aria-label="Close search"
+                >
+                    <Cross width={1.2} height={1.2} />
+                </button>
+            </div>
+
+            <div className="flex flex-col gap-1.5 border-b border-gray-300 p-2 dark:border-gray-600">
+                <div className="flex items-center gap-1">
+                    <input
+                        ref={queryInputRef}
+                        type="text"
+                        value={form.query}
+                        onChange={(event) =>
+                            updateForm({ query: event.target.value })
+                        }
+                        className={inputClassName}
+                        placeholder="Search"
+                        aria-label="Search"
+                        aria-invalid={Boolean(error)}
+                        spellCheck={false}
+                    />
+                    {toggles.map(({ field, label, title }) => (
+                        <button
+                            key={field}
+                            type="button"
+                            onClick={() =>
+                                updateForm({ [field]: !form[field] })
+                            }
+                            className={`cursor-pointer rounded px-1 py-0.5 font-mono text-xs focus:outline focus:outline-offset-1 focus:outline-blue-400 ${
+                                form[field]
+                                    ? 'bg-blue-600 text-white'
+                                    : 'hover:bg-gray-300 dark:hover:bg-[#2b2b44]'
+                            }`}
+                            aria-pressed={form[field]}
+                            aria-label={title}
+                            title={title}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center gap-1">
+                    <input
+                        type="text"
+                        value={form.replacement}
+                        onChange={(event) =>
+                            updateForm({ replacement: event.target.value })
+                        }
+                        className={inputClassName}
+                        placeholder="Replace"
+                        aria-label="Replace"
+                        title={
+                            form.isRegex
+                                ? 'Use $1, $2 or $<name> for the groups of the match'
+                                : undefined
+                        }
+                        spellCheck={false}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => setIsPreviewing(true)}
+                        disabled={!matchCount || isPreviewing}
+                        className={buttonClassName}
+                        title="Preview replacing every result"
+                    >
+                        Replace all
+                    </button>
+                </div>
+                <input
+                    type="text"
+                    value={form.include}
+                    onChange={(event) =>
+                        updateForm({ include: event.target.value })
+                    }
+                    className={inputClassName}
+                    placeholder="Files to include, e.g. src, *.js"
+                    aria-label="Files to include"
+                    spellCheck={false}
+                />
+                <input
+                    type="text"
+                    value={form.exclude}
+                    onChange={(event) =>
+                        updateForm({ exclude: event.target.value })
+                    }
+                    className={inputClassName}
+                    placeholder="Files to exclude, e.g. **/tests"
+                    aria-label="Files to exclude"
+                    spellCheck={false}
+                />
+            </div>
+
+            {status && (
+                <p
+                    className={`px-2 pt-1 text-xs ${error ? 'text-red-700 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}
+                    role="status"
+                >
+                    {status}
+                </p>
+            )}
+
+            {isPreviewing && matchCount > 0 && (
+                <div className="m-2 flex flex-col gap-1 rounded-md bg-gray-100 p-2 text-sm dark:bg-[#2b2b44]">
+                    <p>
+                        {`Replace ${isLimitReached ? 'at least ' : ''}${formatCount(matchCount, 'match', 'matches')} in ${formatCount(results.length, 'file')} with “${submitted.replacement}”?`}
+                    </p>
+                    <div className="flex justify-end gap-1">
+                        <button
+                            type="button"
+                            onClick={() => setIsPreviewing(false)}
+                            className={buttonClassName}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleConfirmReplace}
+                            className="cursor-pointer rounded bg-blue-600 px-2 py-0.5 text-xs text-white hover:bg-blue-700 focus:outline focus:outline-offset-1 focus:outline-blue-400"
+                        >
+                            Replace
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <ul
+                className="flex flex-1 flex-col gap-0.5 overflow-y-auto p-1"
+                aria-label={isPreviewing ? 'Replace preview' : 'Search results'}
+            >
+                {results.map((result) => {
+                    const isCollapsed = collapsedFileIds.has(result.fileId);
+                    const separatorIndex = result.path.lastIndexOf('/');
+                    const fileName = result.path.slice(separatorIndex + 1);
+                    const folderPath = result.path.slice(
+                        0,
+                        Math.max(separatorIndex, 0)
+                    );
+
+                    return (
+                        <li key={result.fileId}>
+                            <button
+                                type="button"
+                                onClick={() => toggleFile(result.fileId)}
+                                className="flex w-full cursor-pointer items-center gap-1 rounded px-1 text-left text-sm hover:bg-gray-300 focus:outline focus:outline-blue-400 dark:hover:bg-[#2b2b44]"
+                                aria-expanded={!isCollapsed}
+                                title={result.path}
+                            >
+                                <span aria-hidden="true">
+                                    {isCollapsed ? '▸' : '▾'}
+                                </span>
+                                <span className="truncate font-semibold">
+                                    {fileName}
+                                </span>
+                                <span className="truncate text-xs text-gray-500 dark:text-gray-400">
+                                    {folderPath}
+                                </span>
+                                <span className="ml-auto rounded-full bg-gray-200 px-1.5 text-xs dark:bg-gray-600">
+                                    {result.matches.length}
+                                </span>
+                            </button>
+                            {!isCollapsed && (
+                                <ul>
+                                    {result.matches.map((match) => {
+                                        const { before, text, after } =
+                                            getPreviewParts(match);
+                                        return (
+                                            <li key={match.index}>
+                                                <button
+                                                    type="button"
+                                                    onClick={() =>
+                                                        handleSelect(
+                                                            result,
+                                                            match
+                                                        )
+                                                    }
+                                                    className="w-full cursor-pointer truncate rounded py-0.5 pr-1 pl-5 text-left font-mono text-xs whitespace-pre hover:bg-gray-300 focus:outline focus:outline-blue-400 dark:hover:bg-[#2b2b44]"
+                                                    title={`Go to ${result.path}:${match.line}:${match.column}`}
+                                                >
+                                                    <span className="mr-2 text-gray-500 dark:text-gray-400">
+                                                        {match.line}
+                                                    </span>
+                                                    {before}
+                                                    {isPreviewing ? (
+                                                        <>
+                                                            <del className="bg-red-200 dark:bg-red-900/60">
+                                                                {text}
+                                                            </del>
+                                                            <ins className="bg-green-200 no-underline dark:bg-green-900/60">
+                                                                {
+                                                                    match.replacement
+                                                                }
+                                                            </ins>
+                                                        </>
+                                                    ) : (
+                                                        <mark className="bg-yellow-200 dark:bg-yellow-700/60 dark:text-white">
+                                                            {text}
+                                                        </mark>
+                                                    )}
+                                                    {after}
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </motion.aside>,
+        document.body
+    );
+}
+
+export default memo(SearchPanel);
@@ -0,0 +1,25 @@
+import AddFolderIcon from '../../assets/icons/add-folder.svg?react';
+
+/**
+ * AddFolder Icon component for creating folder action.
+ * @param {Object} props - SVG props (e.g., width, height).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The AddFolder icon.
+ */
+export default function AddFolder({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <AddFolderIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
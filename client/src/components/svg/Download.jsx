@@ -0,0 +1,25 @@
+import DownloadIcon from '../../assets/icons/download.svg?react';
+
+/**
+ * DownloadIcon component for exporting a project.
+ * @param {Object} props - SVG props (e.g., width, height, color).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The Download icon.
+ */
+export default function Download({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <DownloadIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
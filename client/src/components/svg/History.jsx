@@ -0,0 +1,25 @@
+import HistoryIcon from '../../assets/icons/history.svg?react';
+
+/**
+ * HistoryIcon component for opening the version history of a project.
+ * @param {Object} props - SVG props (e.g., width, height, color).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The History icon.
+ */
+export default function History({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <HistoryIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
@@ -0,0 +1,25 @@
+import ReplayIcon from '../../assets/icons/replay.svg?react';
+
+/**
+ * ReplayIcon component for replaying a recorded collaboration session.
+ * @param {Object} props - SVG props (e.g., width, height, color).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The Replay icon.
+ */
+export default function Replay({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <ReplayIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
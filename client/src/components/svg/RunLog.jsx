@@ -0,0 +1,25 @@
+import RunLogIcon from '../../assets/icons/run-log.svg?react';
+
+/**
+ * RunLogIcon component for opening the run history of a project.
+ * @param {Object} props - SVG props (e.g., width, height, color).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The RunLog icon.
+ */
+export default function RunLog({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <RunLogIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
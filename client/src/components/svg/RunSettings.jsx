@@ -0,0 +1,25 @@
+import RunSettingsIcon from '../../assets/icons/run-settings.svg?react';
+
+/**
+ * RunSettingsIcon component for opening the run settings of a project.
+ * @param {Object} props - SVG props (e.g., width, height, color).
+ * @param {Object} props.width - Width of the svg.
+ * @param {Object} props.height - Height of the svg.
+ * @param {Object} props.className - CSS className for the svg.
+ * @returns {JSX.Element} The RunSettings icon.
+ */
+export default function RunSettings({
+    width = 1.5,
+    height = 1.5,
+    className = ``,
+    ...props
+}) {
+    return (
+        <RunSettingsIcon
+            width={`${width}rem`}
+            height={`${height}rem`}
+            className={className}
+            {...props}
+        />
+    );
+}
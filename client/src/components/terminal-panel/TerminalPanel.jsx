@@ -0,0 +1,206 @@
+import { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { FitAddon } from '@xterm/addon-fit';
+import { Terminal } from '@xterm/xterm';
+import '@xterm/xterm/css/xterm.css';
+
+import { Spinner } from '../componentsIndex';
+import {
+    getRunErrorMessage,
+    getSubmissionBody,
+    getUserJwt,
+} from '../../api/judge0';
+import { TerminalSession } from '../../lib/terminalSession';
+import { getRoomToken } from '../../lib/yjs';
+
+// ANSI colors of what the terminal prints besides the standard output
+const STDERR_COLOR = '\x1b[31m';
+const NOTE_COLOR = '\x1b[90m';
+const RESET_COLOR = '\x1b[0m';
+
+const TERMINAL_THEME = { background: '#1b1b2b', foreground: '#e5e7eb' };
+
+/**
+ * Summary of a finished run, e.g. "Accepted, exit code 0, 0.012s".
+ * @param {Object} result - How the program ended.
+ * @returns {string}
+ */
+function describeExit({ status, exitCode, time }) {
+    return [
+        status?.description,
+        exitCode != null && `exit code ${exitCode}`,
+        time && `${time}s`,
+    ]
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * TerminalPanel component running the selected file or project on the local runner of the server, with its input
+ * typed in and its output printed as it is written. Lines are edited locally and sent on Enter, Ctrl+C kills the
+ * program and Ctrl+D closes its input.
+ * @param {Object} props
+ * @param {Function} props.onPrepareRun Builds the run with the active run configuration, null if it cannot run.
+ * @param {boolean} props.isVisible Whether the terminal tab is shown, it is resized to fit when it is.
+ * @returns {JSX.Element} The terminal panel.
+ */
+function TerminalPanel({ onPrepareRun, isVisible }) {
+    const queryClient = useQueryClient();
+    const containerRef = useRef(null);
+    const terminalRef = useRef(null); // { terminal, fitAddon }
+    const sessionRef = useRef(null);
+    const lineRef = useRef(''); // Line being typed, sent to the program on Enter
+    const [isRunning, setIsRunning] = useState(false);
+
+    const handleInput = useCallback((data) => {
+        const { terminal } = terminalRef.current;
+        const session = sessionRef.current;
+        if (!session?.isRunning || data.startsWith('\x1b')) return; // Arrow and function keys
+
+        for (const char of data) {
+            if (char === '\r' || char === '\n') {
+                terminal.write('\r\n');
+                session.write(`${lineRef.current}\n`);
+                lineRef.current = '';
+            } else if (char === '\x7f' || char === '\b') {
+                if (!lineRef.current) continue;
+                lineRef.current = [...lineRef.current].slice(0, -1).join('');
+                terminal.write('\b \b');
+            } else if (char === '\x03') {
+                terminal.write('^C\r\n');
+                lineRef.current = '';
+                session.interrupt();
+            } else if (char === '\x04') {
+                if (lineRef.current) session.write(lineRef.current);
+                lineRef.current = '';
+                session.endInput();
+            } else if (char >= ' ') {
+                lineRef.current += char;
+                terminal.write(char);
+            }
+        }
+    }, []);
+
+    useEffect(() => {
+        const terminal = new Terminal({
+            convertEol: true,
+            cursorBlink: true,
+            fontSize: 13,
+            theme: TERMINAL_THEME,
+        });
+        const fitAddon = new FitAddon();
+        terminal.loadAddon(fitAddon);
+        terminal.open(containerRef.current);
+        terminal.writeln(
+            `${NOTE_COLOR}Run a program to type its input here.${RESET_COLOR}`
+        );
+        const inputListener = terminal.onData(handleInput);
+        terminalRef.current = { terminal, fitAddon };
+
+        sessionRef.current = new TerminalSession({
+            onOutput: (stream, data) =>
+                terminal.write(
+                    stream === 'stderr'
+                        ? `${STDERR_COLOR}${data}${RESET_COLOR}`
+                        : data
+                ),
+        });
+
+        const resizeObserver = new ResizeObserver(() => {
+            if (containerRef.current?.offsetWidth) fitAddon.fit();
+        });
+        resizeObserver.observe(containerRef.current);
+
+        return () => {
+            resizeObserver.disconnect();
+            inputListener.dispose();
+            sessionRef.current.close();
+            terminal.dispose();
+        };
+    }, [handleInput]);
+
+    useEffect(() => {
+        if (isVisible) terminalRef.current?.terminal.focus();
+    }, [isVisible]);
+
+    async function handleRun() {
+        const run = await onPrepareRun();
+        if (!run) return;
+
+        const { terminal } = terminalRef.current;
+        terminal.reset();
+        terminal.writeln(`${NOTE_COLOR}$ run ${run.fileName}${RESET_COLOR}`);
+        terminal.focus();
+        lineRef.current = '';
+        setIsRunning(true);
+        try {
+            // The input is typed in the terminal, not the one of the run configuration
+            const result = await sessionRef.current.start(
+                getSubmissionBody(
+                    { ...run, stdin: undefined },
+                    { base64Encoded: false }
+                ),
+                { jwt: await getUserJwt(), roomToken: getRoomToken() }
+            );
+            if (result.compileOutput) {
+                terminal.write(
+                    `${STDERR_COLOR}${result.compileOutput}${RESET_COLOR}`
+                );
+            }
+            terminal.writeln(
+                `\r\n${NOTE_COLOR}[${describeExit(result)}]${RESET_COLOR}`
+            );
+        } catch (error) {
+            terminal.writeln(
+                `\r\n${STDERR_COLOR}${getRunErrorMessage(error, 'Terminal run failed')}${RESET_COLOR}`
+            );
+        } finally {
+            setIsRunning(false);
+            queryClient.invalidateQueries({ queryKey: ['run-quota'] });
+        }
+    }
+
+    function handleInterrupt() {
+        terminalRef.current.terminal.write('^C\r\n');
+        lineRef.current = '';
+        sessionRef.current.interrupt();
+    }
+
+    return (
+        <div className="flex min-h-0 flex-1 flex-col gap-2">
+            <div className="flex items-center gap-2">
+                <button
+                    type="button"
+                    onClick={handleRun}
+                    disabled={isRunning}
+                    className="cursor-pointer rounded border border-gray-500 px-3 py-1 text-sm hover:bg-gray-300 focus:outline focus:outline-offset-2 focus:outline-blue-400 disabled:cursor-not-allowed disabled:opacity-60 dark:hover:bg-[#2b2b44]"
+                >
+                    Run in terminal
+                </button>
+                {isRunning && (
+                    <>
+                        <button
+                            type="button"
+                            onClick={handleInterrupt}
+                            className="cursor-pointer rounded border border-gray-500 px-3 py-1 text-sm hover:bg-gray-300 focus:outline focus:outline-offset-2 focus:outline-blue-400 dark:hover:bg-[#2b2b44]"
+                            title="Stop the program (Ctrl+C)"
+                        >
+                            Stop
+                        </button>
+                        <span role="status" className="flex items-center">
+                            <Spinner />
+                            <span className="sr-only">Program running</span>
+                        </span>
+                    </>
+                )}
+            </div>
+            <div
+                ref={containerRef}
+                className="min-h-24 flex-1 overflow-hidden rounded bg-[#1b1b2b] p-1"
+                aria-label="Terminal"
+            />
+        </div>
+    );
+}
+
+export default memo(TerminalPanel);
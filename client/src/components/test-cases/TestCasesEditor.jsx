@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { ID } from 'appwrite';
+
+import { Delete, Run, Save, Spinner } from '../componentsIndex';
+import { MAX_TEST_CASES } from '../../conf/judge0Config';
+
+/**
+ * Editor of the test cases of a file: named stdin and expected stdout pairs.
+ * Edits are kept as a draft until saved, running the tests uses the draft.
+ * Remount it (e.g. with a `key`) to drop the draft when another file is selected.
+ * @param {Object} props
+ * @param {Array<Object>} props.testCases Saved test cases of the file.
+ * @param {Function} props.onSave Saves the test cases.
+ * @param {Function} props.onRun Runs the file against the test cases.
+ * @param {boolean} props.isSaving Whether the test cases are being saved.
+ * @param {boolean} props.isRunning Whether code is running.
+ * @param {boolean} props.canSave Whether the test cases can be saved (a file is selected).
+ * @returns {JSX.Element} The test cases editor.
+ */
+export default function TestCasesEditor({
+    testCases,
+    onSave,
+    onRun,
+    isSaving,
+    isRunning,
+    canSave,
+}) {
+    const [draft, setDraft] = useState(testCases);
+    const [savedTestCases, setSavedTestCases] = useState(testCases);
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(testCases);
+
+    // The saved test cases were loaded or saved again, follow them unless the draft has other edits
+    if (testCases !== savedTestCases) {
+        setSavedTestCases(testCases);
+        if (JSON.stringify(draft) === JSON.stringify(savedTestCases)) {
+            setDraft(testCases);
+        }
+    }
+
+    function handleAddTestCase() {
+        setDraft((cases) => [
+            ...cases,
+            {
+                id: ID.unique(),
+                name: `Test ${cases.length + 1}`,
+                stdin: '',
+                expectedOutput: '',
+            },
+        ]);
+    }
+
+    function handleChange(id, field, value) {
+        setDraft((cases) =>
+            cases.map((testCase) =>
+                testCase.id === id ? { ...testCase, [field]: value } : testCase
+            )
+        );
+    }
+
+    function handleRemove(id) {
+        setDraft((cases) => cases.filter((testCase) => testCase.id !== id));
+    }
+
+    return (
+        <div className="flex min-h-0 flex-1 flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => onRun(draft)}
+                    disabled={isRunning || !draft.length}
+                    className="flex cursor-pointer items-center gap-1 rounded-md bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-700 focus:outline-2 focus:outline-offset-2 focus:outline-blue-600 disabled:cursor-not-allowed disabled:bg-blue-400"
+                >
+                    <Run width={1} height={1} />
+                    Run all tests
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onSave(draft)}
+                    disabled={!canSave || !isDirty || isSaving}
+                    className="flex cursor-pointer items-center gap-1 rounded-md bg-gray-300 px-3 py-1 text-sm hover:bg-gray-400/60 focus:outline-2 focus:outline-offset-2 focus:outline-gray-400 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-gray-700 dark:hover:bg-gray-600"
+                >
+                    {isSaving ? <Spinner /> : <Save width={1} height={1} />}
+                    Save tests
+                </button>
+                {isDirty && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                        Unsaved changes
+                    </span>
+                )}
+            </div>
+
+            <ul
+                className="flex min-h-0 flex-1 flex-col gap-2 overflow-auto"
+                aria-label="Test cases"
+            >
+                {draft.map((testCase) => (
+                    <li
+                        key={testCase.id}
+                        className="flex flex-col gap-1 rounded border border-gray-500 p-2"
+                    >
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={testCase.name}
+                                onChange={(event) =>
+                                    handleChange(
+                                        testCase.id,
+                                        'name',
+                                        event.target.value
+                                    )
+                                }
+                                className="flex-1 rounded bg-gray-100 px-2 py-1 text-sm font-semibold focus:ring-2 focus:ring-blue-500 focus:outline-none dark:bg-[#2b2b44]"
+                                aria-label="Test case name"
+                            />
+                            <button
+                                type="button"
+                                onClick={() => handleRemove(testCase.id)}
+                                className="cursor-pointer rounded p-1 hover:bg-red-500/30 focus:outline-2 focus:outline-red-500"
+                                aria-label={`Remove test case ${testCase.name}`}
+                                title="Remove test case"
+                            >
+                                <Delete width={1} height={1} />
+                            </button>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <textarea
+                                value={testCase.stdin}
+                                onChange={(event) =>
+                                    handleChange(
+                                        testCase.id,
+                                        'stdin',
+                                        event.target.value
+                                    )
+                                }
+                                className="h-16 rounded bg-gray-100 p-1 font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:outline-none dark:bg-[#2b2b44]"
+                                placeholder="Input (stdin)"
+                                aria-label={`Input of ${testCase.name}`}
+                            />
+                            <textarea
+                                value={testCase.expectedOutput}
+                                onChange={(event) =>
+                                    handleChange(
+                                        testCase.id,
+                                        'expectedOutput',
+                                        event.target.value
+                                    )
+                                }
+                                className="h-16 rounded bg-gray-100 p-1 font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:outline-none dark:bg-[#2b2b44]"
+                                placeholder="Expected output"
+                                aria-label={`Expected output of ${testCase.name}`}
+                            />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            <button
+                type="button"
+                onClick={handleAddTestCase}
+                disabled={draft.length >= MAX_TEST_CASES}
+                className="cursor-pointer rounded border border-dashed border-gray-500 py-1 text-sm hover:bg-gray-100 focus:outline-2 focus:outline-blue-500 disabled:cursor-not-allowed disabled:opacity-60 dark:hover:bg-[#2b2b44]"
+            >
+                {draft.length >= MAX_TEST_CASES
+                    ? `At most ${MAX_TEST_CASES} test cases`
+                    : '+ Add test case'}
+            </button>
+        </div>
+    );
+}
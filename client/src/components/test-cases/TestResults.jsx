@@ -0,0 +1,121 @@
+import { Fragment, useState } from 'react';
+
+import { judge0Verdicts } from '../../conf/judge0Config';
+import { diffLines } from '../../utils/lineDiff';
+
+const DIFF_LINE_STYLES = {
+    equal: '',
+    removed: 'bg-red-500/30',
+    added: 'bg-green-400/40',
+};
+
+const DIFF_LINE_PREFIXES = { equal: ' ', removed: '-', added: '+' };
+
+/**
+ * Diff of the expected and actual output of a test case, or its error output.
+ * @param {Object} props
+ * @param {Object} props.result The test case result.
+ * @returns {JSX.Element}
+ */
+function TestResultDetails({ result }) {
+    if (result.stderr && !result.stdout) {
+        return (
+            <pre className="rounded bg-gray-100 p-2 text-xs whitespace-pre-wrap dark:bg-[#2b2b44]">
+                {result.stderr}
+            </pre>
+        );
+    }
+
+    return (
+        <pre
+            className="rounded bg-gray-100 p-2 text-xs dark:bg-[#2b2b44]"
+            aria-label={`Diff of expected (-) and actual (+) output of ${result.name}`}
+        >
+            {diffLines(result.expectedOutput, result.stdout).map(
+                (line, index) => (
+                    <div key={index} className={DIFF_LINE_STYLES[line.type]}>
+                        {`${DIFF_LINE_PREFIXES[line.type]} ${line.text}`}
+                    </div>
+                )
+            )}
+        </pre>
+    );
+}
+
+/**
+ * Table of the results of a test suite run: verdict, time and memory per test case.
+ * A row expands to the diff of its expected and actual output.
+ * @param {Object} props
+ * @param {Array<Object>} props.results Results of the test cases.
+ * @returns {JSX.Element} The results table.
+ */
+export default function TestResults({ results }) {
+    const [expandedId, setExpandedId] = useState(
+        () => results.find((result) => !result.passed)?.id ?? null
+    );
+    const passedCount = results.filter((result) => result.passed).length;
+
+    return (
+        <div className="flex flex-col gap-2">
+            <p
+                className={`rounded-md p-2 font-bold ${passedCount === results.length ? 'bg-green-400/40' : 'bg-red-500/40'}`}
+                aria-live="polite"
+            >
+                {`${passedCount}/${results.length} tests passed`}
+            </p>
+            <table className="w-full text-left text-sm">
+                <thead>
+                    <tr className="border-b border-gray-600">
+                        <th className="p-1">Test</th>
+                        <th className="p-1">Verdict</th>
+                        <th className="p-1">Time</th>
+                        <th className="p-1">Memory</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {results.map((result) => (
+                        <Fragment key={result.id}>
+                            <tr className="border-b border-gray-600/50">
+                                <td className="p-1">
+                                    <button
+                                        type="button"
+                                        onClick={() =>
+                                            setExpandedId((id) =>
+                                                id === result.id
+                                                    ? null
+                                                    : result.id
+                                            )
+                                        }
+                                        className="cursor-pointer text-left underline-offset-2 hover:underline"
+                                        aria-expanded={expandedId === result.id}
+                                    >
+                                        {`${result.passed ? '✅' : '❌'} ${result.name}`}
+                                    </button>
+                                </td>
+                                <td className="p-1">
+                                    {judge0Verdicts[result.status.id] ??
+                                        result.status.description}
+                                </td>
+                                <td className="p-1">
+                                    {result.time ? `${result.time} s` : '-'}
+                                </td>
+                                <td className="p-1">
+                                    {result.memory
+                                        ? `${(result.memory / 1024).toFixed(3)} MB`
+                                        : '-'}
+                                </td>
+                            </tr>
+                            {expandedId === result.id && (
+                                <tr>
+                                    <td colSpan={4} className="p-1">
+                                        <TestResultDetails result={result} />
+                                    </td>
+                                </tr>
+                            )}
+                        </Fragment>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -11,12 +11,25 @@ const appwriteConfig = {
     appwriteFilesCollectionID: String(
         import.meta.env.VITE_APPWRITE_FILES_COLLECTION_ID
     ),
+    appwriteFoldersCollectionID: String(
+        import.meta.env.VITE_APPWRITE_FOLDERS_COLLECTION_ID
+    ),
+    appwriteSnapshotsCollectionID: String(
+        import.meta.env.VITE_APPWRITE_SNAPSHOTS_COLLECTION_ID
+    ),
+    appwriteTestSuitesCollectionID: String(
+        import.meta.env.VITE_APPWRITE_TEST_SUITES_COLLECTION_ID
+    ),
     appwriteChatMessagesCollectionID: String(
         import.meta.env.VITE_APPWRITE_CHAT_MESSAGES_COLLECTION_ID
     ),
     appwriteErrorLogsCollectionID: String(
         import.meta.env.VITE_APPWRITE_ERROR_LOGS_COLLECTION_ID
     ),
+    // Optional, run histories stay on the device without it
+    appwriteRunHistoryCollectionID: String(
+        import.meta.env.VITE_APPWRITE_RUN_HISTORY_COLLECTION_ID ?? ''
+    ),
     appwriteBucketID: String(import.meta.env.VITE_APPWRITE_BUCKET_ID),
 };
 
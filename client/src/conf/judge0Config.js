@@ -14,13 +14,49 @@ export const judge0Limits = {
     enable_network: false, // False for safety
 };
 
+/**
+ * Highest limits a run configuration may ask for, the maxima the execution proxy caps limits to
+ */
+export const judge0MaxLimits = {
+    cpu_time_limit: 15,
+    wall_time_limit: 20,
+    memory_limit: 512000, // 500 MB
+};
+
 /**
  * Judge0 Verdicts
  */
 export const judge0Verdicts = {
     3: `✅ Successfully executed`,
+    4: `⚠️ Wrong Answer`,
     5: `💥 Time Limit Exceeded`,
     6: `❌ Compilation Error`,
     7: `🛑 Runtime Error`,
     13: `🚫 Memory Limit Exceeded`,
+    15: `⏹️ Cancelled`,
+};
+
+/**
+ * Status of a run cancelled by the user, not a Judge0 status
+ */
+export const CANCELLED_STATUS = { id: 15, description: 'Cancelled' };
+
+/**
+ * Most test cases in a test suite, the batch size limit of Judge0
+ */
+export const MAX_TEST_CASES = 20;
+
+/**
+ * Notifications for the error codes of the execution proxy
+ */
+export const executionErrorMessages = {
+    rate_limited: '⏳ Too many runs in a short time',
+    quota_exceeded: '🚫 Your daily run quota is used up',
+    upstream_rate_limited: '⏳ Judge0 is busy, please try after some time',
+    run_not_allowed: '🔒 The room admin does not allow you to run code',
+    invalid_user_token: '🔑 Your session expired, sign in again',
+    invalid_room_token: '🔑 Your room access expired, rejoin the session',
+    terminal_unavailable:
+        '💻 The terminal needs the local runner of the server',
+    connection_lost: '🔌 Lost the connection to the terminal',
 };
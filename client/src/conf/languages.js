@@ -1,5 +1,6 @@
 /**
- * Map of supported programming languages with value and labels.
+ * Map of supported programming languages with value and labels, used until the execution backend reports its
+ * languages and when it cannot be reached.
  * @type {Object}
  */
 export const languageMap = {
@@ -13,6 +14,16 @@ export const languageMap = {
     css: { value: 'css', label: 'CSS' },
 };
 
+/**
+ * Extensions sharing the language of another extension of {@link languageMap}.
+ * @type {Object}
+ */
+export const languageExtensionAliases = {
+    mjs: 'js',
+    jsx: 'js',
+    tsx: 'ts',
+};
+
 /**
  * Map of default code snippet for supported programming languages.
  * @type {Object}
@@ -26,6 +37,24 @@ export const defaultsSnippets = {
     java: 'class Main {\n\n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n    }\n\n}',
     html: '<!DOCTYPE html>\n<html lang="en">\n<head>\n\t<meta charset="UTF-8">\n\t<meta name="viewport" content="width=device-width, initial-scale=1.0">\n\t<title>Hello</title>\n</head>\n<body>\n\t<h1>Hello, World!</h1>\n</body>\n</html>',
     css: 'body {\n    background-color: #ffffff;\n}',
+    go: 'package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello, World!")\n}',
+    rust: 'fn main() {\n    println!("Hello, World!");\n}',
+    kotlin: 'fun main() {\n    println("Hello, World!")\n}',
+    ruby: "puts 'Hello, World!'",
+    csharp: 'using System;\n\nclass Program {\n\n    static void Main() {\n        Console.WriteLine("Hello, World!");\n    }\n\n}',
+    php: '<?php\n\necho "Hello, World!\\n";',
+    swift: 'print("Hello, World!")',
+    scala: 'object Main {\n\n    def main(args: Array[String]): Unit = {\n        println("Hello, World!")\n    }\n\n}',
+    dart: "void main() {\n    print('Hello, World!');\n}",
+    lua: "print('Hello, World!')",
+    r: 'cat("Hello, World!\\n")',
+    perl: 'print "Hello, World!\\n";',
+    shell: 'echo "Hello, World!"',
+    sql: "SELECT 'Hello, World!';",
+    pascal: "program Hello;\n\nbegin\n    writeln('Hello, World!');\nend.",
+    fsharp: 'printfn "Hello, World!"',
+    elixir: 'IO.puts("Hello, World!")',
+    clojure: '(println "Hello, World!")',
 };
 
 /**
@@ -40,3 +69,93 @@ export const judge0LanguagesIds = {
     python: 71,
     typescript: 74,
 };
+
+/**
+ * Languages the editor supports when the execution backend reports them, matched against the names of its languages,
+ * e.g. `Python (3.8.1)` or `C (GCC 9.2.0)`. `value` is the Monaco language, `extensions` the file extensions using it.
+ * The newest version of the backend is used when several match, backend languages matching none are not offered.
+ * @type {Array<{value: string, label: string, extensions: string[], pattern: RegExp}>}
+ */
+export const backendLanguageDefinitions = [
+    { value: 'c', label: 'C', extensions: ['c'], pattern: /^C \(GCC/ },
+    {
+        value: 'cpp',
+        label: 'C++',
+        extensions: ['cpp'],
+        pattern: /^C\+\+ \(GCC/,
+    },
+    { value: 'csharp', label: 'C#', extensions: ['cs'], pattern: /^C# \(Mono/ },
+    {
+        value: 'clojure',
+        label: 'Clojure',
+        extensions: ['clj'],
+        pattern: /^Clojure/,
+    },
+    { value: 'dart', label: 'Dart', extensions: ['dart'], pattern: /^Dart/ },
+    {
+        value: 'elixir',
+        label: 'Elixir',
+        extensions: ['ex', 'exs'],
+        pattern: /^Elixir/,
+    },
+    { value: 'fsharp', label: 'F#', extensions: ['fs'], pattern: /^F#/ },
+    { value: 'go', label: 'Go', extensions: ['go'], pattern: /^Go \(/ },
+    { value: 'java', label: 'Java', extensions: ['java'], pattern: /^Java \(/ },
+    {
+        value: 'javascript',
+        label: 'JavaScript',
+        extensions: ['js', 'mjs', 'jsx'],
+        pattern: /^JavaScript \(Node\.js/,
+    },
+    {
+        value: 'kotlin',
+        label: 'Kotlin',
+        extensions: ['kt'],
+        pattern: /^Kotlin/,
+    },
+    { value: 'lua', label: 'Lua', extensions: ['lua'], pattern: /^Lua/ },
+    {
+        value: 'pascal',
+        label: 'Pascal',
+        extensions: ['pas'],
+        pattern: /^Pascal/,
+    },
+    { value: 'perl', label: 'Perl', extensions: ['pl'], pattern: /^Perl/ },
+    { value: 'php', label: 'PHP', extensions: ['php'], pattern: /^PHP/ },
+    {
+        value: 'python',
+        label: 'Python',
+        extensions: ['py'],
+        pattern: /^Python \(3/,
+    },
+    { value: 'r', label: 'R', extensions: ['r'], pattern: /^R \(/ },
+    { value: 'ruby', label: 'Ruby', extensions: ['rb'], pattern: /^Ruby/ },
+    { value: 'rust', label: 'Rust', extensions: ['rs'], pattern: /^Rust/ },
+    {
+        value: 'scala',
+        label: 'Scala',
+        extensions: ['scala'],
+        pattern: /^Scala/,
+    },
+    { value: 'shell', label: 'Bash', extensions: ['sh'], pattern: /^Bash/ },
+    { value: 'sql', label: 'SQL', extensions: ['sql'], pattern: /^SQL/ },
+    {
+        value: 'swift',
+        label: 'Swift',
+        extensions: ['swift'],
+        pattern: /^Swift/,
+    },
+    {
+        value: 'typescript',
+        label: 'TypeScript',
+        extensions: ['ts', 'tsx'],
+        pattern: /^TypeScript/,
+    },
+];
+
+/**
+ * Languages of {@link languageMap} the editor always offers, even when the execution backend cannot run them, as the
+ * web preview runs them in the browser.
+ * @type {string[]}
+ */
+export const previewLanguages = ['html', 'css', 'javascript'];
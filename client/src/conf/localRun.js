@@ -0,0 +1,30 @@
+/**
+ * Where the bundled Pyodide runtime is served from, see the `pyodideAssets` plugin of the Vite config
+ */
+export const PYODIDE_INDEX_URL = `${import.meta.env.BASE_URL}pyodide/`;
+
+/**
+ * Wall clock limit of a run in the browser when its run configuration sets none, in seconds
+ */
+export const LOCAL_RUN_TIMEOUT = 10;
+
+/**
+ * Most characters of output a run in the browser streams, the program keeps running but the rest is dropped
+ */
+export const MAX_LOCAL_OUTPUT_LENGTH = 1024 * 1024;
+
+/**
+ * How often a run in the browser streams its output, in ms
+ */
+export const LOCAL_OUTPUT_FLUSH_INTERVAL = 50;
+
+/**
+ * Modules that import in Pyodide but cannot work in a browser, programs using them run on Judge0
+ */
+export const BROWSER_UNSUPPORTED_PYTHON_MODULES = [
+    'multiprocessing',
+    'socket',
+    'subprocess',
+    'tkinter',
+    'turtle',
+];
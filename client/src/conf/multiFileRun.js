@@ -0,0 +1,80 @@
+/**
+ * Judge0 language ID of multi-file programs, built and run by the `compile` and `run` scripts of their files
+ */
+export const MULTI_FILE_LANGUAGE_ID = 89;
+
+/**
+ * Toolchain directories of Judge0 CE, prepended to PATH so the same commands work there and on a local runner
+ */
+export const JUDGE0_TOOLCHAIN_PATH = [
+    '/usr/local/gcc-9.2.0/bin',
+    '/usr/local/openjdk13/bin',
+    '/usr/local/python-3.8.1/bin',
+    '/usr/local/node-12.14.0/bin',
+].join(':');
+
+/**
+ * Default build and run commands of multi-file projects by language of the entry file.
+ * `{entry}` is replaced by the path of the entry file and `{entryClass}` by its Java class name.
+ * @type {Object<string, {compile: string, run: string}>}
+ */
+export const multiFileRunDefaults = {
+    c: {
+        compile: `gcc -O2 -o main $(find . -name '*.c') -lm`,
+        run: './main',
+    },
+    cpp: {
+        compile: `g++ -O2 -o main $(find . -name '*.cpp')`,
+        run: './main',
+    },
+    java: {
+        compile: `javac -d build $(find . -name '*.java')`,
+        run: 'java -cp build {entryClass}',
+    },
+    python: {
+        compile: '',
+        run: 'python3 {entry}',
+    },
+    javascript: {
+        compile: '',
+        run: 'node {entry}',
+    },
+};
+
+/**
+ * Run settings of a project without saved ones: only the selected file is run, without a run configuration.
+ * @type {{scope: 'file'|'project', entryFile: string, compile: string, run: string, configurations: Array<Object>, activeConfigurationId: string}}
+ */
+export const defaultRunSettings = {
+    scope: 'file',
+    entryFile: '', // Full path, the selected file when empty
+    compile: '', // Default of the entry file language when empty
+    run: '', // Default of the entry file language when empty
+    configurations: [], // Named run configurations, see defaultRunConfiguration
+    activeConfigurationId: '', // No configuration when empty
+};
+
+/**
+ * Most run configurations of a project
+ */
+export const MAX_RUN_CONFIGURATIONS = 10;
+
+/**
+ * A new run configuration: no compiler options, arguments or environment, the input panel as stdin and the default
+ * limits.
+ * @type {{id: string, name: string, compilerOptions: string, arguments: string, environment: string, stdinSource: 'input'|'file', stdinFile: string, limits: {cpu_time_limit: number, wall_time_limit: number, memory_limit: number}}}
+ */
+export const defaultRunConfiguration = {
+    id: '',
+    name: '',
+    compilerOptions: '', // e.g. -O2 -std=c++20, added to the build command
+    arguments: '', // Command line arguments of the program
+    environment: '', // KEY=value per line, whole project runs only
+    stdinSource: 'input', // input | file
+    stdinFile: '', // Full path of the file given as stdin
+    limits: {
+        cpu_time_limit: 3, // s
+        wall_time_limit: 6, // s
+        memory_limit: 262144, // KB
+    },
+};
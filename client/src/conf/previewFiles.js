@@ -0,0 +1,15 @@
+/**
+ * Full path of the page rendered by the live preview.
+ * @type {string}
+ */
+export const PREVIEW_ENTRY_PATH = 'index.html';
+
+/**
+ * Full paths of the stylesheet and script added to the preview page when it doesn't reference them,
+ * so the files created for web mode work without `<link>` and `<script>` tags.
+ * @type {Object}
+ */
+export const defaultPreviewAssets = {
+    css: 'style.css',
+    javascript: 'script.js',
+};
@@ -0,0 +1,22 @@
+/**
+ * Limits of a project imported from a local folder or a zip archive.
+ */
+export const importLimits = {
+    maxArchiveSize: 10 * 1024 * 1024, // 10 MB zip
+    maxFiles: 200,
+    maxFileSize: 256 * 1024, // 256 KB per file
+    maxTotalSize: 5 * 1024 * 1024, // 5 MB of source code
+};
+
+/**
+ * Name of the file storing the language of every file in an exported zip, at the root of the archive.
+ * @type {string}
+ */
+export const ARCHIVE_MANIFEST_NAME = '.bytetogether.json';
+
+/**
+ * Folders and files left out of an import, e.g. VCS metadata and dependencies.
+ * Any other file or folder starting with a dot is left out as well.
+ * @type {Array<string>}
+ */
+export const ignoredImportNames = ['__MACOSX', 'node_modules', 'Thumbs.db'];
@@ -0,0 +1,20 @@
+/**
+ * Most runs kept per project, the oldest ones are dropped first
+ */
+export const MAX_RUNS_PER_PROJECT = 25;
+
+/**
+ * Most projects whose run history is kept on this device, the least recently run ones are dropped first
+ */
+export const MAX_HISTORY_PROJECTS = 5;
+
+/**
+ * Most characters of a program (source or zipped project) and its stdin kept to rerun it, bigger runs are listed
+ * but cannot be rerun
+ */
+export const MAX_STORED_PROGRAM_LENGTH = 32 * 1024;
+
+/**
+ * Most characters of stdout and stderr kept per run
+ */
+export const MAX_STORED_OUTPUT_LENGTH = 8 * 1024;
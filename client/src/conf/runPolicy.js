@@ -0,0 +1,17 @@
+/**
+ * Who may run code in a live session: everyone, only the admin, or the admin and the selected collaborators
+ */
+export const RUN_POLICY_MODES = {
+    EVERYONE: 'everyone',
+    ADMIN: 'admin',
+    SELECTED: 'selected',
+};
+
+/**
+ * Run policy of a room until its admin changes it
+ * @type {{mode: string, allowed: Array<string>}}
+ */
+export const defaultRunPolicy = {
+    mode: RUN_POLICY_MODES.EVERYONE,
+    allowed: [], // IDs of the users, with the selected mode
+};
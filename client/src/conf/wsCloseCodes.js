@@ -0,0 +1,21 @@
+/**
+ * Custom WebSocket close codes sent by the collaboration server when it rejects a connection.
+ * Keep in sync with `WS_CLOSE_CODES` in `server/auth/roomTokens.js`.
+ */
+export const wsCloseCodes = {
+    ROOM_FULL: 4001,
+    TOKEN_MISSING: 4002,
+    TOKEN_INVALID: 4003,
+    TOKEN_EXPIRED: 4004,
+    FORBIDDEN: 4005,
+};
+
+/**
+ * Messages shown to the user for each rejection close code.
+ */
+export const wsCloseMessages = {
+    [wsCloseCodes.TOKEN_MISSING]: 'You need an invite link to join this room',
+    [wsCloseCodes.TOKEN_INVALID]: 'Your invite is invalid',
+    [wsCloseCodes.TOKEN_EXPIRED]: 'Your room access expired',
+    [wsCloseCodes.FORBIDDEN]: 'You are not allowed to join this room',
+};
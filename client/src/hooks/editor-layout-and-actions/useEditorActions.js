@@ -1,13 +1,20 @@
 import { useCallback } from 'react';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { useLocation, useNavigate } from 'react-router';
 
 import {
-    connectYjsForFile,
     disconnectAllYjs,
-    disconnectYjsForFile,
-    getOrCreateYDoc,
+    getFileYText,
+    sendRoomMessage,
+    setRoomCredentials,
 } from '../../lib/yjs';
+import {
+    createMultiFileArchive,
+    getActiveRunConfiguration,
+    getSubmissionOptions,
+} from '../../lib/multiFileRun';
+import { defaultRunSettings } from '../../conf/multiFileRun';
+import { getFilePath } from '../../utils/filePaths';
 import { getLanguageFromFileName } from '../../utils/getLanguageFromFileName';
 import { addNotification, setModalType } from '../../store/slices/uiSlice';
 import { getDefaultCodeForLanguage } from '../../utils/getDefaultCodeForLanguage';
@@ -17,8 +24,11 @@ import {
     setLanguage,
 } from '../../store/slices/editorSlice';
 import { setPreferences } from '../../store/slices/userSlice';
+import { updateRunSettings } from '../../store/slices/projectSlice';
 import { /* executeCodeFetch, */ useExecuteCode } from '../../api/judge0';
 import { getJudge0LanguageId } from '../../utils/getJudge0LanguageId';
+import { canRunInRoom } from '../../utils/canRunInRoom';
+import { startRoomSession } from '../../api/rooms';
 /* import {
     clearJudge0States,
     setIsRunning,
@@ -45,22 +55,40 @@ import { getJudge0LanguageId } from '../../utils/getJudge0LanguageId';
  * @param {React.ComponentState<boolean>} options.isYjsConnected Whether Yjs collaboration is active.
  * @param {React.SetStateAction} options.setIsSettingsOpen Setter to control settings modal visibility.
  * @param {React.SetStateAction} options.setIsShortcutsOpen Setter to control shortcuts modal visibility.
+ * @param {React.SetStateAction} options.setIsReplayOpen Setter to control session replay modal visibility.
+ * @param {React.SetStateAction} options.setIsHistoryOpen Setter to control version history modal visibility.
+ * @param {React.SetStateAction} options.setIsRunSettingsOpen Setter to control run settings modal visibility.
+ * @param {React.SetStateAction} options.setIsRunHistoryOpen Setter to control run history modal visibility.
+ * @param {Object} options.activeProject The currently active project, with its run settings.
  * @param {React.SetStateAction} options.setIsYjsConnected Setter to enable/disable Yjs collaboration.
  * @param {React.SetStateAction} options.setIsInvited Setter to mark user as invited in a session.
- * @param {React.ComponentState<Object>} options.yjsResources Contains yText, yDoc, and awareness instances.
+ * @param {React.ComponentState<Object>} options.yjsResources Contains the project yDoc, awareness and the selected file's yText.
  * @param {React.SetStateAction} options.setYjsResources Setter of Yjs resources.
- * @param {React.RefObject} options.currentConnectedFileIdRef Ref object containing current connected file id.
  * @param {string} options.username Username of the user.
+ * @param {string} options.userId ID of the signed in user, the run policy of a session names who may run by ID.
+ * @param {React.ComponentState<Object>} options.roomSession Signed room access of the current session.
+ * @param {React.SetStateAction} options.setRoomSession Setter of the room session.
  *
  * @returns {Object} Memoized Editor action handlers
  * @returns {Function} handleFileChange - Changes the selected file.
  * @returns {Function} handleFormatCode - Formats the code using Monaco's formatter.
  * @returns {Function} handleRunCode - Simulates running code using current content and input.
+ * @returns {Function} prepareRun - Builds the run of the selected file or project, null if it cannot run.
  * @returns {Function} handleSaveAllFiles - Saves all files to Appwrite (new or existing project).
  * @returns {Function} handleOpenSettings - Opens the settings modal.
  * @returns {Function} handleOpenKeyboardShortcuts - Opens the keyboard shortcuts modal.
+ * @returns {Function} handleOpenReplay - Opens the session replay modal.
+ * @returns {Function} handleOpenHistory - Opens the version history modal.
+ * @returns {Function} handleOpenRunSettings - Opens the run settings modal.
+ * @returns {Function} handleOpenRunHistory - Opens the run history modal.
  * @returns {Function} handleCloseSettings - Closes the settings modal.
  * @returns {Function} handleCloseKeyboardShortcuts - Closes the keyboard shortcuts modal.
+ * @returns {Function} handleCloseReplay - Closes the session replay modal.
+ * @returns {Function} handleCloseHistory - Closes the version history modal.
+ * @returns {Function} handleCloseRunSettings - Closes the run settings modal.
+ * @returns {Function} handleCloseRunHistory - Closes the run history modal.
+ * @returns {Function} handleSaveRunSettings - Saves the run settings of the project.
+ * @returns {Function} handleSelectRunConfiguration - Selects the run configuration used by Run.
  * @returns {Function} handleResetCode - Resets the current file content to default template.
  * @returns {Function} handleFontSizeIncrement - Increases font size (max 24).
  * @returns {Function} handleFontSizeDecrement - Decreases font size (min 10).
@@ -69,6 +97,7 @@ import { getJudge0LanguageId } from '../../utils/getJudge0LanguageId';
  * @returns {Function} handleStickyScrollChange - Toggles sticky scroll setting.
  * @returns {Function} handleTabSizeChange - Updates tab size based on dropdown.
  * @returns {Function} handleInvite - Starts or copies invite link for Yjs collaboration.
+ * @returns {Function} handleRunPolicyChange - Sets who may run code in the live session, admin only.
  */
 
 export function useEditorActions({
@@ -84,17 +113,25 @@ export function useEditorActions({
     setIsYjsConnected,
     setIsSettingsOpen,
     setIsShortcutsOpen,
+    setIsReplayOpen,
+    setIsHistoryOpen,
+    setIsRunSettingsOpen,
+    setIsRunHistoryOpen,
+    activeProject,
     isAdmin,
     yjsResources,
     setYjsResources,
-    currentConnectedFileIdRef,
     username,
+    userId,
+    roomSession,
+    setRoomSession,
 }) {
     const dispatch = useDispatch();
     const navigate = useNavigate();
     const location = useLocation();
 
     const executeCodeTanstack = useExecuteCode();
+    const { runPolicy } = useSelector((state) => state.execution);
 
     /**
      * Handles language change by updating the editor state and loading appropriate code.
@@ -146,33 +183,112 @@ export function useEditorActions({
     }, [editorRef]);
 
     /**
-     * Runs code in the editor
+     * Builds the run of the selected file or project with the active run configuration, notifying why it cannot run.
+     * @returns {Promise<Object|null>} The variables of the run mutation, null if it cannot run.
      */
-    const handleRunCode = useCallback(async () => {
+    const prepareRun = useCallback(async () => {
         try {
             if (!selectedFile?.$id) {
                 throw new Error('No file selected! Select a file first');
             }
 
-            if (language === 'html' || language === 'css') {
-                throw new Error('Invalid langauge for compilation');
+            if (
+                isYjsConnected &&
+                !canRunInRoom(runPolicy, { userId, isAdmin })
+            ) {
+                dispatch(
+                    addNotification({
+                        message:
+                            'The room admin does not allow you to run code',
+                        type: 'warn',
+                    })
+                );
+                return null;
             }
 
             const content = isYjsConnected
                 ? yjsResources.yText?.toString()
                 : codeContent;
 
+            // Current content of a file, the shared one during a live session
+            const getCurrentContent = (file) => {
+                if (file.$id === selectedFile.$id) return content || '';
+                const yText = isYjsConnected ? getFileYText(file.$id) : null;
+                return yText ? yText.toString() : file.codeContent || '';
+            };
+
+            const runSettings =
+                activeProject?.runSettings ?? defaultRunSettings;
+            const configuration = getActiveRunConfiguration(runSettings);
+            let stdin = input;
+            if (configuration?.stdinSource === 'file') {
+                const stdinFile = files.find(
+                    (file) => getFilePath(file) === configuration.stdinFile
+                );
+                if (!stdinFile) {
+                    throw new Error(
+                        `Stdin file ${configuration.stdinFile} not found, update the run configuration`
+                    );
+                }
+                stdin = getCurrentContent(stdinFile);
+            }
+
+            if (runSettings.scope === 'project') {
+                // Run the current content of every file, built and started from the entry file
+                const projectFiles = files.map((file) => ({
+                    ...file,
+                    codeContent: getCurrentContent(file),
+                }));
+                const entryFile = runSettings.entryFile
+                    ? projectFiles.find(
+                          (file) => getFilePath(file) === runSettings.entryFile
+                      )
+                    : projectFiles.find(
+                          (file) => file.$id === selectedFile.$id
+                      );
+                if (!entryFile) {
+                    throw new Error(
+                        `Entry file ${runSettings.entryFile} not found, update the run settings`
+                    );
+                }
+
+                const additionalFiles = await createMultiFileArchive({
+                    files: projectFiles,
+                    entryFile,
+                    settings: runSettings,
+                    configuration,
+                });
+                return {
+                    additionalFiles,
+                    runOptions: getSubmissionOptions(configuration, {
+                        isProjectRun: true,
+                    }),
+                    stdin,
+                    fileName: getFilePath(entryFile),
+                    languageName: entryFile.language,
+                    projectId: activeProject?.$id || 'defaultProject',
+                };
+            }
+
+            if (language === 'html' || language === 'css') {
+                throw new Error('Invalid langauge for compilation');
+            }
+
             if (!content) {
                 throw new Error('No code to execute! Write something...');
             }
 
             const languageId = getJudge0LanguageId(language);
 
-            executeCodeTanstack.mutate({
+            return {
                 language: languageId,
                 sourceCode: content,
-                stdin: input,
-            });
+                runOptions: getSubmissionOptions(configuration),
+                stdin,
+                fileName: getFilePath(selectedFile),
+                languageName: language,
+                projectId: activeProject?.$id || 'defaultProject',
+            };
         } catch (error) {
             const message = error.message;
             const type =
@@ -187,7 +303,29 @@ export function useEditorActions({
                     type,
                 })
             );
+            return null;
         }
+    }, [
+        dispatch,
+        activeProject,
+        codeContent,
+        files,
+        input,
+        isAdmin,
+        isYjsConnected,
+        language,
+        runPolicy,
+        selectedFile,
+        userId,
+        yjsResources,
+    ]);
+
+    /**
+     * Runs code in the editor
+     */
+    const handleRunCode = useCallback(async () => {
+        const run = await prepareRun();
+        if (run) executeCodeTanstack.mutate(run);
 
         /* try {
             if (!selectedFile?.$id) throw new Error('No file selected');
@@ -236,16 +374,7 @@ export function useEditorActions({
         } finally {
             dispatch(setIsRunning(false));
         } */
-    }, [
-        dispatch,
-        codeContent,
-        input,
-        isYjsConnected,
-        language,
-        selectedFile,
-        executeCodeTanstack,
-        yjsResources,
-    ]);
+    }, [prepareRun, executeCodeTanstack]);
 
     /**
      * Open Settings modal
@@ -263,6 +392,38 @@ export function useEditorActions({
         dispatch(setModalType('keyboard-shortcuts'));
     }, [dispatch, setIsShortcutsOpen]);
 
+    /**
+     * Open Session replay modal
+     */
+    const handleOpenReplay = useCallback(() => {
+        setIsReplayOpen(true);
+        dispatch(setModalType('replay'));
+    }, [dispatch, setIsReplayOpen]);
+
+    /**
+     * Open Version history modal
+     */
+    const handleOpenHistory = useCallback(() => {
+        setIsHistoryOpen(true);
+        dispatch(setModalType('version-history'));
+    }, [dispatch, setIsHistoryOpen]);
+
+    /**
+     * Open Run settings modal
+     */
+    const handleOpenRunSettings = useCallback(() => {
+        setIsRunSettingsOpen(true);
+        dispatch(setModalType('run-settings'));
+    }, [dispatch, setIsRunSettingsOpen]);
+
+    /**
+     * Open Run history modal
+     */
+    const handleOpenRunHistory = useCallback(() => {
+        setIsRunHistoryOpen(true);
+        dispatch(setModalType('run-history'));
+    }, [dispatch, setIsRunHistoryOpen]);
+
     /**
      * Close Settings modal
      */
@@ -279,6 +440,119 @@ export function useEditorActions({
         dispatch(setModalType(null));
     }, [dispatch, setIsShortcutsOpen]);
 
+    /**
+     * Close Session replay modal
+     */
+    const handleCloseReplay = useCallback(() => {
+        setIsReplayOpen(false);
+        dispatch(setModalType(null));
+    }, [dispatch, setIsReplayOpen]);
+
+    /**
+     * Close Version history modal
+     */
+    const handleCloseHistory = useCallback(() => {
+        setIsHistoryOpen(false);
+        dispatch(setModalType(null));
+    }, [dispatch, setIsHistoryOpen]);
+
+    /**
+     * Close Run settings modal
+     */
+    const handleCloseRunSettings = useCallback(() => {
+        setIsRunSettingsOpen(false);
+        dispatch(setModalType(null));
+    }, [dispatch, setIsRunSettingsOpen]);
+
+    /**
+     * Close Run history modal
+     */
+    const handleCloseRunHistory = useCallback(() => {
+        setIsRunHistoryOpen(false);
+        dispatch(setModalType(null));
+    }, [dispatch, setIsRunHistoryOpen]);
+
+    /**
+     * Saves the run settings with the project and closes the modal
+     * @param {Object} runSettings - The new run settings.
+     */
+    const handleSaveRunSettings = useCallback(
+        async (runSettings) => {
+            if (!activeProject?.$id) {
+                dispatch(
+                    addNotification({
+                        message: 'Save the project first',
+                        type: 'warn',
+                    })
+                );
+                return;
+            }
+
+            try {
+                await dispatch(
+                    updateRunSettings({
+                        projectId: activeProject.$id,
+                        runSettings,
+                    })
+                ).unwrap();
+
+                dispatch(
+                    addNotification({
+                        message: 'Run settings saved',
+                        type: 'success',
+                    })
+                );
+                handleCloseRunSettings();
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: `Failed to save run settings with error: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [activeProject, dispatch, handleCloseRunSettings]
+    );
+
+    /**
+     * Selects the run configuration of the project used by Run, saved with the project
+     */
+    const handleSelectRunConfiguration = useCallback(
+        async (activeConfigurationId) => {
+            if (!activeProject?.$id) {
+                dispatch(
+                    addNotification({
+                        message: 'Save the project first',
+                        type: 'warn',
+                    })
+                );
+                return;
+            }
+
+            try {
+                await dispatch(
+                    updateRunSettings({
+                        projectId: activeProject.$id,
+                        runSettings: {
+                            ...(activeProject.runSettings ??
+                                defaultRunSettings),
+                            activeConfigurationId,
+                        },
+                    })
+                ).unwrap();
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: `Failed to select the run configuration with error: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [activeProject, dispatch]
+    );
+
     /**
      * Reset code to language defualt
      */
@@ -288,15 +562,13 @@ export function useEditorActions({
                 throw new Error(`No file selected! Select a file first`);
             }
 
-            const { yText } = getOrCreateYDoc(
-                selectedFile.$id,
-                username,
-                isAdmin
-            );
+            const { yText } = yjsResources;
             const defaultCode = getDefaultCodeForLanguage(language);
-            if (yjsResources.yText && isYjsConnected) {
-                yText.delete(0, yText.length);
-                yText.insert(0, defaultCode);
+            if (yText && isYjsConnected) {
+                yText.doc.transact(() => {
+                    yText.delete(0, yText.length);
+                    yText.insert(0, defaultCode);
+                });
             }
             dispatch(setCodeContent(defaultCode));
         } catch (error) {
@@ -313,15 +585,7 @@ export function useEditorActions({
                 })
             );
         }
-    }, [
-        dispatch,
-        isAdmin,
-        isYjsConnected,
-        language,
-        selectedFile,
-        username,
-        yjsResources,
-    ]);
+    }, [dispatch, isYjsConnected, language, selectedFile, yjsResources]);
 
     /**
      * Handler for font size increment
@@ -394,7 +658,7 @@ export function useEditorActions({
     /**
      * Invite and open WebSocket connection
      */
-    const handleInvite = useCallback(() => {
+    const handleInvite = useCallback(async () => {
         //TODO Enable this for prod
         /* if (!projectId) {
             dispatch(
@@ -429,13 +693,30 @@ export function useEditorActions({
                 return;
             }
 
-            setIsYjsConnected(true);
             const currentProjectId = projectId || 'bytetogether'; // Fallback to default
 
-            // Connect Yjs for the current room
-            connectYjsForFile(selectedFile.$id);
+            // Start the session once to get a signed admin token and the invite key for collaborators
+            let session = roomSession;
+            if (!session?.token) {
+                // Resumes the active session of the project after a reload
+                const { token, expiresIn, role, ownerKey, inviteKey } =
+                    await startRoomSession({ room: currentProjectId });
+                session = {
+                    room: currentProjectId,
+                    key: ownerKey,
+                    inviteKey,
+                    token,
+                    expiresIn,
+                    role,
+                };
+                setRoomCredentials({ room: currentProjectId, token });
+                setRoomSession(session);
+            }
 
-            const inviteUrl = `${window.location.origin}${window.location.pathname}?invite=true&admin=${!isAdmin}&room=${currentProjectId}`;
+            // useRealTimeSync connects to the project room once the token is set
+            setIsYjsConnected(true);
+
+            const inviteUrl = `${window.location.origin}${window.location.pathname}?invite=true&room=${encodeURIComponent(session.room)}&key=${encodeURIComponent(session.inviteKey)}`;
 
             window.navigator.clipboard.writeText(inviteUrl);
 
@@ -453,7 +734,35 @@ export function useEditorActions({
                 })
             );
         }
-    }, [isAdmin, setIsYjsConnected, projectId, selectedFile, dispatch]);
+    }, [
+        isAdmin,
+        setIsYjsConnected,
+        projectId,
+        selectedFile,
+        dispatch,
+        roomSession,
+        setRoomSession,
+    ]);
+
+    /**
+     * Sets who may run code in the live session, the server shares it with the room
+     * @param {{mode: string, allowed: Array<string>}} policy - The new run policy.
+     */
+    const handleRunPolicyChange = useCallback(
+        (policy) => {
+            if (!isAdmin) return;
+            if (!sendRoomMessage({ type: 'run-policy', policy })) {
+                dispatch(
+                    addNotification({
+                        message:
+                            'Not connected to the room, try again once connected',
+                        type: 'warn',
+                    })
+                );
+            }
+        },
+        [dispatch, isAdmin]
+    );
 
     const handleEndRoom = useCallback(() => {
         if (yjsResources.wsProvider) {
@@ -462,13 +771,12 @@ export function useEditorActions({
                     yjsResources.wsProvider?.ws?.send(
                         JSON.stringify({
                             type: 'end-room',
-                            //TODO replace this with projectId
-                            room: `bytetogether-${currentConnectedFileIdRef.current}`,
+                            room: yjsResources.wsProvider.roomname,
                             clientId: yjsResources.yDoc?.clientID,
                             username,
                         })
                     );
-                    disconnectAllYjs();
+                    disconnectAllYjs({ clearLocalState: true });
                     dispatch(
                         addNotification({
                             message:
@@ -481,13 +789,12 @@ export function useEditorActions({
                     yjsResources.wsProvider?.ws?.send(
                         JSON.stringify({
                             type: 'client-left',
-                            //TODO replace this with projectId
-                            room: `bytetogether-${currentConnectedFileIdRef.current}`,
+                            room: yjsResources.wsProvider.roomname,
                             clientId: yjsResources.yDoc?.clientID,
                             username,
                         })
                     );
-                    disconnectYjsForFile(currentConnectedFileIdRef?.current);
+                    disconnectAllYjs();
                     dispatch(
                         addNotification({
                             message: '✅ Left room successfully',
@@ -502,7 +809,9 @@ export function useEditorActions({
                     yText: null,
                     awareness: null,
                     wsProvider: null,
+                    fileId: null,
                 });
+                setRoomSession(null);
                 setIsYjsConnected(false);
                 // Notify clients or clean up state
 
@@ -521,13 +830,13 @@ export function useEditorActions({
             }
         }
     }, [
-        currentConnectedFileIdRef,
         dispatch,
         isAdmin,
         location,
         navigate,
         setIsYjsConnected,
         setYjsResources,
+        setRoomSession,
         username,
         yjsResources.wsProvider,
         yjsResources.yDoc,
@@ -537,10 +846,21 @@ export function useEditorActions({
         handleLanguageChange,
         handleFormatCode,
         handleRunCode,
+        prepareRun,
         handleOpenSettings,
         handleOpenKeyboardShortcuts,
+        handleOpenReplay,
+        handleOpenHistory,
+        handleOpenRunSettings,
+        handleOpenRunHistory,
         handleCloseSettings,
         handleCloseKeyboardShortcuts,
+        handleCloseReplay,
+        handleCloseHistory,
+        handleCloseRunSettings,
+        handleCloseRunHistory,
+        handleSaveRunSettings,
+        handleSelectRunConfiguration,
         handleResetCode,
         handleFontSizeIncrement,
         handleFontSizeDecrement,
@@ -550,5 +870,6 @@ export function useEditorActions({
         handleTabSizeChange,
         handleInvite,
         handleEndRoom,
+        handleRunPolicyChange,
     };
 }
@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import {
+    pruneEditorTabs,
+    selectTab,
+    setSelectedFile,
+    setTabLayout,
+} from '../../store/slices/editorSlice';
+import { updateFile } from '../../store/slices/filesSlice';
+import { getActivePane, pruneTabs } from '../../lib/tabLayout';
+import { getTabLayout, saveTabLayout } from '../../utils/tabLayoutState';
+
+/**
+ * Custom hook keeping the editor tabs in step with the project: restores the tabs a user left open in the project,
+ * stores them as they change, closes the tabs of deleted files and selects the file shown in the active pane.
+ * @param {Object} options
+ * @param {Array} options.files List of all files in the current project.
+ * @param {Object|null} options.selectedFile The selected file.
+ * @param {import('../../lib/tabLayout').TabLayout} options.tabLayout The editor panes and their tabs.
+ * @param {Object|null} options.activeProject The open project.
+ */
+export function useEditorTabs({
+    files,
+    selectedFile,
+    tabLayout,
+    activeProject,
+}) {
+    const dispatch = useDispatch();
+    const { user } = useSelector((state) => state.auth);
+    const userId = user?.$id || 'guest';
+    const projectId = activeProject?.$id || 'defaultProject';
+    const restoredLayoutKeyRef = useRef(null); // User and project whose stored layout was restored
+    const isRestoringRef = useRef(false); // Whether the stored layout is applied on the next render
+
+    const layoutKey = `${userId}:${projectId}`;
+    const { activePaneId } = tabLayout;
+    const activeFileId = getActivePane(tabLayout).activeFileId;
+
+    // Restore the stored layout once the files of the project are loaded, they may still be those of the last one
+    useEffect(() => {
+        if (restoredLayoutKeyRef.current === layoutKey || !files.length) {
+            return;
+        }
+
+        const storedLayout = getTabLayout(userId, projectId);
+        if (!storedLayout) {
+            restoredLayoutKeyRef.current = layoutKey;
+            return;
+        }
+        const layout = pruneTabs(
+            storedLayout,
+            files.map((file) => file.$id)
+        );
+        if (getActivePane(layout).activeFileId) {
+            dispatch(setTabLayout(layout));
+            restoredLayoutKeyRef.current = layoutKey;
+            isRestoringRef.current = true;
+        }
+    }, [dispatch, files, layoutKey, projectId, userId]);
+
+    // Store the layout of the project as tabs are opened, moved and closed
+    useEffect(() => {
+        if (restoredLayoutKeyRef.current !== layoutKey) return;
+        saveTabLayout(userId, projectId, tabLayout);
+    }, [layoutKey, projectId, tabLayout, userId]);
+
+    // Close the tabs of deleted files
+    useEffect(() => {
+        if (!files.length) return;
+        dispatch(pruneEditorTabs(files.map((file) => file.$id)));
+    }, [dispatch, files]);
+
+    // The selected file is the one shown in the active pane
+    useEffect(() => {
+        // The tabs of this render are replaced by the restored ones
+        if (isRestoringRef.current) {
+            isRestoringRef.current = false;
+            return;
+        }
+        if (!files.length) return;
+
+        const activeFile = files.find((file) => file.$id === activeFileId);
+        const isSelectedFileInProject = files.some(
+            (file) => file.$id === selectedFile?.$id
+        );
+        if (activeFile) {
+            if (activeFile.$id === selectedFile?.$id) return;
+
+            // Keep the edits of the file shown before
+            if (isSelectedFileInProject) dispatch(updateFile(selectedFile));
+            dispatch(setSelectedFile(activeFile));
+        } else if (isSelectedFileInProject) {
+            dispatch(
+                selectTab({ paneId: activePaneId, fileId: selectedFile.$id })
+            );
+        } else {
+            dispatch(setSelectedFile(files[0]));
+        }
+    }, [activeFileId, activePaneId, dispatch, files, selectedFile]);
+}
@@ -3,25 +3,26 @@ import { useDispatch } from 'react-redux';
 import { ID } from 'appwrite';
 
 import { setSelectedFile } from '../../store/slices/editorSlice';
-import { getOrCreateYDoc } from '../../lib/yjs';
+import { getFileYText } from '../../lib/yjs';
 import {
     saveAllFilesForNewProject,
     setFiles,
+    setFolders,
     updateAllFilesForExistingProject,
 } from '../../store/slices/filesSlice';
+import { createAutomaticSnapshot } from '../../store/slices/snapshotsSlice';
 import { addNotification } from '../../store/slices/uiSlice';
 import { getDefaultCodeForLanguage } from '../../utils/getDefaultCodeForLanguage';
-import { setCss, setHtml, setJs } from '../../store/slices/previewSlice';
 
 export function useFileActions({
     files,
     profile,
-    isAdmin,
     selectedFile,
     isYjsConnected,
     // isNewProject,
     activeProject,
     setIsFileExplorerOpen,
+    setIsSearchPanelOpen,
 }) {
     const dispatch = useDispatch();
 
@@ -40,23 +41,25 @@ export function useFileActions({
         setIsFileExplorerOpen((prev) => !prev);
     }, [setIsFileExplorerOpen]);
 
+    /**
+     * Toggle the project-wide search
+     */
+    const toggleSearchPanel = useCallback(() => {
+        setIsSearchPanelOpen((prev) => !prev);
+    }, [setIsSearchPanelOpen]);
+
     /**
      * Saves the current file content and metadata to Appwrite.
      */
     const handleSaveAllFiles = useCallback(async () => {
         try {
             const filesToSave = files.map((file) => {
-                const { yText } = getOrCreateYDoc(
-                    file.$id,
-                    profile?.username,
-                    isAdmin
-                );
+                const yText = isYjsConnected ? getFileYText(file.$id) : null;
                 return {
                     ...file,
-                    codeContent:
-                        file.$id === selectedFile?.$id && isYjsConnected
-                            ? yText.toString()
-                            : file.codeContent || '', // Save yText content for selected file
+                    codeContent: yText
+                        ? yText.toString()
+                        : file.codeContent || '', // Save shared content while collaborating
                 };
             });
 
@@ -64,6 +67,15 @@ export function useFileActions({
                 updateAllFilesForExistingProject(filesToSave)
             ).unwrap();
 
+            // Keep the saved states in the version history, a failed snapshot doesn't fail the save
+            dispatch(
+                createAutomaticSnapshot({
+                    projectId: activeProject?.$id || 'defaultProject',
+                    name: 'Save All',
+                    files: filesToSave,
+                })
+            );
+
             /* if (isNewProject) {
                 await dispatch(
                     saveAllFilesForNewProject({
@@ -98,12 +110,9 @@ export function useFileActions({
     }, [
         dispatch,
         files,
-        isAdmin,
         // isNewProject,
         isYjsConnected,
-        selectedFile,
-        profile,
-        // activeProject,
+        activeProject,
     ]);
 
     const setFilesForWebMode = useCallback(async () => {
@@ -117,6 +126,7 @@ export function useFileActions({
                     $id: ID.unique(),
                     projectId: activeProject?.$id || 'defaultProject',
                     fileName: 'index.html',
+                    folderPath: '',
                     language: 'html',
                     codeContent: defaultHtmlCode,
                     ownerId: profile?.$id,
@@ -125,6 +135,7 @@ export function useFileActions({
                     $id: ID.unique(),
                     projectId: activeProject?.$id || 'defaultProject',
                     fileName: 'style.css',
+                    folderPath: '',
                     language: 'css',
                     codeContent: defaultCssCode,
                     ownerId: profile?.$id,
@@ -133,6 +144,7 @@ export function useFileActions({
                     $id: ID.unique(),
                     projectId: activeProject?.$id || 'defaultProject',
                     fileName: 'script.js',
+                    folderPath: '',
                     language: 'javascript',
                     codeContent: defaultJsCode,
                     ownerId: profile?.$id,
@@ -140,9 +152,7 @@ export function useFileActions({
             ];
 
             dispatch(setFiles(webModeFiles));
-            dispatch(setHtml(defaultHtmlCode));
-            dispatch(setCss(defaultCssCode));
-            dispatch(setJs(defaultJsCode));
+            dispatch(setFolders([]));
 
             await dispatch(
                 saveAllFilesForNewProject({
@@ -165,6 +175,7 @@ export function useFileActions({
     return {
         handleSaveAllFiles,
         toggleFileExplorer,
+        toggleSearchPanel,
         setFilesForWebMode,
     };
 }
@@ -0,0 +1,48 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { useBackendLanguages } from '../../api/judge0';
+import {
+    buildLanguageCatalogue,
+    getLanguageCatalogue,
+    setLanguageCatalogue,
+    subscribeToLanguageCatalogue,
+} from '../../lib/languageCatalogue';
+import { setLanguage } from '../../store/slices/editorSlice';
+import { getLanguageFromFileName } from '../../utils/getLanguageFromFileName';
+
+/**
+ * Custom hook for the languages of the editor, those the execution backend reports or the offline fallback until
+ * they load or when the backend cannot be reached.
+ * Once the backend languages load, the language of the open file is detected again, e.g. a Go file opened before
+ * is highlighted as Go instead of plain text.
+ *
+ * @returns {import('../../lib/languageCatalogue').LanguageCatalogue} The language catalogue in use.
+ */
+export function useLanguageCatalogue() {
+    const dispatch = useDispatch();
+    const selectedFileName = useSelector(
+        (state) => state.editor.selectedFile?.fileName
+    );
+    const { data: backendLanguages } = useBackendLanguages();
+    const catalogue = useSyncExternalStore(
+        subscribeToLanguageCatalogue,
+        getLanguageCatalogue
+    );
+
+    useEffect(() => {
+        if (backendLanguages) {
+            setLanguageCatalogue(buildLanguageCatalogue(backendLanguages));
+        }
+    }, [backendLanguages]);
+
+    useEffect(() => {
+        if (selectedFileName) {
+            dispatch(setLanguage(getLanguageFromFileName(selectedFileName)));
+        }
+        // Only when the catalogue changes, the selected file sets its language itself
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [catalogue, dispatch]);
+
+    return catalogue;
+}
@@ -0,0 +1,214 @@
+import { useCallback, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { ID } from 'appwrite';
+
+import { getFileYText, upsertYFile } from '../../lib/yjs';
+import { createProjectZip, readImportFiles } from '../../lib/projectArchive';
+import { setSelectedFile } from '../../store/slices/editorSlice';
+import {
+    createFileDB,
+    createFolderDB,
+    saveAllFilesForNewProject,
+} from '../../store/slices/filesSlice';
+import { addNotification } from '../../store/slices/uiSlice';
+import {
+    getFilePath,
+    getFolderPaths,
+    isPathTaken,
+    isWithinFolder,
+} from '../../utils/filePaths';
+
+// Skipped files listed in the import notification, the rest are counted
+const MAX_LISTED_SKIPPED = 3;
+
+/**
+ * Describes the files left out of an import.
+ * @param {Array<{path: string, reason: string}>} skipped
+ * @returns {string}
+ */
+function describeSkipped(skipped) {
+    const listed = skipped
+        .slice(0, MAX_LISTED_SKIPPED)
+        .map(({ path, reason }) => `${path} (${reason})`);
+    const others = skipped.length - listed.length;
+    return `${listed.join(', ')}${others > 0 ? ` and ${others} more` : ''}`;
+}
+
+/**
+ * Custom hook to import a project from a local folder or a zip, and to export it as a zip.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.files List of files in the project.
+ * @param {Array<Object>} options.folders List of folders in the project.
+ * @param {Object} options.selectedFile Currently selected file.
+ * @param {React.ComponentState<boolean>} options.isYjsConnected Whether Yjs collaboration is active.
+ * @param {Object} options.activeProject The currently active project.
+ *
+ * @returns {Object} Memoized import and export handlers
+ * @returns {Function} handleImportProject - Adds the files of a folder or a zip to the project.
+ * @returns {Function} handleExportProject - Downloads the project as a zip.
+ * @returns {boolean} isImporting - Whether an import is in progress.
+ */
+export function useProjectArchive({
+    files,
+    folders,
+    selectedFile,
+    isYjsConnected,
+    activeProject,
+}) {
+    const dispatch = useDispatch();
+    const [isImporting, setIsImporting] = useState(false);
+    const projectId = activeProject?.$id || 'defaultProject';
+
+    /**
+     * Adds the files of a folder or a zip to the project, skipping paths that already exist
+     * @param {Promise<Array<Object>>|Array<Object>} sources Entries of the archive or the dropped items.
+     */
+    const handleImportProject = useCallback(
+        async (sources) => {
+            setIsImporting(true);
+            try {
+                const imported = await readImportFiles(await sources);
+                const skipped = [...imported.skipped];
+
+                const newFiles = [];
+                imported.files.forEach((file) => {
+                    const path = getFilePath(file);
+                    if (isPathTaken({ files, folders }, path)) {
+                        skipped.push({ path, reason: 'already exists' });
+                    } else {
+                        newFiles.push({ ...file, $id: ID.unique(), projectId });
+                    }
+                });
+
+                // Folders holding imported files exist through their paths, only empty ones are created
+                const knownFolders = new Set(
+                    getFolderPaths({
+                        files: [...files, ...newFiles],
+                        folders,
+                    }).map((path) => path.toLowerCase())
+                );
+                const emptyFolders = imported.folders.filter(
+                    (path) =>
+                        !knownFolders.has(path.toLowerCase()) &&
+                        !imported.folders.some(
+                            (other) =>
+                                other !== path && isWithinFolder(other, path)
+                        )
+                );
+
+                if (!newFiles.length && !emptyFolders.length) {
+                    dispatch(
+                        addNotification({
+                            message: skipped.length
+                                ? `Nothing imported, skipped ${describeSkipped(skipped)}`
+                                : 'Nothing to import',
+                            type: 'warn',
+                        })
+                    );
+                    return;
+                }
+
+                let createdFiles = newFiles;
+                if (!files.length) {
+                    await dispatch(
+                        saveAllFilesForNewProject({
+                            projectId,
+                            files: newFiles,
+                        })
+                    ).unwrap();
+                } else {
+                    const results = await Promise.allSettled(
+                        newFiles.map((file) =>
+                            dispatch(
+                                createFileDB({ ...file, documentId: file.$id })
+                            ).unwrap()
+                        )
+                    );
+                    createdFiles = newFiles.filter((file, index) => {
+                        if (results[index].status === 'fulfilled') return true;
+                        skipped.push({
+                            path: getFilePath(file),
+                            reason: String(results[index].reason),
+                        });
+                        return false;
+                    });
+                }
+                await Promise.allSettled(
+                    emptyFolders.map((path) =>
+                        dispatch(createFolderDB({ projectId, path })).unwrap()
+                    )
+                );
+
+                createdFiles.forEach((file) => upsertYFile(file)); // Share them with collaborators
+                if (createdFiles.length) {
+                    dispatch(setSelectedFile(createdFiles[0]));
+                }
+
+                dispatch(
+                    addNotification({
+                        message: `Imported ${createdFiles.length} ${createdFiles.length === 1 ? 'file' : 'files'}${
+                            skipped.length
+                                ? `, skipped ${describeSkipped(skipped)}`
+                                : ''
+                        }`,
+                        type: skipped.length ? 'warn' : 'success',
+                    })
+                );
+            } catch (error) {
+                console.error(error);
+
+                dispatch(
+                    addNotification({
+                        message: `Failed to import: ${error.message || error}`,
+                        type: 'error',
+                    })
+                );
+            } finally {
+                setIsImporting(false);
+            }
+        },
+        [dispatch, files, folders, projectId]
+    );
+
+    /**
+     * Downloads the project as a zip, with the shared content while collaborating
+     */
+    const handleExportProject = useCallback(async () => {
+        try {
+            const currentFiles = files.map((file) => {
+                const yText = isYjsConnected ? getFileYText(file.$id) : null;
+                if (yText) return { ...file, codeContent: yText.toString() };
+                return file.$id === selectedFile?.$id
+                    ? { ...file, codeContent: selectedFile.codeContent }
+                    : file;
+            });
+            const blob = await createProjectZip({
+                files: currentFiles,
+                folders,
+            });
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${(activeProject?.name || 'bytetogether-project').replace(/[^\w.-]+/g, '-')}.zip`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error(error);
+
+            dispatch(
+                addNotification({
+                    message: `Failed to export project: ${error.message || error}`,
+                    type: 'error',
+                })
+            );
+        }
+    }, [activeProject, dispatch, files, folders, isYjsConnected, selectedFile]);
+
+    return {
+        handleImportProject,
+        handleExportProject,
+        isImporting,
+    };
+}
@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+
+import { editYFileContents, FILES_MAP_NAME, getFileYText } from '../../lib/yjs';
+import {
+    replaceMatches,
+    searchFiles,
+    SearchQueryError,
+} from '../../lib/projectSearch';
+import {
+    setCodeContent,
+    setSelectedFileContent,
+} from '../../store/slices/editorSlice';
+import { markFileUnsaved, updateFile } from '../../store/slices/filesSlice';
+import { addNotification } from '../../store/slices/uiSlice';
+import { getFilePath } from '../../utils/filePaths';
+import { useDebounce } from '../useDebounce';
+
+const emptySearch = { results: [], matchCount: 0, isLimitReached: false };
+
+/**
+ * Custom hook searching every file of the project and replacing the matches. While collaborating the shared content
+ * of the files is searched, and replaced range by range so the edits of collaborators are kept.
+ *
+ * @param {Object} options
+ * @param {import('../../lib/projectSearch').SearchOptions} options.searchOptions The query and its filters.
+ * @param {string} options.replacement Text replacing the matches.
+ * @param {Array<Object>} options.files List of files in the project.
+ * @param {Object|null} options.selectedFile The selected file.
+ * @param {string} options.codeContent Content of the selected file.
+ * @param {boolean} options.isYjsConnected Whether Yjs collaboration is active.
+ * @param {Object} options.yjsResources Contains the project yDoc.
+ *
+ * @returns {Object}
+ * @returns {Object} search - The files with matches, their match count and whether the match limit was reached.
+ * @returns {string|null} error - Why the query can't be searched, e.g. an invalid regex.
+ * @returns {Function} handleReplaceAll - Replaces every match of the query in the project.
+ */
+export function useProjectSearch({
+    searchOptions,
+    replacement,
+    files,
+    selectedFile,
+    codeContent,
+    isYjsConnected,
+    yjsResources,
+}) {
+    const dispatch = useDispatch();
+    const [search, setSearch] = useState(emptySearch);
+    const [error, setError] = useState(null);
+    const [sharedRevision, setSharedRevision] = useState(0); // Counts edits of the shared files to search them again
+    const { yDoc } = yjsResources;
+
+    const handleSharedFilesChange = useDebounce(() => {
+        setSharedRevision((revision) => revision + 1);
+    }, 300);
+
+    /**
+     * Reads the current content of every file, shared content while collaborating.
+     * @returns {Array<import('../../lib/projectSearch').SearchableFile>}
+     */
+    const getSearchableFiles = useCallback(
+        () =>
+            files.map((file) => {
+                const yText = isYjsConnected ? getFileYText(file.$id) : null;
+                let content = file.codeContent || '';
+                if (yText) {
+                    content = yText.toString();
+                } else if (file.$id === selectedFile?.$id) {
+                    content = codeContent;
+                }
+                return { fileId: file.$id, path: getFilePath(file), content };
+            }),
+        [codeContent, files, isYjsConnected, selectedFile?.$id]
+    );
+
+    // Search again as collaborators edit the files
+    useEffect(() => {
+        if (!isYjsConnected || !yDoc) return;
+
+        const yFiles = yDoc.getMap(FILES_MAP_NAME);
+        yFiles.observeDeep(handleSharedFilesChange);
+        return () => yFiles.unobserveDeep(handleSharedFilesChange);
+    }, [handleSharedFilesChange, isYjsConnected, yDoc]);
+
+    useEffect(() => {
+        try {
+            setSearch(
+                searchFiles(getSearchableFiles(), searchOptions, {
+                    replacement,
+                })
+            );
+            setError(null);
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            setSearch(emptySearch);
+            setError(error.message);
+        }
+    }, [getSearchableFiles, replacement, searchOptions, sharedRevision]);
+
+    /**
+     * Replaces every match of the query, found again in the current content of the files.
+     */
+    const handleReplaceAll = useCallback(() => {
+        const searchableFiles = getSearchableFiles();
+        let replaced;
+        try {
+            replaced = searchFiles(searchableFiles, searchOptions, {
+                replacement,
+                maxMatches: Infinity,
+            });
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            setError(error.message);
+            return;
+        }
+        const { results, matchCount } = replaced;
+        if (!matchCount) return;
+
+        if (isYjsConnected && yDoc) {
+            // Unsaved markers follow from the observer of the shared files
+            editYFileContents(
+                results.map(({ fileId, matches }) => ({
+                    fileId,
+                    edits: matches.map(({ index, length, replacement }) => ({
+                        index,
+                        length,
+                        text: replacement,
+                    })),
+                }))
+            );
+        } else {
+            results.forEach(({ fileId, matches }) => {
+                const { content } = searchableFiles.find(
+                    (file) => file.fileId === fileId
+                );
+                const newContent = replaceMatches(content, matches);
+                if (fileId === selectedFile?.$id) {
+                    dispatch(setCodeContent(newContent));
+                    dispatch(setSelectedFileContent(newContent));
+                } else {
+                    const file = files.find(({ $id }) => $id === fileId);
+                    dispatch(updateFile({ ...file, codeContent: newContent }));
+                }
+                dispatch(markFileUnsaved(fileId));
+            });
+        }
+
+        dispatch(
+            addNotification({
+                message: `Replaced ${matchCount} ${matchCount === 1 ? 'match' : 'matches'} in ${results.length} ${results.length === 1 ? 'file' : 'files'}`,
+                type: 'success',
+            })
+        );
+    }, [
+        dispatch,
+        files,
+        getSearchableFiles,
+        isYjsConnected,
+        replacement,
+        searchOptions,
+        selectedFile?.$id,
+        yDoc,
+    ]);
+
+    return { search, error, handleReplaceAll };
+}
@@ -0,0 +1,143 @@
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { useExecuteCode } from '../../api/judge0';
+import appwriteConfig from '../../conf/appwriteConfig';
+import {
+    clearRunHistory,
+    deleteRunFromHistory,
+    fetchRunHistory,
+    setRunHistorySyncEnabled,
+} from '../../store/slices/runHistorySlice';
+import { addNotification } from '../../store/slices/uiSlice';
+import { canRunInRoom } from '../../utils/canRunInRoom';
+
+const NO_RUNS = [];
+
+/**
+ * Custom hook for the run history of a project: listing, rerunning and deleting its past runs.
+ *
+ * @param {Object} options
+ * @param {Object} options.activeProject The currently active project.
+ * @param {React.ComponentState<boolean>} options.isYjsConnected Whether Yjs collaboration is active.
+ * @param {React.ComponentState<boolean>} options.isAdmin Whether the user is the admin of the session.
+ * @param {string} options.userId ID of the signed in user, the run policy of a session names who may run by ID.
+ *
+ * @returns {Object} Memoized run history handlers
+ * @returns {Array<Object>} runs - Runs of the project, the newest first.
+ * @returns {boolean} canSyncRunHistory - Whether runs can be synced to Appwrite.
+ * @returns {Function} handleLoadRunHistory - Fetches the runs synced to Appwrite.
+ * @returns {Function} handleRerun - Runs the program and stdin of a past run again.
+ * @returns {Function} handleDeleteRun - Deletes a run from the history.
+ * @returns {Function} handleClearRunHistory - Deletes every run of the project.
+ * @returns {Function} handleRunHistorySyncChange - Turns syncing new runs to Appwrite on or off.
+ */
+export function useRunHistory({
+    activeProject,
+    isYjsConnected,
+    isAdmin,
+    userId,
+}) {
+    const dispatch = useDispatch();
+    const projectId = activeProject?.$id || 'defaultProject';
+    const runs =
+        useSelector((state) => state.runHistory.runs[projectId]) ?? NO_RUNS;
+    const { runPolicy } = useSelector((state) => state.execution);
+    const executeCode = useExecuteCode();
+
+    /**
+     * Fetches the runs synced to Appwrite, a no-op when syncing is off
+     */
+    const handleLoadRunHistory = useCallback(() => {
+        dispatch(fetchRunHistory(projectId));
+    }, [dispatch, projectId]);
+
+    /**
+     * Runs the program and stdin of a past run again with the same run configuration, it is added to the history as a new run
+     */
+    const handleRerun = useCallback(
+        (run) => {
+            if (
+                isYjsConnected &&
+                !canRunInRoom(runPolicy, { userId, isAdmin })
+            ) {
+                dispatch(
+                    addNotification({
+                        message:
+                            'The room admin does not allow you to run code',
+                        type: 'warn',
+                    })
+                );
+                return;
+            }
+            if (!run.program) {
+                dispatch(
+                    addNotification({
+                        message:
+                            'This run was too big to keep its program, it cannot be rerun',
+                        type: 'warn',
+                    })
+                );
+                return;
+            }
+
+            executeCode.mutate({
+                language: run.program.languageId,
+                sourceCode: run.program.sourceCode,
+                additionalFiles: run.program.additionalFiles,
+                runOptions: run.program.runOptions,
+                stdin: run.stdin,
+                fileName: run.fileName,
+                languageName: run.language,
+                projectId,
+            });
+        },
+        [
+            dispatch,
+            executeCode,
+            isAdmin,
+            isYjsConnected,
+            projectId,
+            runPolicy,
+            userId,
+        ]
+    );
+
+    /**
+     * Deletes a run from the history
+     */
+    const handleDeleteRun = useCallback(
+        (id) => {
+            dispatch(deleteRunFromHistory({ projectId, id }));
+        },
+        [dispatch, projectId]
+    );
+
+    /**
+     * Deletes every run of the project
+     */
+    const handleClearRunHistory = useCallback(() => {
+        dispatch(clearRunHistory(projectId));
+    }, [dispatch, projectId]);
+
+    /**
+     * Turns syncing new runs to Appwrite on or off, fetching the synced runs when turned on
+     */
+    const handleRunHistorySyncChange = useCallback(
+        (enabled) => {
+            dispatch(setRunHistorySyncEnabled(enabled));
+            if (enabled) dispatch(fetchRunHistory(projectId));
+        },
+        [dispatch, projectId]
+    );
+
+    return {
+        runs,
+        canSyncRunHistory: !!appwriteConfig.appwriteRunHistoryCollectionID,
+        handleLoadRunHistory,
+        handleRerun,
+        handleDeleteRun,
+        handleClearRunHistory,
+        handleRunHistorySyncChange,
+    };
+}
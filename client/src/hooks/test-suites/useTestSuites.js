@@ -0,0 +1,146 @@
+import { useCallback, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { useRunTests } from '../../api/judge0';
+import {
+    fetchTestSuites,
+    saveTestSuite,
+} from '../../store/slices/testSuitesSlice';
+import { addNotification } from '../../store/slices/uiSlice';
+import { getJudge0LanguageId } from '../../utils/getJudge0LanguageId';
+
+const NO_TEST_CASES = [];
+
+/**
+ * Custom hook for the test suites of the files of a project: loading, saving and running their test cases.
+ *
+ * @param {Object} options
+ * @param {Object} options.selectedFile Currently selected file.
+ * @param {string} options.codeContent Current code content of the editor.
+ * @param {string} options.language Currently selected programming language.
+ * @param {React.ComponentState<boolean>} options.isYjsConnected Whether Yjs collaboration is active.
+ * @param {React.ComponentState<Object>} options.yjsResources Contains the project yDoc, awareness and the selected file's yText.
+ * @param {Object} options.activeProject The currently active project.
+ *
+ * @returns {Object} Memoized test suite handlers
+ * @returns {Array<Object>} testCases - Saved test cases of the selected file.
+ * @returns {Function} handleSaveTestCases - Saves the test cases of the selected file.
+ * @returns {Function} handleRunTests - Runs the selected file against test cases.
+ * @returns {boolean} isSavingTests - Whether test cases are being saved.
+ */
+export function useTestSuites({
+    selectedFile,
+    codeContent,
+    language,
+    isYjsConnected,
+    yjsResources,
+    activeProject,
+}) {
+    const dispatch = useDispatch();
+    const { suites, isLoading } = useSelector((state) => state.testSuites);
+    const runTests = useRunTests();
+    const projectId = activeProject?.$id || 'defaultProject';
+
+    useEffect(() => {
+        if (activeProject?.$id) {
+            dispatch(fetchTestSuites(activeProject.$id));
+        }
+    }, [activeProject?.$id, dispatch]);
+
+    const testCases = suites[selectedFile?.$id]?.cases ?? NO_TEST_CASES;
+
+    /**
+     * Saves the test cases of the selected file
+     */
+    const handleSaveTestCases = useCallback(
+        async (cases) => {
+            try {
+                await dispatch(
+                    saveTestSuite({
+                        projectId,
+                        fileId: selectedFile.$id,
+                        cases,
+                    })
+                ).unwrap();
+
+                dispatch(
+                    addNotification({
+                        message: 'Test cases saved successfully',
+                        type: 'success',
+                    })
+                );
+            } catch (error) {
+                console.error(error);
+
+                dispatch(
+                    addNotification({
+                        message: `Failed to save test cases with error: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch, projectId, selectedFile]
+    );
+
+    /**
+     * Runs the selected file against test cases, unsaved ones included
+     */
+    const handleRunTests = useCallback(
+        (cases) => {
+            try {
+                if (!selectedFile?.$id) {
+                    throw new Error('No file selected! Select a file first');
+                }
+
+                if (language === 'html' || language === 'css') {
+                    throw new Error('Invalid langauge for compilation');
+                }
+
+                const content = isYjsConnected
+                    ? yjsResources.yText?.toString()
+                    : codeContent;
+
+                if (!content) {
+                    throw new Error('No code to execute! Write something...');
+                }
+
+                if (!cases.length) {
+                    throw new Error('No test cases to run! Add one first');
+                }
+
+                runTests.mutate({
+                    language: getJudge0LanguageId(language),
+                    sourceCode: content,
+                    testCases: cases,
+                });
+            } catch (error) {
+                dispatch(
+                    addNotification({
+                        message: error.message,
+                        type:
+                            error.message === 'Invalid langauge for compilation'
+                                ? 'error'
+                                : 'warn',
+                    })
+                );
+            }
+        },
+        [
+            codeContent,
+            dispatch,
+            isYjsConnected,
+            language,
+            runTests,
+            selectedFile,
+            yjsResources,
+        ]
+    );
+
+    return {
+        testCases,
+        handleSaveTestCases,
+        handleRunTests,
+        isSavingTests: isLoading,
+    };
+}
@@ -0,0 +1,158 @@
+import { useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+
+import { getFileYText, replaceYFiles } from '../../lib/yjs';
+import { setSelectedFile } from '../../store/slices/editorSlice';
+import {
+    replaceAllFilesForExistingProject,
+    setAreFilesSaved,
+} from '../../store/slices/filesSlice';
+import {
+    createAutomaticSnapshot,
+    createSnapshot,
+    fetchSnapshots,
+} from '../../store/slices/snapshotsSlice';
+import { addNotification } from '../../store/slices/uiSlice';
+
+/**
+ * Custom hook for the version history of a project: saving, listing and restoring snapshots of all its files.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.files List of files in the project.
+ * @param {Object} options.selectedFile Currently selected file.
+ * @param {React.ComponentState<boolean>} options.isYjsConnected Whether Yjs collaboration is active.
+ * @param {Object} options.activeProject The currently active project.
+ *
+ * @returns {Object} Memoized version history handlers
+ * @returns {Function} getCurrentFiles - Reads the current content of every file, shared content while collaborating.
+ * @returns {Function} handleLoadSnapshots - Fetches the snapshots of the project.
+ * @returns {Function} handleSaveVersion - Saves a named snapshot of the project.
+ * @returns {Function} handleRestoreSnapshot - Restores every file of the project to a snapshot.
+ */
+export function useVersionHistory({
+    files,
+    selectedFile,
+    isYjsConnected,
+    activeProject,
+}) {
+    const dispatch = useDispatch();
+    const projectId = activeProject?.$id || 'defaultProject';
+
+    const getCurrentFiles = useCallback(
+        () =>
+            files.map((file) => {
+                const yText = isYjsConnected ? getFileYText(file.$id) : null;
+                return {
+                    ...file,
+                    codeContent: yText
+                        ? yText.toString()
+                        : file.codeContent || '',
+                };
+            }),
+        [files, isYjsConnected]
+    );
+
+    /**
+     * Fetches the snapshots of the project
+     */
+    const handleLoadSnapshots = useCallback(() => {
+        dispatch(fetchSnapshots(projectId));
+    }, [dispatch, projectId]);
+
+    /**
+     * Saves a named snapshot of the project
+     */
+    const handleSaveVersion = useCallback(
+        async (name) => {
+            try {
+                await dispatch(
+                    createSnapshot({
+                        projectId,
+                        name: name.trim() || 'Untitled version',
+                        files: getCurrentFiles(),
+                    })
+                ).unwrap();
+
+                dispatch(
+                    addNotification({
+                        message: 'Version saved successfully',
+                        type: 'success',
+                    })
+                );
+            } catch (error) {
+                console.error(error);
+
+                dispatch(
+                    addNotification({
+                        message: `Failed to save version with error: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch, getCurrentFiles, projectId]
+    );
+
+    /**
+     * Restores every file of the project to a snapshot.
+     * The current state is saved as a snapshot first so the restore can be undone, unless a snapshot already has it.
+     */
+    const handleRestoreSnapshot = useCallback(
+        async (snapshot) => {
+            try {
+                await dispatch(
+                    createAutomaticSnapshot({
+                        projectId,
+                        name: `Before restoring "${snapshot.name}"`,
+                        files: getCurrentFiles(),
+                    })
+                ).unwrap();
+
+                const restoredFiles = await dispatch(
+                    replaceAllFilesForExistingProject({
+                        projectId,
+                        files: snapshot.files,
+                    })
+                ).unwrap();
+
+                // Collaborators receive the restored files through the shared project doc once they are stored, the
+                // edits of the doc leave no file unsaved
+                if (isYjsConnected) {
+                    replaceYFiles(snapshot.files);
+                    dispatch(setAreFilesSaved(true));
+                }
+
+                const restoredSelectedFile =
+                    restoredFiles.find(
+                        (file) => file.$id === selectedFile?.$id
+                    ) ?? restoredFiles[0];
+                dispatch(setSelectedFile(restoredSelectedFile ?? null));
+
+                dispatch(
+                    addNotification({
+                        message: `Restored version "${snapshot.name}"`,
+                        type: 'success',
+                    })
+                );
+            } catch (error) {
+                console.error(error);
+                dispatch(setAreFilesSaved(false));
+
+                dispatch(
+                    addNotification({
+                        message: `Failed to restore version with error: ${error}! Please try again...`,
+                        type: 'error',
+                    })
+                );
+            }
+        },
+        [dispatch, getCurrentFiles, isYjsConnected, projectId, selectedFile]
+    );
+
+    return {
+        getCurrentFiles,
+        handleLoadSnapshots,
+        handleSaveVersion,
+        handleRestoreSnapshot,
+    };
+}
@@ -1,267 +1,526 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useDispatch } from 'react-redux';
+import { Text as YText } from 'yjs';
 
 import {
-    connectYjsForFile,
-    disconnectYjsForFile,
+    connectYjs,
+    disconnectAllYjs,
+    getFileYText,
     getOrCreateYDoc,
+    getYFilesSnapshot,
+    setRoomCredentials,
+    upsertYFile,
+    whenLocalStateLoaded,
 } from '../../lib/yjs';
-import { setCodeContent, setLanguage } from '../../store/slices/editorSlice';
+import {
+    setCodeContent,
+    setLanguage,
+    setSelectedFile,
+} from '../../store/slices/editorSlice';
+import { markFileUnsaved, syncFiles } from '../../store/slices/filesSlice';
+import {
+    setRoomMembers,
+    setRunPolicy,
+    setSharedRun,
+} from '../../store/slices/executionSlice';
+import { defaultRunPolicy } from '../../conf/runPolicy';
 import { getLanguageFromFileName } from '../../utils/getLanguageFromFileName';
 import { addNotification } from '../../store/slices/uiSlice';
+import { requestRoomToken } from '../../api/rooms';
+import { wsCloseCodes, wsCloseMessages } from '../../conf/wsCloseCodes';
+
+// Refresh room tokens once 80% of their lifetime has passed
+const TOKEN_REFRESH_RATIO = 0.8;
+// Delays between attempts to join a room while the server can't be reached, in ms
+const JOIN_RETRY_DELAY = 2000;
+const MAX_JOIN_RETRY_DELAY = 30000;
+// Statuses with which the server turns an invite down, retrying won't help
+const REJECTED_INVITE_STATUSES = [400, 401, 403, 404];
 
 /**
  * Custom hook to handle real-time collaboration Yjs setup, switching, and cleanup.
  * @param {Object} config Parameters for real time sync logic.
+ * @param {Array} config.files List of all files in the current project.
  * @param {React.ComponentState<Object>} config.selectedFile The selected file data
  * @param {React.ComponentState<boolean>} config.isYjsConnected State indicating if yjs is connected
  * @param {React.ComponentState<boolean>} config.isAdmin State indicating if the client is the isInviteradmin
- * @param {React.ComponentState<Object>} config.yjsResources State containing YJS resources like Doc, CRDT and Awareness
- * @param {React.SetStateAction<Function>} config.setYjsResources State setter to update YJS resources
- * @param {React.MutableRefObject<string>} config.currentConnectedFileIdRef Ref containing the file id of the current file
+ * @param {React.SetStateAction<Function>} config.setYjsResources State setter to update YJS resources of the project room and the selected file
+ * @param {React.ComponentState<Object>} config.roomSession Signed room access of the current session ({ room, key, token, expiresIn, role })
+ * @param {React.SetStateAction<Function>} config.setRoomSession State setter to update the room session
+ * @param {React.SetStateAction<Function>} config.setConnectionStatus State setter for the provider status ('connecting' | 'connected' | 'disconnected')
+ * @param {URLSearchParams} config.urlParams Search params of the page, containing the room and invite key for invited sessions
  */
 export function useRealTimeSync({
+    files,
     selectedFile,
     isYjsConnected,
     setIsYjsConnected,
     isAdmin,
     setIsAdmin,
-    yjsResources,
-    currentConnectedFileIdRef,
     setYjsResources,
     // isNewProject,
     // projectId,
     username,
     navigate,
     location,
+    roomSession,
+    setRoomSession,
+    setConnectionStatus,
+    urlParams,
 }) {
     const dispatch = useDispatch();
+    const hasRoomToken = !!roomSession?.token;
+    const [isProjectSynced, setIsProjectSynced] = useState(false);
+    const filesRef = useRef(files);
+    const selectedFileRef = useRef(selectedFile);
 
+    // Invited clients exchange the invite key from the link for a signed room token before connecting. While the
+    // server can't be reached they keep editing their local copy of the room and try again.
     useEffect(() => {
-        try {
-            if (!selectedFile?.$id) {
-                // No file selected, disconnect if anything was connected
-                if (currentConnectedFileIdRef.current) {
-                    disconnectYjsForFile(currentConnectedFileIdRef.current);
-                    currentConnectedFileIdRef.current = null;
+        if (!isYjsConnected || isAdmin || hasRoomToken) return;
+
+        const room = urlParams.get('room');
+        const key = urlParams.get('key');
+        let isCancelled = false;
+        let retryTimerId = null;
+        let retryDelay = JOIN_RETRY_DELAY;
+
+        function retryNow() {
+            clearTimeout(retryTimerId);
+            joinRoom();
+        }
+
+        async function joinRoom() {
+            try {
+                if (!room || !key) {
+                    throw Object.assign(new Error('Invalid invite link'), {
+                        status: 400,
+                    });
                 }
-                return; // Nothing to do if no file is selected.
-            }
 
-            // Don't connect if not in collab mode
-            if (!isYjsConnected) {
-                return;
-            }
+                const { token, expiresIn, role } = await requestRoomToken({
+                    room,
+                    key,
+                });
+                if (isCancelled) return;
 
-            const newFileId = selectedFile?.$id;
+                setRoomCredentials({ room, token });
+                setRoomSession({ room, key, token, expiresIn, role });
+            } catch (error) {
+                if (isCancelled) return;
 
-            // Disconnect the previous file's Yjs if the file has changed
-            if (
-                currentConnectedFileIdRef.current &&
-                currentConnectedFileIdRef.current !== newFileId
-            ) {
-                disconnectYjsForFile(currentConnectedFileIdRef.current);
+                if (!REJECTED_INVITE_STATUSES.includes(error.status)) {
+                    setConnectionStatus('connecting');
+                    retryTimerId = setTimeout(joinRoom, retryDelay);
+                    retryDelay = Math.min(retryDelay * 2, MAX_JOIN_RETRY_DELAY);
+                    return;
+                }
+
+                dispatch(
+                    addNotification({
+                        message: `Failed to join room: ${error.message}`,
+                        type: 'error',
+                        timeout: 4000,
+                    })
+                );
+                setIsYjsConnected(false);
+                navigate(`${location.pathname}`);
             }
+        }
+
+        joinRoom();
+        window.addEventListener('online', retryNow);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(retryTimerId);
+            window.removeEventListener('online', retryNow);
+        };
+    }, [
+        dispatch,
+        hasRoomToken,
+        isAdmin,
+        isYjsConnected,
+        location,
+        navigate,
+        setConnectionStatus,
+        setIsYjsConnected,
+        setRoomSession,
+        urlParams,
+    ]);
+
+    // Refresh the short-lived room token so reconnects keep working during long sessions
+    useEffect(() => {
+        if (!isYjsConnected || !roomSession?.token) return;
+
+        const { room, key, expiresIn } = roomSession;
+        const timerId = setTimeout(
+            async () => {
+                try {
+                    const { token, expiresIn, role } = await requestRoomToken({
+                        room,
+                        key,
+                    });
+                    setRoomCredentials({ room, token });
+                    setRoomSession((prev) =>
+                        prev ? { ...prev, token, expiresIn, role } : prev
+                    );
+                } catch (error) {
+                    console.error(
+                        `Failed to refresh room token: ${error.message}`
+                    );
+                }
+            },
+            expiresIn * 1000 * TOKEN_REFRESH_RATIO
+        );
 
-            //TODO enable this after testing
-            /* if (isNewProject || !projectId) {
+        return () => clearTimeout(timerId);
+    }, [isYjsConnected, roomSession, setRoomSession]);
+
+    // Keep the latest files readable from the Yjs handlers without re-running the session effect
+    useEffect(() => {
+        filesRef.current = files;
+        selectedFileRef.current = selectedFile;
+    }, [files, selectedFile]);
+
+    // Open the project room and keep the file list in sync with collaborators. The local state of the room is loaded
+    // right away, the provider connects once the room token is issued.
+    useEffect(() => {
+        if (!isYjsConnected) {
+            return;
+        }
+
+        let yFiles, wsProvider;
+        try {
+            ({ yFiles, wsProvider } = getOrCreateYDoc(username));
+        } catch (error) {
             dispatch(
                 addNotification({
-                    message:
-                        'Save your current project before joining a room to prevent loss of unsaved work',
-                    type: 'warn',
-                    timeout: 6000,
+                    message: `Failed to connect with error:${error}`,
+                    type: 'error',
                 })
             );
-            setIsYjsConnected(false);
             return;
-            } */
+        }
 
-            const { yDoc, yText, awareness, wsProvider } = getOrCreateYDoc(
-                newFileId,
-                username,
-                isAdmin
-            );
-            // Update yjs resources
-            setYjsResources({ yDoc, yText, awareness, wsProvider });
-
-            // Connect to room for the new file if not already connected or if invited
-            if (isYjsConnected) {
-                connectYjsForFile(newFileId);
-                currentConnectedFileIdRef.current = newFileId; // Mark this file as currently connected
-            } else {
-                // Ensure disconnect for the current file if yjs is not connected
-                disconnectYjsForFile(newFileId);
-                currentConnectedFileIdRef.current = null; // No file is actively connected via Yjs
+        // Leave collaboration mode and go back to the local project
+        function endSession({ clearLocalState = false } = {}) {
+            disconnectAllYjs({ clearLocalState });
+            setYjsResources({
+                yDoc: null,
+                yText: null,
+                awareness: null,
+                wsProvider: null,
+                fileId: null,
+            });
+            setRoomSession(null);
+            setIsYjsConnected(false);
+            setIsAdmin(true);
+            if (!isAdmin) {
+                const path = location.pathname;
+                navigate(`${path}`);
             }
+        }
 
-            setTimeout(() => {
-                if (wsProvider?.ws?.readyState === wsProvider?.ws?.OPEN) {
-                    wsProvider?.ws?.send(
-                        JSON.stringify({
-                            type: 'client-joined',
-                            //TODO replace this with projectId
-                            room: `bytetogether-${currentConnectedFileIdRef.current}`,
-                            clientId: yjsResources.yDoc?.clientID,
-                            username,
-                        })
-                    );
-                }
-            }, 800);
-
-            // Set initial content for the Y.Text if it's empty, otherwise use Yjs content
-            //TODO fix this condition for duplicate code insertion
-            if (
-                isAdmin &&
-                yText.length === 0 &&
-                selectedFile?.codeContent.length > 0
+        // Mirror the shared file list to Redux and follow remote renames/deletions of the selected file
+        function applySharedFiles() {
+            const sharedFiles = getYFilesSnapshot();
+            dispatch(syncFiles(sharedFiles));
+
+            const currentFile = selectedFileRef.current;
+            const sharedFile = sharedFiles.find(
+                (file) => file.$id === currentFile?.$id
+            );
+            if (!sharedFile) {
+                dispatch(setSelectedFile(sharedFiles[0] ?? null));
+            } else if (
+                sharedFile.fileName !== currentFile.fileName ||
+                sharedFile.folderPath !== (currentFile.folderPath ?? '') ||
+                sharedFile.language !== currentFile.language
             ) {
-                yText.insert(0, selectedFile?.codeContent);
+                dispatch(
+                    setSelectedFile({
+                        ...currentFile,
+                        fileName: sharedFile.fileName,
+                        folderPath: sharedFile.folderPath,
+                        language: sharedFile.language,
+                    })
+                );
             }
+        }
 
-            // Dispatch the content from yText to Redux.
-            dispatch(setCodeContent(yText.toString()));
-            dispatch(
-                setLanguage(getLanguageFromFileName(selectedFile?.fileName))
-            );
+        // The admin seeds the shared doc with the local project once the server state is loaded
+        function handleSync(isSynced) {
+            if (!isSynced) return;
 
-            // Observer for Y.Text changes to keep Redux in sync
-            function observer() {
-                if (yjsResources.yText && isYjsConnected) {
-                    dispatch(setCodeContent(yjsResources.yText.toString()));
-                }
+            if (isAdmin) {
+                filesRef.current.forEach((file) => {
+                    if (!yFiles.has(file.$id)) {
+                        upsertYFile(file);
+                    }
+                });
             }
+            applySharedFiles();
+            setIsProjectSynced(true);
+        }
 
-            yText.observe(observer);
-
-            // Handle server messages
-            function handleMessage(event) {
-                if (
-                    event.data instanceof ArrayBuffer ||
-                    ArrayBuffer.isView(event.data)
-                ) {
-                    return; // Skip Yjs protocol sync messages. Skip parsing as JSON
+        // Content edits of any file, local or remote, leave it unsaved in Appwrite, otherwise only file creations,
+        // deletions, renames and language changes are mirrored to Redux
+        function filesObserver(events, transaction) {
+            events.forEach((event) => {
+                if (event.target instanceof YText) {
+                    dispatch(markFileUnsaved(event.path[0])); // Path of the content: [fileId, 'content']
                 }
-                try {
-                    const message = JSON.parse(event.data);
-                    if (message.type === 'room-ended') {
-                        dispatch(
-                            addNotification({
-                                message: message.message,
-                                type: 'info',
-                                timeout: 4000,
-                            })
-                        );
-                        disconnectYjsForFile(newFileId);
-                        setYjsResources({
-                            yDoc: null,
-                            yText: null,
-                            awareness: null,
-                            wsProvider: null,
-                        });
-                        setIsYjsConnected(false);
-                        setIsAdmin(true);
-                    } else if (message.type === 'client-left') {
-                        dispatch(
-                            addNotification({
-                                message: message.message,
-                                type: 'info',
-                                timeout: 4000,
-                            })
-                        );
-                    } else if (message.type === 'client-update') {
-                        // Update UI if needed
-                        console.log(
-                            'Connected clients:',
-                            message.connectedClients
-                        );
-                    } else if (message.type === 'room-full') {
-                        dispatch(
-                            addNotification({
-                                message: message.error,
-                                type: 'error',
-                                timeout: 4000,
-                            })
-                        );
-                        disconnectYjsForFile(newFileId);
-                        setYjsResources({
-                            yDoc: null,
-                            yText: null,
-                            awareness: null,
-                            wsProvider: null,
-                        });
-                        setIsYjsConnected(false);
-                        setIsAdmin(true);
-                        if (!isAdmin) {
-                            const path = location.pathname;
-                            navigate(`${path}`);
-                        }
-                    } else if (message.type === 'client-joined') {
+            });
+            if (transaction.local) return;
+
+            const hasStructureChanges = events.some(
+                (event) => !(event.target instanceof YText)
+            );
+            if (hasStructureChanges) {
+                applySharedFiles();
+            }
+        }
+
+        // Handle server messages
+        function handleMessage(event) {
+            try {
+                const message = JSON.parse(event.data);
+                if (message.type === 'room-ended') {
+                    dispatch(
+                        addNotification({
+                            message: message.message,
+                            type: 'info',
+                            timeout: 4000,
+                        })
+                    );
+                    endSession({ clearLocalState: true }); // The server dropped the room's state too
+                } else if (message.type === 'client-left') {
+                    dispatch(
+                        addNotification({
+                            message: message.message,
+                            type: 'info',
+                            timeout: 4000,
+                        })
+                    );
+                } else if (message.type === 'client-update') {
+                    dispatch(setRoomMembers(message.connectedClients));
+                } else if (message.type === 'room-full') {
+                    dispatch(
+                        addNotification({
+                            message: message.error,
+                            type: 'error',
+                            timeout: 4000,
+                        })
+                    );
+                    endSession();
+                } else if (message.type === 'client-joined') {
+                    dispatch(
+                        addNotification({
+                            message: message.message,
+                            type: 'info',
+                            timeout: 4000,
+                        })
+                    );
+                } else if (message.type === 'run-update') {
+                    const { run } = message;
+                    dispatch(setSharedRun(run));
+                    if (run.phase === 'started') {
                         dispatch(
                             addNotification({
-                                message: message.message,
+                                message: `${run.username} is running ${run.fileName}`,
                                 type: 'info',
-                                timeout: 4000,
+                                timeout: 3000,
                             })
                         );
                     }
-                } catch (error) {
-                    console.error(`WebSocket error: ${error.message}`);
-
+                } else if (message.type === 'run-policy') {
+                    dispatch(setRunPolicy(message.policy));
+                } else if (message.type === 'run-rejected') {
                     dispatch(
                         addNotification({
-                            message: `WebSocket error: ${error.message}`,
-                            type: 'error',
+                            message: message.error,
+                            type: 'warn',
                             timeout: 4000,
                         })
                     );
                 }
-            }
-
-            // wsProvider.ws?.addEventListener('message', handleMessage);
+            } catch (error) {
+                console.error(`WebSocket error: ${error.message}`);
 
-            // Override WebSocket onmessage to filter messages
-            const originalOnMessage = wsProvider.ws?.onmessage;
-            if (wsProvider.ws) {
-                wsProvider.ws.onmessage = (event) => {
-                    if (!(event.data instanceof ArrayBuffer)) {
-                        handleMessage(event); // Process JSON messages
-                        return; // Prevent Yjs from processing JSON
-                    }
-                    if (originalOnMessage) {
-                        originalOnMessage.call(wsProvider.ws, event); // Pass ArrayBuffer to Yjs
-                    }
-                };
+                dispatch(
+                    addNotification({
+                        message: `WebSocket error: ${error.message}`,
+                        type: 'error',
+                        timeout: 4000,
+                    })
+                );
             }
+        }
 
-            return () => {
-                yText.unobserve(observer);
-                // wsProvider.ws?.removeEventListener('message', handleMessage);
-                if (wsProvider.ws) {
-                    wsProvider.ws.onmessage = originalOnMessage; // Restore original handler
+        // Every (re)connect opens a new socket, so JSON messages are filtered out before Yjs reads them
+        let interceptedWs = null;
+        let originalOnMessage = null;
+        function interceptJsonMessages() {
+            const ws = wsProvider.ws;
+            if (!ws || ws === interceptedWs) return;
+
+            interceptedWs = ws;
+            originalOnMessage = ws.onmessage;
+            ws.onmessage = (event) => {
+                if (!(event.data instanceof ArrayBuffer)) {
+                    handleMessage(event); // Process JSON messages
+                    return; // Prevent Yjs from processing JSON
                 }
+                originalOnMessage?.call(ws, event); // Pass ArrayBuffer to Yjs
             };
-        } catch (error) {
+        }
+
+        function handleStatus({ status }) {
+            setConnectionStatus(status);
+            if (status !== 'connected') return;
+
+            interceptJsonMessages();
+            wsProvider.ws?.send(
+                JSON.stringify({
+                    type: 'client-joined',
+                    room: wsProvider.roomname,
+                    clientId: wsProvider.doc.clientID,
+                    username,
+                })
+            );
+        }
+
+        // Handle connections rejected by the server during the upgrade
+        function handleConnectionClose(event) {
+            if (!event || !wsCloseMessages[event.code]) return;
+
+            // The provider reconnects by itself, so only trigger an immediate token refresh
+            if (event.code === wsCloseCodes.TOKEN_EXPIRED) {
+                setRoomSession((prev) =>
+                    prev ? { ...prev, expiresIn: 0 } : prev
+                );
+                return;
+            }
+
             dispatch(
                 addNotification({
-                    message: `Failed to connect with error:${error}`,
+                    message: wsCloseMessages[event.code],
                     type: 'error',
+                    timeout: 4000,
                 })
             );
+            endSession();
         }
+
+        // Edits made offline (or before a reload) are available before the server answers
+        let isCancelled = false;
+        whenLocalStateLoaded().then(() => {
+            if (isCancelled || wsProvider.synced || yFiles.size === 0) return;
+
+            applySharedFiles();
+            setIsProjectSynced(true);
+        });
+
+        setConnectionStatus(
+            wsProvider.wsconnected ? 'connected' : 'connecting'
+        );
+        interceptJsonMessages();
+        wsProvider.on('status', handleStatus);
+        wsProvider.on('sync', handleSync);
+        wsProvider.on('connection-close', handleConnectionClose);
+        yFiles.observeDeep(filesObserver);
+        if (wsProvider.synced) {
+            handleSync(true);
+        }
+
+        return () => {
+            isCancelled = true;
+            setIsProjectSynced(false);
+            setConnectionStatus('disconnected');
+            dispatch(setRunPolicy(defaultRunPolicy)); // Outside of a session everyone runs their own code
+            dispatch(setRoomMembers([]));
+            yFiles.unobserveDeep(filesObserver);
+            wsProvider.off('status', handleStatus);
+            wsProvider.off('sync', handleSync);
+            wsProvider.off('connection-close', handleConnectionClose);
+            if (interceptedWs) {
+                interceptedWs.onmessage = originalOnMessage; // Restore original handler
+            }
+        };
     }, [
-        selectedFile,
         dispatch,
         isYjsConnected,
         isAdmin,
-        yjsResources.yText,
-        yjsResources.yDoc,
-        currentConnectedFileIdRef,
         setYjsResources,
         username,
         setIsYjsConnected,
         setIsAdmin,
         location,
         navigate,
+        setRoomSession,
+        setConnectionStatus,
+    ]);
+
+    // Connect to the server once the room token is issued, edits made until then sync on connect
+    useEffect(() => {
+        if (isYjsConnected && hasRoomToken) {
+            connectYjs();
+        }
+    }, [hasRoomToken, isYjsConnected]);
+
+    const selectedFileId = selectedFile?.$id;
+    const selectedFileName = selectedFile?.fileName;
+
+    // Bind the selected file's shared content, switching files keeps the same socket
+    useEffect(() => {
+        if (!isYjsConnected || !isProjectSynced) {
+            return;
+        }
+
+        try {
+            const { yDoc, awareness, wsProvider } = getOrCreateYDoc(username);
+            const yText = selectedFileId ? getFileYText(selectedFileId) : null;
+
+            setYjsResources({
+                yDoc,
+                yText,
+                awareness,
+                wsProvider,
+                fileId: yText ? selectedFileId : null,
+            });
+
+            if (!yText) return;
+
+            // Dispatch the content from yText to Redux.
+            dispatch(setCodeContent(yText.toString()));
+            dispatch(setLanguage(getLanguageFromFileName(selectedFileName)));
+
+            // Observer for Y.Text changes to keep Redux in sync, the files observer marks them unsaved
+            function observer() {
+                dispatch(setCodeContent(yText.toString()));
+            }
+
+            yText.observe(observer);
+
+            return () => {
+                yText.unobserve(observer);
+            };
+        } catch (error) {
+            dispatch(
+                addNotification({
+                    message: `Failed to connect with error:${error}`,
+                    type: 'error',
+                })
+            );
+        }
+    }, [
+        dispatch,
+        isProjectSynced,
+        isYjsConnected,
+        selectedFileId,
+        selectedFileName,
+        setYjsResources,
+        username,
     ]);
 }
@@ -0,0 +1,211 @@
+import { getBaseName } from '../utils/filePaths';
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} path - Project path of the file.
+ * @property {number} line - Line number, from 1.
+ * @property {number|null} column - Column number, from 1, null when only the line is known.
+ * @property {'error'|'warning'|'info'} severity - Severity of the diagnostic.
+ * @property {string} message - What went wrong.
+ */
+
+// `main.c:3:5: error: ...` of gcc and g++, `Main.java:3: error: ...` of javac
+const COMPILER_PATTERN =
+    /^(.+?):(\d+):(?:(\d+):)? (fatal error|error|warning|note): (.*)$/;
+// Caret line under the source line javac prints after its errors
+const CARET_PATTERN = /^(\s*)\^/;
+// `  File "main.py", line 3, in <module>` frames of Python tracebacks
+const PYTHON_FRAME_PATTERN = /^ {2}File "(.+)", line (\d+)/;
+// Exception line ending a Python traceback, e.g. `NameError: name 'x' is not defined`
+const PYTHON_EXCEPTION_PATTERN = /^([A-Za-z_][\w.]*)(?::\s?(.*))?$/;
+// `    at main (/box/script.js:3:13)` and `    at /box/script.js:3:13` frames of Node.js stack traces
+const NODE_FRAME_PATTERN = /^\s+at (?:.* \()?(.+?):(\d+):(\d+)\)?$/;
+// Error line of a Node.js stack trace, e.g. `ReferenceError: x is not defined`
+const NODE_ERROR_PATTERN =
+    /^(?:Uncaught )?(\w*(?:Error|Exception))(?:: (.*))?$/;
+// Names single files are saved as by Judge0 and the local runner, e.g. `main.c`, `Main.java` or `script.py`
+const RUN_FILE_PATTERN = /^(main|Main|script)\.[a-z]+$/;
+
+const COMPILER_SEVERITIES = {
+    'fatal error': 'error',
+    error: 'error',
+    warning: 'warning',
+    note: 'info',
+};
+
+/**
+ * Creates the function mapping the paths of error output to project paths. Paths may be absolute in the working
+ * directory of the run, and single files are saved under the name Judge0 gives them.
+ * @param {Object} run
+ * @param {string} run.runFile - Project path of the run file, the entry file of a project run.
+ * @param {Array<string>} run.projectPaths - Paths of the project files.
+ * @param {boolean} run.isProjectRun - Whether the whole project ran.
+ * @returns {(path: string) => string|null} Returns the project path, null for files outside of the project.
+ */
+function createPathResolver({ runFile, projectPaths, isProjectRun }) {
+    return (rawPath) => {
+        const path = rawPath.replace(/^file:\/\//, '').replace(/^\.\//, '');
+        if (!isProjectRun && RUN_FILE_PATTERN.test(getBaseName(path))) {
+            return runFile;
+        }
+        if (projectPaths.includes(path)) return path;
+        return (
+            projectPaths
+                .filter((projectPath) => path.endsWith(`/${projectPath}`))
+                .sort((a, b) => b.length - a.length)[0] ?? null
+        );
+    };
+}
+
+/**
+ * Reads the diagnostics of gcc, g++ and javac.
+ * @param {Array<string>} lines - Lines of the error output.
+ * @param {Function} resolvePath - Maps output paths to project paths.
+ * @returns {Array<Diagnostic>}
+ */
+function parseCompilerDiagnostics(lines, resolvePath) {
+    const diagnostics = [];
+    lines.forEach((text, index) => {
+        const match = COMPILER_PATTERN.exec(text);
+        const path = match && resolvePath(match[1]);
+        if (!path) return;
+
+        let column = match[3] ? Number(match[3]) : null;
+        // javac prints the source line, then a caret under the column
+        const caret = column ? null : CARET_PATTERN.exec(lines[index + 2]);
+        if (caret) column = caret[1].length + 1;
+        diagnostics.push({
+            path,
+            line: Number(match[2]),
+            column,
+            severity: COMPILER_SEVERITIES[match[4]],
+            message: match[5],
+        });
+    });
+    return diagnostics;
+}
+
+/**
+ * Reads the Python tracebacks, located at the innermost frame in a project file. The source lines of tracebacks are
+ * stripped of their indentation, so only the line is known.
+ * @param {Array<string>} lines - Lines of the error output.
+ * @param {Function} resolvePath - Maps output paths to project paths.
+ * @returns {Array<Diagnostic>}
+ */
+function parsePythonDiagnostics(lines, resolvePath) {
+    const diagnostics = [];
+    let location = null;
+    let hasFrames = false;
+    lines.forEach((text) => {
+        const frame = PYTHON_FRAME_PATTERN.exec(text);
+        if (frame) {
+            hasFrames = true;
+            const path = resolvePath(frame[1]);
+            if (path) location = { path, line: Number(frame[2]) };
+            return;
+        }
+        if (!hasFrames || /^\s/.test(text) || !text) return;
+
+        // The first unindented line after the frames names the exception
+        const exception = PYTHON_EXCEPTION_PATTERN.exec(text);
+        if (exception && location) {
+            diagnostics.push({
+                ...location,
+                column: null,
+                severity: 'error',
+                message: exception[2]
+                    ? `${exception[1]}: ${exception[2]}`
+                    : exception[1],
+            });
+        }
+        if (!text.startsWith('Traceback') && !text.startsWith('During')) {
+            location = null;
+            hasFrames = false;
+        }
+    });
+    return diagnostics;
+}
+
+/**
+ * Reads the Node.js errors, located at the first frame of their stack in a project file, or the `path:line` header
+ * Node.js prints above the source line of syntax errors.
+ * @param {Array<string>} lines - Lines of the error output.
+ * @param {Function} resolvePath - Maps output paths to project paths.
+ * @returns {Array<Diagnostic>}
+ */
+function parseNodeDiagnostics(lines, resolvePath) {
+    const errorIndex = lines.findIndex((text) => NODE_ERROR_PATTERN.test(text));
+    if (errorIndex === -1) return [];
+    const [, name, message] = NODE_ERROR_PATTERN.exec(lines[errorIndex]);
+
+    let location = null;
+    for (const text of lines.slice(errorIndex + 1)) {
+        const frame = NODE_FRAME_PATTERN.exec(text);
+        const path = frame && resolvePath(frame[1]);
+        if (path) {
+            location = {
+                path,
+                line: Number(frame[2]),
+                column: Number(frame[3]),
+            };
+            break;
+        }
+    }
+    if (!location) {
+        const header = /^(.+):(\d+)$/.exec(lines[0]);
+        const path = header && resolvePath(header[1]);
+        const caret = CARET_PATTERN.exec(lines[2]);
+        if (path) {
+            location = {
+                path,
+                line: Number(header[2]),
+                column: caret ? caret[1].length + 1 : null,
+            };
+        }
+    }
+    if (!location) return [];
+
+    return [
+        {
+            ...location,
+            severity: 'error',
+            message: message ? `${name}: ${message}` : name,
+        },
+    ];
+}
+
+/**
+ * Parses the compile output or error output of a run into diagnostics located in the project files: gcc and g++
+ * errors and warnings, javac errors, Python tracebacks and Node.js stack traces.
+ * @param {string} output - Compile output or standard error of the run.
+ * @param {Object} run
+ * @param {string} run.runFile - Project path of the run file, the entry file of a project run.
+ * @param {Array<string>} [run.projectPaths] - Paths of the project files.
+ * @param {boolean} [run.isProjectRun] - Whether the whole project ran.
+ * @returns {Array<Diagnostic>} The diagnostics, without duplicates.
+ */
+export function parseDiagnostics(
+    output,
+    { runFile, projectPaths = [], isProjectRun = false }
+) {
+    if (!output) return [];
+    const lines = output.replace(/\r\n/g, '\n').split('\n');
+    const resolvePath = createPathResolver({
+        runFile,
+        projectPaths,
+        isProjectRun,
+    });
+
+    const diagnostics = [
+        ...parseCompilerDiagnostics(lines, resolvePath),
+        ...parsePythonDiagnostics(lines, resolvePath),
+        ...parseNodeDiagnostics(lines, resolvePath),
+    ];
+    const keys = new Set();
+    return diagnostics.filter((diagnostic) => {
+        const key = `${diagnostic.path}:${diagnostic.line}:${diagnostic.message}`;
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    });
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+
+import { parseDiagnostics } from './diagnostics';
+
+describe('parseDiagnostics', () => {
+    it('reads gcc errors and warnings of a single file run', () => {
+        const output = [
+            'main.c: In function ‘main’:',
+            "main.c:4:5: warning: implicit declaration of function 'prinf'",
+            "main.c:5:14: error: expected ';' before '}' token",
+            '    5 |     return 0',
+            '      |             ^',
+        ].join('\n');
+
+        expect(parseDiagnostics(output, { runFile: 'src/hello.c' })).toEqual([
+            {
+                path: 'src/hello.c',
+                line: 4,
+                column: 5,
+                severity: 'warning',
+                message: "implicit declaration of function 'prinf'",
+            },
+            {
+                path: 'src/hello.c',
+                line: 5,
+                column: 14,
+                severity: 'error',
+                message: "expected ';' before '}' token",
+            },
+        ]);
+    });
+
+    it('reads the column of javac errors from their caret', () => {
+        const output = [
+            'src/app/Util.java:3: error: cannot find symbol',
+            '        int y = x + 1;',
+            '                ^',
+            '1 error',
+        ].join('\n');
+
+        expect(
+            parseDiagnostics(output, {
+                runFile: 'src/app/Main.java',
+                projectPaths: ['src/app/Main.java', 'src/app/Util.java'],
+                isProjectRun: true,
+            })
+        ).toEqual([
+            {
+                path: 'src/app/Util.java',
+                line: 3,
+                column: 17,
+                severity: 'error',
+                message: 'cannot find symbol',
+            },
+        ]);
+    });
+
+    it('locates Python exceptions at the innermost project frame', () => {
+        const output = [
+            'Traceback (most recent call last):',
+            '  File "/tmp/submission-1/main.py", line 3, in <module>',
+            '    helper()',
+            '  File "/tmp/submission-1/lib/helpers.py", line 2, in helper',
+            '    return int("x")',
+            '  File "/usr/lib/python3.12/json/__init__.py", line 9, in loads',
+            "ValueError: invalid literal for int() with base 10: 'x'",
+        ].join('\n');
+
+        expect(
+            parseDiagnostics(output, {
+                runFile: 'main.py',
+                projectPaths: ['main.py', 'lib/helpers.py'],
+                isProjectRun: true,
+            })
+        ).toEqual([
+            {
+                path: 'lib/helpers.py',
+                line: 2,
+                column: null,
+                severity: 'error',
+                message:
+                    "ValueError: invalid literal for int() with base 10: 'x'",
+            },
+        ]);
+    });
+
+    it('locates Node.js errors at their first project frame', () => {
+        const output = [
+            '/box/script.js:2',
+            'console.log(total);',
+            '            ^',
+            '',
+            'ReferenceError: total is not defined',
+            '    at Object.<anonymous> (/box/script.js:2:13)',
+            '    at node:internal/main/run_main_module:28:49',
+        ].join('\n');
+
+        expect(parseDiagnostics(output, { runFile: 'index.js' })).toEqual([
+            {
+                path: 'index.js',
+                line: 2,
+                column: 13,
+                severity: 'error',
+                message: 'ReferenceError: total is not defined',
+            },
+        ]);
+    });
+
+    it('ignores output without locations in the project', () => {
+        expect(
+            parseDiagnostics('Segmentation fault', { runFile: 'main.c' })
+        ).toEqual([]);
+        expect(
+            parseDiagnostics('/usr/include/stdio.h:1:1: error: broken', {
+                runFile: 'main.c',
+                projectPaths: ['main.c'],
+                isProjectRun: true,
+            })
+        ).toEqual([]);
+    });
+});
@@ -0,0 +1,162 @@
+import {
+    backendLanguageDefinitions,
+    judge0LanguagesIds,
+    languageExtensionAliases,
+    languageMap,
+    previewLanguages,
+} from '../conf/languages';
+
+/**
+ * A language of the editor.
+ * @typedef {Object} CatalogueLanguage
+ * @property {string} value - Monaco language.
+ * @property {string} label - Name shown to users.
+ * @property {string[]} extensions - File extensions of the language, without the dot.
+ * @property {number|null} judge0Id - Judge0 language id, null if the execution backend cannot run it.
+ * @property {string|null} version - Version reported by the execution backend.
+ */
+
+/**
+ * Languages of the editor with lookups by Monaco language and by file extension.
+ * @typedef {Object} LanguageCatalogue
+ * @property {Array<CatalogueLanguage>} languages - Languages in the order they are offered.
+ * @property {Map<string, CatalogueLanguage>} byValue - Languages by Monaco language.
+ * @property {Map<string, CatalogueLanguage>} byExtension - Languages by file extension.
+ */
+
+/**
+ * Indexes languages into a catalogue.
+ * @param {Array<CatalogueLanguage>} languages
+ * @returns {LanguageCatalogue}
+ */
+function createCatalogue(languages) {
+    return {
+        languages,
+        byValue: new Map(
+            languages.map((language) => [language.value, language])
+        ),
+        byExtension: new Map(
+            languages.flatMap((language) =>
+                language.extensions.map((extension) => [extension, language])
+            )
+        ),
+    };
+}
+
+/**
+ * Catalogue of the languages known without the execution backend, used until it reports its languages and when it
+ * cannot be reached.
+ * @type {LanguageCatalogue}
+ */
+export const fallbackCatalogue = createCatalogue(
+    Object.entries(languageMap).map(([extension, { value, label }]) => ({
+        value,
+        label,
+        extensions: [
+            extension,
+            ...Object.keys(languageExtensionAliases).filter(
+                (alias) => languageExtensionAliases[alias] === extension
+            ),
+        ],
+        judge0Id: judge0LanguagesIds[value] ?? null,
+        version: null,
+    }))
+);
+
+/**
+ * Reads the version at the end of a backend language name, e.g. `9.2.0` in `C (GCC 9.2.0)`.
+ * @param {string} name - Name of the backend language.
+ * @returns {string|null}
+ */
+function parseVersion(name) {
+    return name.match(/(\d+(?:\.\d+)*)\)$/)?.[1] ?? null;
+}
+
+/**
+ * Compares two versions part by part, a missing version being the oldest.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number} Negative if a is older than b, positive if it is newer.
+ */
+function compareVersions(a, b) {
+    const aParts = a?.split('.').map(Number) ?? [];
+    const bParts = b?.split('.').map(Number) ?? [];
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const difference = (aParts[i] ?? -1) - (bParts[i] ?? -1);
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Builds the catalogue of the languages the execution backend reports, see {@link backendLanguageDefinitions}.
+ * Preview languages are always included, and the fallback catalogue is used if no backend language is known.
+ * @param {Array<{id: number, name: string}>} backendLanguages - Languages of the `/languages` endpoint.
+ * @returns {LanguageCatalogue}
+ */
+export function buildLanguageCatalogue(backendLanguages) {
+    const languages = backendLanguageDefinitions.flatMap(
+        ({ value, label, extensions, pattern }) => {
+            const newest = backendLanguages
+                .filter(({ name }) => pattern.test(name))
+                .map(({ id, name }) => ({ id, version: parseVersion(name) }))
+                .sort((a, b) => compareVersions(b.version, a.version))[0];
+            return newest
+                ? [
+                      {
+                          value,
+                          label,
+                          extensions,
+                          judge0Id: newest.id,
+                          version: newest.version,
+                      },
+                  ]
+                : [];
+        }
+    );
+    if (!languages.length) return fallbackCatalogue;
+
+    previewLanguages
+        .filter(
+            (value) => !languages.some((language) => language.value === value)
+        )
+        .forEach((value) =>
+            languages.push({
+                ...fallbackCatalogue.byValue.get(value),
+                judge0Id: null,
+            })
+        );
+    return createCatalogue(languages);
+}
+
+// The catalogue in use and the components following it
+let catalogue = fallbackCatalogue;
+const listeners = new Set();
+
+/**
+ * Returns the language catalogue in use.
+ * @returns {LanguageCatalogue}
+ */
+export function getLanguageCatalogue() {
+    return catalogue;
+}
+
+/**
+ * Replaces the language catalogue in use and notifies its subscribers.
+ * @param {LanguageCatalogue} nextCatalogue
+ */
+export function setLanguageCatalogue(nextCatalogue) {
+    if (nextCatalogue === catalogue) return;
+    catalogue = nextCatalogue;
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribes to changes of the language catalogue, in the shape `useSyncExternalStore` expects.
+ * @param {Function} listener - Called when the catalogue changes.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export function subscribeToLanguageCatalogue(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
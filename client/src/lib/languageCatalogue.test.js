@@ -0,0 +1,83 @@
+import { afterEach, describe, it, expect } from 'vitest';
+
+import { getJudge0LanguageId } from '../utils/getJudge0LanguageId';
+import { getLanguageFromFileName } from '../utils/getLanguageFromFileName';
+
+import {
+    buildLanguageCatalogue,
+    fallbackCatalogue,
+    getLanguageCatalogue,
+    setLanguageCatalogue,
+    subscribeToLanguageCatalogue,
+} from './languageCatalogue';
+
+// Excerpt of the languages of Judge0 CE
+const judge0Languages = [
+    { id: 50, name: 'C (GCC 9.2.0)' },
+    { id: 75, name: 'C (Clang 7.0.1)' },
+    { id: 54, name: 'C++ (GCC 9.2.0)' },
+    { id: 60, name: 'Go (1.13.5)' },
+    { id: 95, name: 'Go (1.18.5)' },
+    { id: 43, name: 'Plain Text' },
+    { id: 70, name: 'Python (2.7.17)' },
+    { id: 71, name: 'Python (3.8.1)' },
+    { id: 92, name: 'Python (3.11.2)' },
+    { id: 73, name: 'Rust (1.40.0)' },
+];
+
+describe('buildLanguageCatalogue', () => {
+    it('picks the newest version of each known language', () => {
+        const { byValue } = buildLanguageCatalogue(judge0Languages);
+
+        expect(byValue.get('python')).toMatchObject({
+            judge0Id: 92,
+            version: '3.11.2',
+        });
+        expect(byValue.get('go')).toMatchObject({
+            judge0Id: 95,
+            version: '1.18.5',
+        });
+        expect(byValue.get('c').judge0Id).toBe(50);
+        expect(byValue.has('java')).toBe(false);
+    });
+
+    it('always offers the languages of the web preview', () => {
+        const { byValue } = buildLanguageCatalogue(judge0Languages);
+
+        expect(byValue.get('html').judge0Id).toBeNull();
+        expect(byValue.get('javascript')).toMatchObject({
+            judge0Id: null,
+            extensions: ['js', 'mjs', 'jsx'],
+        });
+    });
+
+    it('falls back to the built-in languages when none is known', () => {
+        expect(buildLanguageCatalogue([{ id: 43, name: 'Plain Text' }])).toBe(
+            fallbackCatalogue
+        );
+        expect(fallbackCatalogue.byExtension.get('tsx').judge0Id).toBe(74);
+    });
+});
+
+describe('language catalogue in use', () => {
+    afterEach(() => setLanguageCatalogue(fallbackCatalogue));
+
+    it('drives language detection and Judge0 ids', () => {
+        const changes = [];
+        const unsubscribe = subscribeToLanguageCatalogue(() =>
+            changes.push(getLanguageCatalogue())
+        );
+
+        expect(getLanguageFromFileName('cmd/main.go')).toBe('plaintext');
+        expect(getJudge0LanguageId('python')).toBe(71);
+
+        setLanguageCatalogue(buildLanguageCatalogue(judge0Languages));
+        unsubscribe();
+
+        expect(changes).toHaveLength(1);
+        expect(getLanguageFromFileName('cmd/main.go')).toBe('go');
+        expect(getJudge0LanguageId('go')).toBe(95);
+        expect(getJudge0LanguageId('python')).toBe(92);
+        expect(getJudge0LanguageId('javascript')).toBe(43);
+    });
+});
@@ -0,0 +1,234 @@
+import { CANCELLED_STATUS } from '../conf/judge0Config';
+import { LOCAL_RUN_TIMEOUT } from '../conf/localRun';
+
+/**
+ * Error of a run in the browser that Judge0 may still run: the engine did not load or the program needs modules the
+ * browser cannot provide.
+ */
+export class LocalRunError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} type - The type of error ("unsupported_modules" or "engine_unavailable").
+     * @param {Array<string>} [modules] - Modules the program needs that the engine lacks.
+     */
+    constructor(message, type, modules = []) {
+        super(message);
+        this.name = 'LocalRunError';
+        this.type = type;
+        this.modules = modules;
+    }
+}
+
+/**
+ * Judge0 status of a finished run in the browser.
+ * @param {number} exitCode - Exit code of the program.
+ * @returns {{id: number, description: string}}
+ */
+function getExitStatus(exitCode) {
+    return exitCode === 0
+        ? { id: 3, description: 'Accepted' }
+        : { id: 11, description: 'Runtime Error (NZEC)' };
+}
+
+/**
+ * Runs programs in a web worker, one at a time, with a wall clock limit. The worker is terminated when a run times
+ * out or is stopped, as the program may never yield, and created again for the next run.
+ */
+export class LocalRunner {
+    #createWorker;
+    #worker = null;
+    #nextRunId = 0;
+    #run = null; // { stop, timer }
+
+    /**
+     * @param {Function} createWorker - Creates the worker of the engine.
+     */
+    constructor(createWorker) {
+        this.#createWorker = createWorker;
+    }
+
+    /**
+     * Whether a program is running.
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return !!this.#run;
+    }
+
+    /**
+     * Runs a program. The time limit starts once the engine has loaded.
+     * @param {Object} params
+     * @param {string} params.sourceCode - Code to execute.
+     * @param {string} [params.language] - Monaco language of the code, for engines running several languages.
+     * @param {string} [params.stdin] - Input of the program.
+     * @param {string} [params.args] - Arguments of the program, split like a shell does.
+     * @param {number} [params.timeout] - Wall clock limit in seconds.
+     * @param {Function} [params.onOutput] - Called with the chunks of output `{stream, text, level}` as they are
+     * written, `level` being the console level of JavaScript output.
+     * @returns {Promise<{stdout: string, stderr: string, status: Object, time: string, memory: null}>} The run, shaped
+     * like a Judge0 submission.
+     * @throws {LocalRunError} If the engine does not load or lacks modules of the program.
+     */
+    run({
+        sourceCode,
+        language,
+        stdin = '',
+        args = '',
+        timeout = LOCAL_RUN_TIMEOUT,
+        onOutput = () => {},
+    }) {
+        this.stop();
+        const worker = this.#getWorker();
+        const id = this.#nextRunId++;
+        const output = { stdout: '', stderr: '' };
+        let startedAt = null;
+
+        return new Promise((resolve, reject) => {
+            const finish = (status) =>
+                resolve({
+                    ...output,
+                    status,
+                    time: startedAt
+                        ? ((performance.now() - startedAt) / 1000).toFixed(3)
+                        : null,
+                    memory: null,
+                });
+            const run = { stop: finish, timer: null };
+            this.#run = run;
+
+            worker.onmessage = ({ data }) => {
+                // Messages of a stopped run may still be queued
+                if (data.id !== id || this.#run !== run) return;
+                switch (data.type) {
+                    case 'started':
+                        startedAt = performance.now();
+                        run.timer = setTimeout(() => {
+                            this.#terminate();
+                            finish({
+                                id: 5,
+                                description: 'Time Limit Exceeded',
+                            });
+                        }, timeout * 1000);
+                        break;
+                    case 'output':
+                        data.chunks.forEach(({ stream, text }) => {
+                            output[stream === 'stdout' ? 'stdout' : 'stderr'] +=
+                                text;
+                        });
+                        onOutput(data.chunks);
+                        break;
+                    case 'done':
+                        this.#clearRun();
+                        finish(getExitStatus(data.exitCode));
+                        break;
+                    case 'unsupported':
+                        this.#clearRun();
+                        reject(
+                            new LocalRunError(
+                                `Not available in the browser: ${data.modules.join(', ')}`,
+                                'unsupported_modules',
+                                data.modules
+                            )
+                        );
+                        break;
+                    case 'failed':
+                        this.#clearRun();
+                        reject(
+                            new LocalRunError(
+                                `The browser engine failed to load: ${data.error}`,
+                                'engine_unavailable'
+                            )
+                        );
+                        break;
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.#terminate();
+                reject(
+                    new LocalRunError(
+                        `The browser engine failed: ${event.message || 'worker error'}`,
+                        'engine_unavailable'
+                    )
+                );
+            };
+
+            worker.postMessage({ id, sourceCode, language, stdin, args });
+        });
+    }
+
+    /**
+     * Stops the running program, which finishes with the Cancelled status.
+     */
+    stop() {
+        const run = this.#run;
+        if (!run) return;
+        this.#terminate();
+        run.stop(CANCELLED_STATUS);
+    }
+
+    #getWorker() {
+        this.#worker ??= this.#createWorker();
+        return this.#worker;
+    }
+
+    #clearRun() {
+        clearTimeout(this.#run?.timer);
+        this.#run = null;
+    }
+
+    #terminate() {
+        this.#clearRun();
+        this.#worker?.terminate();
+        this.#worker = null;
+    }
+}
+
+/**
+ * Runs Python programs with the bundled Pyodide.
+ * @type {LocalRunner}
+ */
+export const pythonRunner = new LocalRunner(
+    () =>
+        new Worker(new URL('../workers/python.worker.js', import.meta.url), {
+            type: 'module',
+        })
+);
+
+/**
+ * Runs JavaScript and TypeScript programs with a console and stand-ins of the Node.js modules reading the input.
+ * @type {LocalRunner}
+ */
+export const javascriptRunner = new LocalRunner(
+    () =>
+        new Worker(
+            new URL('../workers/javascript.worker.js', import.meta.url),
+            { type: 'module' }
+        )
+);
+
+/**
+ * Runners of the languages the browser can run, by Monaco language.
+ * @type {Object<string, LocalRunner>}
+ */
+const browserRunners = {
+    python: pythonRunner,
+    javascript: javascriptRunner,
+    typescript: javascriptRunner,
+};
+
+/**
+ * Returns the runner of a language in the browser.
+ * @param {string} language - Monaco language.
+ * @returns {LocalRunner|null} The runner, null if the browser cannot run the language.
+ */
+export function getBrowserRunner(language) {
+    return browserRunners[language] ?? null;
+}
+
+/**
+ * Stops the program running in the browser, whatever its language.
+ */
+export function stopBrowserRuns() {
+    new Set(Object.values(browserRunners)).forEach((runner) => runner.stop());
+}
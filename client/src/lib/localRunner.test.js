@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+
+import { LocalRunner, LocalRunError } from './localRunner';
+
+/**
+ * Worker double answering each run with the messages of a script.
+ */
+class FakeWorker {
+    constructor(script) {
+        this.script = script;
+        this.terminated = false;
+    }
+
+    postMessage({ id }) {
+        this.script.forEach((message) =>
+            queueMicrotask(() => this.onmessage({ data: { id, ...message } }))
+        );
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('LocalRunner', () => {
+    let workers;
+
+    function createRunner(script) {
+        workers = [];
+        return new LocalRunner(() => {
+            const worker = new FakeWorker(script);
+            workers.push(worker);
+            return worker;
+        });
+    }
+
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => vi.useRealTimers());
+
+    it('collects the streamed output into a Judge0 shaped result', async () => {
+        const runner = createRunner([
+            { type: 'started' },
+            { type: 'output', chunks: [{ stream: 'stdout', text: 'hi\n' }] },
+            { type: 'output', chunks: [{ stream: 'stderr', text: 'oops\n' }] },
+            { type: 'done', exitCode: 1 },
+        ]);
+        const onOutput = vi.fn();
+
+        const result = await runner.run({ sourceCode: 'x', onOutput });
+
+        expect(result).toMatchObject({
+            stdout: 'hi\n',
+            stderr: 'oops\n',
+            status: { id: 11 },
+            memory: null,
+        });
+        expect(onOutput).toHaveBeenCalledTimes(2);
+        expect(runner.isRunning).toBe(false);
+    });
+
+    it('terminates programs running past the time limit', async () => {
+        const runner = createRunner([{ type: 'started' }]);
+
+        const run = runner.run({ sourceCode: 'while True: pass', timeout: 2 });
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect((await run).status.id).toBe(5);
+        expect(workers[0].terminated).toBe(true);
+
+        // The next run gets a new worker
+        runner.run({ sourceCode: 'x' });
+        expect(workers).toHaveLength(2);
+        runner.stop();
+    });
+
+    it('cancels a stopped run', async () => {
+        const runner = createRunner([{ type: 'started' }]);
+
+        const run = runner.run({ sourceCode: 'input()' });
+        await vi.advanceTimersByTimeAsync(0);
+        runner.stop();
+
+        expect((await run).status.id).toBe(15);
+        expect(workers[0].terminated).toBe(true);
+    });
+
+    it('rejects programs needing modules the engine lacks', async () => {
+        const runner = createRunner([
+            { type: 'unsupported', modules: ['numpy'] },
+        ]);
+
+        const error = await runner.run({ sourceCode: 'import numpy' }).then(
+            () => null,
+            (reason) => reason
+        );
+
+        expect(error).toBeInstanceOf(LocalRunError);
+        expect(error).toMatchObject({
+            type: 'unsupported_modules',
+            modules: ['numpy'],
+        });
+    });
+});
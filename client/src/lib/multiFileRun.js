@@ -0,0 +1,230 @@
+import JSZip from 'jszip';
+
+import {
+    defaultRunConfiguration,
+    defaultRunSettings,
+    JUDGE0_TOOLCHAIN_PATH,
+    multiFileRunDefaults,
+} from '../conf/multiFileRun';
+import { judge0MaxLimits } from '../conf/judge0Config';
+import { getBaseName, getFilePath } from '../utils/filePaths';
+
+// Names of the scripts Judge0 runs in the root of a multi-file program
+const SCRIPT_NAMES = ['compile', 'run'];
+// A fixed modification date makes the same project always zip to the same archive, e.g. for its source hash
+const ARCHIVE_DATE = new Date(Date.UTC(2000, 0, 1));
+
+/**
+ * Quotes a value for a bash command.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteShellArgument(value) {
+    return `'${value.replaceAll("'", `'\\''`)}'`;
+}
+
+/**
+ * Parses the run settings saved with a project as a JSON string, filling in missing ones with the defaults.
+ * @param {string} [value] - The saved run settings.
+ * @returns {typeof defaultRunSettings} The run settings.
+ */
+export function parseRunSettings(value) {
+    let saved;
+    try {
+        saved = JSON.parse(value || '{}');
+    } catch {
+        return { ...defaultRunSettings };
+    }
+    return {
+        ...defaultRunSettings,
+        ...saved,
+        configurations: (saved.configurations ?? []).map((configuration) => ({
+            ...defaultRunConfiguration,
+            ...configuration,
+            limits: {
+                ...defaultRunConfiguration.limits,
+                ...configuration.limits,
+            },
+        })),
+    };
+}
+
+/**
+ * Returns the run configuration selected in the run settings of a project.
+ * @param {typeof defaultRunSettings} runSettings - The run settings.
+ * @returns {typeof defaultRunConfiguration|null} The configuration, null when none is selected.
+ */
+export function getActiveRunConfiguration(runSettings) {
+    return (
+        runSettings.configurations?.find(
+            (configuration) =>
+                configuration.id === runSettings.activeConfigurationId
+        ) ?? null
+    );
+}
+
+/**
+ * Parses the environment variables of a run configuration, one `NAME=value` per line. Blank lines and lines starting
+ * with `#` are ignored.
+ * @param {string} environment - The environment variables.
+ * @returns {Array<[string, string]>} The names and values.
+ * @throws {Error} If a line is not a valid variable.
+ */
+export function parseEnvironment(environment) {
+    return environment.split('\n').flatMap((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return [];
+        const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(trimmed);
+        if (!match) {
+            throw new Error(
+                `Invalid environment variable on line ${index + 1}, use NAME=value`
+            );
+        }
+        return [[match[1], match[2]]];
+    });
+}
+
+/**
+ * Judge0 submission fields of a run configuration: its limits, capped to the maxima, its arguments and, for single
+ * file runs, its compiler options. Project runs get their compiler options in their build script instead, Judge0 does
+ * not pass them to multi-file programs.
+ * @param {typeof defaultRunConfiguration|null} configuration - The run configuration, null for the defaults.
+ * @param {Object} [options]
+ * @param {boolean} [options.isProjectRun=false] - Whether the whole project runs.
+ * @returns {Object} The submission fields, empty without a configuration.
+ */
+export function getSubmissionOptions(
+    configuration,
+    { isProjectRun = false } = {}
+) {
+    if (!configuration) return {};
+
+    const options = Object.fromEntries(
+        Object.entries(judge0MaxLimits).map(([name, maxValue]) => [
+            name,
+            Math.min(
+                Number(configuration.limits[name]) ||
+                    defaultRunConfiguration.limits[name],
+                maxValue
+            ),
+        ])
+    );
+    if (configuration.compilerOptions.trim() && !isProjectRun) {
+        options.compiler_options = configuration.compilerOptions.trim();
+    }
+    if (configuration.arguments.trim()) {
+        options.command_line_arguments = configuration.arguments.trim();
+    }
+    return options;
+}
+
+/**
+ * Returns the fully qualified name of the class a Java file declares, from its package declaration and file name.
+ * @param {string} path - Full path of the Java file.
+ * @param {string} content - Content of the Java file.
+ * @returns {string} The class name, e.g. `com.example.Main`.
+ */
+export function getJavaClassName(path, content) {
+    const className = getBaseName(path).replace(/\.java$/, '');
+    const [, packageName] = /^\s*package\s+([\w.]+)\s*;/m.exec(content) || [];
+    return packageName ? `${packageName}.${className}` : className;
+}
+
+/**
+ * Resolves the build and run commands of a multi-file project: the custom ones or the defaults of the entry file
+ * language, with the `{entry}` and `{entryClass}` placeholders filled in.
+ * @param {Object} entryFile - The entry file.
+ * @param {string} entryFile.path - Full path of the entry file.
+ * @param {string} entryFile.language - Language of the entry file.
+ * @param {string} entryFile.content - Content of the entry file.
+ * @param {{compile: string, run: string}} settings - Custom commands, empty ones use the defaults.
+ * @returns {{compile: string, run: string}} The commands, `compile` is empty when there is no build step.
+ * @throws {Error} If there is no run command for the language.
+ */
+export function resolveRunCommands(entryFile, settings) {
+    const defaults = multiFileRunDefaults[entryFile.language];
+    const compile = settings.compile?.trim() || defaults?.compile || '';
+    const run = settings.run?.trim() || defaults?.run;
+
+    if (!run) {
+        throw new Error(
+            `No default run command for ${entryFile.language} files, set one in the run settings`
+        );
+    }
+
+    const fill = (command) =>
+        command
+            .replaceAll('{entry}', quoteShellArgument(entryFile.path))
+            .replaceAll(
+                '{entryClass}',
+                getJavaClassName(entryFile.path, entryFile.content)
+            );
+    return { compile: fill(compile), run: fill(run) };
+}
+
+/**
+ * Packages a project as a Judge0 multi-file program: a zip of all its files plus the `compile` and `run` scripts.
+ * @param {Object} options
+ * @param {Array<Object>} options.files - Files of the project with their current content.
+ * @param {Object} options.entryFile - The file the program starts from, one of `files`.
+ * @param {{compile: string, run: string}} options.settings - Custom commands, empty ones use the defaults.
+ * @param {typeof defaultRunConfiguration|null} [options.configuration] - Run configuration whose compiler options are
+ * added to the build command and whose environment is exported by both scripts.
+ * @returns {Promise<string>} The base64 encoded zip, the `additional_files` of the submission.
+ * @throws {Error} If there is no run command for the language, a file clashes with a script or the environment of the
+ * configuration is invalid.
+ */
+export async function createMultiFileArchive({
+    files,
+    entryFile,
+    settings,
+    configuration = null,
+}) {
+    const commands = resolveRunCommands(
+        {
+            path: getFilePath(entryFile),
+            language: entryFile.language,
+            content: entryFile.codeContent || '',
+        },
+        settings
+    );
+    const compilerOptions = configuration?.compilerOptions.trim();
+    if (commands.compile && compilerOptions) {
+        commands.compile = `${commands.compile} ${compilerOptions}`;
+    }
+    // Judge0 passes the command line arguments to the run script
+    commands.run = `${commands.run} "$@"`;
+    const exports = parseEnvironment(configuration?.environment ?? '')
+        .map(([name, value]) => `export ${name}=${quoteShellArgument(value)}\n`)
+        .join('');
+
+    const zip = new JSZip();
+    files.forEach((file) => {
+        const path = getFilePath(file);
+        if (SCRIPT_NAMES.includes(path)) {
+            throw new Error(
+                `The file "${path}" clashes with the ${path} script of the project, rename or move it`
+            );
+        }
+        // Folders are added outermost first, otherwise JSZip creates them with the current date
+        const folders = path.split('/').slice(0, -1);
+        folders.forEach((_, index) =>
+            zip.file(`${folders.slice(0, index + 1).join('/')}/`, null, {
+                dir: true,
+                date: ARCHIVE_DATE,
+            })
+        );
+        zip.file(path, file.codeContent || '', { date: ARCHIVE_DATE });
+    });
+
+    SCRIPT_NAMES.forEach((name) => {
+        if (!commands[name]) return;
+        zip.file(
+            name,
+            `#!/bin/bash\nexport PATH="${JUDGE0_TOOLCHAIN_PATH}:$PATH"\n${exports}${commands[name]}\n`,
+            { date: ARCHIVE_DATE }
+        );
+    });
+
+    return zip.generateAsync({ type: 'base64', compression: 'DEFLATE' });
+}
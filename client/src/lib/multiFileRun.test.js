@@ -0,0 +1,177 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import JSZip from 'jszip';
+
+import { defaultRunConfiguration } from '../conf/multiFileRun';
+
+import {
+    createMultiFileArchive,
+    getSubmissionOptions,
+    resolveRunCommands,
+} from './multiFileRun';
+
+describe('resolveRunCommands', () => {
+    it('fills the entry placeholders of the language defaults', () => {
+        expect(
+            resolveRunCommands(
+                {
+                    path: 'src/app/Main.java',
+                    language: 'java',
+                    content: 'package app;\n\npublic class Main {}',
+                },
+                { compile: '', run: '' }
+            ).run
+        ).toBe('java -cp build app.Main');
+
+        expect(
+            resolveRunCommands(
+                { path: 'tools/main.py', language: 'python', content: '' },
+                { compile: '', run: 'python3 -u {entry} --fast' }
+            )
+        ).toEqual({ compile: '', run: "python3 -u 'tools/main.py' --fast" });
+    });
+
+    it('requires a run command for languages without defaults', () => {
+        expect(() =>
+            resolveRunCommands(
+                { path: 'main.ts', language: 'typescript', content: '' },
+                { compile: '', run: '' }
+            )
+        ).toThrow('No default run command');
+    });
+});
+
+describe('createMultiFileArchive', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('zips the project files with its build and run scripts', async () => {
+        const files = [
+            {
+                fileName: 'main.py',
+                folderPath: '',
+                language: 'python',
+                codeContent: 'from lib.util import f',
+            },
+            {
+                fileName: 'util.py',
+                folderPath: 'lib',
+                language: 'python',
+                codeContent: 'def f(): pass',
+            },
+        ];
+
+        const zip = await JSZip.loadAsync(
+            await createMultiFileArchive({
+                files,
+                entryFile: files[0],
+                settings: { compile: '', run: '' },
+            }),
+            { base64: true }
+        );
+
+        expect(Object.keys(zip.files).sort()).toEqual([
+            'lib/',
+            'lib/util.py',
+            'main.py',
+            'run',
+        ]);
+        expect(await zip.file('run').async('string')).toContain(
+            "python3 'main.py'"
+        );
+    });
+
+    it('adds the compiler options and environment of a run configuration', async () => {
+        const files = [
+            {
+                fileName: 'main.cpp',
+                folderPath: '',
+                language: 'cpp',
+                codeContent: 'int main() { return 0; }',
+            },
+        ];
+
+        const zip = await JSZip.loadAsync(
+            await createMultiFileArchive({
+                files,
+                entryFile: files[0],
+                settings: { compile: '', run: '' },
+                configuration: {
+                    ...defaultRunConfiguration,
+                    compilerOptions: '-std=c++20 ',
+                    environment: "# comment\nGREETING=it's me\n",
+                },
+            }),
+            { base64: true }
+        );
+
+        expect(await zip.file('compile').async('string')).toContain(
+            '-std=c++20\n'
+        );
+        const run = await zip.file('run').async('string');
+        expect(run).toContain("export GREETING='it'\\''s me'\n");
+        expect(run).toContain('./main "$@"');
+
+        await expect(
+            createMultiFileArchive({
+                files,
+                entryFile: files[0],
+                settings: { compile: '', run: '' },
+                configuration: {
+                    ...defaultRunConfiguration,
+                    environment: 'NOT VALID',
+                },
+            })
+        ).rejects.toThrow('line 1');
+    });
+
+    it('zips the same project to the same archive', async () => {
+        const files = [
+            {
+                fileName: 'main.c',
+                folderPath: 'src/app',
+                language: 'c',
+                codeContent: 'int main() { return 0; }',
+            },
+        ];
+        const createArchive = () =>
+            createMultiFileArchive({
+                files,
+                entryFile: files[0],
+                settings: { compile: '', run: '' },
+            });
+
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date(2024, 0, 1));
+        const first = await createArchive();
+        vi.setSystemTime(new Date(2025, 6, 1));
+        expect(await createArchive()).toBe(first);
+    });
+});
+
+describe('getSubmissionOptions', () => {
+    it('caps the limits and leaves compiler options to project builds', () => {
+        const configuration = {
+            ...defaultRunConfiguration,
+            compilerOptions: '-O2',
+            arguments: '--verbose',
+            limits: {
+                cpu_time_limit: 60,
+                wall_time_limit: '',
+                memory_limit: 131072,
+            },
+        };
+
+        expect(getSubmissionOptions(configuration)).toEqual({
+            cpu_time_limit: 15,
+            wall_time_limit: 6,
+            memory_limit: 131072,
+            compiler_options: '-O2',
+            command_line_arguments: '--verbose',
+        });
+        expect(
+            getSubmissionOptions(configuration, { isProjectRun: true })
+        ).not.toHaveProperty('compiler_options');
+        expect(getSubmissionOptions(null)).toEqual({});
+    });
+});
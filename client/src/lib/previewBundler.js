@@ -0,0 +1,461 @@
+import { PREVIEW_ENTRY_PATH, defaultPreviewAssets } from '../conf/previewFiles';
+import { encodeToBase64 } from '../utils/base64';
+import { PATH_SEPARATOR, getFilePath, getParentPath } from '../utils/filePaths';
+
+// Bare specifier prefix of project modules, mapped to their code by the import map
+const MODULE_PREFIX = '@project/';
+// Files added to the import map, TypeScript and JSX once transpiled
+const MODULE_FILE_PATTERN = /\.(?:m?js|jsx|tsx?)$/i;
+// Extensions tried in order when an import leaves them out
+const MODULE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx'];
+
+// Static imports, re-exports and dynamic imports, with the quoted specifier in groups 2 and 3
+const IMPORT_PATTERN =
+    /(\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bexport\s*[\w$*{}\s,]+?\s*from\s*|\bimport\s*\(\s*)(['"])([^'"\n]+)\2/g;
+// `@import 'file.css';` and `@import url(file.css);`
+const CSS_IMPORT_PATTERN =
+    /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?\s*[^;]*;/g;
+// Scripts with their attributes and content, and link tags with their attributes
+const TAG_PATTERN =
+    /<script\b([^>]*)>([\s\S]*?)<\/script\s*>|<link\b([^>]*)>/gi;
+
+/**
+ * An error of the preview build, located in a project file.
+ * @typedef {Object} PreviewBuildError
+ * @property {string} path - Full path of the file.
+ * @property {number} line - Line of the error, 1-based.
+ * @property {string} message - Description of the error.
+ */
+
+/**
+ * Counts the line of a position in a text.
+ * @param {string} text
+ * @param {number} index
+ * @returns {number} The line, 1-based.
+ */
+function getLineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Reads an attribute of an HTML tag.
+ * @param {string} attributes - The attributes of the tag, as written.
+ * @param {string} name - Name of the attribute.
+ * @returns {string|null} The value, or null if the attribute is missing.
+ */
+function getAttribute(attributes, name) {
+    const match = new RegExp(
+        `(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`,
+        'i'
+    ).exec(attributes);
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Removes an attribute from the attributes of an HTML tag.
+ * @param {string} attributes - The attributes of the tag, as written.
+ * @param {string} name - Name of the attribute.
+ * @returns {string} The other attributes.
+ */
+function removeAttribute(attributes, name) {
+    return attributes.replace(
+        new RegExp(
+            `(?:^|\\s)${name}\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s>]+)`,
+            'gi'
+        ),
+        ''
+    );
+}
+
+/**
+ * Whether a reference points to a project file rather than to another site, a data URL or an anchor.
+ * @param {string} reference - A URL or a module specifier.
+ * @returns {boolean}
+ */
+function isLocalReference(reference) {
+    return !/^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(reference);
+}
+
+/**
+ * Resolves a relative reference against a folder of the project.
+ * @param {string} folderPath - Folder of the referencing file, empty for the project root.
+ * @param {string} reference - The reference, `/` starts at the project root.
+ * @returns {string|null} Full path of the referenced file, or null if it leaves the project.
+ */
+function resolvePath(folderPath, reference) {
+    const segments = reference.startsWith(PATH_SEPARATOR)
+        ? []
+        : folderPath.split(PATH_SEPARATOR).filter(Boolean);
+
+    for (const segment of reference.split(/[?#]/)[0].split(PATH_SEPARATOR)) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') {
+            if (!segments.length) return null;
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+    return segments.join(PATH_SEPARATOR);
+}
+
+/**
+ * Encodes code as a data URL carrying the file and line it starts at, to locate runtime errors.
+ * @param {string} code
+ * @param {Object} source
+ * @param {string} source.path - Full path of the file.
+ * @param {number} [source.line=1] - Line of the file the code starts at.
+ * @returns {string} The data URL.
+ */
+function toDataUrl(code, { path, line = 1 }) {
+    return `data:text/javascript;path=${encodeURIComponent(path)};line=${line};base64,${encodeToBase64(code)}`;
+}
+
+/**
+ * Locates a runtime error of the preview in the project files, see {@link toDataUrl}.
+ * @param {string} source - URL of the script that threw.
+ * @param {number} line - Line of the error in the script.
+ * @returns {{path: string, line: number}|null} The location, or null if the script is not a project file.
+ */
+export function locatePreviewError(source, line) {
+    const match = /^data:text\/javascript;path=([^;,]*);line=(\d+)/.exec(
+        source || ''
+    );
+    if (!match) return null;
+    return {
+        path: decodeURIComponent(match[1]),
+        line: Number(match[2]) + Math.max(line || 1, 1) - 1,
+    };
+}
+
+/**
+ * Locates the first frame of a stack trace that is in a project file, see {@link toDataUrl}.
+ * @param {string} stack - The stack trace of an error thrown in the preview.
+ * @returns {{path: string, line: number, column: number}|null} The location, or null if no frame is in a project file.
+ */
+export function locatePreviewStack(stack) {
+    const match =
+        /data:text\/javascript;path=([^;,]*);line=(\d+)[^\s)]*?:(\d+):(\d+)/.exec(
+            stack || ''
+        );
+    if (!match) return null;
+    return {
+        path: decodeURIComponent(match[1]),
+        line: Number(match[2]) + Number(match[3]) - 1,
+        column: Number(match[4]),
+    };
+}
+
+/**
+ * Builds the live preview page of a web project: stylesheets are inlined, scripts and ES modules
+ * are loaded from data URLs and `import` statements between project files go through an import map.
+ * TypeScript and JSX files are run from their transpiled code, see {@link Transpiler}.
+ * Compiled modules are cached, so a rebuild only re-encodes the files that changed.
+ */
+export class PreviewBundler {
+    #modules = new Map(); // Full path -> { content, url, errors }
+    #pathsKey = '';
+
+    /**
+     * Builds the preview page from the current project files.
+     * @param {Array<Object>} files - Files with their current content ({ fileName, folderPath, codeContent }).
+     * @param {Object} [options]
+     * @param {string} [options.prelude=''] - Markup added first to the head, before any project script.
+     * @param {Map<string, Object>} [options.transpiled] - Results of the transpiled files by path ({ code } or { error }).
+     * @returns {{html: string, errors: Array<PreviewBuildError>}} The page for the preview iframe and the build errors.
+     */
+    build(files, { prelude = '', transpiled = new Map() } = {}) {
+        const filesByPath = new Map(
+            files.map((file) => [getFilePath(file), file])
+        );
+
+        // Resolved imports depend on which files exist, recompile everything when it changes
+        const pathsKey = [...filesByPath.keys()].sort().join('\n');
+        if (pathsKey !== this.#pathsKey) {
+            this.#modules.clear();
+            this.#pathsKey = pathsKey;
+        }
+
+        const resolveModule = (path) =>
+            path === null
+                ? undefined
+                : [
+                      path,
+                      ...MODULE_EXTENSIONS.map(
+                          (extension) => `${path}${extension}`
+                      ),
+                      ...MODULE_EXTENSIONS.map(
+                          (extension) => `${path}/index${extension}`
+                      ),
+                  ].find((candidate) => filesByPath.has(candidate));
+        // Files that failed to transpile run empty, their error is reported instead
+        const getCode = (file, path) =>
+            transpiled.has(path)
+                ? (transpiled.get(path).code ?? '')
+                : file.codeContent || '';
+
+        const errors = [];
+        transpiled.forEach(({ error }, path) => {
+            if (error)
+                errors.push({ path, line: error.line, message: error.message });
+        });
+
+        const imports = {};
+        filesByPath.forEach((file, path) => {
+            if (!MODULE_FILE_PATTERN.test(path)) return;
+            const compiled = this.#compileModule(
+                path,
+                getCode(file, path),
+                resolveModule
+            );
+            imports[`${MODULE_PREFIX}${path}`] = compiled.url;
+            errors.push(...compiled.errors);
+        });
+
+        const entry = filesByPath.get(PREVIEW_ENTRY_PATH);
+        const entryFolder = getParentPath(PREVIEW_ENTRY_PATH);
+        const source = entry?.codeContent ?? '';
+        const referencedPaths = new Set();
+
+        let html = source.replace(
+            TAG_PATTERN,
+            (tag, scriptAttributes, content, linkAttributes, index) => {
+                const line = getLineAt(source, index);
+
+                if (linkAttributes !== undefined) {
+                    const href = getAttribute(linkAttributes, 'href');
+                    if (
+                        getAttribute(linkAttributes, 'rel')?.toLowerCase() !==
+                            'stylesheet' ||
+                        !href ||
+                        !isLocalReference(href)
+                    ) {
+                        return tag;
+                    }
+
+                    const path = resolvePath(entryFolder, href);
+                    if (!filesByPath.has(path)) {
+                        errors.push({
+                            path: PREVIEW_ENTRY_PATH,
+                            line,
+                            message: `Cannot find stylesheet "${href}"`,
+                        });
+                        return '';
+                    }
+                    referencedPaths.add(path);
+                    return this.#inlineStylesheet(path, filesByPath, errors);
+                }
+
+                const type = getAttribute(scriptAttributes, 'type');
+                const isModule = type?.toLowerCase() === 'module';
+                const src = getAttribute(scriptAttributes, 'src');
+                const attributes = removeAttribute(scriptAttributes, 'src');
+
+                if (src !== null) {
+                    if (!isLocalReference(src)) return tag;
+
+                    const path = resolvePath(entryFolder, src);
+                    const file = filesByPath.get(path);
+                    if (!file) {
+                        errors.push({
+                            path: PREVIEW_ENTRY_PATH,
+                            line,
+                            message: `Cannot find script "${src}"`,
+                        });
+                        return '';
+                    }
+                    referencedPaths.add(path);
+                    const url = isModule
+                        ? this.#compileModule(
+                              path,
+                              getCode(file, path),
+                              resolveModule
+                          ).url
+                        : toDataUrl(getCode(file, path), { path });
+                    return `<script${attributes} src="${url}"></script>`;
+                }
+
+                // Leave data blocks such as templates, JSON and import maps as they are
+                if (
+                    !content.trim() ||
+                    (type && !isModule && !/javascript/i.test(type))
+                ) {
+                    return tag;
+                }
+
+                const openingTag = tag.slice(0, tag.indexOf('>') + 1);
+                const contentLine = getLineAt(
+                    source,
+                    index + openingTag.length
+                );
+                const code = isModule
+                    ? this.#rewriteImports(content, {
+                          path: PREVIEW_ENTRY_PATH,
+                          line: contentLine,
+                          resolveModule,
+                          errors,
+                      })
+                    : content;
+                return `<script${attributes} src="${toDataUrl(code, { path: PREVIEW_ENTRY_PATH, line: contentLine })}"></script>`;
+            }
+        );
+
+        // Web mode projects start with a page that doesn't reference their stylesheet and script
+        const defaultStylesheet = defaultPreviewAssets.css;
+        const defaultScript = filesByPath.get(defaultPreviewAssets.javascript);
+        const head = [
+            prelude,
+            `<script type="importmap">${JSON.stringify({ imports })}</script>`,
+        ];
+        if (
+            filesByPath.has(defaultStylesheet) &&
+            !referencedPaths.has(defaultStylesheet)
+        ) {
+            head.push(
+                this.#inlineStylesheet(defaultStylesheet, filesByPath, errors)
+            );
+        }
+        html = insertIntoHead(html, head.join(''));
+        if (
+            defaultScript &&
+            !referencedPaths.has(defaultPreviewAssets.javascript)
+        ) {
+            html = appendToBody(
+                html,
+                `<script src="${toDataUrl(defaultScript.codeContent || '', { path: defaultPreviewAssets.javascript })}"></script>`
+            );
+        }
+
+        return { html, errors };
+    }
+
+    /**
+     * Encodes a JavaScript file as an ES module, reusing the cached module if its content didn't change.
+     * @param {string} path - Full path of the file.
+     * @param {string} content - JavaScript code of the file.
+     * @param {Function} resolveModule - Finds the full path of an imported file.
+     * @returns {{content: string, url: string, errors: Array<PreviewBuildError>}}
+     */
+    #compileModule(path, content, resolveModule) {
+        const cached = this.#modules.get(path);
+        if (cached?.content === content) return cached;
+
+        const errors = [];
+        const code = this.#rewriteImports(content, {
+            path,
+            line: 1,
+            resolveModule,
+            errors,
+        });
+        const compiled = { content, url: toDataUrl(code, { path }), errors };
+        this.#modules.set(path, compiled);
+        return compiled;
+    }
+
+    /**
+     * Points the relative imports of a module to the import map entries of the imported files.
+     * Bare specifiers and URLs are left as they are.
+     * @param {string} code - Code of the module.
+     * @param {Object} source
+     * @param {string} source.path - Full path of the file containing the code.
+     * @param {number} source.line - Line of the file the code starts at.
+     * @param {Function} source.resolveModule - Finds the full path of an imported file.
+     * @param {Array<PreviewBuildError>} source.errors - Collects the unresolved imports.
+     * @returns {string} The rewritten code.
+     */
+    #rewriteImports(code, { path, line, resolveModule, errors }) {
+        const folderPath = getParentPath(path);
+
+        return code.replace(
+            IMPORT_PATTERN,
+            (statement, prefix, quote, specifier, index) => {
+                if (!/^\.{0,2}\//.test(specifier)) return statement;
+
+                const resolvedPath = resolveModule(
+                    resolvePath(folderPath, specifier)
+                );
+                if (!resolvedPath) {
+                    errors.push({
+                        path,
+                        line: line + getLineAt(code, index) - 1,
+                        message: `Cannot resolve import "${specifier}"`,
+                    });
+                    return statement;
+                }
+                return `${prefix}${quote}${MODULE_PREFIX}${resolvedPath}${quote}`;
+            }
+        );
+    }
+
+    /**
+     * Inlines a stylesheet and the stylesheets it imports.
+     * @param {string} path - Full path of the stylesheet.
+     * @param {Map<string, Object>} filesByPath - Project files by full path.
+     * @param {Array<PreviewBuildError>} errors - Collects the unresolved imports.
+     * @param {Set<string>} [visited] - Stylesheets already inlined, to break import cycles.
+     * @returns {string} A style tag with the stylesheet.
+     */
+    #inlineStylesheet(path, filesByPath, errors, visited = new Set()) {
+        visited.add(path);
+        const css = filesByPath.get(path)?.codeContent || '';
+        const folderPath = getParentPath(path);
+
+        const inlined = css.replace(
+            CSS_IMPORT_PATTERN,
+            (statement, quote, href, index) => {
+                if (!isLocalReference(href)) return statement;
+
+                const importedPath = resolvePath(folderPath, href);
+                if (!filesByPath.has(importedPath)) {
+                    errors.push({
+                        path,
+                        line: getLineAt(css, index),
+                        message: `Cannot find stylesheet "${href}"`,
+                    });
+                    return '';
+                }
+                if (visited.has(importedPath)) return '';
+                return this.#inlineStylesheet(
+                    importedPath,
+                    filesByPath,
+                    errors,
+                    visited
+                );
+            }
+        );
+
+        return `<style data-source="${path}">${inlined}</style>`;
+    }
+}
+
+/**
+ * Adds markup at the start of the head of a page, creating the head if needed.
+ * @param {string} html
+ * @param {string} markup
+ * @returns {string}
+ */
+function insertIntoHead(html, markup) {
+    const anchor =
+        /<head\b[^>]*>/i.exec(html) ??
+        /<html\b[^>]*>/i.exec(html) ??
+        /^\s*<!doctype[^>]*>/i.exec(html);
+    const isHead = anchor?.[0].toLowerCase().startsWith('<head');
+    const content = isHead ? markup : `<head>${markup}</head>`;
+    if (!anchor) return `${content}${html}`;
+
+    const end = anchor.index + anchor[0].length;
+    return `${html.slice(0, end)}${content}${html.slice(end)}`;
+}
+
+/**
+ * Adds markup at the end of the body of a page.
+ * @param {string} html
+ * @param {string} markup
+ * @returns {string}
+ */
+function appendToBody(html, markup) {
+    const index = html.search(/<\/body\s*>/i);
+    return index === -1
+        ? `${html}${markup}`
+        : `${html.slice(0, index)}${markup}${html.slice(index)}`;
+}
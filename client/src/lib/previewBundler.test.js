@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+
+import { PreviewBundler, locatePreviewError } from './previewBundler';
+
+function file(path, codeContent) {
+    const index = path.lastIndexOf('/');
+    return {
+        $id: path,
+        fileName: path.slice(index + 1),
+        folderPath: index === -1 ? '' : path.slice(0, index),
+        codeContent,
+    };
+}
+
+/**
+ * Reads the import map of a built preview page.
+ */
+function getImportMap(html) {
+    const [, json] = /<script type="importmap">(.*?)<\/script>/.exec(html);
+    return JSON.parse(json).imports;
+}
+
+function decodeDataUrl(url) {
+    return atob(url.slice(url.indexOf('base64,') + 'base64,'.length));
+}
+
+describe('PreviewBundler', () => {
+    it('inlines linked stylesheets and maps imports between modules', () => {
+        const { html, errors } = new PreviewBundler().build([
+            file(
+                'index.html',
+                '<html><head><link rel="stylesheet" href="styles/main.css"></head><body><script type="module" src="src/app.js"></script></body></html>'
+            ),
+            file(
+                'styles/main.css',
+                "@import './base.css';\nh1 { color: red; }"
+            ),
+            file('styles/base.css', 'body { margin: 0; }'),
+            file(
+                'src/app.js',
+                "import { greet } from './lib/greet';\ngreet();"
+            ),
+            file('src/lib/greet.js', 'export const greet = () => {};'),
+        ]);
+
+        expect(errors).toEqual([]);
+        expect(html).toContain('body { margin: 0; }');
+        expect(html).toContain('h1 { color: red; }');
+        expect(html).not.toContain('<link');
+
+        const imports = getImportMap(html);
+        expect(decodeDataUrl(imports['@project/src/app.js'])).toContain(
+            "from '@project/src/lib/greet.js'"
+        );
+        expect(html).toContain(`src="${imports['@project/src/app.js']}"`);
+    });
+
+    it('reports unresolved imports at their file and line', () => {
+        const { errors } = new PreviewBundler().build([
+            file('index.html', '<body></body>'),
+            file('main.js', "const a = 1;\nimport './missing.js';"),
+        ]);
+
+        expect(errors).toEqual([
+            {
+                path: 'main.js',
+                line: 2,
+                message: 'Cannot resolve import "./missing.js"',
+            },
+        ]);
+    });
+
+    it('adds the web mode stylesheet and script when the page does not reference them', () => {
+        const { html } = new PreviewBundler().build([
+            file('index.html', '<html><body><h1>Hi</h1></body></html>'),
+            file('style.css', 'h1 { color: blue; }'),
+            file('script.js', "console.log('hi');"),
+        ]);
+
+        expect(html).toContain('<style data-source="style.css">');
+        expect(
+            html.indexOf('data:text/javascript;path=script.js')
+        ).toBeLessThan(html.indexOf('</body>'));
+    });
+
+    it('locates errors of inline scripts in the page', () => {
+        const { html } = new PreviewBundler().build([
+            file(
+                'index.html',
+                '<body>\n<h1>Hi</h1>\n<script>\nboom();\n</script>\n</body>'
+            ),
+        ]);
+        const [, url] = /<script src="(data:[^"]+)"/.exec(html);
+
+        // The script content starts at the end of line 3, `boom()` is on its second line
+        expect(locatePreviewError(url, 2)).toEqual({
+            path: 'index.html',
+            line: 4,
+        });
+        expect(locatePreviewError('about:srcdoc', 2)).toBeNull();
+    });
+});
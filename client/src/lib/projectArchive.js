@@ -0,0 +1,335 @@
+import JSZip from 'jszip';
+
+import { getLanguageFromFileName } from '../utils/getLanguageFromFileName';
+import {
+    ARCHIVE_MANIFEST_NAME,
+    ignoredImportNames,
+    importLimits,
+} from '../conf/projectArchive';
+import {
+    PATH_SEPARATOR,
+    getBaseName,
+    getFilePath,
+    getParentPath,
+} from '../utils/filePaths';
+
+import { getLanguageCatalogue } from './languageCatalogue';
+
+// Version of the manifest written at the root of exported zips
+const MANIFEST_VERSION = 1;
+// Bytes inspected for NUL characters when detecting binary files
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * An entry of a zip archive or a dropped folder, read lazily.
+ * @typedef {Object} ImportSource
+ * @property {string} path - Path of the entry, relative to the archive or the dropped items.
+ * @property {boolean} isDirectory - Whether the entry is a folder.
+ * @property {number} size - Size of the file in bytes, 0 for folders.
+ * @property {Function} read - Resolves to the content of the file as a Uint8Array.
+ */
+
+/**
+ * Formats a number of bytes for error messages.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${Math.round(bytes / (1024 * 1024))} MB`
+        : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Splits a path into its segments, dropping empty and `.` segments.
+ * @param {string} path
+ * @returns {Array<string>|null} The segments, or null if the path escapes its root.
+ */
+function getPathSegments(path) {
+    const segments = path
+        .replaceAll('\\', PATH_SEPARATOR)
+        .split(PATH_SEPARATOR)
+        .filter((segment) => segment && segment !== '.');
+    return segments.includes('..') ? null : segments;
+}
+
+/**
+ * Whether a file or folder is left out of an import.
+ * @param {Array<string>} segments - Segments of its path.
+ * @returns {boolean}
+ */
+function isIgnored(segments) {
+    return segments.some(
+        (segment) =>
+            segment.startsWith('.') || ignoredImportNames.includes(segment)
+    );
+}
+
+/**
+ * Detects binary content: a NUL byte near the start or invalid UTF-8.
+ * @param {Uint8Array} bytes - Content of the file.
+ * @returns {boolean} Whether the content is not text.
+ */
+export function isBinaryContent(bytes) {
+    if (bytes.subarray(0, BINARY_SNIFF_LENGTH).includes(0)) {
+        return true;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return false;
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Lists the entries of a zip archive.
+ * @param {Blob} archive - The zip file.
+ * @returns {Promise<Array<ImportSource>>}
+ * @throws {Error} If the archive is too large or not a valid zip.
+ */
+export async function readZipSources(archive) {
+    if (archive.size > importLimits.maxArchiveSize) {
+        throw new Error(
+            `The archive is larger than ${formatSize(importLimits.maxArchiveSize)}`
+        );
+    }
+
+    const zip = await JSZip.loadAsync(archive);
+    return Object.values(zip.files).map((entry) => ({
+        path: entry.name,
+        isDirectory: entry.dir,
+        // JSZip keeps the uncompressed size of the central directory, checked before inflating
+        size: entry._data?.uncompressedSize ?? 0,
+        read: () => entry.async('uint8array'),
+    }));
+}
+
+/**
+ * Lists every file and folder below a dropped folder entry.
+ * @param {FileSystemEntry} entry - A dropped file or folder.
+ * @returns {Promise<Array<ImportSource>>}
+ */
+async function readEntrySources(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) =>
+            entry.file(resolve, reject)
+        );
+        return [
+            {
+                path: entry.fullPath,
+                isDirectory: false,
+                size: file.size,
+                read: async () => new Uint8Array(await file.arrayBuffer()),
+            },
+        ];
+    }
+
+    // Directory readers return their children in batches until an empty one
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) =>
+            reader.readEntries(resolve, reject)
+        );
+        children.push(...batch);
+    } while (batch.length);
+
+    const nested = await Promise.all(children.map(readEntrySources));
+    return [
+        { path: entry.fullPath, isDirectory: true, size: 0, read: null },
+        ...nested.flat(),
+    ];
+}
+
+/**
+ * Lists the files and folders dropped on the page. A single dropped `.zip` is read as an archive.
+ * Must be called while handling the drop event, the dropped items are not readable afterwards.
+ * @param {DataTransfer} dataTransfer - The data transfer of the drop event.
+ * @returns {Promise<Array<ImportSource>>}
+ */
+export function readDroppedSources(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    const [firstFile] = dataTransfer.files;
+
+    if (
+        entries.length === 1 &&
+        entries[0].isFile &&
+        firstFile?.name.toLowerCase().endsWith('.zip')
+    ) {
+        return readZipSources(firstFile);
+    }
+
+    return Promise.all(entries.map(readEntrySources)).then((sources) =>
+        sources.flat()
+    );
+}
+
+/**
+ * Reads the manifest of an archive exported by ByteTogether.
+ * @param {ImportSource} [source] - The manifest entry.
+ * @returns {Promise<Map<string, string>>} Language of every file, by path.
+ */
+async function readManifestLanguages(source) {
+    const languages = new Map();
+    if (!source) return languages;
+
+    try {
+        const manifest = JSON.parse(
+            new TextDecoder().decode(await source.read())
+        );
+        if (manifest.version === MANIFEST_VERSION) {
+            manifest.files?.forEach(({ path, language }) => {
+                if (getLanguageCatalogue().byValue.has(language)) {
+                    languages.set(path, language);
+                }
+            });
+        }
+    } catch (error) {
+        console.warn(`Ignoring invalid archive manifest: ${error}`);
+    }
+    return languages;
+}
+
+/**
+ * Reads the text files of an import, enforcing the import limits.
+ * A folder shared by every entry (e.g. the folder a zip was made of) is dropped from the paths.
+ * Files of an unsupported language, too large or binary are skipped.
+ * @param {Array<ImportSource>} sources - The entries of an archive or the dropped items.
+ * @returns {Promise<{files: Array<{fileName: string, folderPath: string, language: string, codeContent: string}>, folders: Array<string>, skipped: Array<{path: string, reason: string}>}>}
+ * @throws {Error} If the import has too many files or is too large.
+ */
+export async function readImportFiles(sources) {
+    const entries = sources
+        .map((source) => ({
+            ...source,
+            segments: getPathSegments(source.path),
+        }))
+        .filter((entry) => entry.segments?.length);
+
+    const [root] = entries[0]?.segments ?? [];
+    const hasSharedRoot = entries.every(
+        (entry) =>
+            entry.segments[0] === root &&
+            (entry.isDirectory || entry.segments.length > 1)
+    );
+    const paths = entries.map((entry) => ({
+        ...entry,
+        segments: hasSharedRoot ? entry.segments.slice(1) : entry.segments,
+    }));
+
+    const manifestLanguages = await readManifestLanguages(
+        paths.find(
+            (entry) =>
+                !entry.isDirectory &&
+                entry.segments.join(PATH_SEPARATOR) === ARCHIVE_MANIFEST_NAME
+        )
+    );
+
+    const files = [];
+    const folders = new Set();
+    const skipped = [];
+    const takenPaths = new Set();
+    let totalSize = 0;
+
+    for (const { segments, isDirectory, size, read } of paths) {
+        if (!segments.length || isIgnored(segments)) continue;
+
+        const path = segments.join(PATH_SEPARATOR);
+        if (isDirectory) {
+            folders.add(path);
+            continue;
+        }
+
+        const detectedLanguage = getLanguageFromFileName(path);
+        const language =
+            manifestLanguages.get(path) ??
+            (detectedLanguage === 'plaintext' ? undefined : detectedLanguage);
+
+        if (!language) {
+            skipped.push({ path, reason: 'unsupported file type' });
+            continue;
+        }
+        if (takenPaths.has(path.toLowerCase())) {
+            skipped.push({ path, reason: 'duplicate path' });
+            continue;
+        }
+        if (size > importLimits.maxFileSize) {
+            skipped.push({
+                path,
+                reason: `larger than ${formatSize(importLimits.maxFileSize)}`,
+            });
+            continue;
+        }
+        if (files.length >= importLimits.maxFiles) {
+            throw new Error(
+                `Too many files, the limit is ${importLimits.maxFiles}`
+            );
+        }
+
+        const bytes = await read();
+        totalSize += bytes.length;
+        if (totalSize > importLimits.maxTotalSize) {
+            throw new Error(
+                `The files are larger than ${formatSize(importLimits.maxTotalSize)}`
+            );
+        }
+        if (bytes.length > importLimits.maxFileSize) {
+            skipped.push({
+                path,
+                reason: `larger than ${formatSize(importLimits.maxFileSize)}`,
+            });
+            continue;
+        }
+        if (isBinaryContent(bytes)) {
+            skipped.push({ path, reason: 'binary file' });
+            continue;
+        }
+
+        takenPaths.add(path.toLowerCase());
+        files.push({
+            fileName: getBaseName(path),
+            folderPath: getParentPath(path),
+            language,
+            codeContent: new TextDecoder().decode(bytes),
+        });
+    }
+
+    return { files, folders: [...folders], skipped };
+}
+
+/**
+ * Builds a zip of a project, keeping its folders and the language of every file in a manifest.
+ * @param {Object} project
+ * @param {Array<Object>} project.files - Files with their current content ({ fileName, folderPath, language, codeContent }).
+ * @param {Array<Object>} [project.folders=[]] - Folders of the project ({ path }), including empty ones.
+ * @returns {Promise<Blob>} The zip file.
+ */
+export function createProjectZip({ files, folders = [] }) {
+    const zip = new JSZip();
+
+    folders.forEach((folder) => zip.folder(folder.path));
+    files.forEach((file) => {
+        zip.file(getFilePath(file), file.codeContent || '');
+    });
+    zip.file(
+        ARCHIVE_MANIFEST_NAME,
+        JSON.stringify(
+            {
+                version: MANIFEST_VERSION,
+                files: files.map((file) => ({
+                    path: getFilePath(file),
+                    language: file.language,
+                })),
+            },
+            null,
+            4
+        )
+    );
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
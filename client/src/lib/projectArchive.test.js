@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+
+import {
+    createProjectZip,
+    readImportFiles,
+    readZipSources,
+} from './projectArchive';
+
+/**
+ * Reads a zip built in memory as an import.
+ */
+async function importZip(zip) {
+    const archive = await zip.generateAsync({ type: 'uint8array' });
+    return readImportFiles(await readZipSources(new Blob([archive])));
+}
+
+describe('projectArchive', () => {
+    it('round-trips folders and language metadata through an exported zip', async () => {
+        const blob = await createProjectZip({
+            files: [
+                {
+                    fileName: 'main.py',
+                    folderPath: '',
+                    language: 'python',
+                    codeContent: 'print(1)',
+                },
+                {
+                    fileName: 'helper.js',
+                    folderPath: 'src/utils',
+                    language: 'typescript',
+                    codeContent: 'export {};',
+                },
+            ],
+            folders: [{ path: 'docs' }],
+        });
+
+        const { files, folders, skipped } = await readImportFiles(
+            await readZipSources(blob)
+        );
+
+        expect(skipped).toEqual([]);
+        expect(folders).toContain('docs');
+        expect(files).toEqual(
+            expect.arrayContaining([
+                {
+                    fileName: 'main.py',
+                    folderPath: '',
+                    language: 'python',
+                    codeContent: 'print(1)',
+                },
+                {
+                    fileName: 'helper.js',
+                    folderPath: 'src/utils',
+                    language: 'typescript', // Kept from the manifest
+                    codeContent: 'export {};',
+                },
+            ])
+        );
+    });
+
+    it('drops the shared root folder and skips hidden, unsupported and binary files', async () => {
+        const zip = new JSZip();
+        zip.file('project/index.js', 'console.log(1);');
+        zip.file('project/lib/util.c', 'int x;');
+        zip.file('project/.git/config', '[core]');
+        zip.file('project/README.md', '# Project');
+        zip.file('project/logo.js', new Uint8Array([0x89, 0x50, 0x00, 0x47]));
+
+        const { files, skipped } = await importZip(zip);
+
+        expect(files.map((file) => [file.folderPath, file.fileName])).toEqual(
+            expect.arrayContaining([
+                ['', 'index.js'],
+                ['lib', 'util.c'],
+            ])
+        );
+        expect(files).toHaveLength(2);
+        expect(skipped).toEqual(
+            expect.arrayContaining([
+                { path: 'README.md', reason: 'unsupported file type' },
+                { path: 'logo.js', reason: 'binary file' },
+            ])
+        );
+    });
+});
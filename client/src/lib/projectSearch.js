@@ -0,0 +1,291 @@
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string} query - The text or regular expression to find.
+ * @property {boolean} [isRegex] - Whether the query is a regular expression.
+ * @property {boolean} [matchCase] - Whether the case of letters must match.
+ * @property {boolean} [wholeWord] - Whether matches must not be part of a longer word.
+ * @property {string} [include] - Comma separated globs of the paths to search, every file when empty.
+ * @property {string} [exclude] - Comma separated globs of the paths to skip.
+ */
+
+/**
+ * @typedef {Object} SearchableFile
+ * @property {string} fileId - ID of the file.
+ * @property {string} path - Path of the file in the project, e.g. `src/main.py`.
+ * @property {string} content - The current content of the file.
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} index - Offset of the match in the content.
+ * @property {number} length - Length of the match.
+ * @property {number} line - Line of the match, from 1.
+ * @property {number} column - Column of the match in its line, from 1.
+ * @property {number} endLine - Line the match ends on, regexes match across lines.
+ * @property {number} endColumn - Column after the end of the match in its last line.
+ * @property {string} preview - The line the match starts on.
+ * @property {string} [replacement] - The text replacing the match, when searching with a replacement.
+ */
+
+/**
+ * @typedef {Object} FileSearchResult
+ * @property {string} fileId - ID of the file.
+ * @property {string} path - Path of the file.
+ * @property {Array<SearchMatch>} matches - The matches, in order.
+ */
+
+// Searches stop collecting matches past this count, a query like `e` would list most of the project
+export const MAX_SEARCH_MATCHES = 2000;
+
+export class SearchQueryError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} type - The type of error ("invalid_regex").
+     */
+    constructor(message, type) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.type = type;
+    }
+}
+
+/**
+ * Escapes the characters of a text that have a meaning in regular expressions.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the regular expression finding every match of a query.
+ * @param {SearchOptions} options
+ * @returns {RegExp} A global and multiline regular expression.
+ * @throws {SearchQueryError} If the query is not a valid regular expression.
+ */
+export function createSearchRegExp({ query, isRegex, matchCase, wholeWord }) {
+    let source = isRegex ? query : escapeRegExp(query);
+    if (wholeWord) {
+        source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+    }
+    try {
+        return new RegExp(source, matchCase ? 'gm' : 'gim');
+    } catch (error) {
+        throw new SearchQueryError(error.message, 'invalid_regex');
+    }
+}
+
+/**
+ * Converts a glob to a regular expression matching whole paths. `**` matches any number of folders, `*` any part
+ * of a name and `?` a single character.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            const isFolders = glob[index + 2] === '/';
+            source += isFolders ? '(?:.*/)?' : '.*';
+            index += isFolders ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parses a comma separated list of globs. Globs without a slash, like `*.js` or `tests`, match in any folder.
+ * @param {string} [globs]
+ * @returns {Array<RegExp>}
+ */
+function parseGlobs(globs = '') {
+    return globs
+        .split(',')
+        .map((glob) =>
+            glob
+                .trim()
+                .replace(/^\.?\/+/, '')
+                .replace(/\/+$/, '')
+        )
+        .filter(Boolean)
+        .map((glob) => globToRegExp(glob.includes('/') ? glob : `**/${glob}`));
+}
+
+/**
+ * Tells whether a path or one of its folders matches a glob, so `src` matches every file under `src/`.
+ * @param {string} path
+ * @param {Array<RegExp>} globs
+ * @returns {boolean}
+ */
+function matchesGlobs(path, globs) {
+    const segments = path.split('/');
+    return segments.some((_, index) => {
+        const candidate = segments.slice(0, index + 1).join('/');
+        return globs.some((glob) => glob.test(candidate));
+    });
+}
+
+/**
+ * Tells whether a file is searched with the include and exclude globs of a search.
+ * @param {string} path - Path of the file.
+ * @param {Pick<SearchOptions, 'include'|'exclude'>} options
+ * @returns {boolean}
+ */
+export function isPathSearched(path, { include, exclude }) {
+    const includeGlobs = parseGlobs(include);
+    if (includeGlobs.length && !matchesGlobs(path, includeGlobs)) {
+        return false;
+    }
+    return !matchesGlobs(path, parseGlobs(exclude));
+}
+
+/**
+ * Expands the `$&`, `$1` and `$<name>` patterns of a replacement as `String.prototype.replace` does.
+ * @param {RegExpMatchArray} match
+ * @param {string} replacement
+ * @returns {string}
+ */
+function expandReplacement(match, replacement) {
+    return replacement.replace(
+        /\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g,
+        (token, key, name) => {
+            if (key === '$') return '$';
+            if (key === '&') return match[0];
+            if (key === '`') return match.input.slice(0, match.index);
+            if (key === "'") {
+                return match.input.slice(match.index + match[0].length);
+            }
+            if (name !== undefined) {
+                return match.groups ? (match.groups[name] ?? '') : token;
+            }
+
+            // `$12` is group 1 followed by `2` when there are fewer than 12 groups
+            const group = Number(key);
+            if (group > 0 && group < match.length) return match[group] ?? '';
+            const firstGroup = Number(key[0]);
+            if (
+                key.length === 2 &&
+                firstGroup > 0 &&
+                firstGroup < match.length
+            ) {
+                return (match[firstGroup] ?? '') + key[1];
+            }
+            return token;
+        }
+    );
+}
+
+/**
+ * Finds the matches of a regular expression in a file content. Empty matches, e.g. of `^`, are skipped.
+ * @param {string} content
+ * @param {RegExp} regExp - A global regular expression.
+ * @param {Object} [options]
+ * @param {string} [options.replacement] - Replacement of the matches, patterns like `$1` are expanded for regexes.
+ * @param {boolean} [options.isRegex] - Whether the query is a regular expression.
+ * @param {number} [options.maxMatches] - Matches to collect at most.
+ * @returns {Array<SearchMatch>}
+ */
+function findMatches(content, regExp, { replacement, isRegex, maxMatches }) {
+    const matches = [];
+    let line = 1;
+    let lineStart = 0;
+
+    for (const match of content.matchAll(regExp)) {
+        if (matches.length >= maxMatches) break;
+        if (!match[0].length) continue;
+
+        let lineEnd = content.indexOf('\n', lineStart);
+        while (lineEnd !== -1 && lineEnd < match.index) {
+            lineStart = lineEnd + 1;
+            line++;
+            lineEnd = content.indexOf('\n', lineStart);
+        }
+
+        const column = match.index - lineStart + 1;
+        const matchLines = match[0].split('\n');
+        matches.push({
+            index: match.index,
+            length: match[0].length,
+            line,
+            column,
+            endLine: line + matchLines.length - 1,
+            endColumn:
+                matchLines.length === 1
+                    ? column + match[0].length
+                    : matchLines.at(-1).length + 1,
+            preview: content
+                .slice(lineStart, lineEnd === -1 ? undefined : lineEnd)
+                .replace(/\r$/, ''),
+            ...(replacement !== undefined && {
+                replacement: isRegex
+                    ? expandReplacement(match, replacement)
+                    : replacement,
+            }),
+        });
+    }
+    return matches;
+}
+
+/**
+ * Searches the files of a project, in the order given.
+ * @param {Array<SearchableFile>} files
+ * @param {SearchOptions} options
+ * @param {Object} [settings]
+ * @param {string} [settings.replacement] - Text replacing the matches, to preview or apply a replace.
+ * @param {number} [settings.maxMatches] - Matches to collect at most.
+ * @returns {{ results: Array<FileSearchResult>, matchCount: number, isLimitReached: boolean }} The files with
+ * matches.
+ * @throws {SearchQueryError} If the query is not a valid regular expression.
+ */
+export function searchFiles(
+    files,
+    options,
+    { replacement, maxMatches = MAX_SEARCH_MATCHES } = {}
+) {
+    const results = [];
+    let matchCount = 0;
+    if (!options.query) {
+        return { results, matchCount, isLimitReached: false };
+    }
+
+    const regExp = createSearchRegExp(options);
+    for (const file of files) {
+        if (matchCount >= maxMatches) break;
+        if (!isPathSearched(file.path, options)) continue;
+
+        const matches = findMatches(file.content, regExp, {
+            replacement,
+            isRegex: options.isRegex,
+            maxMatches: maxMatches - matchCount,
+        });
+        if (matches.length) {
+            results.push({ fileId: file.fileId, path: file.path, matches });
+            matchCount += matches.length;
+        }
+    }
+    return { results, matchCount, isLimitReached: matchCount >= maxMatches };
+}
+
+/**
+ * Applies the replacements of matches to the content they were found in.
+ * @param {string} content
+ * @param {Array<SearchMatch>} matches - Matches found with a replacement, in order.
+ * @returns {string} The new content.
+ */
+export function replaceMatches(content, matches) {
+    let replaced = '';
+    let offset = 0;
+    matches.forEach(({ index, length, replacement }) => {
+        replaced += content.slice(offset, index) + replacement;
+        offset = index + length;
+    });
+    return replaced + content.slice(offset);
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+    SearchQueryError,
+    isPathSearched,
+    replaceMatches,
+    searchFiles,
+} from './projectSearch';
+
+const files = [
+    {
+        fileId: 'main',
+        path: 'src/main.js',
+        content: 'const total = add(1, 2);\nconsole.log(total);\n',
+    },
+    {
+        fileId: 'math',
+        path: 'src/lib/math.js',
+        content: 'export function add(a, b) {\n    return a + b;\n}\n',
+    },
+    { fileId: 'readme', path: 'README.md', content: 'Adds numbers: add()' },
+];
+
+describe('projectSearch', () => {
+    it('finds matches with their lines and columns, case-insensitively by default', () => {
+        const { results, matchCount } = searchFiles(files, { query: 'ADD' });
+        expect(matchCount).toBe(4);
+        expect(results.map(({ fileId }) => fileId)).toEqual([
+            'main',
+            'math',
+            'readme',
+        ]);
+        expect(results[1].matches[0]).toMatchObject({
+            index: 16,
+            length: 3,
+            line: 1,
+            column: 17,
+            endLine: 1,
+            endColumn: 20,
+            preview: 'export function add(a, b) {',
+        });
+
+        expect(
+            searchFiles(files, {
+                query: 'add',
+                matchCase: true,
+                wholeWord: true,
+            }).matchCount
+        ).toBe(3);
+        expect(
+            searchFiles(files, { query: 'total', wholeWord: true }).results[0]
+                .matches[1]
+        ).toMatchObject({ line: 2, column: 13 });
+
+        // Regexes match across lines
+        expect(
+            searchFiles(files, { query: '\\{\\n\\s+return', isRegex: true })
+                .results[0].matches[0]
+        ).toMatchObject({ line: 1, column: 27, endLine: 2, endColumn: 11 });
+    });
+
+    it('filters files with include and exclude globs', () => {
+        expect(isPathSearched('src/lib/math.js', { include: '*.js' })).toBe(
+            true
+        );
+        expect(isPathSearched('src/lib/math.js', { include: 'src' })).toBe(
+            true
+        );
+        expect(
+            isPathSearched('src/lib/math.js', {
+                include: 'src/*.js, *.md',
+            })
+        ).toBe(false);
+        expect(
+            isPathSearched('src/lib/math.js', {
+                include: 'src/**/*.js',
+                exclude: 'lib',
+            })
+        ).toBe(false);
+        expect(
+            searchFiles(files, { query: 'add', exclude: '**/*.md' }).results
+        ).toHaveLength(2);
+    });
+
+    it('previews and applies regex replacements with capture groups', () => {
+        const { results } = searchFiles(
+            files,
+            { query: '(\\w+)\\((\\w+), (\\w+)\\)', isRegex: true },
+            { replacement: '$1($3, $2) $$' }
+        );
+        const [match] = results[0].matches;
+        expect(match.replacement).toBe('add(2, 1) $');
+        expect(replaceMatches(files[0].content, results[0].matches)).toBe(
+            'const total = add(2, 1) $;\nconsole.log(total);\n'
+        );
+
+        // Plain text replacements are inserted as they are
+        const plain = searchFiles(
+            files,
+            { query: 'total' },
+            { replacement: '$&sum' }
+        );
+        expect(replaceMatches(files[0].content, plain.results[0].matches)).toBe(
+            'const $&sum = add(1, 2);\nconsole.log($&sum);\n'
+        );
+    });
+
+    it('stops at the match limit and rejects invalid regexes', () => {
+        const limited = searchFiles(files, { query: 'a' }, { maxMatches: 3 });
+        expect(limited.matchCount).toBe(3);
+        expect(limited.isLimitReached).toBe(true);
+
+        expect(() =>
+            searchFiles(files, { query: 'add(', isRegex: true })
+        ).toThrow(SearchQueryError);
+        expect(searchFiles(files, { query: '' }).results).toEqual([]);
+    });
+});
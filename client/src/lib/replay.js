@@ -0,0 +1,224 @@
+import {
+    Doc,
+    applyUpdate,
+    createAbsolutePositionFromRelativePosition,
+    createRelativePositionFromJSON,
+    decodeUpdate,
+} from 'yjs';
+
+import { base64ToBytes } from '../utils/base64';
+
+import { FILES_MAP_NAME } from './yjs';
+
+// Version of the recording format served by `GET /rooms/:room/recording`
+const RECORDING_VERSION = 1;
+
+/**
+ * Rebuilds a project Y.Doc at any point in time from a session recording of timestamped Yjs updates and awareness changes.
+ * Seeking forward applies the next events, seeking backward replays the recording from the start.
+ */
+export class SessionReplay {
+    #events;
+    #doc = null;
+    #position = 0; // Number of events applied to the doc
+    #awarenessStates = new Map(); // Yjs client id -> awareness state
+    #clientAuthors = new Map(); // Yjs client id -> username
+
+    /**
+     * @param {{version: number, room: string, events: Array<Object>}} recording - A recording downloaded from the server or exported to a file.
+     * @throws {Error} If the recording is malformed or of an unsupported version.
+     */
+    constructor(recording) {
+        if (!recording || !Array.isArray(recording.events)) {
+            throw new Error('Invalid recording');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(
+                `Unsupported recording version ${recording.version}`
+            );
+        }
+
+        this.room = recording.room;
+        this.recording = recording;
+        this.#events = recording.events
+            .filter(
+                (event) => event.type === 'update' || event.type === 'awareness'
+            )
+            .sort((a, b) => a.t - b.t);
+        this.authors = [
+            ...new Set(
+                this.#events.map((event) => event.author).filter(Boolean)
+            ),
+        ];
+        this.time = this.startTime;
+        this.#reset();
+    }
+
+    /** Time of the first event (ms since epoch). */
+    get startTime() {
+        return this.#events[0]?.t ?? 0;
+    }
+
+    /** Time of the last event (ms since epoch). */
+    get endTime() {
+        return this.#events[this.#events.length - 1]?.t ?? 0;
+    }
+
+    /** Length of the recording in ms. */
+    get duration() {
+        return this.endTime - this.startTime;
+    }
+
+    #reset() {
+        this.#doc?.destroy();
+        this.#doc = new Doc();
+        this.#position = 0;
+        this.#awarenessStates.clear();
+        this.#clientAuthors.clear();
+    }
+
+    #apply(event) {
+        if (event.type === 'update') {
+            const update = base64ToBytes(event.data);
+            // Attribute the inserted content to the user who sent it
+            if (event.author) {
+                decodeUpdate(update).structs.forEach((struct) => {
+                    if (!this.#clientAuthors.has(struct.id.client)) {
+                        this.#clientAuthors.set(struct.id.client, event.author);
+                    }
+                });
+            }
+            applyUpdate(this.#doc, update, event.author);
+            return;
+        }
+
+        event.states.forEach(({ clientId, state }) => {
+            if (!state) {
+                this.#awarenessStates.delete(clientId);
+                return;
+            }
+            this.#awarenessStates.set(clientId, state);
+            if (state.user?.name) {
+                this.#clientAuthors.set(clientId, state.user.name);
+            }
+        });
+    }
+
+    /**
+     * Moves the replay to a point in time.
+     * @param {number} time - Time to seek to (ms since epoch), clamped to the recording.
+     */
+    seek(time) {
+        const target = Math.min(Math.max(time, this.startTime), this.endTime);
+        if (this.#position > 0 && this.#events[this.#position - 1].t > target) {
+            this.#reset();
+        }
+        while (
+            this.#position < this.#events.length &&
+            this.#events[this.#position].t <= target
+        ) {
+            this.#apply(this.#events[this.#position]);
+            this.#position++;
+        }
+        this.time = target;
+    }
+
+    #getFileText(fileId) {
+        return this.#doc.getMap(FILES_MAP_NAME).get(fileId)?.get('content');
+    }
+
+    /**
+     * Lists the files of the project at the current time.
+     * @returns {Array<{$id: string, fileName: string, folderPath: string, language: string}>} The files.
+     */
+    getFiles() {
+        return [...this.#doc.getMap(FILES_MAP_NAME).entries()].map(
+            ([$id, yFile]) => ({
+                $id,
+                fileName: yFile.get('fileName'),
+                folderPath: yFile.get('folderPath') ?? '',
+                language: yFile.get('language'),
+            })
+        );
+    }
+
+    /**
+     * Returns the content of a file at the current time.
+     * @param {string} fileId - Unique identifier for the file.
+     * @returns {string} The content, empty if the file does not exist yet.
+     */
+    getFileContent(fileId) {
+        return this.#getFileText(fileId)?.toString() ?? '';
+    }
+
+    /**
+     * Splits the content of a file into ranges written by the same author.
+     * @param {string} fileId - Unique identifier for the file.
+     * @returns {Array<{author: string|null, start: number, end: number}>} Ranges as character offsets.
+     */
+    getAuthorRanges(fileId) {
+        const ranges = [];
+        let index = 0;
+        let item = this.#getFileText(fileId)?._start;
+        while (item) {
+            if (item.countable && !item.deleted) {
+                const author = this.#clientAuthors.get(item.id.client) ?? null;
+                const previous = ranges[ranges.length - 1];
+                if (previous?.author === author && previous.end === index) {
+                    previous.end += item.length;
+                } else {
+                    ranges.push({
+                        author,
+                        start: index,
+                        end: index + item.length,
+                    });
+                }
+                index += item.length;
+            }
+            item = item.right;
+        }
+        return ranges;
+    }
+
+    /**
+     * Returns the cursors and selections of the users editing a file at the current time.
+     * @param {string} fileId - Unique identifier for the file.
+     * @returns {Array<{clientId: number, author: string, anchor: number, head: number}>} Cursors as character offsets.
+     */
+    getCursors(fileId) {
+        const yText = this.#getFileText(fileId);
+        if (!yText) return [];
+
+        const cursors = [];
+        this.#awarenessStates.forEach((state, clientId) => {
+            if (!state.user || !state.selection) return;
+
+            const [anchor, head] = [
+                state.selection.anchor,
+                state.selection.head,
+            ].map((position) =>
+                createAbsolutePositionFromRelativePosition(
+                    createRelativePositionFromJSON(position),
+                    this.#doc
+                )
+            );
+            if (anchor?.type !== yText || head?.type !== yText) return;
+
+            cursors.push({
+                clientId,
+                author: state.user.name,
+                anchor: anchor.index,
+                head: head.index,
+            });
+        });
+        return cursors;
+    }
+
+    /**
+     * Releases the replayed doc.
+     */
+    destroy() {
+        this.#doc?.destroy();
+        this.#doc = null;
+    }
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+    Doc,
+    Map as YMap,
+    Text as YText,
+    applyUpdate,
+    createRelativePositionFromTypeIndex,
+    encodeStateAsUpdate,
+    relativePositionToJSON,
+} from 'yjs';
+
+import { SessionReplay } from './replay';
+import { FILES_MAP_NAME } from './yjs';
+
+/**
+ * Records a session where alice creates a file and bob appends to it.
+ */
+function recordSession() {
+    const events = [];
+    const alice = new Doc();
+    const bob = new Doc();
+    let now = 1000;
+    let author = null;
+    alice.on('update', (update) => {
+        events.push({
+            t: now,
+            type: 'update',
+            author,
+            data: Buffer.from(update).toString('base64'),
+        });
+        applyUpdate(bob, update);
+    });
+
+    author = 'alice';
+    alice.transact(() => {
+        const yFile = new YMap();
+        alice.getMap(FILES_MAP_NAME).set('file-1', yFile);
+        yFile.set('fileName', 'main.py');
+        yFile.set('language', 'python');
+        const content = new YText();
+        yFile.set('content', content);
+        content.insert(0, 'print(1)\n');
+    });
+
+    now = 2000;
+    author = 'bob';
+    const bobText = bob.getMap(FILES_MAP_NAME).get('file-1').get('content');
+    bobText.insert(bobText.length, 'print(2)\n');
+    events.push({
+        t: now,
+        type: 'update',
+        author,
+        data: Buffer.from(encodeStateAsUpdate(bob)).toString('base64'),
+    });
+
+    const position = relativePositionToJSON(
+        createRelativePositionFromTypeIndex(bobText, 12)
+    );
+    events.push({
+        t: 3000,
+        type: 'awareness',
+        author: 'bob',
+        states: [
+            {
+                clientId: bob.clientID,
+                state: {
+                    user: { name: 'bob', clientId: bob.clientID },
+                    selection: { anchor: position, head: position },
+                },
+            },
+        ],
+    });
+
+    return { version: 1, room: 'project-1', events };
+}
+
+describe('SessionReplay', () => {
+    it('rebuilds the project at any point in time', () => {
+        const replay = new SessionReplay(recordSession());
+
+        expect(replay.duration).toBe(2000);
+        expect(replay.authors).toEqual(['alice', 'bob']);
+
+        replay.seek(1500);
+        expect(replay.getFiles()).toEqual([
+            {
+                $id: 'file-1',
+                fileName: 'main.py',
+                folderPath: '',
+                language: 'python',
+            },
+        ]);
+        expect(replay.getFileContent('file-1')).toBe('print(1)\n');
+
+        replay.seek(replay.endTime);
+        expect(replay.getFileContent('file-1')).toBe('print(1)\nprint(2)\n');
+
+        // Seeking backwards replays the recording from the start
+        replay.seek(0);
+        expect(replay.getFileContent('file-1')).toBe('print(1)\n');
+    });
+
+    it('attributes text and cursors to their authors', () => {
+        const replay = new SessionReplay(recordSession());
+        replay.seek(replay.endTime);
+
+        expect(replay.getAuthorRanges('file-1')).toEqual([
+            { author: 'alice', start: 0, end: 9 },
+            { author: 'bob', start: 9, end: 18 },
+        ]);
+        expect(replay.getCursors('file-1')).toEqual([
+            expect.objectContaining({ author: 'bob', anchor: 12, head: 12 }),
+        ]);
+    });
+
+    it('rejects unsupported recordings', () => {
+        expect(() => new SessionReplay({ version: 2, events: [] })).toThrow(
+            'Unsupported recording version 2'
+        );
+        expect(() => new SessionReplay({})).toThrow('Invalid recording');
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * @typedef {Object} EditorPane
+ * @property {string} id - ID of the pane, e.g. `pane-1`.
+ * @property {Array<string>} fileIds - IDs of the files open in its tabs, in tab order.
+ * @property {string|null} activeFileId - ID of the file shown in the pane.
+ */
+
+/**
+ * @typedef {Object} TabLayout
+ * @property {Array<EditorPane>} panes - The editor panes, left to right or top to bottom.
+ * @property {string} activePaneId - ID of the pane edited last, its file is the selected file.
+ * @property {'horizontal'|'vertical'} splitDirection - Whether split panes are side by side or stacked.
+ */
+
+// The editor splits in two at most
+export const MAX_PANES = 2;
+
+/**
+ * Creates a layout with a single pane.
+ * @param {Array<string>} [fileIds] - IDs of the files to open.
+ * @returns {TabLayout}
+ */
+export function createTabLayout(fileIds = []) {
+    return {
+        panes: [{ id: 'pane-1', fileIds, activeFileId: fileIds[0] ?? null }],
+        activePaneId: 'pane-1',
+        splitDirection: 'horizontal',
+    };
+}
+
+/**
+ * Replaces a pane of a layout.
+ * @param {TabLayout} layout
+ * @param {string} paneId - ID of the pane.
+ * @param {(pane: EditorPane) => EditorPane} update - Returns the new pane.
+ * @returns {TabLayout}
+ */
+function updatePane(layout, paneId, update) {
+    return {
+        ...layout,
+        panes: layout.panes.map((pane) =>
+            pane.id === paneId ? update(pane) : pane
+        ),
+    };
+}
+
+/**
+ * Drops the panes without tabs, keeping at least one, and makes sure the active pane exists.
+ * @param {TabLayout} layout
+ * @returns {TabLayout}
+ */
+function removeEmptyPanes(layout) {
+    const panes = layout.panes.filter((pane) => pane.fileIds.length);
+    if (!panes.length) panes.push(layout.panes[0]);
+    const activePaneId = panes.some((pane) => pane.id === layout.activePaneId)
+        ? layout.activePaneId
+        : panes[0].id;
+    return { ...layout, panes, activePaneId };
+}
+
+/**
+ * Removes a tab from a pane, showing its right neighbour, or its left one for the last tab, when it was shown.
+ * @param {EditorPane} pane
+ * @param {string} fileId - ID of the file of the tab.
+ * @returns {EditorPane}
+ */
+function removeTab(pane, fileId) {
+    const index = pane.fileIds.indexOf(fileId);
+    if (index === -1) return pane;
+
+    const fileIds = pane.fileIds.filter((id) => id !== fileId);
+    const activeFileId =
+        pane.activeFileId === fileId
+            ? (fileIds[Math.min(index, fileIds.length - 1)] ?? null)
+            : pane.activeFileId;
+    return { ...pane, fileIds, activeFileId };
+}
+
+/**
+ * Opens a file in a pane, in a new tab after the shown one unless it is open there already, and activates the pane.
+ * @param {TabLayout} layout
+ * @param {string} fileId - ID of the file.
+ * @param {string} [paneId] - ID of the pane, the active pane by default.
+ * @returns {TabLayout}
+ */
+export function openTab(layout, fileId, paneId = layout.activePaneId) {
+    const opened = updatePane(layout, paneId, (pane) => {
+        if (pane.fileIds.includes(fileId)) {
+            return { ...pane, activeFileId: fileId };
+        }
+        const fileIds = [...pane.fileIds];
+        fileIds.splice(fileIds.indexOf(pane.activeFileId) + 1, 0, fileId);
+        return { ...pane, fileIds, activeFileId: fileId };
+    });
+    return { ...opened, activePaneId: paneId };
+}
+
+/**
+ * Closes a tab. Closing the last tab of a split pane removes the pane, the last tab of the editor stays open.
+ * @param {TabLayout} layout
+ * @param {string} paneId - ID of the pane.
+ * @param {string} fileId - ID of the file of the tab.
+ * @returns {TabLayout}
+ */
+export function closeTab(layout, paneId, fileId) {
+    const pane = layout.panes.find(({ id }) => id === paneId);
+    if (layout.panes.length === 1 && pane?.fileIds.length === 1) {
+        return layout;
+    }
+    return removeEmptyPanes(
+        updatePane(layout, paneId, (pane) => removeTab(pane, fileId))
+    );
+}
+
+/**
+ * Closes every tab of a pane but one, which is shown.
+ * @param {TabLayout} layout
+ * @param {string} paneId - ID of the pane.
+ * @param {string} fileId - ID of the file of the tab kept open.
+ * @returns {TabLayout}
+ */
+export function closeOtherTabs(layout, paneId, fileId) {
+    return updatePane(layout, paneId, (pane) => ({
+        ...pane,
+        fileIds: pane.fileIds.filter((id) => id === fileId),
+        activeFileId: fileId,
+    }));
+}
+
+/**
+ * Moves a tab to a position of the same pane, or of another pane where it is shown. A file already open in the
+ * target pane keeps its tab there.
+ * @param {TabLayout} layout
+ * @param {Object} move
+ * @param {string} move.fromPaneId - ID of the pane of the tab.
+ * @param {string} move.fileId - ID of the file of the tab.
+ * @param {string} move.toPaneId - ID of the pane the tab is dropped on.
+ * @param {number} move.index - Position of the tab in the target pane, from 0, after the tab left.
+ * @returns {TabLayout}
+ */
+export function moveTab(layout, { fromPaneId, fileId, toPaneId, index }) {
+    if (fromPaneId === toPaneId) {
+        return updatePane(layout, toPaneId, (pane) => {
+            const fileIds = pane.fileIds.filter((id) => id !== fileId);
+            fileIds.splice(index, 0, fileId);
+            return { ...pane, fileIds };
+        });
+    }
+
+    const moved = updatePane(layout, toPaneId, (pane) => {
+        if (pane.fileIds.includes(fileId)) {
+            return { ...pane, activeFileId: fileId };
+        }
+        const fileIds = [...pane.fileIds];
+        fileIds.splice(index, 0, fileId);
+        return { ...pane, fileIds, activeFileId: fileId };
+    });
+    return removeEmptyPanes({
+        ...updatePane(moved, fromPaneId, (pane) => removeTab(pane, fileId)),
+        activePaneId: toPaneId,
+    });
+}
+
+/**
+ * Splits the editor, opening the file of the active pane in a new pane, or changes the direction of the split.
+ * @param {TabLayout} layout
+ * @param {'horizontal'|'vertical'} direction - Side by side or stacked.
+ * @returns {TabLayout}
+ */
+export function splitPane(layout, direction) {
+    if (layout.panes.length >= MAX_PANES) {
+        return { ...layout, splitDirection: direction };
+    }
+
+    const activePane = layout.panes.find(
+        (pane) => pane.id === layout.activePaneId
+    );
+    const fileIds = activePane?.activeFileId ? [activePane.activeFileId] : [];
+    if (!fileIds.length) return layout;
+
+    const paneNumbers = layout.panes.map(({ id }) =>
+        Number(id.replace('pane-', ''))
+    );
+    const pane = {
+        id: `pane-${Math.max(0, ...paneNumbers) + 1}`,
+        fileIds,
+        activeFileId: fileIds[0],
+    };
+    return {
+        panes: [...layout.panes, pane],
+        activePaneId: pane.id,
+        splitDirection: direction,
+    };
+}
+
+/**
+ * Closes the tabs of files that are no longer in the project, e.g. deleted ones or those of a layout stored for a
+ * previous session.
+ * @param {TabLayout} layout
+ * @param {Array<string>} fileIds - IDs of the project files.
+ * @returns {TabLayout}
+ */
+export function pruneTabs(layout, fileIds) {
+    const projectFileIds = new Set(fileIds);
+    const isStale = layout.panes.some((pane) =>
+        pane.fileIds.some((id) => !projectFileIds.has(id))
+    );
+    if (!isStale) return layout;
+
+    return removeEmptyPanes({
+        ...layout,
+        panes: layout.panes.map((pane) =>
+            pane.fileIds
+                .filter((id) => !projectFileIds.has(id))
+                .reduce(removeTab, pane)
+        ),
+    });
+}
+
+/**
+ * Returns the pane edited last.
+ * @param {TabLayout} layout
+ * @returns {EditorPane}
+ */
+export function getActivePane(layout) {
+    return (
+        layout.panes.find((pane) => pane.id === layout.activePaneId) ??
+        layout.panes[0]
+    );
+}
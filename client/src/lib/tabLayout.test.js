@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+    closeOtherTabs,
+    closeTab,
+    createTabLayout,
+    moveTab,
+    openTab,
+    pruneTabs,
+    splitPane,
+} from './tabLayout';
+
+describe('tabLayout', () => {
+    it('opens files after the shown tab and shows the neighbour of closed tabs', () => {
+        let layout = createTabLayout(['a', 'b']);
+        layout = openTab(layout, 'c');
+        expect(layout.panes[0]).toEqual({
+            id: 'pane-1',
+            fileIds: ['a', 'c', 'b'],
+            activeFileId: 'c',
+        });
+
+        layout = closeTab(layout, 'pane-1', 'c');
+        expect(layout.panes[0].activeFileId).toBe('b');
+        layout = closeOtherTabs(layout, 'pane-1', 'b');
+        expect(layout.panes[0].fileIds).toEqual(['b']);
+
+        // The last tab of the editor stays open
+        expect(closeTab(layout, 'pane-1', 'b')).toBe(layout);
+    });
+
+    it('splits the active file into a new pane, removed with its last tab', () => {
+        let layout = splitPane(createTabLayout(['a', 'b']), 'vertical');
+        expect(layout.panes.map((pane) => pane.fileIds)).toEqual([
+            ['a', 'b'],
+            ['a'],
+        ]);
+        expect(layout).toMatchObject({
+            activePaneId: 'pane-2',
+            splitDirection: 'vertical',
+        });
+
+        layout = closeTab(layout, 'pane-2', 'a');
+        expect(layout.panes.map((pane) => pane.id)).toEqual(['pane-1']);
+        expect(layout.activePaneId).toBe('pane-1');
+    });
+
+    it('reorders tabs and moves them between panes', () => {
+        let layout = splitPane(createTabLayout(['a', 'b', 'c']), 'horizontal');
+        layout = moveTab(layout, {
+            fromPaneId: 'pane-1',
+            fileId: 'c',
+            toPaneId: 'pane-1',
+            index: 0,
+        });
+        expect(layout.panes[0].fileIds).toEqual(['c', 'a', 'b']);
+
+        layout = moveTab(layout, {
+            fromPaneId: 'pane-1',
+            fileId: 'b',
+            toPaneId: 'pane-2',
+            index: 1,
+        });
+        expect(layout.panes).toEqual([
+            { id: 'pane-1', fileIds: ['c', 'a'], activeFileId: 'a' },
+            { id: 'pane-2', fileIds: ['a', 'b'], activeFileId: 'b' },
+        ]);
+        expect(layout.activePaneId).toBe('pane-2');
+    });
+
+    it('closes the tabs of files missing from the project', () => {
+        const layout = splitPane(createTabLayout(['a', 'b']), 'horizontal');
+
+        expect(pruneTabs(layout, ['a', 'b'])).toBe(layout);
+        expect(pruneTabs(layout, ['b'])).toEqual({
+            panes: [{ id: 'pane-1', fileIds: ['b'], activeFileId: 'b' }],
+            activePaneId: 'pane-1',
+            splitDirection: 'horizontal',
+        });
+    });
+});
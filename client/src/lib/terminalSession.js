@@ -0,0 +1,149 @@
+import { getWebSocketUrl } from './yjs';
+
+/**
+ * Error of a terminal session: the server refused the run or the connection was lost.
+ */
+export class TerminalSessionError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} code - The error code of the server (e.g., "terminal_unavailable", "quota_exceeded"), or
+     * "connection_lost".
+     * @param {number|null} [retryAfter] - Seconds until runs are accepted again, for quota errors.
+     */
+    constructor(message, code, retryAfter = null) {
+        super(message);
+        this.name = 'TerminalSessionError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Runs a program on the local runner of the server with its input and output attached to a terminal, over a
+ * WebSocket opened for the run. The server applies the limits, run policy and quotas of the HTTP runs.
+ */
+export class TerminalSession {
+    #socket = null;
+    #onOutput;
+
+    /**
+     * @param {Object} handlers
+     * @param {(stream: 'stdout'|'stderr', data: string) => void} handlers.onOutput - Called with the output of the
+     * program as it writes it.
+     */
+    constructor({ onOutput }) {
+        this.#onOutput = onOutput;
+    }
+
+    /**
+     * Whether a program is running.
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return !!this.#socket;
+    }
+
+    /**
+     * Runs a program until it exits, is interrupted or the session is closed.
+     * @param {Object} submission - Judge0 submission, not base64 encoded and without input.
+     * @param {Object} [credentials]
+     * @param {string|null} [credentials.jwt] - Appwrite JWT of the signed in user, for the user quota.
+     * @param {string|null} [credentials.roomToken] - Room token of the live session, for its run policy.
+     * @returns {Promise<{status: Object, exitCode: number|null, time: string|null, memory: number|null,
+     * compileOutput: string|null, message: string|null}>} How the program ended.
+     * @throws {TerminalSessionError} If the server refuses the run or the connection is lost.
+     */
+    start(submission, { jwt = null, roomToken = null } = {}) {
+        this.close();
+        const params = new URLSearchParams({
+            ...(jwt && { jwt }),
+            ...(roomToken && { token: roomToken }),
+        });
+        const socket = new WebSocket(
+            `${getWebSocketUrl('/terminal')}?${params}`
+        );
+        this.#socket = socket;
+
+        return new Promise((resolve, reject) => {
+            const finish = (callback) => {
+                if (this.#socket === socket) this.#socket = null;
+                socket.onclose = null;
+                socket.close();
+                callback();
+            };
+
+            socket.onmessage = ({ data }) => {
+                const message = JSON.parse(data);
+                switch (message.type) {
+                    case 'ready':
+                        socket.send(
+                            JSON.stringify({ type: 'start', submission })
+                        );
+                        break;
+                    case 'output':
+                        this.#onOutput(message.stream, message.data);
+                        break;
+                    case 'exit':
+                        finish(() => resolve(message));
+                        break;
+                    case 'error':
+                        finish(() =>
+                            reject(
+                                new TerminalSessionError(
+                                    message.error,
+                                    message.code,
+                                    message.retryAfter
+                                )
+                            )
+                        );
+                        break;
+                }
+            };
+            socket.onclose = () =>
+                finish(() =>
+                    reject(
+                        new TerminalSessionError(
+                            'Lost the connection to the terminal',
+                            'connection_lost'
+                        )
+                    )
+                );
+        });
+    }
+
+    /**
+     * Sends input to the running program.
+     * @param {string} data - The input.
+     */
+    write(data) {
+        this.#send({ type: 'input', data });
+    }
+
+    /**
+     * Closes the input of the running program (Ctrl+D).
+     */
+    endInput() {
+        this.#send({ type: 'eof' });
+    }
+
+    /**
+     * Kills the running program (Ctrl+C), which exits with the Cancelled status.
+     */
+    interrupt() {
+        this.#send({ type: 'interrupt' });
+    }
+
+    /**
+     * Closes the connection, killing the running program.
+     */
+    close() {
+        this.#socket?.close();
+        this.#socket = null;
+    }
+
+    #send(message) {
+        if (this.#socket?.readyState === WebSocket.OPEN) {
+            this.#socket.send(JSON.stringify(message));
+        }
+    }
+}
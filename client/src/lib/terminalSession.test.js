@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+
+import { TerminalSession, TerminalSessionError } from './terminalSession';
+
+vi.mock('./yjs', () => ({ getWebSocketUrl: (path) => `ws://server${path}` }));
+
+/**
+ * WebSocket double recording what the session sends.
+ */
+class FakeWebSocket {
+    static OPEN = 1;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.OPEN;
+        this.sent = [];
+        sockets.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = 3;
+        this.onclose?.();
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+
+let sockets;
+
+describe('TerminalSession', () => {
+    beforeEach(() => {
+        sockets = [];
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+    });
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('starts the run once the server is ready and streams its input and output', async () => {
+        const onOutput = vi.fn();
+        const session = new TerminalSession({ onOutput });
+
+        const run = session.start({ language_id: 71 }, { jwt: 'jwt' });
+        const [socket] = sockets;
+        expect(socket.url).toBe('ws://server/terminal?jwt=jwt');
+
+        socket.receive({ type: 'ready' });
+        socket.receive({ type: 'started' });
+        socket.receive({ type: 'output', stream: 'stdout', data: 'Name? ' });
+        session.write('Ada\n');
+        session.endInput();
+        socket.receive({ type: 'exit', status: { id: 3 }, exitCode: 0 });
+
+        expect(await run).toMatchObject({ status: { id: 3 }, exitCode: 0 });
+        expect(socket.sent).toEqual([
+            { type: 'start', submission: { language_id: 71 } },
+            { type: 'input', data: 'Ada\n' },
+            { type: 'eof' },
+        ]);
+        expect(onOutput).toHaveBeenCalledWith('stdout', 'Name? ');
+        expect(session.isRunning).toBe(false);
+    });
+
+    it('rejects runs the server refuses', async () => {
+        const session = new TerminalSession({ onOutput: () => {} });
+
+        const run = session.start({ language_id: 71 });
+        sockets[0].receive({
+            type: 'error',
+            error: 'Too many runs',
+            code: 'rate_limited',
+            retryAfter: 30,
+        });
+
+        const error = await run.catch((reason) => reason);
+        expect(error).toBeInstanceOf(TerminalSessionError);
+        expect(error).toMatchObject({ code: 'rate_limited', retryAfter: 30 });
+    });
+
+    it('rejects runs whose connection is lost', async () => {
+        const session = new TerminalSession({ onOutput: () => {} });
+
+        const run = session.start({ language_id: 71 });
+        sockets[0].close();
+
+        await expect(run).rejects.toMatchObject({ code: 'connection_lost' });
+    });
+});
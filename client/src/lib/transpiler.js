@@ -0,0 +1,110 @@
+import { createSourceMapLookup } from '../utils/sourceMap';
+
+// Files compiled to JavaScript before they reach the preview
+const TRANSPILED_FILE_PATTERN = /\.(?:tsx?|jsx)$/i;
+
+/**
+ * Whether a file is TypeScript or JSX and must be transpiled before running in the preview.
+ * @param {string} path - Full path of the file.
+ * @returns {boolean}
+ */
+export function needsTranspiling(path) {
+    return TRANSPILED_FILE_PATTERN.test(path);
+}
+
+/**
+ * Transpiles the TypeScript and JSX files of a web project in a web worker.
+ * Results are cached by content, so only the files that changed are sent to the worker.
+ */
+export class Transpiler {
+    #worker = null;
+    #nextRequestId = 0;
+    #requests = new Map(); // Request id -> { resolve, reject }
+    #cache = new Map(); // Full path -> { code, result, lookup }
+
+    /**
+     * Transpiles the files that need it.
+     * @param {Array<{path: string, code: string}>} files - Full path and content of every project file.
+     * @returns {Promise<Map<string, {code: string}|{error: {message: string, line: number, column: number}}>>} Results of the transpiled files, by path.
+     */
+    async transpile(files) {
+        const sources = files.filter((file) => needsTranspiling(file.path));
+        const paths = new Set(sources.map((file) => file.path));
+        [...this.#cache.keys()]
+            .filter((path) => !paths.has(path))
+            .forEach((path) => this.#cache.delete(path));
+
+        const changed = sources.filter(
+            (file) => this.#cache.get(file.path)?.code !== file.code
+        );
+        if (changed.length) {
+            const results = await this.#request(changed);
+            changed.forEach((file) => {
+                const result = results[file.path];
+                this.#cache.set(file.path, {
+                    code: file.code,
+                    result,
+                    lookup: result.sourceMap
+                        ? createSourceMapLookup(result.sourceMap)
+                        : null,
+                });
+            });
+        }
+
+        return new Map(
+            sources.map((file) => [
+                file.path,
+                this.#cache.get(file.path).result,
+            ])
+        );
+    }
+
+    /**
+     * Maps a position in the transpiled code of a file to its original source.
+     * @param {string} path - Full path of the file.
+     * @param {number} line - Line in the transpiled code, 1-based.
+     * @param {number} [column] - Column in the transpiled code, 1-based.
+     * @returns {{line: number, column: number}|null} The original position, or null if the file is not transpiled.
+     */
+    mapPosition(path, line, column) {
+        return this.#cache.get(path)?.lookup?.(line, column) ?? null;
+    }
+
+    /**
+     * Stops the worker and rejects the pending requests.
+     */
+    destroy() {
+        this.#worker?.terminate();
+        this.#worker = null;
+        this.#rejectAll(new Error('Transpiler destroyed'));
+        this.#cache.clear();
+    }
+
+    #request(files) {
+        if (!this.#worker) {
+            this.#worker = new Worker(
+                new URL('../workers/transpile.worker.js', import.meta.url),
+                { type: 'module' }
+            );
+            this.#worker.onmessage = ({ data: { id, results } }) => {
+                this.#requests.get(id)?.resolve(results);
+                this.#requests.delete(id);
+            };
+            this.#worker.onerror = (event) => {
+                event.preventDefault();
+                this.#rejectAll(new Error(event.message || 'Worker error'));
+            };
+        }
+
+        const id = this.#nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.#requests.set(id, { resolve, reject });
+            this.#worker.postMessage({ id, files });
+        });
+    }
+
+    #rejectAll(error) {
+        this.#requests.forEach(({ reject }) => reject(error));
+        this.#requests.clear();
+    }
+}
@@ -1,5 +1,6 @@
-import { Doc } from 'yjs';
+import { Doc, Map as YMap, Text as YText } from 'yjs';
 import { WebsocketProvider } from 'y-websocket';
+import { IndexeddbPersistence } from 'y-indexeddb';
 
 const DEFAULT_ROOM_NAME = 'bytetogether';
 
@@ -12,13 +13,37 @@ const WS_HOST = isProduction
     ? 'heroku-app-name.herokuapp.com' //TODO Replace server url after deployment
     : 'localhost:3000';
 
-// Map to store Y.Doc instances for each file
-const yDocsMap = new Map();
-// Map to store WebsocketProvider instances for each file
-const wsProvidersMap = new Map();
+// Shared Y.Map holding every file of the project, keyed by file id
+export const FILES_MAP_NAME = 'files';
+// Prefix of the IndexedDB databases keeping each room's Yjs state across reloads
+const LOCAL_DB_PREFIX = 'bytetogether-yjs-';
 
-// Map to store status event listener callbacks for cleanup
-const statusCallbacks = new Map();
+// The Y.Doc, WebsocketProvider and IndexedDB persistence of the current project room
+let projectDoc = null;
+let projectProvider = null;
+let projectLocalPersistence = null;
+
+// Room and signed token of the current collaboration session (issued by the server in handleInvite)
+let sessionRoom = initialRoom;
+let roomToken = '';
+
+/**
+ * Sets the room and signed token used to authenticate WebSocket upgrades.
+ * The provider picks up the new token on its next (re)connect.
+ * @param {Object} credentials
+ * @param {string} credentials.room - The room the token was issued for.
+ * @param {string} credentials.token - The signed room token.
+ */
+function setRoomCredentials({ room, token }) {
+    validateParameters(room, 'string', 'room');
+    validateParameters(token, 'string', 'token');
+
+    sessionRoom = room;
+    roomToken = token;
+    if (projectProvider) {
+        projectProvider.params = { ...projectProvider.params, token };
+    }
+}
 
 function validateParameters(param, type, name) {
     if (typeof param !== type) {
@@ -31,124 +56,287 @@ function validateParameters(param, type, name) {
 }
 
 /**
- * Gets or creates a Y.Doc for a given fileId.
- * @param {string} fileId - Unique identifier for the file.
- * @param {string} [username=User ${yDoc.clientID}] - Username for awareness.
- * @param {boolean} isAdmin - Whether the client is room admin
- * @returns {{yDoc: Doc, yText: import('yjs').Text, wsProvider: WebsocketProvider, awareness: import('y-protocols/awareness').Awareness, clientId: number}}
+ * Gets or creates the Y.Doc of the current project room.
+ * @param {string} username - Username for awareness.
+ * @returns {{yDoc: Doc, yFiles: YMap, wsProvider: WebsocketProvider, awareness: import('y-protocols/awareness').Awareness, clientId: number}}
  */
-//TODO add room name as projectId
-function getOrCreateYDoc(/* room, */ fileId, username, isAdmin) {
-    validateParameters(fileId, 'string', 'fileId');
+function getOrCreateYDoc(username) {
     validateParameters(username, 'string', 'username');
-    validateParameters(isAdmin, 'boolean');
 
-    if (!yDocsMap.has(fileId)) {
+    if (!projectDoc) {
         const yDoc = new Doc();
-        yDocsMap.set(fileId, yDoc);
-
-        const roomName = `${/* room ||  */ initialRoom}-${fileId}`; // Unique room name per file
         const clientId = yDoc.clientID;
 
+        // Identity and role are carried by the signed token, the server ignores anything else
         const wsProvider = new WebsocketProvider(
             `${WS_PROTOCOL}${WS_HOST}/yjs`,
-            roomName,
+            sessionRoom,
             yDoc,
             {
                 connect: false,
                 maxBackoffTime: 5000,
                 params: {
-                    room: roomName,
+                    room: sessionRoom,
                     clientId: clientId.toString(),
-                    username: username || `User${clientId}`,
-                    admin: isAdmin,
+                    token: roomToken,
                 },
                 maxRetries: 10,
                 WebSocketPolyfill: WebSocket, // Ensure compatibility
             }
         );
 
-        function onStatus(event) {
-            console.log(
-                `Connection status for room ${roomName}: ${event.status}`
-            );
-        }
-        wsProvider.on('status', onStatus);
+        const roomName = sessionRoom;
 
         wsProvider.awareness.setLocalStateField('user', {
             name: username || `User${clientId}`,
             clientId,
         });
-        wsProvidersMap.set(fileId, wsProvider);
-        statusCallbacks.set(fileId, onStatus);
-    }
 
-    const yDoc = yDocsMap.get(fileId);
-    const wsProvider = wsProvidersMap.get(fileId);
-    const yText = yDoc.getText('monaco'); // Use a consistent name for the text block
-    const awareness = wsProvider.awareness;
-    const clientId = yDoc.clientID;
+        projectDoc = yDoc;
+        projectProvider = wsProvider;
+        // Offline edits are kept locally and merged by the provider on reconnect
+        projectLocalPersistence = new IndexeddbPersistence(
+            `${LOCAL_DB_PREFIX}${roomName}`,
+            yDoc
+        );
+    }
 
-    return { yDoc, yText, wsProvider, awareness, clientId };
+    return {
+        yDoc: projectDoc,
+        yFiles: projectDoc.getMap(FILES_MAP_NAME),
+        wsProvider: projectProvider,
+        awareness: projectProvider.awareness,
+        clientId: projectDoc.clientID,
+    };
 }
 
 /**
- * Connects the WebsocketProvider for a given fileId.
- * @param {string} fileId - The ID of the file to connect.
+ * Gets the shared Y.Text holding the content of a file.
+ * @param {string} fileId - Unique identifier for the file.
+ * @returns {YText|null} The content, or null if the file is not in the project doc.
  */
-function connectYjsForFile(fileId) {
+function getFileYText(fileId) {
     validateParameters(fileId, 'string', 'fileId');
-    const provider = wsProvidersMap.get(fileId);
-    if (provider && !provider.shouldConnect) {
-        console.log(`Connecting Yjs provider for file: ${fileId}`);
-        provider.connect();
-    }
+    const yFile = projectDoc?.getMap(FILES_MAP_NAME).get(fileId);
+    return yFile?.get('content') ?? null;
 }
 
 /**
- * Disconnects the WebsocketProvider for a given fileId.
- * @param {string} fileId - The ID of the file to disconnect.
+ * Adds a file to the project doc, or updates its name, folder and language if it is already there.
+ * Does nothing outside of a collaboration session.
+ * @param {Object} file - The file document.
+ * @param {string} file.$id - Unique identifier for the file.
+ * @param {string} file.fileName - Name of the file.
+ * @param {string} [file.folderPath=''] - Path of the folder containing the file, empty for the project root.
+ * @param {string} file.language - Language of the file.
+ * @param {string} [file.codeContent] - Initial content, only used when the file is added.
  */
-function disconnectYjsForFile(fileId) {
+function upsertYFile({
+    $id,
+    fileName,
+    folderPath = '',
+    language,
+    codeContent,
+}) {
+    validateParameters($id, 'string', 'fileId');
+    if (!projectDoc) return;
+
+    const yFiles = projectDoc.getMap(FILES_MAP_NAME);
+    projectDoc.transact(() => {
+        let yFile = yFiles.get($id);
+        if (!yFile) {
+            yFile = new YMap();
+            yFiles.set($id, yFile);
+            const content = new YText();
+            yFile.set('content', content);
+            content.insert(0, codeContent || '');
+        }
+        if (yFile.get('fileName') !== fileName) {
+            yFile.set('fileName', fileName);
+        }
+        if ((yFile.get('folderPath') ?? '') !== folderPath) {
+            yFile.set('folderPath', folderPath);
+        }
+        if (yFile.get('language') !== language) {
+            yFile.set('language', language);
+        }
+    });
+}
+
+/**
+ * Removes a file from the project doc. Does nothing outside of a collaboration session.
+ * @param {string} fileId - Unique identifier for the file.
+ */
+function deleteYFile(fileId) {
     validateParameters(fileId, 'string', 'fileId');
-    const provider = wsProvidersMap.get(fileId);
-    if (provider && provider.shouldConnect && provider.ws?.readyState === 1) {
-        console.log(`Disconnecting Yjs provider for file: ${fileId}`);
-        provider.disconnect();
-    }
-    const onStatus = statusCallbacks.get(fileId);
-    provider.off('status', onStatus);
+    projectDoc?.getMap(FILES_MAP_NAME).delete(fileId);
 }
 
 /**
- * Disconnects all Yjs providers and clears all Y.Docs.
+ * Replaces every file of the project doc in a single transaction, e.g. when restoring a snapshot.
+ * Files missing from the list are removed. Does nothing outside of a collaboration session.
+ * @param {Array<{$id: string, fileName: string, folderPath: string, language: string, codeContent: string}>} files - The new files.
  */
-function disconnectAllYjs() {
-    wsProvidersMap.forEach((provider, fileId) => {
-        console.log(
-            `Disconnecting all Yjs ws providers from room ${provider.roomname} with file id - ${fileId}.`
-        );
-        const onStatus = statusCallbacks.get(fileId);
-        if (provider && provider.ws?.readyState === 1) {
-            provider.off('status', onStatus);
-            provider.disconnect();
-            provider.destroy();
-        }
+function replaceYFiles(files) {
+    if (!projectDoc) return;
+
+    const yFiles = projectDoc.getMap(FILES_MAP_NAME);
+    const fileIds = new Set(files.map((file) => file.$id));
+    projectDoc.transact(() => {
+        [...yFiles.keys()]
+            .filter((fileId) => !fileIds.has(fileId))
+            .forEach((fileId) => yFiles.delete(fileId));
+
+        files.forEach((file) => {
+            upsertYFile(file);
+            const content = yFiles.get(file.$id).get('content');
+            if (content.toString() !== file.codeContent) {
+                content.delete(0, content.length);
+                content.insert(0, file.codeContent || '');
+            }
+        });
     });
-    yDocsMap.forEach((yDoc, fileId) => {
-        console.log(
-            `Destroying all Yjs yDocs from room with file id - ${fileId}.`
-        );
-        yDoc.destroy();
+}
+
+/**
+ * Replaces ranges of the content of files in a single transaction, e.g. for a project-wide replace. Only the ranges
+ * change, so collaborators editing elsewhere in the files keep their edits. Does nothing outside of a collaboration
+ * session.
+ * @param {Array<{fileId: string, edits: Array<{index: number, length: number, text: string}>}>} fileEdits - The
+ * ranges of each file, in order and not overlapping.
+ */
+function editYFileContents(fileEdits) {
+    if (!projectDoc) return;
+
+    projectDoc.transact(() => {
+        fileEdits.forEach(({ fileId, edits }) => {
+            const content = getFileYText(fileId);
+            if (!content) return;
+
+            // From the last range so the offsets of the others stay valid
+            [...edits].reverse().forEach(({ index, length, text }) => {
+                content.delete(index, length);
+                content.insert(index, text);
+            });
+        });
     });
-    wsProvidersMap.clear();
-    yDocsMap.clear();
-    console.log('Cleared all Yjs documents and providers.');
+}
+
+/**
+ * Reads every file of the project doc.
+ * @returns {Array<{$id: string, fileName: string, folderPath: string, language: string, codeContent: string}>} The files.
+ */
+function getYFilesSnapshot() {
+    if (!projectDoc) return [];
+
+    return [...projectDoc.getMap(FILES_MAP_NAME).entries()].map(
+        ([$id, yFile]) => ({
+            $id,
+            fileName: yFile.get('fileName'),
+            folderPath: yFile.get('folderPath') ?? '',
+            language: yFile.get('language'),
+            codeContent: yFile.get('content')?.toString() ?? '',
+        })
+    );
+}
+
+/**
+ * Resolves once the project Y.Doc has loaded the state stored in IndexedDB.
+ * @returns {Promise<void>}
+ */
+async function whenLocalStateLoaded() {
+    await projectLocalPersistence?.whenSynced;
+}
+
+/**
+ * Sends a JSON message to the server of the project room, next to the Yjs protocol.
+ * @param {Object} message - The message, with a `type`.
+ * @returns {boolean} Whether it was sent, false outside of a session or while disconnected.
+ */
+function sendRoomMessage(message) {
+    const ws = projectProvider?.ws;
+    if (!projectProvider?.wsconnected || ws?.readyState !== WebSocket.OPEN) {
+        return false;
+    }
+    ws.send(JSON.stringify(message));
+    return true;
+}
+
+/**
+ * Returns the signed token of the current collaboration session.
+ * @returns {string|null} The token, null outside of a session.
+ */
+function getRoomToken() {
+    return projectProvider && roomToken ? roomToken : null;
+}
+
+/**
+ * Returns the URL of a WebSocket endpoint of the collaboration server.
+ * @param {string} path - Path of the endpoint, e.g. `/terminal`.
+ * @returns {string} The URL.
+ */
+function getWebSocketUrl(path) {
+    return `${WS_PROTOCOL}${WS_HOST}${path}`;
+}
+
+/**
+ * Connects the WebsocketProvider of the project room.
+ */
+function connectYjs() {
+    if (projectProvider && !projectProvider.shouldConnect) {
+        projectProvider.connect();
+    }
+}
+
+/**
+ * Disconnects the WebsocketProvider of the project room, keeping its Y.Doc.
+ */
+function disconnectYjs() {
+    if (projectProvider?.shouldConnect) {
+        projectProvider.disconnect();
+    }
+}
+
+/**
+ * Disconnects the Yjs provider and destroys the project Y.Doc.
+ * @param {Object} [options]
+ * @param {boolean} [options.clearLocalState=false] - Whether to also delete the room's state stored in IndexedDB (e.g. when the room has ended).
+ */
+function disconnectAllYjs({ clearLocalState = false } = {}) {
+    if (projectProvider) {
+        projectProvider.destroy();
+    }
+    if (projectLocalPersistence) {
+        const localPersistence = projectLocalPersistence;
+        (clearLocalState
+            ? localPersistence.clearData()
+            : localPersistence.destroy()
+        ).catch((error) => {
+            console.error(`Failed to close local Yjs state: ${error}`);
+        });
+    }
+    projectDoc?.destroy();
+    projectDoc = null;
+    projectProvider = null;
+    projectLocalPersistence = null;
+    sessionRoom = initialRoom;
+    roomToken = '';
 }
 
 export {
     getOrCreateYDoc,
-    connectYjsForFile,
-    disconnectYjsForFile,
+    getFileYText,
+    upsertYFile,
+    deleteYFile,
+    replaceYFiles,
+    editYFileContents,
+    getYFilesSnapshot,
+    whenLocalStateLoaded,
+    connectYjs,
+    disconnectYjs,
     disconnectAllYjs,
+    setRoomCredentials,
+    sendRoomMessage,
+    getRoomToken,
+    getWebSocketUrl,
 };
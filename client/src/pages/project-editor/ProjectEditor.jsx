@@ -6,15 +6,19 @@ import { useEffect } from 'react';
 import { useParams } from 'react-router';
 import { useQuery } from '@tanstack/react-query';
 import { useDispatch } from 'react-redux';
+import { Query } from 'appwrite';
 
 import { databaseService } from '../../appwrite-services/database';
+import appwriteConfig from '../../conf/appwriteConfig';
 import { EditorLayout, Spinner } from '../../components/componentsIndex';
 import {
     setError as setFilesError,
     setFiles,
+    setFolders,
     setIsLoading as setFilesLoading,
 } from '../../store/slices/filesSlice';
 import { setActiveProject } from '../../store/slices/projectSlice';
+import { parseRunSettings } from '../../lib/multiFileRun';
 
 /**
  * Parent component(page) linked with route to render EditorLayout for existing projects with data fetching.
@@ -54,6 +58,21 @@ export default function ProjectEditor() {
         staleTime: 2 * 60 * 1000, // 2 minutes
     });
 
+    // Fetch project folders, folders containing files are also derived from file paths
+    const { data: folders = [], isLoading: isFoldersLoading } = useQuery({
+        queryKey: ['folders', projectId],
+        queryFn: async () => {
+            const folderList = await databaseService.listDocuments(
+                appwriteConfig.appwriteFoldersCollectionID,
+                [Query.equal('projectId', projectId)]
+            );
+            return folderList.documents;
+        },
+        enabled: !!projectId,
+        retry: 2,
+        staleTime: 2 * 60 * 1000, // 2 minutes
+    });
+
     // Update Redux state for project details
     useEffect(() => {
         if (project) {
@@ -62,6 +81,7 @@ export default function ProjectEditor() {
                     $id: project.$id,
                     name: project.name,
                     ownerId: project.ownerId,
+                    runSettings: parseRunSettings(project.runSettings),
                 })
             );
         }
@@ -74,8 +94,13 @@ export default function ProjectEditor() {
         dispatch(setFilesError(filesError ? filesError.message : null));
     }, [dispatch, files, isFilesLoading, filesError]);
 
+    // Update Redux state for folders
+    useEffect(() => {
+        dispatch(setFolders(folders));
+    }, [dispatch, folders]);
+
     // Combine loading and error states
-    const isLoading = isProjectLoading || isFilesLoading;
+    const isLoading = isProjectLoading || isFilesLoading || isFoldersLoading;
     const error = projectError || filesError;
 
     if (isLoading)
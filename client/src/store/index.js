@@ -10,6 +10,9 @@ import filesReducer from './slices/filesSlice';
 import userReducer from './slices/userSlice';
 import executionReducer from './slices/executionSlice';
 import previewReducer from './slices/previewSlice';
+import snapshotsReducer from './slices/snapshotsSlice';
+import testSuitesReducer from './slices/testSuitesSlice';
+import runHistoryReducer from './slices/runHistorySlice';
 
 /**
  * Persistence configuration for the auth slice.
@@ -47,7 +50,7 @@ const editorPersistConfig = {
 const filesPersistConfig = {
     key: 'files',
     storage,
-    whitelist: ['files'], // Persist only files
+    whitelist: ['files', 'folders', 'areFilesSaved', 'unsavedFileIds'], // Persist files, folders and whether they are saved to Appwrite
 };
 
 /**
@@ -67,7 +70,7 @@ const userPersistConfig = {
 const executionPersistConfig = {
     key: 'execution',
     storage,
-    whitelist: ['executionMode'], // Persist only exeuctionMode
+    whitelist: ['executionMode', 'runEngine'], // Persist only the execution mode and run engine
 };
 
 /**
@@ -90,6 +93,17 @@ const projectPersistConfig = {
     whitelist: ['activeProject'],
 };
 
+/**
+ * Persistence configuration for the run history slice.
+ * @type {Object}
+ */
+const runHistoryPersistConfig = {
+    key: 'runHistory',
+    storage,
+    whitelist: ['runs', 'syncEnabled'],
+    throttle: 1000, // Throttle storage updates by 1 second
+};
+
 // Combined reducers
 const rootReducer = combineReducers({
     auth: persistReducer(authPersistConfig, authReducer),
@@ -100,6 +114,9 @@ const rootReducer = combineReducers({
     user: persistReducer(userPersistConfig, userReducer),
     execution: persistReducer(executionPersistConfig, executionReducer),
     preview: persistReducer(previewPersistConfig, previewReducer),
+    snapshots: snapshotsReducer, // Fetched from Appwrite, not persisted
+    testSuites: testSuitesReducer, // Fetched from Appwrite, not persisted
+    runHistory: persistReducer(runHistoryPersistConfig, runHistoryReducer),
 });
 
 // Redux Store config
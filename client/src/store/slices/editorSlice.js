@@ -5,14 +5,27 @@
 import { createSlice } from '@reduxjs/toolkit';
 
 import { getLanguageFromFileName } from '../../utils/getLanguageFromFileName';
+import {
+    closeOtherTabs,
+    closeTab,
+    createTabLayout,
+    moveTab,
+    openTab,
+    pruneTabs,
+    splitPane,
+} from '../../lib/tabLayout';
 
 /**
  * Initial state for the editor slice.
  * @typedef {Object} EditorState
  * @property {string} codeContent - Content of the currently selected file.
  * @property {Object} settings - Editor settings (e.g. font size, word wrap etc.).
- * @property {Object} selectedFile - Currently selected file from files state.
+ * @property {Object} selectedFile - Currently selected file from files state, the file shown in the active pane.
+ * @property {import('../../lib/tabLayout').TabLayout} tabLayout - Editor panes and the files open in their tabs.
  * @property {Object} language - language of codeContent for monaco.
+ * @property {{path: string, line: number, column: number|null, endLine?: number, endColumn?: number}|null}
+ * revealPosition - Location the editor moves to once the file at its path is open, e.g. of a problem of the last
+ * run, or range it selects, e.g. of a search match.
  * @property {boolean} isLoading - Loading state for async operations.
  * @property {string|null} error - Error message for failed operations.
  */
@@ -26,7 +39,9 @@ const initialState = {
         stickyScroll: true,
     },
     selectedFile: null,
+    tabLayout: createTabLayout(),
     language: 'javascript',
+    revealPosition: null,
     isLoading: false,
     error: null,
 };
@@ -55,7 +70,7 @@ const editorSlice = createSlice({
             state.settings = { ...state.settings, ...action.payload };
         },
         /**
-         * Sets the the selected file.
+         * Sets the the selected file and opens it in the active pane.
          * @param {EditorState} state - Current state.
          * @param {Object} action - Action with payload containing selected file name.
          */
@@ -66,6 +81,8 @@ const editorSlice = createSlice({
                     action.payload.fileName
                 );
                 state.codeContent = action.payload.codeContent;
+                // Selected files are shown in the active pane, in a new tab unless they are open there
+                state.tabLayout = openTab(state.tabLayout, action.payload.$id);
             } else {
                 state.codeContent = '';
             }
@@ -88,6 +105,81 @@ const editorSlice = createSlice({
         setLanguage: (state, action) => {
             state.language = action.payload;
         },
+        /**
+         * Sets the location the editor moves to once its file is open, null once it moved there.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the path, line and column.
+         */
+        setRevealPosition(state, action) {
+            state.revealPosition = action.payload;
+        },
+        /**
+         * Shows the file of a tab in its pane and makes the pane active.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the pane and file IDs.
+         */
+        selectTab(state, action) {
+            const { paneId, fileId } = action.payload;
+            state.tabLayout = openTab(state.tabLayout, fileId, paneId);
+        },
+        /**
+         * Makes a pane active, e.g. when its editor is focused.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the pane ID.
+         */
+        focusPane(state, action) {
+            state.tabLayout.activePaneId = action.payload;
+        },
+        /**
+         * Closes a tab, and its pane with its last tab when the editor is split.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the pane and file IDs.
+         */
+        closeEditorTab(state, action) {
+            const { paneId, fileId } = action.payload;
+            state.tabLayout = closeTab(state.tabLayout, paneId, fileId);
+        },
+        /**
+         * Closes every tab of a pane but one.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the pane ID and the file ID of the tab kept open.
+         */
+        closeOtherEditorTabs(state, action) {
+            const { paneId, fileId } = action.payload;
+            state.tabLayout = closeOtherTabs(state.tabLayout, paneId, fileId);
+        },
+        /**
+         * Moves a tab within its pane or to another pane.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing fromPaneId, fileId, toPaneId and index.
+         */
+        moveEditorTab(state, action) {
+            state.tabLayout = moveTab(state.tabLayout, action.payload);
+        },
+        /**
+         * Splits the editor in two panes, or changes the direction of the split.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the direction, 'horizontal' or 'vertical'.
+         */
+        splitEditor(state, action) {
+            state.tabLayout = splitPane(state.tabLayout, action.payload);
+        },
+        /**
+         * Closes the tabs of files missing from the project.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the IDs of the project files.
+         */
+        pruneEditorTabs(state, action) {
+            state.tabLayout = pruneTabs(state.tabLayout, action.payload);
+        },
+        /**
+         * Sets the editor panes and tabs, e.g. the layout stored for a project.
+         * @param {EditorState} state - Current state.
+         * @param {Object} action - Action with payload containing the tab layout.
+         */
+        setTabLayout(state, action) {
+            state.tabLayout = action.payload;
+        },
         /**
          * Sets the loading state.
          * @param {EditorState} state - Current state.
@@ -113,6 +205,15 @@ export const {
     setSelectedFile,
     setSelectedFileContent,
     setEditorSettings,
+    setRevealPosition,
+    selectTab,
+    focusPane,
+    closeEditorTab,
+    closeOtherEditorTabs,
+    moveEditorTab,
+    splitEditor,
+    pruneEditorTabs,
+    setTabLayout,
     setIsLoading,
     setError,
 } = editorSlice.actions;
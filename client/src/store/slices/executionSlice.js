@@ -1,5 +1,7 @@
 import { createSlice } from '@reduxjs/toolkit';
 
+import { defaultRunPolicy } from '../../conf/runPolicy';
+
 /**
  * Redux slice for managing code execution state.
  */
@@ -12,8 +14,17 @@ const executionSlice = createSlice({
         status: null,
         time: '',
         memory: null,
+        testResults: [],
+        diagnostics: [], // Errors of the last run located in the project files, see lib/diagnostics
+        submissionToken: null, // Token of the running submission, to cancel it
+        sharedRun: null, // Run of a collaborator shown instead of the own one, in a live session
+        runPolicy: defaultRunPolicy, // Who may run code in the live session
+        roomMembers: [], // Users connected to the live session {clientId, userId, username}, verified by the server
         isRunning: false,
+        isLocalRun: false, // Whether the running program runs in the browser
+        liveOutput: [], // Output chunks {stream, text, level} of the program running in the browser, as it writes them
         executionMode: 'judge0', // or "preview"
+        runEngine: 'judge0', // or "browser", where programs of the compiler mode run when the browser can run them
     },
     reducers: {
         /**
@@ -72,6 +83,72 @@ const executionSlice = createSlice({
         setMemory(state, action) {
             state.memory = action.payload;
         },
+        /**
+         * Sets the results of a test suite run, replacing the single run output.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {Array<Object>} action.payload
+         */
+        setTestResults(state, action) {
+            state.testResults = action.payload;
+        },
+        /**
+         * Sets the diagnostics read from the compile or error output of the last run.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {Array<import('../../lib/diagnostics').Diagnostic>} action.payload
+         */
+        setDiagnostics(state, action) {
+            state.diagnostics = action.payload;
+        },
+        /**
+         * Sets the token of the running submission, null once it finished.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {string|null} action.payload
+         */
+        setSubmissionToken(state, action) {
+            state.submissionToken = action.payload;
+        },
+        /**
+         * Shows a run shared by a collaborator, unless the own run is in progress.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {Object} action.payload - The run: who ran which file, its stdin, status and outputs.
+         */
+        setSharedRun(state, action) {
+            if (state.isRunning) return;
+
+            const run = action.payload;
+            state.sharedRun = run;
+            state.testResults = [];
+            state.diagnostics = [];
+            if (run.phase === 'finished') {
+                state.output = run.stdout;
+                state.error = run.stdout ? '' : run.stderr;
+                state.status = run.status;
+                state.time = run.time ?? '';
+                state.memory = run.memory;
+            }
+        },
+        /**
+         * Sets who may run code in the live session.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {{mode: string, allowed: Array<string>}} action.payload
+         */
+        setRunPolicy(state, action) {
+            state.runPolicy = action.payload;
+        },
+        /**
+         * Sets the users connected to the live session, as listed by the server.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {Array<{clientId: number, userId: string, username: string}>} action.payload
+         */
+        setRoomMembers(state, action) {
+            state.roomMembers = action.payload;
+        },
         /**
          * Sets the running state.
          * @param {Object} state
@@ -81,6 +158,34 @@ const executionSlice = createSlice({
         setIsRunning(state, action) {
             state.isRunning = action.payload;
         },
+        /**
+         * Sets whether the running program runs in the browser.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {boolean} action.payload
+         */
+        setIsLocalRun(state, action) {
+            state.isLocalRun = action.payload;
+        },
+        /**
+         * Appends output chunks of the program running in the browser, merging chunks of the same stream and level.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {Array<{stream: string, text: string, level?: string}>} action.payload
+         */
+        appendLiveOutput(state, action) {
+            action.payload.forEach((chunk) => {
+                const last = state.liveOutput.at(-1);
+                if (
+                    last?.stream === chunk.stream &&
+                    last.level === chunk.level
+                ) {
+                    last.text += chunk.text;
+                } else {
+                    state.liveOutput.push(chunk);
+                }
+            });
+        },
         /**
          * Sets the execution mode state.
          * @param {Object} state
@@ -90,6 +195,15 @@ const executionSlice = createSlice({
         setExecutionMode(state, action) {
             state.executionMode = action.payload;
         },
+        /**
+         * Sets where programs of the compiler mode run: on Judge0, or in the browser when it can run them.
+         * @param {Object} state
+         * @param {Object} action
+         * @param {'judge0'|'browser'} action.payload
+         */
+        setRunEngine(state, action) {
+            state.runEngine = action.payload;
+        },
         /**
          * Clears Judge0 states.
          * @param {Object} state
@@ -101,6 +215,10 @@ const executionSlice = createSlice({
             state.status = null;
             state.time = '';
             state.memory = null;
+            state.testResults = [];
+            state.diagnostics = [];
+            state.sharedRun = null;
+            state.liveOutput = [];
         },
     },
 });
@@ -109,11 +227,20 @@ export const {
     setOutput,
     setError,
     setIsRunning,
+    setIsLocalRun,
+    appendLiveOutput,
     setExecutionMode,
+    setRunEngine,
     setInput,
     setMemory,
     setStatus,
     setTime,
+    setTestResults,
+    setDiagnostics,
+    setSubmissionToken,
+    setSharedRun,
+    setRunPolicy,
+    setRoomMembers,
     clearJudge0States,
 } = executionSlice.actions;
 export default executionSlice.reducer;
@@ -7,12 +7,13 @@ import { ID, Query } from 'appwrite';
 
 import { databaseService } from '../../appwrite-services/database';
 import appwriteConfig from '../../conf/appwriteConfig';
+import { isWithinFolder, replacePathPrefix } from '../../utils/filePaths';
 
 /**
  * Async thunk to save all files for a new project in Appwrite.
  * @param {Object} payload - The action payload.
  * @param {string} payload.projectName - The project name.
- * @param {Array<Object>} payload.files - Array of file objects { name, language, codeContent }.
+ * @param {Array<Object>} payload.files - Array of file objects { name, folderPath, language, codeContent }.
  * @returns {Promise<Array<Object>>} Array of created documents.
  */
 export const saveAllFilesForNewProject = createAsyncThunk(
@@ -28,6 +29,7 @@ export const saveAllFilesForNewProject = createAsyncThunk(
                     {
                         projectId,
                         fileName: file.fileName,
+                        folderPath: file.folderPath || '',
                         language: file.language,
                         codeContent: file.codeContent,
                         ownerId: user?.$id,
@@ -59,6 +61,7 @@ export const updateAllFilesForExistingProject = createAsyncThunk(
                     file.$id,
                     {
                         fileName: file.fileName,
+                        folderPath: file.folderPath || '',
                         codeContent: file.codeContent,
                         language: file.language,
                     }
@@ -72,6 +75,74 @@ export const updateAllFilesForExistingProject = createAsyncThunk(
     }
 );
 
+// Most files of a project read at once, the maximum of Appwrite
+const PROJECT_FILES_LIMIT = 5000;
+
+/**
+ * Async thunk to replace all files of an existing project in Appwrite, e.g. when restoring a snapshot.
+ * Files missing from the new list are deleted and files missing from the project are recreated. The stored files are
+ * read from Appwrite, the Redux files of a live session also list files collaborators never saved.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {Array<Object>} payload.files - Array of file objects { $id, fileName, folderPath, language, codeContent }.
+ * @returns {Promise<Array<Object>>} Array of saved documents.
+ */
+export const replaceAllFilesForExistingProject = createAsyncThunk(
+    'files/replaceAllFilesForExistingProject',
+    async ({ projectId, files }, { rejectWithValue, getState }) => {
+        try {
+            const { user } = getState().auth;
+            const storedFiles = await databaseService.listDocuments(
+                appwriteConfig.appwriteFilesCollectionID,
+                [
+                    Query.equal('projectId', projectId),
+                    Query.limit(PROJECT_FILES_LIMIT),
+                ]
+            );
+            const currentIds = new Set(
+                storedFiles.documents.map((file) => file.$id)
+            );
+            const fileIds = new Set(files.map((file) => file.$id));
+
+            const deletePromises = [...currentIds]
+                .filter((fileId) => !fileIds.has(fileId))
+                .map((fileId) =>
+                    databaseService.deleteDocument(
+                        appwriteConfig.appwriteFilesCollectionID,
+                        fileId
+                    )
+                );
+            const savePromises = files.map((file) => {
+                const data = {
+                    fileName: file.fileName,
+                    folderPath: file.folderPath || '',
+                    codeContent: file.codeContent,
+                    language: file.language,
+                };
+                return currentIds.has(file.$id)
+                    ? databaseService.updateDocument(
+                          appwriteConfig.appwriteFilesCollectionID,
+                          file.$id,
+                          data
+                      )
+                    : databaseService.createDocument(
+                          appwriteConfig.appwriteFilesCollectionID,
+                          file.$id,
+                          { ...data, projectId, ownerId: user?.$id }
+                      );
+            });
+
+            const [results] = await Promise.all([
+                Promise.all(savePromises),
+                Promise.all(deletePromises),
+            ]);
+            return results;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
 /**
  * Async thunk to fetch all files for an existing project.
  * @param {string} payload - The project ID.
@@ -97,6 +168,7 @@ export const getFilesByProject = createAsyncThunk(
  * @param {Object} payload - The action payload.
  * @param {string} payload.projectId - The project ID.
  * @param {string} payload.fileName - The file name.
+ * @param {string} [payload.folderPath=''] - Path of the folder containing the file, empty for the project root.
  * @param {string} payload.language - The programming language.
  * @param {string} payload.codeContent - The file codeContent.
  * @returns {Promise<Object>} The created document.
@@ -104,7 +176,14 @@ export const getFilesByProject = createAsyncThunk(
 export const createFileDB = createAsyncThunk(
     'files/createFileDB',
     async (
-        { projectId, fileName, language, codeContent, documentId },
+        {
+            projectId,
+            fileName,
+            folderPath = '',
+            language,
+            codeContent,
+            documentId,
+        },
         { rejectWithValue, dispatch, getState }
     ) => {
         const { user } = getState().auth;
@@ -114,6 +193,7 @@ export const createFileDB = createAsyncThunk(
                 $id: documentId,
                 projectId,
                 fileName,
+                folderPath,
                 language,
                 codeContent,
                 ownerId: user?.$id || 'guest',
@@ -141,23 +221,30 @@ export const createFileDB = createAsyncThunk(
  * @param {string} payload.fileId - The file ID.
  * @param {string} payload.codeContent - The updated codeContent.
  * @param {string} payload.language - The updated language.
+ * @param {string} payload.fileName - The updated file name.
+ * @param {string} [payload.folderPath] - The updated folder path, unchanged if omitted.
  * @returns {Promise<Object>} The updated document.
  */
 export const updateFileDB = createAsyncThunk(
     'files/updateFileDB',
     async (
-        { fileId, codeContent, language, fileName },
+        { fileId, codeContent, language, fileName, folderPath },
         { rejectWithValue, dispatch, getState }
     ) => {
         const { files } = getState().files;
         const oldFile = files.find((file) => file.$id === fileId);
 
         try {
-            const newfile = { ...oldFile, codeContent, language, fileName };
+            const data = {
+                codeContent,
+                language,
+                fileName,
+                folderPath: folderPath ?? oldFile?.folderPath ?? '',
+            };
+            const newfile = { ...oldFile, ...data };
 
             dispatch(updateFile(newfile)); // Optimistic Update
 
-            const data = { codeContent, language, fileName };
             const updatedFile = await databaseService.updateDocument(
                 appwriteConfig.appwriteFilesCollectionID,
                 fileId,
@@ -202,17 +289,160 @@ export const deleteFileDB = createAsyncThunk(
     }
 );
 
+/**
+ * Async thunk to fetch all folders of an existing project.
+ * @param {string} payload - The project ID.
+ * @returns {Promise<Array<Object>>} Array of folder documents.
+ */
+export const getFoldersByProject = createAsyncThunk(
+    'files/getFoldersByProject',
+    async (projectId, { rejectWithValue }) => {
+        try {
+            const response = await databaseService.listDocuments(
+                appwriteConfig.appwriteFoldersCollectionID,
+                [Query.equal('projectId', projectId)]
+            );
+            return response.documents;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to create a folder in Appwrite.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.path - Full path of the folder, e.g. `src/utils`.
+ * @returns {Promise<Object>} The created document.
+ */
+export const createFolderDB = createAsyncThunk(
+    'files/createFolderDB',
+    async ({ projectId, path }, { rejectWithValue, dispatch, getState }) => {
+        const { user } = getState().auth;
+        const documentId = ID.unique();
+
+        try {
+            const data = { projectId, path, ownerId: user?.$id || 'guest' };
+
+            dispatch(addFolder({ $id: documentId, ...data })); // Optimistic Update
+
+            return await databaseService.createDocument(
+                appwriteConfig.appwriteFoldersCollectionID,
+                documentId,
+                data
+            );
+        } catch (error) {
+            dispatch(deleteFolder(path)); // Rollback on failure
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to rename or move a folder in Appwrite, along with its subfolders and files.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.path - Current full path of the folder.
+ * @param {string} payload.newPath - New full path of the folder.
+ * @returns {Promise<{files: Array<Object>, folders: Array<Object>}>} The moved files and folders.
+ */
+export const renameFolderDB = createAsyncThunk(
+    'files/renameFolderDB',
+    async ({ path, newPath }, { rejectWithValue, getState }) => {
+        const { files, folders } = getState().files;
+
+        try {
+            const folderPromises = folders
+                .filter((folder) => isWithinFolder(folder.path, path))
+                .map((folder) =>
+                    databaseService.updateDocument(
+                        appwriteConfig.appwriteFoldersCollectionID,
+                        folder.$id,
+                        {
+                            path: replacePathPrefix(folder.path, path, newPath),
+                        }
+                    )
+                );
+            const filePromises = files
+                .filter((file) => isWithinFolder(file.folderPath || '', path))
+                .map((file) =>
+                    databaseService.updateDocument(
+                        appwriteConfig.appwriteFilesCollectionID,
+                        file.$id,
+                        {
+                            folderPath: replacePathPrefix(
+                                file.folderPath,
+                                path,
+                                newPath
+                            ),
+                        }
+                    )
+                );
+
+            const [movedFolders, movedFiles] = await Promise.all([
+                Promise.all(folderPromises),
+                Promise.all(filePromises),
+            ]);
+            return { folders: movedFolders, files: movedFiles };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to delete a folder in Appwrite, along with its subfolders and files.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.path - Full path of the folder.
+ * @returns {Promise<{path: string, fileIds: Array<string>}>} The deleted folder path and file IDs.
+ */
+export const deleteFolderDB = createAsyncThunk(
+    'files/deleteFolderDB',
+    async ({ path }, { rejectWithValue, getState }) => {
+        const { files, folders } = getState().files;
+        const filesToDelete = files.filter((file) =>
+            isWithinFolder(file.folderPath || '', path)
+        );
+
+        try {
+            await Promise.all([
+                ...folders
+                    .filter((folder) => isWithinFolder(folder.path, path))
+                    .map((folder) =>
+                        databaseService.deleteDocument(
+                            appwriteConfig.appwriteFoldersCollectionID,
+                            folder.$id
+                        )
+                    ),
+                ...filesToDelete.map((file) =>
+                    databaseService.deleteDocument(
+                        appwriteConfig.appwriteFilesCollectionID,
+                        file.$id
+                    )
+                ),
+            ]);
+            return { path, fileIds: filesToDelete.map((file) => file.$id) };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
 /**
  * Initial state for the files slice.
  * @typedef {Object} FilesState
  * @property {Array} files - List of files in the project.
+ * @property {Array} folders - List of folders in the project ({ $id, path }), folders containing files may be implicit.
  * @property {boolean} areFilesSaved - state of files saved/unsaved in a project.
+ * @property {Array<string>} unsavedFileIds - IDs of the files edited since the project was last saved.
  * @property {boolean} isLoading - Loading state for file operations.
  * @property {string|null} error - Error message for failed operations.
  */
 const initialState = {
     files: [],
+    folders: [],
     areFilesSaved: false,
+    unsavedFileIds: [],
     isLoading: false,
     error: null,
 };
@@ -266,6 +496,61 @@ const filesSlice = createSlice({
             state.files = state.files.filter(
                 (file) => file.$id !== action.payload
             );
+            state.unsavedFileIds = state.unsavedFileIds.filter(
+                (fileId) => fileId !== action.payload
+            );
+        },
+        /**
+         * Replaces the list of files with the files of a shared Yjs project doc.
+         * Keeps the order and the other fields of files that are already known.
+         * @param {FilesState} state - Current state.
+         * @param {Object} action - Action with payload containing array of files ({ $id, fileName, language, codeContent }).
+         */
+        syncFiles: (state, action) => {
+            const sharedFiles = new Map(
+                action.payload.map((file) => [file.$id, file])
+            );
+            const knownFiles = state.files
+                .filter((file) => sharedFiles.has(file.$id))
+                .map((file) => ({ ...file, ...sharedFiles.get(file.$id) }));
+            const knownIds = new Set(knownFiles.map((file) => file.$id));
+            const newFiles = action.payload.filter(
+                (file) => !knownIds.has(file.$id)
+            );
+
+            state.files = [...knownFiles, ...newFiles];
+        },
+        /**
+         * Sets the list of folders for the project.
+         * @param {FilesState} state - Current state.
+         * @param {Object} action - Action with payload containing array of folders.
+         */
+        setFolders: (state, action) => {
+            state.folders = action.payload;
+        },
+        /**
+         * Adds a folder to the list of folders for the project.
+         * @param {FilesState} state - Current state.
+         * @param {Object} action - Action with payload containing the folder.
+         */
+        addFolder: (state, action) => {
+            if (
+                !state.folders.some(
+                    (folder) => folder.path === action.payload.path
+                )
+            ) {
+                state.folders.push(action.payload);
+            }
+        },
+        /**
+         * Deletes a folder from the list of folders for the project.
+         * @param {FilesState} state - Current state.
+         * @param {Object} action - Action with payload containing the folder path.
+         */
+        deleteFolder: (state, action) => {
+            state.folders = state.folders.filter(
+                (folder) => folder.path !== action.payload
+            );
         },
         /**
          * Sets the saved state.
@@ -274,6 +559,20 @@ const filesSlice = createSlice({
          */
         setAreFilesSaved: (state, action) => {
             state.areFilesSaved = action.payload;
+            if (action.payload) {
+                state.unsavedFileIds = [];
+            }
+        },
+        /**
+         * Marks a file as edited since the project was last saved.
+         * @param {FilesState} state - Current state.
+         * @param {Object} action - Action with payload containing the file ID.
+         */
+        markFileUnsaved: (state, action) => {
+            state.areFilesSaved = false;
+            if (!state.unsavedFileIds.includes(action.payload)) {
+                state.unsavedFileIds.push(action.payload);
+            }
         },
         /**
          * Sets the loading state.
@@ -303,6 +602,7 @@ const filesSlice = createSlice({
                 state.isLoading = false;
                 state.files = action.payload;
                 state.areFilesSaved = true;
+                state.unsavedFileIds = [];
             })
             .addCase(saveAllFilesForNewProject.rejected, (state, action) => {
                 state.isLoading = false;
@@ -319,6 +619,7 @@ const filesSlice = createSlice({
                     state.isLoading = false;
                     state.files = action.payload;
                     state.areFilesSaved = true;
+                    state.unsavedFileIds = [];
                 }
             )
             .addCase(
@@ -328,6 +629,27 @@ const filesSlice = createSlice({
                     state.error = action.payload;
                 }
             )
+            // Replace all files in DB for an existing Project
+            .addCase(replaceAllFilesForExistingProject.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(
+                replaceAllFilesForExistingProject.fulfilled,
+                (state, action) => {
+                    state.isLoading = false;
+                    state.files = action.payload;
+                    state.areFilesSaved = true;
+                    state.unsavedFileIds = [];
+                }
+            )
+            .addCase(
+                replaceAllFilesForExistingProject.rejected,
+                (state, action) => {
+                    state.isLoading = false;
+                    state.error = action.payload;
+                }
+            )
             // Get all files by Project ID
             .addCase(getFilesByProject.pending, (state) => {
                 state.isLoading = true;
@@ -341,6 +663,67 @@ const filesSlice = createSlice({
                 state.isLoading = false;
                 state.error = action.payload;
             })
+            // Get all folders by Project ID
+            .addCase(getFoldersByProject.fulfilled, (state, action) => {
+                state.folders = action.payload;
+            })
+            .addCase(getFoldersByProject.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Create Folder
+            .addCase(createFolderDB.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Rename Folder
+            .addCase(renameFolderDB.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(renameFolderDB.fulfilled, (state, action) => {
+                state.isLoading = false;
+                const movedFolders = new Map(
+                    action.payload.folders.map((folder) => [folder.$id, folder])
+                );
+                const movedFiles = new Map(
+                    action.payload.files.map((file) => [file.$id, file])
+                );
+                state.folders = state.folders.map((folder) =>
+                    movedFolders.has(folder.$id)
+                        ? { ...folder, path: movedFolders.get(folder.$id).path }
+                        : folder
+                );
+                state.files = state.files.map((file) =>
+                    movedFiles.has(file.$id)
+                        ? {
+                              ...file,
+                              folderPath: movedFiles.get(file.$id).folderPath,
+                          }
+                        : file
+                );
+            })
+            .addCase(renameFolderDB.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            })
+            // Delete Folder
+            .addCase(deleteFolderDB.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(deleteFolderDB.fulfilled, (state, action) => {
+                state.isLoading = false;
+                const { path, fileIds } = action.payload;
+                state.folders = state.folders.filter(
+                    (folder) => !isWithinFolder(folder.path, path)
+                );
+                state.files = state.files.filter(
+                    (file) => !fileIds.includes(file.$id)
+                );
+            })
+            .addCase(deleteFolderDB.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            })
             // Create File
             .addCase(createFileDB.pending, (state) => {
                 state.isLoading = true;
@@ -385,7 +768,12 @@ export const {
     addFile,
     updateFile,
     deleteFile,
+    syncFiles,
+    setFolders,
+    addFolder,
+    deleteFolder,
     setAreFilesSaved,
+    markFileUnsaved,
     setIsLoading,
     setError,
 } = filesSlice.actions;
@@ -0,0 +1,85 @@
+import { configureStore } from '@reduxjs/toolkit';
+
+import { databaseService } from '../../appwrite-services/database';
+
+import filesReducer, {
+    replaceAllFilesForExistingProject,
+    syncFiles,
+} from './filesSlice';
+
+vi.mock('../../appwrite-services/database', () => ({
+    databaseService: {
+        listDocuments: vi.fn(),
+        createDocument: vi.fn(),
+        updateDocument: vi.fn(),
+        deleteDocument: vi.fn(),
+    },
+}));
+
+const toDocument = (collectionId, $id, data) => ({ $id, ...data });
+
+describe('replaceAllFilesForExistingProject', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        databaseService.createDocument.mockImplementation(toDocument);
+        databaseService.updateDocument.mockImplementation(toDocument);
+        databaseService.deleteDocument.mockResolvedValue({});
+    });
+
+    it('restores a snapshot against the stored files, not the shared files of a live session', async () => {
+        const snapshotFiles = [
+            {
+                $id: 'main',
+                fileName: 'main.py',
+                folderPath: '',
+                language: 'python',
+                codeContent: 'print(1)',
+            },
+            {
+                $id: 'removed',
+                fileName: 'utils.py',
+                folderPath: '',
+                language: 'python',
+                codeContent: 'x = 1',
+            },
+        ];
+        // Since the snapshot `added.py` was created and `utils.py` deleted
+        databaseService.listDocuments.mockResolvedValue({
+            documents: [{ $id: 'main' }, { $id: 'added' }],
+        });
+
+        const store = configureStore({
+            reducer: {
+                files: filesReducer,
+                auth: () => ({ user: { $id: 'owner' } }),
+            },
+        });
+        // A live session mirrors the restored files to Redux, they must not hide the stored ones
+        store.dispatch(syncFiles(snapshotFiles));
+
+        const restoredFiles = await store
+            .dispatch(
+                replaceAllFilesForExistingProject({
+                    projectId: 'project',
+                    files: snapshotFiles,
+                })
+            )
+            .unwrap();
+
+        expect(databaseService.deleteDocument).toHaveBeenCalledTimes(1);
+        expect(databaseService.deleteDocument.mock.calls[0][1]).toBe('added');
+        expect(databaseService.updateDocument).toHaveBeenCalledTimes(1);
+        expect(databaseService.updateDocument.mock.calls[0][1]).toBe('main');
+        expect(databaseService.createDocument).toHaveBeenCalledTimes(1);
+        expect(databaseService.createDocument.mock.calls[0]).toMatchObject([
+            expect.anything(),
+            'removed',
+            { projectId: 'project', ownerId: 'owner', fileName: 'utils.py' },
+        ]);
+        expect(restoredFiles.map(({ $id }) => $id)).toEqual([
+            'main',
+            'removed',
+        ]);
+        expect(store.getState().files.files).toEqual(restoredFiles);
+    });
+});
@@ -7,9 +7,6 @@ const previewSlice = createSlice({
     name: 'preview',
     initialState: {
         isPreviewVisible: false,
-        html: '',
-        css: '',
-        js: '',
         consoleLogs: [],
         isConsoleVisible: false,
         error: null,
@@ -24,33 +21,6 @@ const previewSlice = createSlice({
         setIsPreviewVisible(state, action) {
             state.isPreviewVisible = action.payload;
         },
-        /**
-         * Sets the html output.
-         * @param {Object} state
-         * @param {Object} action
-         * @param {string} action.payload
-         */
-        setHtml(state, action) {
-            state.html = action.payload;
-        },
-        /**
-         * Sets the css output.
-         * @param {Object} state
-         * @param {Object} action
-         * @param {string} action.payload
-         */
-        setCss(state, action) {
-            state.css = action.payload;
-        },
-        /**
-         * Sets the js output.
-         * @param {Object} state
-         * @param {Object} action
-         * @param {string} action.payload
-         */
-        setJs(state, action) {
-            state.js = action.payload;
-        },
         /**
          * Sets the visibility of console in preview panel.
          * @param {Object} state
@@ -95,9 +65,6 @@ const previewSlice = createSlice({
 });
 
 export const {
-    setHtml,
-    setCss,
-    setJs,
     setConsoleLogs,
     clearConsoleLogs,
     setError,
@@ -51,6 +51,29 @@ export const fetchUserProjects = createAsyncThunk(
     }
 );
 
+/**
+ * Async thunk to save how the project runs, stored in the project document as a JSON string.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {Object} payload.runSettings - The run settings.
+ * @returns {Promise<Object>} The saved run settings.
+ */
+export const updateRunSettings = createAsyncThunk(
+    'projects/updateRunSettings',
+    async ({ projectId, runSettings }, { rejectWithValue }) => {
+        try {
+            await databaseService.updateDocument(
+                appwriteConfig.appwriteProjectsCollectionID,
+                projectId,
+                { runSettings: JSON.stringify(runSettings) }
+            );
+            return runSettings;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
 /**
  * Initial state for the files slice.
  * @typedef {Object} ProjectState
@@ -133,6 +156,21 @@ const projectsSlice = createSlice({
             .addCase(fetchUserProjects.rejected, (state, action) => {
                 state.isLoading = false;
                 state.error = action.payload;
+            })
+            // Update Run Settings
+            .addCase(updateRunSettings.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(updateRunSettings.fulfilled, (state, action) => {
+                state.isLoading = false;
+                if (state.activeProject?.$id) {
+                    state.activeProject.runSettings = action.payload;
+                }
+            })
+            .addCase(updateRunSettings.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
             });
     },
 });
@@ -0,0 +1,331 @@
+/**
+ * Redux slice for managing the run history of projects in ByteTogether, kept on the device and optionally synced to
+ * Appwrite.
+ * @module runHistorySlice
+ */
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { ID, Query } from 'appwrite';
+
+import { databaseService } from '../../appwrite-services/database';
+import appwriteConfig from '../../conf/appwriteConfig';
+import {
+    MAX_HISTORY_PROJECTS,
+    MAX_RUNS_PER_PROJECT,
+    MAX_STORED_OUTPUT_LENGTH,
+    MAX_STORED_PROGRAM_LENGTH,
+} from '../../conf/runHistory';
+import { hashText } from '../../utils/hashText';
+
+/**
+ * @typedef {Object} HistoryRun
+ * @property {string} id - Unique ID of the run.
+ * @property {string} projectId - The project the run belongs to.
+ * @property {string|null} documentId - ID of its Appwrite document, null if it is only on this device.
+ * @property {string} fileName - Path of the run file, the entry file of a project run.
+ * @property {string} language - Language of the run file.
+ * @property {boolean} isProjectRun - Whether the whole project ran.
+ * @property {string} sourceHash - SHA-256 of the source code, or of the zipped project.
+ * @property {string} stdin - Input given to the program.
+ * @property {{languageId: number, sourceCode?: string, additionalFiles?: string, runOptions?: Object}|null} program -
+ * What reruns the program with the options of its run configuration, null if it was too big to keep.
+ * @property {{id: number, description: string}|null} status - Judge0 verdict.
+ * @property {string} stdout - Program output.
+ * @property {string} stderr - Error or compile output.
+ * @property {string|null} time - Run time in seconds.
+ * @property {number|null} memory - Memory used in KB.
+ * @property {number} createdAt - When it ran, in ms.
+ */
+
+/**
+ * Whether runs are synced to Appwrite: the user turned it on and the collection is configured.
+ * @param {Object} state - The root state.
+ * @returns {boolean}
+ */
+function isSyncEnabled(state) {
+    return (
+        state.runHistory.syncEnabled &&
+        !!appwriteConfig.appwriteRunHistoryCollectionID
+    );
+}
+
+/**
+ * Parses a run history document, whose run is stored as a JSON string.
+ * @param {Object} document - The run history document.
+ * @returns {HistoryRun} The run.
+ */
+function parseHistoryRun(document) {
+    return { ...JSON.parse(document.run), documentId: document.$id };
+}
+
+/**
+ * Deletes the Appwrite documents of runs, failures are only logged as the runs are gone from the history anyway.
+ * @param {Array<HistoryRun>} runs - The runs.
+ * @returns {Promise<void>}
+ */
+async function deleteRunDocuments(runs) {
+    const results = await Promise.allSettled(
+        runs
+            .filter((run) => run.documentId)
+            .map((run) =>
+                databaseService.deleteDocument(
+                    appwriteConfig.appwriteRunHistoryCollectionID,
+                    run.documentId
+                )
+            )
+    );
+    results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) =>
+            console.error('Failed to delete a run document:', result.reason)
+        );
+}
+
+/**
+ * Async thunk to fetch the runs of a project synced to Appwrite, only when syncing is enabled.
+ * @param {string} payload - The project ID.
+ * @returns {Promise<{projectId: string, runs: Array<HistoryRun>}>} The synced runs.
+ */
+export const fetchRunHistory = createAsyncThunk(
+    'runHistory/fetchRunHistory',
+    async (projectId, { rejectWithValue }) => {
+        try {
+            const response = await databaseService.listDocuments(
+                appwriteConfig.appwriteRunHistoryCollectionID,
+                [
+                    Query.equal('projectId', projectId),
+                    Query.orderDesc('$createdAt'),
+                    Query.limit(MAX_RUNS_PER_PROJECT),
+                ]
+            );
+            return {
+                projectId,
+                runs: response.documents.map(parseHistoryRun),
+            };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    },
+    { condition: (_projectId, { getState }) => isSyncEnabled(getState()) }
+);
+
+/**
+ * Async thunk to add a finished run to the history of its project, synced to Appwrite when enabled.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.fileName - Path of the run file.
+ * @param {string} payload.language - Language of the run file.
+ * @param {number} [payload.languageId] - Judge0 language ID of a single file run.
+ * @param {string} [payload.sourceCode] - Source code of a single file run.
+ * @param {string} [payload.additionalFiles] - Zipped project of a project run.
+ * @param {Object} [payload.runOptions] - Submission fields of the run configuration.
+ * @param {string} payload.stdin - Input given to the program.
+ * @param {Object} payload.result - Outputs, status, time and memory of the run.
+ * @returns {Promise<{projectId: string, id: string, documentId: string|null}>} The added run and its document.
+ */
+export const saveRunToHistory = createAsyncThunk(
+    'runHistory/saveRunToHistory',
+    async (
+        {
+            projectId,
+            fileName,
+            language,
+            languageId,
+            sourceCode,
+            additionalFiles,
+            runOptions,
+            stdin = '',
+            result,
+        },
+        { dispatch, getState, rejectWithValue }
+    ) => {
+        const source = additionalFiles ?? sourceCode ?? '';
+        const run = {
+            id: crypto.randomUUID(),
+            projectId,
+            documentId: null,
+            fileName,
+            language,
+            isProjectRun: !!additionalFiles,
+            sourceHash: await hashText(source),
+            stdin: stdin.slice(0, MAX_STORED_PROGRAM_LENGTH),
+            program:
+                source.length + stdin.length <= MAX_STORED_PROGRAM_LENGTH
+                    ? additionalFiles
+                        ? { additionalFiles, runOptions }
+                        : { languageId, sourceCode, runOptions }
+                    : null,
+            status: result.status ?? null,
+            stdout: (result.stdout || '').slice(0, MAX_STORED_OUTPUT_LENGTH),
+            stderr: (result.stderr || '').slice(0, MAX_STORED_OUTPUT_LENGTH),
+            time: result.time ?? null,
+            memory: result.memory ?? null,
+            createdAt: Date.now(),
+        };
+
+        const droppedRuns = (getState().runHistory.runs[projectId] ?? []).slice(
+            MAX_RUNS_PER_PROJECT - 1
+        );
+        dispatch(runHistorySlice.actions.addRun(run));
+
+        if (!isSyncEnabled(getState())) {
+            return { projectId, id: run.id, documentId: null };
+        }
+        try {
+            const document = await databaseService.createDocument(
+                appwriteConfig.appwriteRunHistoryCollectionID,
+                ID.unique(),
+                { projectId, run: JSON.stringify(run) }
+            );
+            await deleteRunDocuments(droppedRuns);
+            return { projectId, id: run.id, documentId: document.$id };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to delete a run from the history of its project.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.id - ID of the run.
+ * @returns {Promise<void>}
+ */
+export const deleteRunFromHistory = createAsyncThunk(
+    'runHistory/deleteRunFromHistory',
+    async ({ projectId, id }, { dispatch, getState }) => {
+        const run = getState().runHistory.runs[projectId]?.find(
+            (historyRun) => historyRun.id === id
+        );
+        dispatch(runHistorySlice.actions.removeRuns({ projectId, ids: [id] }));
+        if (run) await deleteRunDocuments([run]);
+    }
+);
+
+/**
+ * Async thunk to delete every run of a project from its history.
+ * @param {string} payload - The project ID.
+ * @returns {Promise<void>}
+ */
+export const clearRunHistory = createAsyncThunk(
+    'runHistory/clearRunHistory',
+    async (projectId, { dispatch, getState }) => {
+        const runs = getState().runHistory.runs[projectId] ?? [];
+        dispatch(runHistorySlice.actions.removeRuns({ projectId }));
+        await deleteRunDocuments(runs);
+    }
+);
+
+/**
+ * Initial state for the run history slice.
+ * @typedef {Object} RunHistoryState
+ * @property {Object<string, Array<HistoryRun>>} runs - Runs by project ID, the newest first.
+ * @property {boolean} syncEnabled - Whether the user syncs new runs to Appwrite.
+ * @property {boolean} isLoading - Loading state for fetching synced runs.
+ * @property {string|null} error - Error message for failed operations.
+ */
+const initialState = {
+    runs: {},
+    syncEnabled: false,
+    isLoading: false,
+    error: null,
+};
+
+/**
+ * Run history slice with reducers for managing the runs of projects.
+ */
+const runHistorySlice = createSlice({
+    name: 'runHistory',
+    initialState,
+    reducers: {
+        /**
+         * Adds a run to the history of its project, dropping the oldest runs and projects over the limits.
+         * @param {RunHistoryState} state
+         * @param {Object} action
+         * @param {HistoryRun} action.payload
+         */
+        addRun(state, action) {
+            const run = action.payload;
+            state.runs[run.projectId] = [
+                run,
+                ...(state.runs[run.projectId] ?? []),
+            ].slice(0, MAX_RUNS_PER_PROJECT);
+
+            const projectIds = Object.keys(state.runs).sort(
+                (a, b) =>
+                    state.runs[b][0].createdAt - state.runs[a][0].createdAt
+            );
+            projectIds
+                .slice(MAX_HISTORY_PROJECTS)
+                .forEach((projectId) => delete state.runs[projectId]);
+        },
+        /**
+         * Removes runs from the history of a project, all of them without IDs.
+         * @param {RunHistoryState} state
+         * @param {Object} action
+         * @param {{projectId: string, ids?: Array<string>}} action.payload
+         */
+        removeRuns(state, action) {
+            const { projectId, ids } = action.payload;
+            const runs = ids
+                ? (state.runs[projectId] ?? []).filter(
+                      (run) => !ids.includes(run.id)
+                  )
+                : [];
+            if (runs.length) {
+                state.runs[projectId] = runs;
+            } else {
+                delete state.runs[projectId];
+            }
+        },
+        /**
+         * Turns syncing new runs to Appwrite on or off.
+         * @param {RunHistoryState} state
+         * @param {Object} action
+         * @param {boolean} action.payload
+         */
+        setRunHistorySyncEnabled(state, action) {
+            state.syncEnabled = action.payload;
+        },
+    },
+    extraReducers: (builder) => {
+        builder
+            // Fetch synced runs, merged with the runs only on this device
+            .addCase(fetchRunHistory.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(fetchRunHistory.fulfilled, (state, action) => {
+                state.isLoading = false;
+                const { projectId, runs } = action.payload;
+                const syncedIds = new Set(runs.map((run) => run.id));
+                const merged = [
+                    ...runs,
+                    ...(state.runs[projectId] ?? []).filter(
+                        (run) => !syncedIds.has(run.id)
+                    ),
+                ]
+                    .sort((a, b) => b.createdAt - a.createdAt)
+                    .slice(0, MAX_RUNS_PER_PROJECT);
+                if (merged.length) state.runs[projectId] = merged;
+            })
+            .addCase(fetchRunHistory.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload ?? null;
+            })
+            // Save a run, its document ID once synced
+            .addCase(saveRunToHistory.fulfilled, (state, action) => {
+                const { projectId, id, documentId } = action.payload;
+                const run = state.runs[projectId]?.find(
+                    (historyRun) => historyRun.id === id
+                );
+                if (run) run.documentId = documentId;
+            })
+            .addCase(saveRunToHistory.rejected, (state, action) => {
+                state.error = action.payload ?? action.error.message;
+            });
+    },
+});
+
+export const { setRunHistorySyncEnabled } = runHistorySlice.actions;
+export default runHistorySlice.reducer;
@@ -0,0 +1,263 @@
+/**
+ * Redux slice for managing the version history of a project in ByteTogether.
+ * @module snapshotsSlice
+ */
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { ID, Query } from 'appwrite';
+
+import { databaseService } from '../../appwrite-services/database';
+import appwriteConfig from '../../conf/appwriteConfig';
+
+// Number of snapshots listed in the history panel
+const SNAPSHOTS_LIMIT = 100;
+// Number of automatic snapshots kept per project, older ones are deleted
+const MAX_AUTOMATIC_SNAPSHOTS = 20;
+
+/**
+ * Parses a snapshot document, whose files are stored as a JSON string.
+ * @param {Object} document - The snapshot document.
+ * @returns {Object} The snapshot with its files as an array.
+ */
+function parseSnapshot(document) {
+    return { ...document, files: JSON.parse(document.files) };
+}
+
+/**
+ * Serializes the files of a snapshot, keeping only what a restore needs.
+ * @param {Array<Object>} files - Array of file objects { $id, fileName, folderPath, language, codeContent }.
+ * @returns {string} The files as a JSON string.
+ */
+function serializeSnapshotFiles(files) {
+    return JSON.stringify(
+        files.map(({ $id, fileName, folderPath, language, codeContent }) => ({
+            $id,
+            fileName,
+            folderPath: folderPath || '',
+            language,
+            codeContent: codeContent || '',
+        }))
+    );
+}
+
+/**
+ * Saves a snapshot document in Appwrite.
+ * @param {Object} payload - The snapshot.
+ * @param {Function} getState - Reads the Redux state, for the author.
+ * @returns {Promise<Object>} The created snapshot.
+ */
+async function saveSnapshot({ projectId, name, files, isAutomatic }, getState) {
+    const { user } = getState().auth;
+    const { profile } = getState().user;
+
+    const snapshot = await databaseService.createDocument(
+        appwriteConfig.appwriteSnapshotsCollectionID,
+        ID.unique(),
+        {
+            projectId,
+            name,
+            isAutomatic,
+            authorId: user?.$id || 'guest',
+            authorName: profile?.username || 'Anonymous',
+            files,
+        }
+    );
+    return parseSnapshot(snapshot);
+}
+
+/**
+ * Async thunk to save a named snapshot of all files of a project in Appwrite.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.name - Name of the version.
+ * @param {Array<Object>} payload.files - Array of file objects { $id, fileName, folderPath, language, codeContent }.
+ * @returns {Promise<Object>} The created snapshot.
+ */
+export const createSnapshot = createAsyncThunk(
+    'snapshots/createSnapshot',
+    async ({ projectId, name, files }, { rejectWithValue, getState }) => {
+        try {
+            return await saveSnapshot(
+                {
+                    projectId,
+                    name,
+                    files: serializeSnapshotFiles(files),
+                    isAutomatic: false,
+                },
+                getState
+            );
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to take an automatic snapshot of a project, e.g. on Save All. Nothing is saved if the files did not
+ * change since the last snapshot, and only the newest automatic snapshots are kept, named versions are never deleted.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.name - Name of the version.
+ * @param {Array<Object>} payload.files - Array of file objects { $id, fileName, folderPath, language, codeContent }.
+ * @returns {Promise<{snapshot: Object|null, deletedIds: Array<string>}>} The created snapshot, null if the files did
+ * not change, and the IDs of the automatic snapshots deleted.
+ */
+export const createAutomaticSnapshot = createAsyncThunk(
+    'snapshots/createAutomaticSnapshot',
+    async ({ projectId, name, files }, { rejectWithValue, getState }) => {
+        try {
+            const serializedFiles = serializeSnapshotFiles(files);
+            const {
+                documents: [lastSnapshot],
+            } = await databaseService.listDocuments(
+                appwriteConfig.appwriteSnapshotsCollectionID,
+                [
+                    Query.equal('projectId', projectId),
+                    Query.orderDesc('$createdAt'),
+                    Query.limit(1),
+                ]
+            );
+            if (lastSnapshot?.files === serializedFiles) {
+                return { snapshot: null, deletedIds: [] };
+            }
+
+            const snapshot = await saveSnapshot(
+                {
+                    projectId,
+                    name,
+                    files: serializedFiles,
+                    isAutomatic: true,
+                },
+                getState
+            );
+
+            const { documents: expiredSnapshots } =
+                await databaseService.listDocuments(
+                    appwriteConfig.appwriteSnapshotsCollectionID,
+                    [
+                        Query.equal('projectId', projectId),
+                        Query.equal('isAutomatic', true),
+                        Query.orderDesc('$createdAt'),
+                        Query.offset(MAX_AUTOMATIC_SNAPSHOTS),
+                        Query.limit(SNAPSHOTS_LIMIT),
+                    ]
+                );
+            const deletedIds = [];
+            await Promise.all(
+                expiredSnapshots.map(async ({ $id }) => {
+                    try {
+                        await databaseService.deleteDocument(
+                            appwriteConfig.appwriteSnapshotsCollectionID,
+                            $id
+                        );
+                        deletedIds.push($id);
+                    } catch (error) {
+                        // Left for the next automatic snapshot to delete
+                        console.error(
+                            `Failed to delete snapshot ${$id}: ${error.message}`
+                        );
+                    }
+                })
+            );
+
+            return { snapshot, deletedIds };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to fetch the snapshots of a project, newest first.
+ * @param {string} payload - The project ID.
+ * @returns {Promise<Array<Object>>} Array of snapshots.
+ */
+export const fetchSnapshots = createAsyncThunk(
+    'snapshots/fetchSnapshots',
+    async (projectId, { rejectWithValue }) => {
+        try {
+            const response = await databaseService.listDocuments(
+                appwriteConfig.appwriteSnapshotsCollectionID,
+                [
+                    Query.equal('projectId', projectId),
+                    Query.orderDesc('$createdAt'),
+                    Query.limit(SNAPSHOTS_LIMIT),
+                ]
+            );
+            return response.documents.map(parseSnapshot);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Initial state for the snapshots slice.
+ * @typedef {Object} SnapshotsState
+ * @property {Array} snapshots - Snapshots of the active project, newest first.
+ * @property {boolean} isLoading - Loading state for snapshot operations.
+ * @property {string|null} error - Error message for failed operations.
+ */
+const initialState = {
+    snapshots: [],
+    isLoading: false,
+    error: null,
+};
+
+/**
+ * Snapshots slice with reducers for managing version history state.
+ */
+const snapshotsSlice = createSlice({
+    name: 'snapshots',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // Create Snapshot
+            .addCase(createSnapshot.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(createSnapshot.fulfilled, (state, action) => {
+                state.isLoading = false;
+                state.snapshots.unshift(action.payload);
+            })
+            .addCase(createSnapshot.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            })
+            // Create Automatic Snapshot
+            .addCase(createAutomaticSnapshot.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(createAutomaticSnapshot.fulfilled, (state, action) => {
+                const { snapshot, deletedIds } = action.payload;
+                state.isLoading = false;
+                state.snapshots = state.snapshots.filter(
+                    ({ $id }) => !deletedIds.includes($id)
+                );
+                if (snapshot) {
+                    state.snapshots.unshift(snapshot);
+                }
+            })
+            .addCase(createAutomaticSnapshot.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            })
+            // Fetch Snapshots by Project ID
+            .addCase(fetchSnapshots.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(fetchSnapshots.fulfilled, (state, action) => {
+                state.isLoading = false;
+                state.snapshots = action.payload;
+            })
+            .addCase(fetchSnapshots.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            });
+    },
+});
+
+export default snapshotsSlice.reducer;
@@ -0,0 +1,147 @@
+/**
+ * Redux slice for managing the test suites of the files of a project in ByteTogether.
+ * @module testSuitesSlice
+ */
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { ID, Query } from 'appwrite';
+
+import { databaseService } from '../../appwrite-services/database';
+import appwriteConfig from '../../conf/appwriteConfig';
+
+/**
+ * @typedef {Object} TestCase
+ * @property {string} id - Unique ID of the test case.
+ * @property {string} name - Name of the test case.
+ * @property {string} stdin - Input given to the program.
+ * @property {string} expectedOutput - Output the program must print.
+ */
+
+/**
+ * Parses a test suite document, whose cases are stored as a JSON string.
+ * @param {Object} document - The test suite document.
+ * @returns {{$id: string, fileId: string, cases: Array<TestCase>}} The test suite.
+ */
+function parseTestSuite(document) {
+    return {
+        $id: document.$id,
+        fileId: document.fileId,
+        cases: JSON.parse(document.cases),
+    };
+}
+
+/**
+ * Async thunk to fetch the test suites of every file of a project.
+ * @param {string} payload - The project ID.
+ * @returns {Promise<Array<Object>>} Array of test suites.
+ */
+export const fetchTestSuites = createAsyncThunk(
+    'testSuites/fetchTestSuites',
+    async (projectId, { rejectWithValue }) => {
+        try {
+            const response = await databaseService.listDocuments(
+                appwriteConfig.appwriteTestSuitesCollectionID,
+                [Query.equal('projectId', projectId), Query.limit(5000)]
+            );
+            return response.documents.map(parseTestSuite);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Async thunk to save the test cases of a file, creating its test suite on the first save.
+ * @param {Object} payload - The action payload.
+ * @param {string} payload.projectId - The project ID.
+ * @param {string} payload.fileId - ID of the file the tests run.
+ * @param {Array<TestCase>} payload.cases - The test cases.
+ * @returns {Promise<Object>} The saved test suite.
+ */
+export const saveTestSuite = createAsyncThunk(
+    'testSuites/saveTestSuite',
+    async ({ projectId, fileId, cases }, { rejectWithValue, getState }) => {
+        try {
+            const existingSuite = getState().testSuites.suites[fileId];
+            const data = {
+                cases: JSON.stringify(
+                    cases.map(({ id, name, stdin, expectedOutput }) => ({
+                        id,
+                        name,
+                        stdin,
+                        expectedOutput,
+                    }))
+                ),
+            };
+
+            const document = existingSuite?.$id
+                ? await databaseService.updateDocument(
+                      appwriteConfig.appwriteTestSuitesCollectionID,
+                      existingSuite.$id,
+                      data
+                  )
+                : await databaseService.createDocument(
+                      appwriteConfig.appwriteTestSuitesCollectionID,
+                      ID.unique(),
+                      { ...data, projectId, fileId }
+                  );
+            return parseTestSuite(document);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+/**
+ * Initial state for the test suites slice.
+ * @typedef {Object} TestSuitesState
+ * @property {Object<string, Object>} suites - Test suites of the active project by file ID.
+ * @property {boolean} isLoading - Loading state for test suite operations.
+ * @property {string|null} error - Error message for failed operations.
+ */
+const initialState = {
+    suites: {},
+    isLoading: false,
+    error: null,
+};
+
+/**
+ * Test suites slice with reducers for managing the saved test cases.
+ */
+const testSuitesSlice = createSlice({
+    name: 'testSuites',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // Fetch Test Suites by Project ID
+            .addCase(fetchTestSuites.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(fetchTestSuites.fulfilled, (state, action) => {
+                state.isLoading = false;
+                state.suites = Object.fromEntries(
+                    action.payload.map((suite) => [suite.fileId, suite])
+                );
+            })
+            .addCase(fetchTestSuites.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            })
+            // Save Test Suite
+            .addCase(saveTestSuite.pending, (state) => {
+                state.isLoading = true;
+                state.error = null;
+            })
+            .addCase(saveTestSuite.fulfilled, (state, action) => {
+                state.isLoading = false;
+                state.suites[action.payload.fileId] = action.payload;
+            })
+            .addCase(saveTestSuite.rejected, (state, action) => {
+                state.isLoading = false;
+                state.error = action.payload;
+            });
+    },
+});
+
+export default testSuitesSlice.reducer;
@@ -16,7 +16,7 @@ function bytesToBase64(bytes) {
  * @param {string} base64 A Base64-encoded string
  * @returns Stream of Uint8Array bytes
  */
-function base64ToBytes(base64) {
+export function base64ToBytes(base64) {
     const binString = atob(base64);
     return Uint8Array.from(binString, (char) => char.codePointAt(0));
 }
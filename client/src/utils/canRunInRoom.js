@@ -0,0 +1,17 @@
+import { RUN_POLICY_MODES } from '../conf/runPolicy';
+
+/**
+ * Checks whether a collaborator may run code under the run policy of a room. The admin always may.
+ * @param {{mode: string, allowed: Array<string>}} runPolicy - Run policy of the room.
+ * @param {{userId: string, isAdmin: boolean}} collaborator - The collaborator, by the ID of its user.
+ * @returns {boolean}
+ */
+export function canRunInRoom(runPolicy, { userId, isAdmin }) {
+    if (isAdmin || runPolicy.mode === RUN_POLICY_MODES.EVERYONE) {
+        return true;
+    }
+    return (
+        runPolicy.mode === RUN_POLICY_MODES.SELECTED &&
+        runPolicy.allowed.includes(userId)
+    );
+}
@@ -0,0 +1,81 @@
+// Distinct cursor colors for each collaborator, matching the `collaborator-*-N` classes of CodeEditor.css
+export const COLLABORATOR_COLORS = [
+    '#b40000',
+    '#00b100',
+    '#000061',
+    '#9c009c',
+    '#009191',
+];
+
+/**
+ * Builds the Monaco decorations showing a collaborator's cursor and selection.
+ * @param {typeof import('monaco-editor')} monaco The monaco namespace.
+ * @param {import('monaco-editor').editor.ITextModel} model The model of the editor.
+ * @param {Object} cursor The collaborator's cursor.
+ * @param {number} cursor.anchor Offset where the selection starts.
+ * @param {number} cursor.head Offset where the selection ends.
+ * @param {number} cursor.colorIndex Index of the collaborator's color in COLLABORATOR_COLORS.
+ * @returns {{decorations: Array<Object>, cursorPosition: {lineNumber: number, column: number}}} The decorations and the position of the cursor for its tooltip.
+ */
+export function buildCollaboratorDecorations(
+    monaco,
+    model,
+    { anchor, head, colorIndex }
+) {
+    const headPos = model.getPositionAt(head);
+    const anchorPos = model.getPositionAt(anchor);
+    const decorations = [];
+
+    // Create decorations for selections (if any)
+    if (
+        headPos.lineNumber !== anchorPos.lineNumber ||
+        headPos.column !== anchorPos.column
+    ) {
+        // Head and anchor are not equal so it's a selection, not just a cursor
+        const [start, end] = [headPos, anchorPos].sort((a, b) => {
+            if (a.lineNumber !== b.lineNumber)
+                return a.lineNumber - b.lineNumber;
+            return a.column - b.column;
+        });
+        decorations.push({
+            range: new monaco.Range(
+                start.lineNumber,
+                start.column,
+                end.lineNumber,
+                end.column
+            ),
+            options: {
+                className: `collaborator-selection`,
+                inlineClassName: `collaborator-selection-${colorIndex}`,
+                stickiness:
+                    monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTyping,
+                // Ensure these don't interfere with the cursor line highlight
+                overviewRuler: {
+                    color: COLLABORATOR_COLORS[colorIndex],
+                    position: monaco.editor.OverviewRulerLane.Center,
+                },
+            },
+        });
+    }
+
+    // Create decoration for cursor
+    const cursorPosition = {
+        lineNumber: anchorPos.lineNumber,
+        column: anchorPos.column,
+    };
+
+    decorations.push({
+        range: new monaco.Range(
+            cursorPosition.lineNumber,
+            cursorPosition.column,
+            cursorPosition.lineNumber,
+            cursorPosition.column
+        ),
+        options: {
+            className: `collaborator-cursor collaborator-cursor-${colorIndex}`, // Class for the cursor line
+            isWholeLine: false, // Apply only to the cursor position, not the whole line
+        },
+    });
+
+    return { decorations, cursorPosition };
+}
@@ -0,0 +1,54 @@
+import {
+    LOCAL_OUTPUT_FLUSH_INTERVAL,
+    MAX_LOCAL_OUTPUT_LENGTH,
+} from '../conf/localRun';
+
+/**
+ * Collects the output of a program running in a worker and posts it in chunks at most every
+ * {@link LOCAL_OUTPUT_FLUSH_INTERVAL} ms, dropping what comes after {@link MAX_LOCAL_OUTPUT_LENGTH} characters.
+ * Synchronous programs never yield to timers, so chunks are also posted from the writes themselves.
+ * @param {Function} post - Posts an array of chunks `{stream, text, level}`.
+ * @returns {{write: Function, flush: Function}} Writes text to a stream, at a console level, and posts what is left.
+ */
+export function createOutputStream(post) {
+    const scheduleFlush = setTimeout; // Kept, programs may replace the timers of the worker
+    let chunks = [];
+    let length = 0;
+    let lastFlushAt = Date.now();
+    let isFlushScheduled = false;
+
+    function flush() {
+        if (chunks.length) post(chunks);
+        chunks = [];
+        lastFlushAt = Date.now();
+    }
+
+    function write(stream, text, level) {
+        if (length >= MAX_LOCAL_OUTPUT_LENGTH) return;
+        const kept = text.slice(0, MAX_LOCAL_OUTPUT_LENGTH - length);
+        length += kept.length;
+
+        const last = chunks.at(-1);
+        if (last?.stream === stream && last.level === level) {
+            last.text += kept;
+        } else {
+            chunks.push({ stream, text: kept, level });
+        }
+        if (length >= MAX_LOCAL_OUTPUT_LENGTH) {
+            chunks.push({ stream: 'stderr', text: '\n[Output truncated]\n' });
+        }
+
+        if (Date.now() - lastFlushAt >= LOCAL_OUTPUT_FLUSH_INTERVAL) {
+            flush();
+        } else if (!isFlushScheduled) {
+            // Posts the last writes of programs waiting on timers or input
+            isFlushScheduled = true;
+            scheduleFlush(() => {
+                isFlushScheduled = false;
+                flush();
+            }, LOCAL_OUTPUT_FLUSH_INTERVAL);
+        }
+    }
+
+    return { write, flush };
+}
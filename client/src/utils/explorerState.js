@@ -0,0 +1,31 @@
+const COLLAPSED_FOLDERS_PREFIX = 'collapsedFolders:';
+
+/**
+ * Reads the folders a user collapsed in the file explorer of a project.
+ * @param {string} userId The user ID, 'guest' when logged out.
+ * @param {string} projectId The project ID.
+ * @returns {Array<string>} Paths of the collapsed folders.
+ */
+export function getCollapsedFolders(userId, projectId) {
+    try {
+        const stored = localStorage.getItem(
+            `${COLLAPSED_FOLDERS_PREFIX}${userId}:${projectId}`
+        );
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Stores the folders a user collapsed in the file explorer of a project.
+ * @param {string} userId The user ID, 'guest' when logged out.
+ * @param {string} projectId The project ID.
+ * @param {Array<string>} paths Paths of the collapsed folders.
+ */
+export function saveCollapsedFolders(userId, projectId, paths) {
+    localStorage.setItem(
+        `${COLLAPSED_FOLDERS_PREFIX}${userId}:${projectId}`,
+        JSON.stringify(paths)
+    );
+}
@@ -0,0 +1,159 @@
+// Separator of folders in file paths, paths never start or end with it
+export const PATH_SEPARATOR = '/';
+
+/**
+ * Joins a folder path and a name.
+ * @param {string} folderPath - Path of the folder, empty for the project root.
+ * @param {string} name - Name of the file or folder.
+ * @returns {string} The full path.
+ */
+export function joinPath(folderPath, name) {
+    return folderPath ? `${folderPath}${PATH_SEPARATOR}${name}` : name;
+}
+
+/**
+ * Returns the full path of a file.
+ * @param {{fileName: string, folderPath?: string}} file - The file.
+ * @returns {string} The full path, e.g. `src/utils/math.js`.
+ */
+export function getFilePath(file) {
+    return joinPath(file.folderPath || '', file.fileName);
+}
+
+/**
+ * Returns the path of the folder containing a path.
+ * @param {string} path - A file or folder path.
+ * @returns {string} The parent path, empty for the project root.
+ */
+export function getParentPath(path) {
+    const index = path.lastIndexOf(PATH_SEPARATOR);
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Returns the last segment of a path.
+ * @param {string} path - A file or folder path.
+ * @returns {string} The name of the file or folder.
+ */
+export function getBaseName(path) {
+    return path.slice(path.lastIndexOf(PATH_SEPARATOR) + 1);
+}
+
+/**
+ * Checks whether a path is a folder or inside it.
+ * @param {string} path - A file or folder path.
+ * @param {string} folderPath - Path of the folder.
+ * @returns {boolean} True if the path is the folder itself or one of its descendants.
+ */
+export function isWithinFolder(path, folderPath) {
+    return (
+        path === folderPath || path.startsWith(`${folderPath}${PATH_SEPARATOR}`)
+    );
+}
+
+/**
+ * Moves a path from one folder to another, keeping its position below it.
+ * @param {string} path - A path inside `fromPath`.
+ * @param {string} fromPath - The old folder path.
+ * @param {string} toPath - The new folder path.
+ * @returns {string} The moved path.
+ */
+export function replacePathPrefix(path, fromPath, toPath) {
+    return `${toPath}${path.slice(fromPath.length)}`;
+}
+
+/**
+ * Finds a file by its full path.
+ * @param {Array<Object>} files - Files of the project.
+ * @param {string} path - Full path of the file.
+ * @returns {Object|undefined} The file, if any.
+ */
+export function findFileByPath(files, path) {
+    return files.find((file) => getFilePath(file) === path);
+}
+
+/**
+ * Checks whether a path is already used by a file or a folder of the project.
+ * @param {Object} project - The project tree.
+ * @param {Array<Object>} project.files - Files of the project.
+ * @param {Array<{path: string}>} [project.folders] - Folders of the project.
+ * @param {string} path - The full path to check.
+ * @param {string} [ignoredFileId] - File to ignore, e.g. the file being renamed.
+ * @returns {boolean} True if the path is taken.
+ */
+export function isPathTaken({ files, folders = [] }, path, ignoredFileId) {
+    const normalizedPath = path.toLowerCase();
+    return (
+        files.some(
+            (file) =>
+                file.$id !== ignoredFileId &&
+                getFilePath(file).toLowerCase() === normalizedPath
+        ) ||
+        getFolderPaths({ files, folders }).some(
+            (folderPath) => folderPath.toLowerCase() === normalizedPath
+        )
+    );
+}
+
+/**
+ * Lists every folder path of a project, including folders that only exist through the paths of their files.
+ * @param {Object} project - The project tree.
+ * @param {Array<Object>} project.files - Files of the project.
+ * @param {Array<{path: string}>} [project.folders] - Folders of the project.
+ * @returns {Array<string>} The folder paths, sorted.
+ */
+export function getFolderPaths({ files, folders = [] }) {
+    const paths = new Set();
+    const addWithAncestors = (path) => {
+        for (let current = path; current; current = getParentPath(current)) {
+            paths.add(current);
+        }
+    };
+    folders.forEach((folder) => addWithAncestors(folder.path));
+    files.forEach((file) => addWithAncestors(file.folderPath || ''));
+    return [...paths].sort();
+}
+
+/**
+ * Builds the directory tree of a project, folders first and then files, both sorted by name.
+ * @param {Object} project - The project tree.
+ * @param {Array<Object>} project.files - Files of the project.
+ * @param {Array<{path: string}>} [project.folders] - Folders of the project.
+ * @returns {Array<Object>} Root nodes, `{type: 'folder', name, path, children}` or `{type: 'file', name, path, file}`.
+ */
+export function buildFileTree({ files, folders = [] }) {
+    const root = { children: [] };
+    const folderNodes = new Map([['', root]]);
+
+    getFolderPaths({ files, folders }).forEach((path) => {
+        const node = {
+            type: 'folder',
+            name: getBaseName(path),
+            path,
+            children: [],
+        };
+        folderNodes.set(path, node);
+        folderNodes.get(getParentPath(path)).children.push(node);
+    });
+    files.forEach((file) => {
+        folderNodes.get(file.folderPath || '').children.push({
+            type: 'file',
+            name: file.fileName,
+            path: getFilePath(file),
+            file,
+        });
+    });
+
+    const sortChildren = (node) => {
+        node.children.sort((a, b) =>
+            a.type === b.type
+                ? a.name.localeCompare(b.name)
+                : a.type === 'folder'
+                  ? -1
+                  : 1
+        );
+        node.children.forEach((child) => child.children && sortChildren(child));
+    };
+    sortChildren(root);
+    return root.children;
+}
@@ -0,0 +1,10 @@
+/**
+ * Formats the wait before a rate limited action may be retried.
+ * @param {number} seconds - Seconds to wait, e.g. from a `Retry-After` header.
+ * @returns {string} The wait, e.g. "in 45s", "in 12 min" or "in 3 h".
+ */
+export function formatRetryAfter(seconds) {
+    if (seconds < 60) return `in ${Math.ceil(seconds)}s`;
+    if (seconds < 60 * 60) return `in ${Math.ceil(seconds / 60)} min`;
+    return `in ${Math.ceil(seconds / (60 * 60))} h`;
+}
@@ -1,10 +1,10 @@
-import { judge0LanguagesIds } from '../conf/languages';
+import { getLanguageCatalogue } from '../lib/languageCatalogue';
 
 /**
- * Retrieves Judge0 language id for given language extension.
- * @param {string} languageExtension - The programming language extension.
- * @returns {number} Judge0 language id or id of plain text if undefined.
+ * Retrieves Judge0 language id for given language, from the languages of the execution backend.
+ * @param {string} language - The programming language.
+ * @returns {number} Judge0 language id or id of plain text if the backend cannot run it.
  */
 export function getJudge0LanguageId(language) {
-    return judge0LanguagesIds[language] || 43;
+    return getLanguageCatalogue().byValue.get(language)?.judge0Id || 43;
 }
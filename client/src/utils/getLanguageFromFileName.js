@@ -1,12 +1,16 @@
-import { languageMap } from '../conf/languages';
+import { getLanguageCatalogue } from '../lib/languageCatalogue';
+
+import { getBaseName } from './filePaths';
 
 /**
- * Returns language name from the name of file
- * @param {string} fileName - The name of the file
+ * Returns language name from the name or full path of file
+ * @param {string} fileName - The name or full path of the file
  * @returns {string} The full language name
  */
 export function getLanguageFromFileName(fileName) {
-    const extension = fileName.split('.').pop().toLowerCase();
+    const extension = getBaseName(fileName).split('.').pop().toLowerCase();
+
+    const language = getLanguageCatalogue().byExtension.get(extension);
 
-    return languageMap[extension].value || 'plaintext';
+    return language?.value || 'plaintext';
 }
@@ -0,0 +1,14 @@
+/**
+ * Hashes a text with SHA-256.
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} The hash as hex.
+ */
+export async function hashText(text) {
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(text)
+    );
+    return Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, '0')
+    ).join('');
+}
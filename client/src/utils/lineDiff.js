@@ -0,0 +1,47 @@
+/**
+ * Diffs two texts line by line, trailing whitespace is ignored like in Judge0 output checks.
+ * @param {string} expected - The expected text.
+ * @param {string} actual - The actual text.
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string}>} The lines of both texts, in order.
+ * Removed lines are only in the expected text, added lines only in the actual text.
+ */
+export function diffLines(expected, actual) {
+    const toLines = (text) => text.trimEnd().split('\n');
+    const expectedLines = toLines(expected);
+    const actualLines = toLines(actual);
+    const isEqual = (i, j) =>
+        expectedLines[i].trimEnd() === actualLines[j].trimEnd();
+
+    // Length of the longest common subsequence of the remaining lines
+    const lengths = Array.from({ length: expectedLines.length + 1 }, () =>
+        new Array(actualLines.length + 1).fill(0)
+    );
+    for (let i = expectedLines.length - 1; i >= 0; i--) {
+        for (let j = actualLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = isEqual(i, j)
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < expectedLines.length && j < actualLines.length) {
+        if (isEqual(i, j)) {
+            lines.push({ type: 'equal', text: actualLines[j] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: expectedLines[i++] });
+        } else {
+            lines.push({ type: 'added', text: actualLines[j++] });
+        }
+    }
+    expectedLines
+        .slice(i)
+        .forEach((text) => lines.push({ type: 'removed', text }));
+    actualLines.slice(j).forEach((text) => lines.push({ type: 'added', text }));
+
+    return lines;
+}
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+
+import { diffLines } from './lineDiff';
+
+describe('diffLines', () => {
+    it('marks the lines missing from and added to the actual output', () => {
+        expect(diffLines('1\n2\n3\n', '1\n4\n3')).toEqual([
+            { type: 'equal', text: '1' },
+            { type: 'removed', text: '2' },
+            { type: 'added', text: '4' },
+            { type: 'equal', text: '3' },
+        ]);
+    });
+
+    it('ignores trailing whitespace', () => {
+        expect(diffLines('a  \nb\n\n', 'a\nb')).toEqual([
+            { type: 'equal', text: 'a' },
+            { type: 'equal', text: 'b' },
+        ]);
+    });
+});
@@ -0,0 +1,66 @@
+const BASE64_DIGITS =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes the Base64 VLQ numbers of a source map segment.
+ * @param {string} segment - An encoded segment, e.g. `AACA`.
+ * @returns {Array<number>} The relative values of the segment.
+ */
+function decodeSegment(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_DIGITS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Creates a lookup from positions in generated code to positions in its single source file.
+ * @param {{mappings: string}} sourceMap - A version 3 source map.
+ * @returns {Function} `(line, column) => ({line, column})`, both 1-based, or null if the position is not mapped.
+ */
+export function createSourceMapLookup(sourceMap) {
+    // Generated line -> segments of [generated column, original line, original column], all 0-based
+    const lines = [];
+    let originalLine = 0;
+    let originalColumn = 0;
+
+    sourceMap.mappings.split(';').forEach((encodedLine) => {
+        let generatedColumn = 0;
+        const segments = [];
+        encodedLine
+            .split(',')
+            .filter(Boolean)
+            .forEach((encodedSegment) => {
+                const [column, , lineDelta, columnDelta] =
+                    decodeSegment(encodedSegment);
+                generatedColumn += column;
+                if (lineDelta === undefined) return;
+                originalLine += lineDelta;
+                originalColumn += columnDelta;
+                segments.push([generatedColumn, originalLine, originalColumn]);
+            });
+        lines.push(segments);
+    });
+
+    return (line, column = 1) => {
+        const segments = lines[line - 1];
+        if (!segments?.length) return null;
+
+        const segment =
+            segments.findLast(([generated]) => generated <= column - 1) ??
+            segments[0];
+        return { line: segment[1] + 1, column: segment[2] + 1 };
+    };
+}
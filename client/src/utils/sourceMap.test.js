@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+
+import { createSourceMapLookup } from './sourceMap';
+
+describe('createSourceMapLookup', () => {
+    it('maps generated positions back to the source', () => {
+        // Line 1: column 0 -> 1:0, column 6 -> 1:4; line 2 is empty; line 3: column 2 -> 2:0
+        const lookup = createSourceMapLookup({ mappings: 'AAAA,MAAI;;EACJ' });
+
+        expect(lookup(1, 1)).toEqual({ line: 1, column: 1 });
+        expect(lookup(1, 10)).toEqual({ line: 1, column: 5 });
+        expect(lookup(3, 3)).toEqual({ line: 2, column: 1 });
+        expect(lookup(2, 1)).toBeNull();
+    });
+});
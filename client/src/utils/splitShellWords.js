@@ -0,0 +1,35 @@
+/**
+ * Splits program arguments into words the way a shell does, honouring single and double quotes and backslash
+ * escapes, without expanding anything. Same rules as the execution proxy.
+ * @param {string} [text] - The arguments.
+ * @returns {string[]} The words.
+ * @throws {Error} If a quote is not closed.
+ */
+export function splitShellWords(text) {
+    const words = [];
+    let word = null;
+    let quote = null;
+    for (let i = 0; i < (text ?? '').length; i++) {
+        const char = text[i];
+        if (quote === "'") {
+            if (char === "'") quote = null;
+            else word += char;
+        } else if (char === '\\' && i + 1 < text.length) {
+            word = (word ?? '') + text[++i];
+        } else if (quote === '"') {
+            if (char === '"') quote = null;
+            else word += char;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            word ??= '';
+        } else if (/\s/.test(char)) {
+            if (word !== null) words.push(word);
+            word = null;
+        } else {
+            word = (word ?? '') + char;
+        }
+    }
+    if (quote) throw new Error(`Unclosed ${quote} quote in the arguments`);
+    if (word !== null) words.push(word);
+    return words;
+}
@@ -0,0 +1,34 @@
+const TAB_LAYOUT_PREFIX = 'tabLayout:';
+
+/**
+ * Reads the editor panes and tabs a user left open in a project.
+ * @param {string} userId The user ID, 'guest' when logged out.
+ * @param {string} projectId The project ID.
+ * @returns {import('../lib/tabLayout').TabLayout|null} The layout, null if none is stored.
+ */
+export function getTabLayout(userId, projectId) {
+    try {
+        const stored = localStorage.getItem(
+            `${TAB_LAYOUT_PREFIX}${userId}:${projectId}`
+        );
+        const layout = stored ? JSON.parse(stored) : null;
+        return Array.isArray(layout?.panes) && layout.panes.length
+            ? layout
+            : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Stores the editor panes and tabs a user has open in a project.
+ * @param {string} userId The user ID, 'guest' when logged out.
+ * @param {string} projectId The project ID.
+ * @param {import('../lib/tabLayout').TabLayout} layout The layout.
+ */
+export function saveTabLayout(userId, projectId, layout) {
+    localStorage.setItem(
+        `${TAB_LAYOUT_PREFIX}${userId}:${projectId}`,
+        JSON.stringify(layout)
+    );
+}
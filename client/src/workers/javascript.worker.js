@@ -0,0 +1,414 @@
+import { transform } from 'sucrase';
+
+import { createOutputStream } from '../utils/createOutputStream';
+import { splitShellWords } from '../utils/splitShellWords';
+
+// Programs run without network, as on Judge0
+[
+    'fetch',
+    'XMLHttpRequest',
+    'WebSocket',
+    'EventSource',
+    'importScripts',
+].forEach((name) => Object.defineProperty(self, name, { value: undefined }));
+
+const AsyncFunction = (async () => {}).constructor;
+const workerTimers = { setTimeout, clearTimeout, setInterval, clearInterval };
+
+// Deepest nesting of objects printed by the console, deeper ones are summarized
+const MAX_INSPECT_DEPTH = 2;
+
+/**
+ * Thrown by `process.exit` to end the program.
+ */
+class ProgramExit {
+    constructor(code) {
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown by `require` for the modules the browser cannot provide.
+ */
+class UnsupportedModule {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Formats a value the way the console of Node.js prints it, in short.
+ * @param {*} value - The value.
+ * @param {number} [depth] - Nesting of the value, top level strings print without quotes.
+ * @param {WeakSet} [seen] - Objects being printed, to spot circular references.
+ * @returns {string}
+ */
+function formatValue(value, depth = 0, seen = new WeakSet()) {
+    switch (typeof value) {
+        case 'string':
+            return depth ? `'${value}'` : value;
+        case 'bigint':
+            return `${value}n`;
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function: ${value.name || '(anonymous)'}]`;
+        case 'object':
+            break;
+        default:
+            return String(value);
+    }
+    if (value === null) return 'null';
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) return String(value);
+    if (seen.has(value)) return '[Circular]';
+    if (depth > MAX_INSPECT_DEPTH) {
+        return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+
+    seen.add(value);
+    const format = (item) => formatValue(item, depth + 1, seen);
+    const list = (items, prefix = '', [open, close] = ['{', '}']) =>
+        items.length
+            ? `${prefix}${open} ${items.join(', ')} ${close}`
+            : `${prefix}${open}${close}`;
+    let text;
+    if (Array.isArray(value)) {
+        text = list(value.map(format), '', ['[', ']']);
+    } else if (value instanceof Map) {
+        text = list(
+            [...value].map(
+                ([key, item]) => `${format(key)} => ${format(item)}`
+            ),
+            `Map(${value.size}) `
+        );
+    } else if (value instanceof Set) {
+        text = list([...value].map(format), `Set(${value.size}) `);
+    } else {
+        const className = value.constructor?.name;
+        text = list(
+            Object.entries(value).map(
+                ([key, item]) =>
+                    `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}: ${format(item)}`
+            ),
+            className && className !== 'Object' ? `${className} ` : ''
+        );
+    }
+    seen.delete(value);
+    return text;
+}
+
+/**
+ * Formats the arguments of a console call, with the `%s`, `%d`, `%i`, `%f`, `%o`, `%O` and `%j` substitutions of the
+ * first one.
+ * @param {Array} args - The arguments.
+ * @returns {string}
+ */
+function formatArgs(args) {
+    const rest = [...args];
+    let text = '';
+    if (typeof rest[0] === 'string' && rest[0].includes('%')) {
+        text = rest.shift().replace(/%([sdifoOj%])/g, (match, specifier) => {
+            if (specifier === '%') return '%';
+            if (!rest.length) return match;
+            const value = rest.shift();
+            switch (specifier) {
+                case 's':
+                    return typeof value === 'string'
+                        ? value
+                        : formatValue(value, 1);
+                case 'd':
+                    return `${Number(value)}`;
+                case 'i':
+                    return `${parseInt(value)}`;
+                case 'f':
+                    return `${parseFloat(value)}`;
+                default:
+                    return formatValue(value, 1);
+            }
+        });
+        if (rest.length) text += ' ';
+    }
+    return text + rest.map((value) => formatValue(value)).join(' ');
+}
+
+/**
+ * Message of an error the program did not catch.
+ * @param {*} error - What was thrown.
+ * @returns {string}
+ */
+function formatUncaught(error) {
+    return `Uncaught ${formatValue(error, error instanceof Error ? 0 : 1)}`;
+}
+
+/**
+ * Compiles a program to the body of an async function, `import` statements becoming `require` calls.
+ * @param {string} sourceCode - The program.
+ * @param {string} language - Monaco language, `javascript` or `typescript`.
+ * @returns {string}
+ */
+function compile(sourceCode, language) {
+    return transform(sourceCode, {
+        transforms:
+            language === 'typescript' ? ['typescript', 'imports'] : ['imports'],
+        filePath: language === 'typescript' ? 'main.ts' : 'main.js',
+    }).code;
+}
+
+/**
+ * Reads the input of a program, line by line for `prompt` and `readline`, or whole for `fs`.
+ * @param {string} stdin - The input.
+ * @returns {{text: string, nextLine: Function, hasLines: Function}}
+ */
+function createStdinReader(stdin) {
+    const lines = stdin.split('\n');
+    if (lines.at(-1) === '') lines.pop();
+    let position = 0;
+    return {
+        text: stdin,
+        nextLine: () => (position < lines.length ? lines[position++] : null),
+        hasLines: () => position < lines.length,
+    };
+}
+
+/**
+ * Globals of a run: the console, timers, `prompt`, `process` and a `require` of the modules the browser can stand in
+ * for, `fs` to read the input, `readline` and `prompt-sync`.
+ * @param {Object} params
+ * @param {Object} params.stdin - Reader of the input.
+ * @param {string[]} params.argv - Arguments of the program.
+ * @param {Function} params.write - Writes text to a stream at a console level.
+ * @param {Function} params.fail - Ends the program with what it threw.
+ * @param {Function} params.onIdle - Called when a timer of the program ends.
+ * @returns {{globals: Object, pendingTimers: Set}}
+ */
+function createRuntime({ stdin, argv, write, fail, onIdle }) {
+    const pendingTimers = new Set();
+
+    function call(callback, args) {
+        try {
+            callback(...args);
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    const timers = {
+        setTimeout(callback, delay, ...args) {
+            const timer = workerTimers.setTimeout(() => {
+                pendingTimers.delete(timer);
+                call(callback, args);
+                onIdle();
+            }, delay);
+            pendingTimers.add(timer);
+            return timer;
+        },
+        setInterval(callback, delay, ...args) {
+            const timer = workerTimers.setInterval(
+                () => call(callback, args),
+                delay
+            );
+            pendingTimers.add(timer);
+            return timer;
+        },
+        clearTimeout(timer) {
+            workerTimers.clearTimeout(timer);
+            pendingTimers.delete(timer);
+            onIdle();
+        },
+        clearInterval(timer) {
+            workerTimers.clearInterval(timer);
+            pendingTimers.delete(timer);
+            onIdle();
+        },
+    };
+
+    const log =
+        (stream, level) =>
+        (...args) =>
+            write(stream, `${formatArgs(args)}\n`, level);
+    const console = {
+        log: log('stdout', 'log'),
+        info: log('stdout', 'info'),
+        debug: log('stdout', 'debug'),
+        dir: log('stdout', 'log'),
+        table: log('stdout', 'log'),
+        warn: log('stderr', 'warn'),
+        error: log('stderr', 'error'),
+        trace: (...args) =>
+            write('stderr', `Trace: ${formatArgs(args)}\n`, 'error'),
+        assert: (condition, ...args) => {
+            if (condition) return;
+            write(
+                'stderr',
+                `Assertion failed${args.length ? `: ${formatArgs(args)}` : ''}\n`,
+                'error'
+            );
+        },
+    };
+
+    const process = {
+        argv: ['node', 'main.js', ...argv],
+        env: {},
+        platform: 'browser',
+        exitCode: undefined,
+        exit: (code) => {
+            throw new ProgramExit(code ?? process.exitCode ?? 0);
+        },
+        stdout: { write: (text) => write('stdout', String(text), 'log') },
+        stderr: { write: (text) => write('stderr', String(text), 'error') },
+    };
+
+    function createInterface() {
+        const listeners = { line: [], close: [] };
+        let isClosed = false;
+        const lineReader = {
+            on(event, listener) {
+                listeners[event]?.push(listener);
+                return lineReader;
+            },
+            close() {
+                if (isClosed) return;
+                isClosed = true;
+                listeners.close.forEach((listener) => listener());
+            },
+            question(query, callback) {
+                write('stdout', query, 'log');
+                timers.setTimeout(() => callback(stdin.nextLine() ?? ''), 0);
+            },
+            async *[Symbol.asyncIterator]() {
+                while (stdin.hasLines()) yield stdin.nextLine();
+            },
+        };
+        lineReader.once = lineReader.on;
+        // Lines are emitted once the program has added its listeners
+        timers.setTimeout(() => {
+            while (!isClosed && listeners.line.length && stdin.hasLines()) {
+                const line = stdin.nextLine();
+                listeners.line.forEach((listener) => listener(line));
+            }
+            if (listeners.line.length) lineReader.close();
+        }, 0);
+        return lineReader;
+    }
+
+    function prompt(message) {
+        if (message) write('stdout', String(message), 'log');
+        return stdin.nextLine();
+    }
+
+    const modules = {
+        fs: {
+            readFileSync(path) {
+                if (path === 0 || path === '/dev/stdin') return stdin.text;
+                throw new Error(`ENOENT: no such file or directory, '${path}'`);
+            },
+        },
+        readline: { createInterface },
+        'prompt-sync': () => prompt,
+    };
+
+    return {
+        pendingTimers,
+        globals: {
+            console,
+            process,
+            ...timers,
+            prompt,
+            require(name) {
+                const module = modules[name.replace(/^node:/, '')];
+                if (!module) throw new UnsupportedModule(name);
+                return module;
+            },
+            module: { exports: {} },
+            exports: {},
+            self: undefined,
+        },
+    };
+}
+
+// Ends the run in progress with an error it did not catch
+let failRun = () => {};
+
+self.onunhandledrejection = (event) => {
+    event.preventDefault();
+    failRun(event.reason);
+};
+
+/**
+ * Runs a JavaScript or TypeScript program: `{id, sourceCode, stdin, args, language}` -> `started`, `output` chunks with
+ * console levels, then `done` with the exit code, or `unsupported` with the modules the browser cannot provide.
+ */
+self.onmessage = async ({
+    data: { id, sourceCode, stdin, args, language },
+}) => {
+    const output = createOutputStream((chunks) =>
+        self.postMessage({ id, type: 'output', chunks })
+    );
+    let runtime = null;
+    let isFinished = false;
+    let isMainDone = false;
+
+    function finish(message) {
+        if (isFinished) return;
+        isFinished = true;
+        runtime?.pendingTimers.forEach((timer) => {
+            workerTimers.clearTimeout(timer);
+            workerTimers.clearInterval(timer);
+        });
+        output.flush();
+        self.postMessage({ id, ...message });
+    }
+
+    function fail(error) {
+        if (error instanceof ProgramExit) {
+            finish({ type: 'done', exitCode: error.code });
+        } else if (error instanceof UnsupportedModule) {
+            finish({ type: 'unsupported', modules: [error.name] });
+        } else {
+            output.write('stderr', `${formatUncaught(error)}\n`, 'error');
+            finish({ type: 'done', exitCode: 1 });
+        }
+    }
+    failRun = fail;
+
+    let argv = [];
+    let program;
+    try {
+        argv = splitShellWords(args);
+        program = compile(sourceCode, language);
+    } catch (error) {
+        self.postMessage({ id, type: 'started' });
+        fail(error);
+        return;
+    }
+
+    runtime = createRuntime({
+        stdin: createStdinReader(stdin),
+        argv,
+        write: output.write,
+        fail,
+        onIdle: () => {
+            if (isMainDone && !runtime.pendingTimers.size) {
+                finish({
+                    type: 'done',
+                    exitCode: runtime.globals.process.exitCode ?? 0,
+                });
+            }
+        },
+    });
+
+    self.postMessage({ id, type: 'started' });
+    try {
+        // In a block, so programs may declare their own variables named like the globals
+        const names = Object.keys(runtime.globals);
+        await new AsyncFunction(...names, `{${program}\n}`)(
+            ...names.map((name) => runtime.globals[name])
+        );
+        isMainDone = true;
+        runtime.globals.setTimeout(() => {}, 0); // Finishes once the timers started so far are done
+    } catch (error) {
+        fail(error);
+    }
+};
@@ -0,0 +1,153 @@
+import { loadPyodide } from 'pyodide';
+
+import {
+    BROWSER_UNSUPPORTED_PYTHON_MODULES,
+    PYODIDE_INDEX_URL,
+} from '../conf/localRun';
+import { createOutputStream } from '../utils/createOutputStream';
+
+/**
+ * Python side of a run: lists the imports Pyodide cannot provide and runs a program as `__main__` of `main.py`,
+ * returning its exit code, or the name of a module it failed to import at runtime.
+ */
+const HARNESS = `
+import importlib.util
+import shlex
+import sys
+import traceback
+
+from pyodide.code import find_imports
+
+
+def missing_modules(source):
+    try:
+        names = find_imports(source)
+    except SyntaxError:
+        return []  # Reported by the run
+    return sorted(
+        {
+            name
+            for name in names
+            if name in UNSUPPORTED_MODULES or importlib.util.find_spec(name) is None
+        }
+    )
+
+
+def run_program(source, args):
+    # Stream the output line by line, as in a terminal
+    sys.stdout.reconfigure(line_buffering=True)
+    sys.stderr.reconfigure(line_buffering=True)
+    try:
+        sys.argv = ["main.py", *shlex.split(args)]
+        exec(compile(source, "main.py", "exec"), {"__name__": "__main__"})
+    except SystemExit as exit:
+        if exit.code is None or isinstance(exit.code, int):
+            return [exit.code or 0, None]
+        print(exit.code, file=sys.stderr)
+        return [1, None]
+    except ModuleNotFoundError as error:
+        return [1, error.name]
+    except BaseException as error:
+        # Skip the frame of this harness, the traceback starts in main.py
+        traceback.print_exception(type(error), error, error.__traceback__.tb_next)
+        return [1, None]
+    finally:
+        sys.stdout.flush()
+        sys.stderr.flush()
+    return [0, None]
+`;
+
+let harnessPromise = null;
+
+/**
+ * Loads Pyodide from the bundled files and the harness into it, once per worker.
+ * @returns {Promise<{pyodide: Object, missingModules: Function, runProgram: Function}>}
+ */
+function loadHarness() {
+    harnessPromise ??= loadPyodide({
+        indexURL: new URL(PYODIDE_INDEX_URL, self.location.href).href,
+    }).then((pyodide) => {
+        const namespace = pyodide.globals.get('dict')();
+        namespace.set(
+            'UNSUPPORTED_MODULES',
+            pyodide.toPy(BROWSER_UNSUPPORTED_PYTHON_MODULES)
+        );
+        pyodide.runPython(HARNESS, { globals: namespace });
+        return {
+            pyodide,
+            missingModules: namespace.get('missing_modules'),
+            runProgram: namespace.get('run_program'),
+        };
+    });
+    return harnessPromise;
+}
+
+/**
+ * Converts a Python list to JavaScript and frees it.
+ * @param {Object} proxy - Proxy of the Python list.
+ * @returns {Array}
+ */
+function toJs(proxy) {
+    const value = proxy.toJs();
+    proxy.destroy();
+    return value;
+}
+
+/**
+ * Runs a Python program: `{id, sourceCode, stdin, args}` -> `started`, `output` chunks, then `done` with the exit code,
+ * `unsupported` with the modules the browser cannot provide, or `failed` if Pyodide does not load.
+ */
+self.onmessage = async ({ data: { id, sourceCode, stdin, args } }) => {
+    let harness;
+    try {
+        harness = await loadHarness();
+    } catch (error) {
+        harnessPromise = null;
+        self.postMessage({ id, type: 'failed', error: error.message });
+        return;
+    }
+    const { pyodide, missingModules, runProgram } = harness;
+
+    const modules = toJs(missingModules(sourceCode));
+    if (modules.length) {
+        self.postMessage({ id, type: 'unsupported', modules });
+        return;
+    }
+
+    const output = createOutputStream((chunks) =>
+        self.postMessage({ id, type: 'output', chunks })
+    );
+    const input = new TextEncoder().encode(stdin);
+    let inputOffset = 0;
+    pyodide.setStdin({
+        read(buffer) {
+            const bytes = input.subarray(
+                inputOffset,
+                inputOffset + buffer.length
+            );
+            buffer.set(bytes);
+            inputOffset += bytes.length;
+            return bytes.length;
+        },
+    });
+    ['stdout', 'stderr'].forEach((stream) => {
+        const decoder = new TextDecoder();
+        const options = {
+            write(buffer) {
+                output.write(stream, decoder.decode(buffer, { stream: true }));
+                return buffer.length;
+            },
+        };
+        if (stream === 'stdout') pyodide.setStdout(options);
+        else pyodide.setStderr(options);
+    });
+
+    self.postMessage({ id, type: 'started' });
+    const [exitCode, missingModule] = toJs(runProgram(sourceCode, args));
+    output.flush();
+    self.postMessage(
+        missingModule
+            ? { id, type: 'unsupported', modules: [missingModule] }
+            : { id, type: 'done', exitCode }
+    );
+};
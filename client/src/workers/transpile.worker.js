@@ -0,0 +1,57 @@
+import { transform } from 'sucrase';
+
+import { encodeToBase64 } from '../utils/base64';
+
+/**
+ * Sucrase transforms by file extension, files of other extensions are not transpiled.
+ * @type {Object}
+ */
+const transformsByExtension = {
+    ts: ['typescript'],
+    tsx: ['typescript', 'jsx'],
+    jsx: ['jsx'],
+};
+
+/**
+ * Transpiles a TypeScript or JSX file to JavaScript with a source map.
+ * JSX compiles to `React.createElement` calls, React is loaded by the page.
+ * @param {{path: string, code: string}} file - Full path and content of the file.
+ * @returns {{code: string, sourceMap: Object}|{error: {message: string, line: number, column: number}}}
+ */
+function transpile({ path, code }) {
+    const extension = path.split('.').pop().toLowerCase();
+
+    try {
+        const result = transform(code, {
+            transforms: transformsByExtension[extension] ?? [],
+            jsxRuntime: 'classic',
+            production: true,
+            filePath: path,
+            sourceMapOptions: { compiledFilename: path },
+        });
+        // Inline the map for the devtools of the preview, lines are kept so it is appended last
+        return {
+            code: `${result.code}\n//# sourceMappingURL=data:application/json;base64,${encodeToBase64(JSON.stringify(result.sourceMap))}`,
+            sourceMap: result.sourceMap,
+        };
+    } catch (error) {
+        return {
+            error: {
+                message: error.message,
+                line: error.loc?.line ?? 1,
+                column: error.loc?.column ?? 1,
+            },
+        };
+    }
+}
+
+/**
+ * Transpiles a batch of files: `{id, files}` -> `{id, results}`, results keyed by path.
+ */
+self.onmessage = ({ data: { id, files } }) => {
+    const results = {};
+    files.forEach((file) => {
+        results[file.path] = transpile(file);
+    });
+    self.postMessage({ id, results });
+};
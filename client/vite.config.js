@@ -1,14 +1,64 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import tailwindcss from '@tailwindcss/vite';
 import svgr from 'vite-plugin-svgr';
 
+// Files Pyodide loads at runtime from its index URL, served from /pyodide/ instead of a CDN
+const PYODIDE_FILES = [
+    'pyodide.asm.js',
+    'pyodide.asm.wasm',
+    'python_stdlib.zip',
+    'pyodide-lock.json',
+];
+
+/**
+ * Serves the runtime files of the Pyodide package under /pyodide/ in development and copies them there in builds.
+ * @returns {import('vite').Plugin}
+ */
+function pyodideAssets() {
+    const pyodideDirectory = path.dirname(
+        fileURLToPath(import.meta.resolve('pyodide'))
+    );
+
+    return {
+        name: 'pyodide-assets',
+        configureServer(server) {
+            server.middlewares.use('/pyodide', (req, res, next) => {
+                const name = req.url.split('?')[0].slice(1);
+                if (!PYODIDE_FILES.includes(name)) return next();
+                if (name.endsWith('.wasm')) {
+                    res.setHeader('content-type', 'application/wasm');
+                }
+                fs.createReadStream(path.join(pyodideDirectory, name)).pipe(
+                    res
+                );
+            });
+        },
+        generateBundle() {
+            PYODIDE_FILES.forEach((name) =>
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `pyodide/${name}`,
+                    source: fs.readFileSync(path.join(pyodideDirectory, name)),
+                })
+            );
+        },
+    };
+}
+
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => {
     const isProduction = mode === 'production';
 
     return {
-        plugins: [react(), tailwindcss(), svgr()],
+        plugins: [react(), tailwindcss(), svgr(), pyodideAssets()],
+        // Pyodide finds its runtime files itself, pre-bundling would break its paths
+        optimizeDeps: { exclude: ['pyodide'] },
+        worker: { format: 'es' },
         //TODO remove proxy after deploy if using vercel functions
         server: {
             proxy: {
@@ -0,0 +1,143 @@
+import axios from 'axios';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+const APPWRITE_ENDPOINT = process.env.APPWRITE_ENDPOINT;
+const APPWRITE_PROJECT_ID = process.env.APPWRITE_PROJECT_ID;
+const APPWRITE_DATABASE_ID = process.env.APPWRITE_DATABASE_ID;
+const APPWRITE_PROJECTS_COLLECTION_ID =
+    process.env.APPWRITE_PROJECTS_COLLECTION_ID;
+const VERIFIED_JWT_TTL = 5 * 60 * 1000; // Appwrite JWTs live 15 minutes, ask Appwrite again after 5
+
+if (!APPWRITE_ENDPOINT || !APPWRITE_PROJECT_ID) {
+    console.warn(
+        'APPWRITE_ENDPOINT or APPWRITE_PROJECT_ID is not set, runs of signed in users are limited like anonymous ones.'
+    );
+}
+if (!APPWRITE_DATABASE_ID || !APPWRITE_PROJECTS_COLLECTION_ID) {
+    console.warn(
+        'APPWRITE_DATABASE_ID or APPWRITE_PROJECTS_COLLECTION_ID is not set, live sessions cannot be started.'
+    );
+}
+
+/**
+ * @typedef {Object} AppwriteUser
+ * @property {string} userId - ID of the Appwrite user.
+ * @property {string} username - Username of the account, its name when it has none.
+ */
+
+// Recently verified JWTs, so every run does not cost a call to Appwrite
+const verifiedJwts = new Map(); // jwt -> {user, expiresAt}
+
+/**
+ * Custom error class for Appwrite user verification errors.
+ */
+export class AppwriteUserError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status to answer the request with.
+     * @param {string} type - The type of error (e.g., "invalid_user_token").
+     */
+    constructor(message, status, type) {
+        super(message);
+        this.name = 'AppwriteUserError';
+        this.status = status;
+        this.type = type;
+    }
+}
+
+/**
+ * Resolves the Appwrite user a JWT was created for, by reading its account with the JWT.
+ * @param {string} jwt - JWT created by the client with `account.createJWT()`.
+ * @returns {Promise<AppwriteUser|null>} The user, null if Appwrite is not configured or not reachable.
+ * @throws {AppwriteUserError} If Appwrite rejects the JWT (401).
+ */
+export async function verifyAppwriteJwt(jwt) {
+    if (!APPWRITE_ENDPOINT || !APPWRITE_PROJECT_ID) return null;
+
+    const now = Date.now();
+    const verified = verifiedJwts.get(jwt);
+    if (verified && verified.expiresAt > now) return verified.user;
+
+    try {
+        const { data } = await axios.get(`${APPWRITE_ENDPOINT}/account`, {
+            headers: {
+                'x-appwrite-project': APPWRITE_PROJECT_ID,
+                'x-appwrite-jwt': jwt,
+            },
+            timeout: 5000,
+        });
+
+        verifiedJwts.forEach(({ expiresAt }, key) => {
+            if (expiresAt <= now) verifiedJwts.delete(key);
+        });
+        const user = {
+            userId: data.$id,
+            username: data.prefs?.username || data.name,
+        };
+        verifiedJwts.set(jwt, { user, expiresAt: now + VERIFIED_JWT_TTL });
+        return user;
+    } catch (error) {
+        const status = error.response?.status;
+        if (status === 401 || status === 403) {
+            throw new AppwriteUserError(
+                'Your session expired, sign in again',
+                401,
+                'invalid_user_token'
+            );
+        }
+        console.error('Failed to verify an Appwrite JWT:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Checks whether a user owns a project, by reading the project document with the JWT of the user.
+ * @param {string} jwt - JWT of the user.
+ * @param {string} userId - ID of the user, verified from the JWT.
+ * @param {string} projectId - ID of the project document.
+ * @returns {Promise<boolean>} Whether the project exists and its owner is the user.
+ * @throws {AppwriteUserError} If the projects collection is not configured or Appwrite is not reachable (503).
+ */
+export async function isProjectOwner(jwt, userId, projectId) {
+    if (
+        !APPWRITE_ENDPOINT ||
+        !APPWRITE_PROJECT_ID ||
+        !APPWRITE_DATABASE_ID ||
+        !APPWRITE_PROJECTS_COLLECTION_ID
+    ) {
+        throw new AppwriteUserError(
+            'Live sessions are not configured on this server',
+            503,
+            'sessions_unavailable'
+        );
+    }
+
+    try {
+        const { data } = await axios.get(
+            `${APPWRITE_ENDPOINT}/databases/${encodeURIComponent(APPWRITE_DATABASE_ID)}/collections/${encodeURIComponent(APPWRITE_PROJECTS_COLLECTION_ID)}/documents/${encodeURIComponent(projectId)}`,
+            {
+                headers: {
+                    'x-appwrite-project': APPWRITE_PROJECT_ID,
+                    'x-appwrite-jwt': jwt,
+                },
+                timeout: 5000,
+            }
+        );
+        return data.ownerId === userId;
+    } catch (error) {
+        // Appwrite answers 404 for projects the user cannot read
+        const status = error.response?.status;
+        if (status === 401 || status === 403 || status === 404) return false;
+
+        console.error('Failed to read a project from Appwrite:', error.message);
+        throw new AppwriteUserError(
+            'Could not verify the owner of the project, try again',
+            503,
+            'owner_check_failed'
+        );
+    }
+}
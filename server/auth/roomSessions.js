@@ -0,0 +1,259 @@
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+
+/**
+ * Who may run code in a room: everyone, only the admin, or the admin and the selected users.
+ */
+export const RUN_POLICY_MODES = {
+    EVERYONE: 'everyone',
+    ADMIN: 'admin',
+    SELECTED: 'selected',
+};
+
+/**
+ * @typedef {Object} RunPolicy
+ * @property {string} mode - One of RUN_POLICY_MODES.
+ * @property {string[]} allowed - IDs of the users that may run code with the `selected` mode.
+ */
+
+/**
+ * @typedef {Object} RoomMember
+ * @property {string} username - Username of the verified user.
+ * @property {Map<string, number>} addresses - Open connections to the room per IP address.
+ */
+
+/**
+ * Active collaboration sessions started by project owners.
+ * @type {Map<string, {ownerKey: string, inviteKey: string, ownerId: string, owner: string, createdAt: number, members: Map<string, RoomMember>, runPolicy: RunPolicy, lastRun: Object|null}>}
+ */
+const roomSessions = new Map();
+
+function createKey() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Compares two secrets in constant time.
+ * @param {string} expected - The stored secret.
+ * @param {string} received - The secret sent by the client.
+ * @returns {boolean} Whether both secrets match.
+ */
+function isSameKey(expected, received) {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Starts a session for a room, making the caller its owner.
+ * @param {string} room - The room name.
+ * @param {import('./appwriteUsers.js').AppwriteUser} owner - The verified user owning the project of the room.
+ * @returns {{ownerKey: string, inviteKey: string}} Secrets for the owner and for invitees.
+ */
+export function createRoomSession(room, { userId, username }) {
+    const session = {
+        ownerKey: createKey(),
+        inviteKey: createKey(),
+        ownerId: userId,
+        owner: username,
+        createdAt: Date.now(),
+        members: new Map([[userId, { username, addresses: new Map() }]]), // userId -> RoomMember
+        runPolicy: { mode: RUN_POLICY_MODES.EVERYONE, allowed: [] },
+        lastRun: null, // Shown to collaborators joining later
+    };
+    roomSessions.set(room, session);
+    return session;
+}
+
+/**
+ * Returns the session of a room if one is active.
+ * @param {string} room - The room name.
+ * @returns {Object|undefined} The session.
+ */
+export function getRoomSession(room) {
+    return roomSessions.get(room);
+}
+
+/**
+ * Checks whether a key is the owner key of a room.
+ * @param {string} room - The room name.
+ * @param {string} key - The key sent by the client.
+ * @returns {boolean}
+ */
+export function isRoomOwnerKey(room, key) {
+    const session = roomSessions.get(room);
+    return !!session && isSameKey(session.ownerKey, key);
+}
+
+/**
+ * Checks whether a user started the session of a room.
+ * @param {string} room - The room name.
+ * @param {string} userId - ID of the verified user.
+ * @returns {boolean}
+ */
+export function isRoomOwner(room, userId) {
+    return !!userId && roomSessions.get(room)?.ownerId === userId;
+}
+
+/**
+ * Adds a user who was issued a token for a room to its members, whose runs the run policy of the room applies to.
+ * @param {string} room - The room name.
+ * @param {import('./appwriteUsers.js').AppwriteUser} user - The verified user.
+ */
+export function addRoomMember(room, { userId, username }) {
+    const members = roomSessions.get(room)?.members;
+    if (members && !members.has(userId)) {
+        members.set(userId, { username, addresses: new Map() });
+    }
+}
+
+/**
+ * Counts an open connection of a member to a room, so anonymous runs from its IP address are matched to the member.
+ * @param {string} room - The room name.
+ * @param {import('./appwriteUsers.js').AppwriteUser} user - The verified user.
+ * @param {string} ip - IP address of the connection.
+ */
+export function connectRoomMember(room, user, ip) {
+    addRoomMember(room, user);
+    const addresses = roomSessions
+        .get(room)
+        ?.members.get(user.userId)?.addresses;
+    addresses?.set(ip, (addresses.get(ip) ?? 0) + 1);
+}
+
+/**
+ * Uncounts a closed connection of a member to a room. A member whose last connection closed left the room and is
+ * removed from its members, only closed connections count so a member can't leave the run policy while editing.
+ * @param {string} room - The room name.
+ * @param {string} userId - ID of the user.
+ * @param {string} ip - IP address of the connection.
+ */
+export function disconnectRoomMember(room, userId, ip) {
+    const members = roomSessions.get(room)?.members;
+    const addresses = members?.get(userId)?.addresses;
+    if (!addresses?.has(ip)) return;
+    if (addresses.get(ip) > 1) {
+        addresses.set(ip, addresses.get(ip) - 1);
+    } else {
+        addresses.delete(ip);
+    }
+    if (!addresses.size) {
+        members.delete(userId);
+    }
+}
+
+/**
+ * Finds the rooms a runner is a member of: by its verified user ID, or for anonymous runs by the IP address of the
+ * members connected to a room.
+ * @param {{userId: string|null, ip: string}} runner - The runner.
+ * @returns {Array<{room: string, userIds: string[]}>} The rooms, with the members the runner is matched to.
+ */
+export function getMemberRooms({ userId, ip }) {
+    const rooms = [];
+    roomSessions.forEach(({ members }, room) => {
+        const userIds = [];
+        if (userId) {
+            if (members.has(userId)) userIds.push(userId);
+        } else {
+            members.forEach(({ addresses }, memberId) => {
+                if (addresses.has(ip)) userIds.push(memberId);
+            });
+        }
+        if (userIds.length) rooms.push({ room, userIds });
+    });
+    return rooms;
+}
+
+/**
+ * Checks whether a key is the invite key of a room.
+ * @param {string} room - The room name.
+ * @param {string} key - The key sent by the client.
+ * @returns {boolean}
+ */
+export function isRoomInviteKey(room, key) {
+    const session = roomSessions.get(room);
+    return !!session && isSameKey(session.inviteKey, key);
+}
+
+/**
+ * Ends the session of a room. Tokens issued for it are rejected afterwards.
+ * @param {string} room - The room name.
+ */
+export function endRoomSession(room) {
+    roomSessions.delete(room);
+}
+
+/**
+ * Sets who may run code in a room.
+ * @param {string} room - The room name.
+ * @param {unknown} policy - The policy sent by the admin.
+ * @returns {RunPolicy|null} The policy applied, null if the room has no session or the policy is invalid.
+ */
+export function setRunPolicy(room, policy) {
+    const session = roomSessions.get(room);
+    if (
+        !session ||
+        !Object.values(RUN_POLICY_MODES).includes(policy?.mode) ||
+        !Array.isArray(policy.allowed)
+    ) {
+        return null;
+    }
+
+    session.runPolicy = {
+        mode: policy.mode,
+        allowed: policy.allowed.filter((userId) => typeof userId === 'string'),
+    };
+    return session.runPolicy;
+}
+
+/**
+ * Returns who may run code in a room.
+ * @param {string} room - The room name.
+ * @returns {RunPolicy|null} The policy, null if the room has no session.
+ */
+export function getRunPolicy(room) {
+    return roomSessions.get(room)?.runPolicy ?? null;
+}
+
+/**
+ * Checks whether a user may run code in a room. The owner who started the session always may.
+ * @param {string} room - The room name.
+ * @param {string} userId - ID of the verified user.
+ * @returns {boolean}
+ */
+export function canRunInRoom(room, userId) {
+    const session = roomSessions.get(room);
+    if (
+        !session ||
+        session.ownerId === userId ||
+        session.runPolicy.mode === RUN_POLICY_MODES.EVERYONE
+    ) {
+        return true;
+    }
+    return (
+        session.runPolicy.mode === RUN_POLICY_MODES.SELECTED &&
+        session.runPolicy.allowed.includes(userId)
+    );
+}
+
+/**
+ * Keeps the latest run shared in a room, for collaborators joining later.
+ * @param {string} room - The room name.
+ * @param {Object} run - The shared run.
+ */
+export function setLastRun(room, run) {
+    const session = roomSessions.get(room);
+    if (session) {
+        session.lastRun = run;
+    }
+}
+
+/**
+ * Returns the latest run shared in a room.
+ * @param {string} room - The room name.
+ * @returns {Object|null}
+ */
+export function getLastRun(room) {
+    return roomSessions.get(room)?.lastRun ?? null;
+}
@@ -0,0 +1,161 @@
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+const ROOM_TOKEN_TTL = parseInt(process.env.ROOM_TOKEN_TTL) || 15 * 60; // seconds
+const ROOM_TOKEN_SECRET =
+    process.env.ROOM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.ROOM_TOKEN_SECRET) {
+    console.warn(
+        'ROOM_TOKEN_SECRET is not set, using a random secret. Room tokens will not survive a restart.'
+    );
+}
+
+/**
+ * Custom close codes used when rejecting a WebSocket connection.
+ * 4000-4999 is the range reserved for applications.
+ */
+export const WS_CLOSE_CODES = {
+    ROOM_FULL: 4001,
+    TOKEN_MISSING: 4002,
+    TOKEN_INVALID: 4003,
+    TOKEN_EXPIRED: 4004,
+    FORBIDDEN: 4005,
+};
+
+/**
+ * Roles a room token can grant.
+ */
+export const ROOM_ROLES = {
+    ADMIN: 'admin',
+    EDITOR: 'editor',
+};
+
+/**
+ * Custom error class for room token errors.
+ */
+export class RoomTokenError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} code - The WebSocket close code to reject the connection with.
+     * @param {string} type - The type of error (e.g., "token_expired", "invalid_signature").
+     */
+    constructor(message, code, type) {
+        super(message);
+        this.name = 'RoomTokenError';
+        this.code = code;
+        this.type = type;
+    }
+}
+
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function sign(data) {
+    return crypto
+        .createHmac('sha256', ROOM_TOKEN_SECRET)
+        .update(data)
+        .digest('base64url');
+}
+
+/**
+ * Issues a short-lived HS256 JWT granting access to a room.
+ * @param {Object} claims
+ * @param {string} claims.room - The room the token grants access to.
+ * @param {string} claims.userId - ID of the verified Appwrite user of the client.
+ * @param {string} claims.username - The username of the client.
+ * @param {string} claims.role - One of ROOM_ROLES.
+ * @returns {{token: string, expiresIn: number}} The signed token and its lifetime in seconds.
+ */
+export function signRoomToken({ room, userId, username, role }) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = toBase64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = toBase64Url(
+        JSON.stringify({
+            room,
+            userId,
+            username,
+            role,
+            iat: issuedAt,
+            exp: issuedAt + ROOM_TOKEN_TTL,
+        })
+    );
+
+    return {
+        token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+        expiresIn: ROOM_TOKEN_TTL,
+    };
+}
+
+/**
+ * Verifies a room token's signature and expiry.
+ * @param {string|null} token - The token sent by the client.
+ * @returns {{room: string, userId: string, username: string, role: string, iat: number, exp: number}} The token claims.
+ * @throws {RoomTokenError} If the token is missing, malformed, tampered with or expired.
+ */
+export function verifyRoomToken(token) {
+    if (!token) {
+        throw new RoomTokenError(
+            'Room token is required',
+            WS_CLOSE_CODES.TOKEN_MISSING,
+            'token_missing'
+        );
+    }
+
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) {
+        throw new RoomTokenError(
+            'Malformed room token',
+            WS_CLOSE_CODES.TOKEN_INVALID,
+            'token_malformed'
+        );
+    }
+
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const received = Buffer.from(signature);
+    if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+    ) {
+        throw new RoomTokenError(
+            'Invalid room token signature',
+            WS_CLOSE_CODES.TOKEN_INVALID,
+            'invalid_signature'
+        );
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+        throw new RoomTokenError(
+            'Malformed room token',
+            WS_CLOSE_CODES.TOKEN_INVALID,
+            'token_malformed'
+        );
+    }
+
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new RoomTokenError(
+            'Room token has expired',
+            WS_CLOSE_CODES.TOKEN_EXPIRED,
+            'token_expired'
+        );
+    }
+
+    if (!Object.values(ROOM_ROLES).includes(claims.role)) {
+        throw new RoomTokenError(
+            'Room token has an unknown role',
+            WS_CLOSE_CODES.FORBIDDEN,
+            'invalid_role'
+        );
+    }
+
+    return claims;
+}
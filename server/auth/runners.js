@@ -0,0 +1,158 @@
+import { verifyAppwriteJwt } from './appwriteUsers.js';
+import { canRunInRoom, getMemberRooms } from './roomSessions.js';
+import { verifyRoomToken } from './roomTokens.js';
+import { QUOTA_SCOPES } from '../quotas/index.js';
+
+/**
+ * @typedef {Object} Runner
+ * @property {string} ip - IP address of the client.
+ * @property {string|null} userId - The signed in user, from the Appwrite JWT or the room token.
+ */
+
+const SUBMISSION_RUNNER_TTL = 30 * 60 * 1000; // Longer than any run is followed
+
+// Who created each submission and the rooms it was a member of, so only they can cancel it
+const submissionRunners = new Map(); // token -> {userId, ip, rooms, expiresAt}
+
+/**
+ * Custom error class for runners that cannot be identified.
+ */
+export class RunnerError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status to answer the request with.
+     * @param {string} type - The type of error (e.g., "invalid_room_token").
+     */
+    constructor(message, status, type) {
+        super(message);
+        this.name = 'RunnerError';
+        this.status = status;
+        this.type = type;
+    }
+}
+
+/**
+ * Resolves who runs code: the signed in user from an Appwrite JWT, or from the room token of a live session when no
+ * JWT is sent, and the IP address. The rooms a runner is a member of are found from its identity, see
+ * {@link getMemberRooms}, not from the token it sends.
+ * @param {Object} credentials
+ * @param {string} credentials.ip - IP address of the client.
+ * @param {string} [credentials.jwt] - Appwrite JWT of the user.
+ * @param {string} [credentials.roomToken] - Room token of the session.
+ * @returns {Promise<Runner>} The runner.
+ * @throws {AppwriteUserError|RunnerError} If Appwrite rejects the JWT, or the room token is invalid or was issued to
+ * another user.
+ */
+export async function resolveRunner({ ip, jwt, roomToken }) {
+    const runner = { ip, userId: null };
+    if (jwt) runner.userId = (await verifyAppwriteJwt(jwt))?.userId ?? null;
+
+    if (roomToken) {
+        let claims;
+        try {
+            claims = verifyRoomToken(roomToken);
+        } catch (error) {
+            throw new RunnerError(error.message, 401, 'invalid_room_token');
+        }
+        if (runner.userId && claims.userId !== runner.userId) {
+            throw new RunnerError(
+                'The room token was issued to another user',
+                403,
+                'room_token_mismatch'
+            );
+        }
+        runner.userId = claims.userId;
+    }
+    return runner;
+}
+
+/**
+ * Checks that the run policies of the live sessions a runner is a member of allow it to run code. Members are found
+ * from their verified user ID, or from the IP address of their connections for anonymous runs, so leaving out the
+ * credentials of a request does not lift a policy.
+ * @param {Runner} runner - The runner.
+ * @throws {RunnerError} If the admin of one of the rooms does not allow the runner to run code (403).
+ */
+export function authorizeRun(runner) {
+    const isBlocked = getMemberRooms(runner).some(
+        ({ room, userIds }) =>
+            !userIds.every((userId) => canRunInRoom(room, userId))
+    );
+    if (isBlocked) {
+        throw new RunnerError(
+            'The room admin does not allow you to run code',
+            403,
+            'run_not_allowed'
+        );
+    }
+}
+
+/**
+ * Returns what the runs of a runner are counted against: its IP address always, its user or its anonymous runs from
+ * the address, and the rooms it is a member of, whether or not it sends a room token.
+ * @param {Runner} runner - The runner.
+ * @returns {import('../quotas/ExecutionQuotas.js').QuotaSubject[]}
+ */
+export function getQuotaSubjects(runner) {
+    const { ip, userId } = runner;
+    return [
+        { scope: QUOTA_SCOPES.IP, id: ip },
+        userId
+            ? { scope: QUOTA_SCOPES.USER, id: userId }
+            : { scope: QUOTA_SCOPES.ANONYMOUS, id: ip },
+        ...getMemberRooms(runner).map(({ room }) => ({
+            scope: QUOTA_SCOPES.ROOM,
+            id: room,
+        })),
+    ];
+}
+
+/**
+ * Remembers who created a submission, and the rooms it was a member of then, see {@link authorizeCancel}.
+ * @param {string} token - Token of the submission.
+ * @param {Runner} runner - The runner that created it.
+ */
+export function recordSubmissionRunner(token, runner) {
+    const now = Date.now();
+    submissionRunners.forEach(({ expiresAt }, recordedToken) => {
+        if (expiresAt <= now) submissionRunners.delete(recordedToken);
+    });
+    submissionRunners.set(token, {
+        userId: runner.userId,
+        ip: runner.ip,
+        rooms: getMemberRooms(runner).map(({ room }) => room),
+        expiresAt: now + SUBMISSION_RUNNER_TTL,
+    });
+}
+
+/**
+ * Checks that a runner may cancel a submission: it created the submission, as the same user or anonymously from the
+ * same IP address, or it is a member of a room the creator was a member of.
+ * @param {Runner} runner - The runner cancelling the submission.
+ * @param {string} token - Token of the submission.
+ * @throws {RunnerError} If the submission is unknown (404) or was created by someone else (403).
+ */
+export function authorizeCancel(runner, token) {
+    const creator = submissionRunners.get(token);
+    if (!creator || creator.expiresAt <= Date.now()) {
+        throw new RunnerError(
+            'Unknown or expired submission',
+            404,
+            'submission_not_found'
+        );
+    }
+
+    const isCreator = creator.userId
+        ? creator.userId === runner.userId
+        : !runner.userId && creator.ip === runner.ip;
+    const isRoomMember = getMemberRooms(runner).some(({ room }) =>
+        creator.rooms.includes(room)
+    );
+    if (!isCreator && !isRoomMember) {
+        throw new RunnerError(
+            'Only who ran the submission or their room can cancel it',
+            403,
+            'not_submission_runner'
+        );
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Custom error class for code execution errors.
+ */
+export default class ExecutionError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status to answer the request with.
+     * @param {string} type - The type of error (e.g., "not_found", "unsupported_language").
+     */
+    constructor(message, status, type) {
+        super(message);
+        this.name = 'ExecutionError';
+        this.status = status;
+        this.type = type;
+    }
+}
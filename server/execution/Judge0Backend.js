@@ -0,0 +1,137 @@
+import axios from 'axios';
+
+const LANGUAGES_TTL = 60 * 60 * 1000; // 1 hour, languages only change when the instance is upgraded
+
+/**
+ * Execution backend that forwards submissions to a Judge0 instance, by default Judge0 CE on RapidAPI.
+ * RapidAPI headers are only sent when an API key is configured, so self-hosted instances work too.
+ */
+export default class Judge0Backend {
+    #url;
+    #headers;
+    #languages = null; // Cached language list
+    #languagesFetchedAt = 0;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Base URL of the Judge0 API.
+     * @param {string} [options.apiKey] - RapidAPI key.
+     */
+    constructor({ url, apiKey }) {
+        this.#url = url.replace(/\/+$/, '');
+        this.#headers = apiKey
+            ? {
+                  'x-rapidapi-key': apiKey,
+                  'x-rapidapi-host': new URL(url).host,
+              }
+            : {};
+    }
+
+    /**
+     * Creates a submission without waiting for its result.
+     * @param {Object} submission - Judge0 submission body.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<{token: string}>}
+     */
+    async createSubmission(submission, { base64Encoded }) {
+        const response = await axios.post(
+            `${this.#url}/submissions`,
+            submission,
+            {
+                params: {
+                    base64_encoded: base64Encoded,
+                    wait: false,
+                    fields: '*',
+                },
+                headers: {
+                    ...this.#headers,
+                    'content-type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    }
+
+    /**
+     * Returns the current state of a submission.
+     * @param {string} token - Token of the submission.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<Object>} The Judge0 submission.
+     */
+    async getSubmission(token, { base64Encoded }) {
+        const response = await axios.get(
+            `${this.#url}/submissions/${encodeURIComponent(token)}`,
+            {
+                params: { base64_encoded: base64Encoded, fields: '*' },
+                headers: this.#headers,
+            }
+        );
+        return response.data;
+    }
+
+    /**
+     * Creates several submissions at once.
+     * @param {Array<Object>} submissions - Judge0 submission bodies.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<Array<{token: string}|{error: string}>>} A token or an error per submission, in order.
+     */
+    async createSubmissionBatch(submissions, { base64Encoded }) {
+        const response = await axios.post(
+            `${this.#url}/submissions/batch`,
+            { submissions },
+            {
+                params: { base64_encoded: base64Encoded },
+                headers: {
+                    ...this.#headers,
+                    'content-type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    }
+
+    /**
+     * Returns the current state of several submissions.
+     * @param {string[]} tokens - Tokens of the submissions.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<{submissions: Array<Object|null>}>} The Judge0 submissions, in order.
+     */
+    async getSubmissionBatch(tokens, { base64Encoded }) {
+        const response = await axios.get(`${this.#url}/submissions/batch`, {
+            params: {
+                tokens: tokens.join(','),
+                base64_encoded: base64Encoded,
+                fields: '*',
+            },
+            headers: this.#headers,
+        });
+        return response.data;
+    }
+
+    /**
+     * Returns the languages of the Judge0 instance, cached for an hour.
+     * @returns {Promise<Array<{id: number, name: string}>>}
+     */
+    async getLanguages() {
+        if (
+            !this.#languages ||
+            Date.now() - this.#languagesFetchedAt > LANGUAGES_TTL
+        ) {
+            const response = await axios.get(`${this.#url}/languages`, {
+                headers: this.#headers,
+            });
+            this.#languages = response.data;
+            this.#languagesFetchedAt = Date.now();
+        }
+        return this.#languages;
+    }
+
+    /**
+     * Judge0 has no way to stop a submission once it is queued, it runs to the end and its result is simply not
+     * followed anymore.
+     * @returns {Promise<boolean>} Always false, the submission was not stopped.
+     */
+    async cancelSubmission() {
+        return false;
+    }
+}
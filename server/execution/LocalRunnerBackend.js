@@ -0,0 +1,641 @@
+import { Buffer } from 'node:buffer';
+import { execFile } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import ExecutionError from './ExecutionError.js';
+import {
+    readAdditionalFiles,
+    writeAdditionalFiles,
+} from './additionalFiles.js';
+import {
+    INTERACTIVE_WALL_TIME_LIMIT,
+    MAX_OUTPUT_SIZE,
+    compileLimits,
+    defaultLimits,
+    localLanguages,
+    maxLimits,
+} from './localRunnerConfig.js';
+import { splitShellWords } from './runOptions.js';
+import { runSandboxedProcess } from './sandboxedProcess.js';
+
+/**
+ * Judge0 submission statuses.
+ */
+export const SUBMISSION_STATUSES = {
+    IN_QUEUE: { id: 1, description: 'In Queue' },
+    PROCESSING: { id: 2, description: 'Processing' },
+    ACCEPTED: { id: 3, description: 'Accepted' },
+    WRONG_ANSWER: { id: 4, description: 'Wrong Answer' },
+    TIME_LIMIT_EXCEEDED: { id: 5, description: 'Time Limit Exceeded' },
+    COMPILATION_ERROR: { id: 6, description: 'Compilation Error' },
+    RUNTIME_ERROR_SIGSEGV: { id: 7, description: 'Runtime Error (SIGSEGV)' },
+    RUNTIME_ERROR_SIGXFSZ: { id: 8, description: 'Runtime Error (SIGXFSZ)' },
+    RUNTIME_ERROR_SIGFPE: { id: 9, description: 'Runtime Error (SIGFPE)' },
+    RUNTIME_ERROR_SIGABRT: { id: 10, description: 'Runtime Error (SIGABRT)' },
+    RUNTIME_ERROR_NZEC: { id: 11, description: 'Runtime Error (NZEC)' },
+    RUNTIME_ERROR_OTHER: { id: 12, description: 'Runtime Error (Other)' },
+    INTERNAL_ERROR: { id: 13, description: 'Internal Error' },
+    // Not a Judge0 status, Judge0 cannot stop a submission once it is queued
+    CANCELLED: { id: 15, description: 'Cancelled' },
+};
+
+const SIGNAL_STATUSES = {
+    SIGXCPU: SUBMISSION_STATUSES.TIME_LIMIT_EXCEEDED,
+    SIGSEGV: SUBMISSION_STATUSES.RUNTIME_ERROR_SIGSEGV,
+    SIGXFSZ: SUBMISSION_STATUSES.RUNTIME_ERROR_SIGXFSZ,
+    SIGFPE: SUBMISSION_STATUSES.RUNTIME_ERROR_SIGFPE,
+    SIGABRT: SUBMISSION_STATUSES.RUNTIME_ERROR_SIGABRT,
+};
+
+// Fields of a submission that are base64 encoded when asked for
+const ENCODED_FIELDS = [
+    'source_code',
+    'stdin',
+    'expected_output',
+    'stdout',
+    'stderr',
+    'compile_output',
+    'message',
+];
+
+const VERSION_TIMEOUT = 5000; // Time a toolchain has to print its version, in ms
+
+/**
+ * Reads the version of a toolchain from the output of its version command.
+ * @param {string[]} command - The version command.
+ * @returns {Promise<string|null>} The version, null if the toolchain is not installed or does not run.
+ */
+async function readToolchainVersion([file, ...args]) {
+    try {
+        // Some tools (javac 8) print their version to stderr
+        const { stdout, stderr } = await promisify(execFile)(file, args, {
+            timeout: VERSION_TIMEOUT,
+        });
+        return `${stdout}${stderr}`.match(/\d+(\.\d+)+/)?.[0] ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Adds a version to the name of a language the way Judge0 names them, e.g. `C (GCC 9.2.0)` or `Go (1.13.5)`.
+ * @param {string} name - Name of the language.
+ * @param {string} version - Version of its toolchain.
+ * @returns {string}
+ */
+function withVersion(name, version) {
+    return name.endsWith(')')
+        ? `${name.slice(0, -1)} ${version})`
+        : `${name} (${version})`;
+}
+
+/**
+ * Resolves the limits of a submission: unset ones fall back to the defaults, the others are capped.
+ * @param {Object} submission - Judge0 submission body.
+ * @returns {import('./localRunnerConfig.js').JudgeLimits}
+ */
+function resolveLimits(submission) {
+    return Object.fromEntries(
+        Object.entries(defaultLimits).map(([name, defaultValue]) => {
+            const value = parseFloat(submission[name]);
+            return [
+                name,
+                value > 0 ? Math.min(value, maxLimits[name]) : defaultValue,
+            ];
+        })
+    );
+}
+
+/**
+ * Compares outputs the way Judge0 does, ignoring trailing whitespace.
+ * @param {string} stdout - Output of the program.
+ * @param {string} expectedOutput - Expected output.
+ * @returns {boolean}
+ */
+function isExpectedOutput(stdout, expectedOutput) {
+    const normalize = (output) =>
+        output
+            .split('\n')
+            .map((line) => line.trimEnd())
+            .join('\n')
+            .trimEnd();
+    return normalize(stdout) === normalize(expectedOutput);
+}
+
+/**
+ * Picks the Judge0 status of a finished run.
+ * @param {import('./sandboxedProcess.js').ProcessResult} run - The run.
+ * @param {import('./localRunnerConfig.js').JudgeLimits} limits - Limits of the submission.
+ * @param {string|null} expectedOutput - Expected output of the submission.
+ * @returns {{id: number, description: string}}
+ */
+function getRunStatus(run, limits, expectedOutput) {
+    const cpuLimit = limits.cpu_time_limit + limits.cpu_extra_time;
+    if (run.timedOut || (run.signal === 'SIGKILL' && run.cpuTime >= cpuLimit)) {
+        return SUBMISSION_STATUSES.TIME_LIMIT_EXCEEDED;
+    }
+    if (run.signal) {
+        return (
+            SIGNAL_STATUSES[run.signal] ??
+            SUBMISSION_STATUSES.RUNTIME_ERROR_OTHER
+        );
+    }
+    if (run.exitCode !== 0) {
+        return SUBMISSION_STATUSES.RUNTIME_ERROR_NZEC;
+    }
+    if (
+        expectedOutput != null &&
+        !isExpectedOutput(run.stdout, expectedOutput)
+    ) {
+        return SUBMISSION_STATUSES.WRONG_ANSWER;
+    }
+    return SUBMISSION_STATUSES.ACCEPTED;
+}
+
+/**
+ * Gives a working directory and everything in it to the user the programs run as.
+ * @param {string} directory - The working directory.
+ * @param {number} uid - The user.
+ * @param {number} gid - The group.
+ * @returns {Promise<void>}
+ */
+async function chownTree(directory, uid, gid) {
+    const entries = await fs.readdir(directory, { recursive: true });
+    await Promise.all(
+        [directory, ...entries.map((entry) => path.join(directory, entry))].map(
+            (entryPath) => fs.lchown(entryPath, uid, gid)
+        )
+    );
+}
+
+/**
+ * Execution backend that runs submissions on the server itself, without containers.
+ * Every submission gets a temporary working directory and runs sandboxed with OS process limits and a timeout,
+ * see {@link runSandboxedProcess}. Results are kept in memory and polled like Judge0 submissions.
+ */
+export default class LocalRunnerBackend {
+    #submissions = new Map(); // token -> submission record
+    #queue = []; // Records waiting for a free slot
+    #running = 0;
+    #concurrency;
+    #maxQueueLength;
+    #workDirectory;
+    #resultTtl;
+    #sandbox;
+    #languages = null; // Promise of the installed languages, detected once
+
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Most submissions running at once.
+     * @param {number} options.maxQueueLength - Most submissions waiting for a free slot, more are refused.
+     * @param {string} options.workDirectory - Directory in which working directories are created.
+     * @param {number} options.resultTtl - Time finished submissions are kept, in ms.
+     * @param {import('./sandboxedProcess.js').SandboxOptions} options.sandbox - How programs are isolated.
+     */
+    constructor({
+        concurrency,
+        maxQueueLength,
+        workDirectory,
+        resultTtl,
+        sandbox,
+    }) {
+        this.#concurrency = concurrency;
+        this.#maxQueueLength = maxQueueLength;
+        this.#workDirectory = path.resolve(workDirectory);
+        this.#resultTtl = resultTtl;
+        this.#sandbox = sandbox;
+
+        const cleanupTimer = setInterval(
+            () => this.#removeExpired(),
+            resultTtl
+        );
+        cleanupTimer.unref();
+    }
+
+    /**
+     * Queues a submission.
+     * @param {Object} submission - Judge0 submission body.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<{token: string}>}
+     * @throws {ExecutionError} If the submission is invalid, its language is not supported or the queue is full.
+     */
+    async createSubmission(submission, { base64Encoded }) {
+        const record = await this.#createRecord(submission, { base64Encoded });
+        this.#enqueue(record);
+        return { token: record.token };
+    }
+
+    /**
+     * Runs a program attached to a terminal: its input is streamed in and its output streamed out as it is written.
+     * It runs with the limits of submissions, except for a longer wall time limit as it waits for its user.
+     * @param {Object} submission - Judge0 submission body, not base64 encoded.
+     * @param {Object} options
+     * @param {import('node:stream').Readable} options.stdin - Input of the program.
+     * @param {(stream: 'stdout'|'stderr', chunk: Buffer) => void} options.onOutput - Called with the output of the
+     * program as it writes it.
+     * @param {AbortSignal} options.signal - Kills the program when aborted.
+     * @returns {Promise<Object>} The finished submission, in the Judge0 shape.
+     * @throws {ExecutionError} If the submission is invalid, its language is not supported or the queue is full.
+     */
+    async runInteractive(submission, { stdin, onOutput, signal }) {
+        const record = await this.#createRecord(submission, {
+            base64Encoded: false,
+        });
+        record.input = stdin;
+        record.onOutput = onOutput;
+        record.limits.wall_time_limit = INTERACTIVE_WALL_TIME_LIMIT;
+
+        const finished = new Promise((resolve) => {
+            record.onFinish = resolve;
+        });
+        this.#enqueue(record);
+        const cancel = () => this.cancelSubmission(record.token);
+        if (signal.aborted) cancel();
+        else signal.addEventListener('abort', cancel, { once: true });
+        await finished;
+        signal.removeEventListener('abort', cancel);
+
+        return this.getSubmission(record.token, { base64Encoded: false });
+    }
+
+    /**
+     * Validates a submission and creates its record.
+     * @param {Object} submission - Judge0 submission body.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<Object>} The submission record.
+     * @throws {ExecutionError} If the submission is invalid or its language is not supported.
+     */
+    async #createRecord(submission, { base64Encoded }) {
+        const languageId = Number(submission?.language_id);
+        const language = localLanguages[languageId];
+        if (!language) {
+            throw new ExecutionError(
+                `Language ${submission?.language_id} is not supported by the local runner`,
+                422,
+                'unsupported_language'
+            );
+        }
+        if (
+            !language.isMultiFile &&
+            typeof submission.source_code !== 'string'
+        ) {
+            throw new ExecutionError(
+                'source_code is required',
+                422,
+                'invalid_submission'
+            );
+        }
+        if (language.isMultiFile && !submission.additional_files) {
+            throw new ExecutionError(
+                'additional_files is required for multi-file programs',
+                422,
+                'invalid_submission'
+            );
+        }
+        const additionalFiles = submission.additional_files
+            ? await readAdditionalFiles(submission.additional_files)
+            : [];
+
+        const decode = (value) =>
+            value == null
+                ? null
+                : base64Encoded
+                  ? Buffer.from(String(value), 'base64').toString('utf8')
+                  : String(value);
+
+        return {
+            token: crypto.randomUUID(),
+            language_id: languageId,
+            language,
+            source_code: decode(submission.source_code),
+            compiler_options: submission.compiler_options ?? null,
+            command_line_arguments: submission.command_line_arguments ?? null,
+            compilerOptions: splitShellWords(submission.compiler_options),
+            commandLineArguments: splitShellWords(
+                submission.command_line_arguments
+            ),
+            additionalFiles,
+            stdin: decode(submission.stdin) ?? '',
+            expected_output: decode(submission.expected_output),
+            limits: resolveLimits(submission),
+            status: SUBMISSION_STATUSES.IN_QUEUE,
+            created_at: new Date().toISOString(),
+            finished_at: null,
+            result: {},
+            abortController: new AbortController(),
+        };
+    }
+
+    /**
+     * Returns a submission in the shape of a Judge0 submission.
+     * @param {string} token - Token of the submission.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<Object>}
+     * @throws {ExecutionError} If the submission does not exist or expired.
+     */
+    async getSubmission(token, { base64Encoded }) {
+        const record = this.#submissions.get(token);
+        if (!record) {
+            throw new ExecutionError(
+                `Submission ${token} not found`,
+                404,
+                'not_found'
+            );
+        }
+
+        const submission = {
+            token: record.token,
+            language_id: record.language_id,
+            language: { id: record.language_id, name: record.language.name },
+            source_code: record.source_code,
+            compiler_options: record.compiler_options,
+            command_line_arguments: record.command_line_arguments,
+            stdin: record.stdin,
+            expected_output: record.expected_output,
+            stdout: null,
+            stderr: null,
+            compile_output: null,
+            message: null,
+            exit_code: null,
+            exit_signal: null,
+            time: null,
+            wall_time: null,
+            memory: null,
+            ...record.limits,
+            ...record.result,
+            status: record.status,
+            status_id: record.status.id,
+            created_at: record.created_at,
+            finished_at: record.finished_at,
+        };
+
+        if (base64Encoded) {
+            ENCODED_FIELDS.forEach((field) => {
+                if (submission[field] != null) {
+                    submission[field] = Buffer.from(submission[field]).toString(
+                        'base64'
+                    );
+                }
+            });
+        }
+        return submission;
+    }
+
+    /**
+     * Queues several submissions, an invalid one does not fail the others.
+     * @param {Array<Object>} submissions - Judge0 submission bodies.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<Array<{token: string}|{error: string}>>} A token or an error per submission, in order.
+     */
+    async createSubmissionBatch(submissions, options) {
+        return Promise.all(
+            submissions.map((submission) =>
+                this.createSubmission(submission, options).catch((error) => ({
+                    error: error.message,
+                }))
+            )
+        );
+    }
+
+    /**
+     * Returns several submissions, unknown tokens give null like in Judge0.
+     * @param {string[]} tokens - Tokens of the submissions.
+     * @param {{base64Encoded: boolean}} options
+     * @returns {Promise<{submissions: Array<Object|null>}>}
+     */
+    async getSubmissionBatch(tokens, options) {
+        const submissions = await Promise.all(
+            tokens.map((token) =>
+                this.getSubmission(token, options).catch(() => null)
+            )
+        );
+        return { submissions };
+    }
+
+    /**
+     * Stops a queued or running submission, it finishes with the Cancelled status.
+     * @param {string} token - Token of the submission.
+     * @returns {Promise<boolean>} Whether the submission was stopped, false if it had already finished.
+     * @throws {ExecutionError} If the submission does not exist or expired.
+     */
+    async cancelSubmission(token) {
+        const record = this.#submissions.get(token);
+        if (!record) {
+            throw new ExecutionError(
+                `Submission ${token} not found`,
+                404,
+                'not_found'
+            );
+        }
+        if (record.status.id > SUBMISSION_STATUSES.PROCESSING.id) {
+            return false;
+        }
+
+        const queueIndex = this.#queue.indexOf(record);
+        if (queueIndex !== -1) {
+            this.#queue.splice(queueIndex, 1);
+            record.status = SUBMISSION_STATUSES.CANCELLED;
+            record.finished_at = new Date().toISOString();
+            record.additionalFiles = [];
+            record.onFinish?.();
+        } else {
+            // #execute sets the status once the processes are killed
+            record.abortController.abort();
+        }
+        return true;
+    }
+
+    /**
+     * Returns the languages whose toolchain is installed on the server, with its version.
+     * Toolchains are detected on the first call, installing one needs a restart.
+     * @returns {Promise<Array<{id: number, name: string}>>}
+     */
+    async getLanguages() {
+        this.#languages ??= Promise.all(
+            Object.entries(localLanguages).map(async ([id, language]) => {
+                if (!language.version) {
+                    return { id: Number(id), name: language.name };
+                }
+                const version = await readToolchainVersion(language.version);
+                return version
+                    ? {
+                          id: Number(id),
+                          name: withVersion(language.name, version),
+                      }
+                    : null;
+            })
+        ).then((languages) => languages.filter(Boolean));
+        return this.#languages;
+    }
+
+    /**
+     * Queues a submission record, unless too many submissions already wait for a free slot.
+     * @param {Object} record - The submission record.
+     * @throws {ExecutionError} If the queue is full (503).
+     */
+    #enqueue(record) {
+        if (this.#queue.length >= this.#maxQueueLength) {
+            throw new ExecutionError(
+                'The local runner is busy, try again in a moment',
+                503,
+                'queue_full'
+            );
+        }
+        this.#submissions.set(record.token, record);
+        this.#queue.push(record);
+        this.#runNext();
+    }
+
+    #runNext() {
+        while (this.#running < this.#concurrency && this.#queue.length) {
+            const record = this.#queue.shift();
+            this.#running++;
+            this.#execute(record).finally(() => {
+                record.onFinish?.();
+                this.#running--;
+                this.#runNext();
+            });
+        }
+    }
+
+    /**
+     * Compiles and runs a submission in a fresh working directory, then removes it.
+     * @param {Object} record - The submission record.
+     */
+    async #execute(record) {
+        const { language, limits } = record;
+        const { signal } = record.abortController;
+        record.status = SUBMISSION_STATUSES.PROCESSING;
+
+        let directory;
+        try {
+            await fs.mkdir(this.#workDirectory, { recursive: true });
+            directory = await fs.mkdtemp(
+                path.join(this.#workDirectory, 'submission-')
+            );
+            await writeAdditionalFiles(record.additionalFiles, directory);
+            if (!language.isMultiFile) {
+                await fs.writeFile(
+                    path.join(directory, language.fileName),
+                    record.source_code
+                );
+            }
+            if (this.#sandbox.uid !== null) {
+                await chownTree(
+                    directory,
+                    this.#sandbox.uid,
+                    this.#sandbox.gid
+                );
+            }
+
+            const hasCompileStep = language.isMultiFile
+                ? record.additionalFiles.some((file) => file.path === 'compile')
+                : Boolean(language.compile);
+            if (hasCompileStep) {
+                const compilation = await runSandboxedProcess(
+                    [...language.compile, ...record.compilerOptions],
+                    {
+                        cwd: directory,
+                        limits: compileLimits,
+                        limitsAddressSpace: language.limitsAddressSpace ?? true,
+                        limitsResidentMemory: true,
+                        maxOutputSize: MAX_OUTPUT_SIZE,
+                        signal,
+                        sandbox: this.#sandbox,
+                    }
+                );
+                if (compilation.cancelled) {
+                    record.status = SUBMISSION_STATUSES.CANCELLED;
+                    return;
+                }
+                if (compilation.exitCode !== 0) {
+                    let compileOutput = `${compilation.stdout}${compilation.stderr}`;
+                    if (compilation.memoryExceeded) {
+                        compileOutput += 'Compilation used too much memory';
+                    } else if (compilation.timedOut && !compileOutput) {
+                        compileOutput = 'Compilation timed out';
+                    }
+                    record.result = { compile_output: compileOutput || null };
+                    record.status = SUBMISSION_STATUSES.COMPILATION_ERROR;
+                    return;
+                }
+            }
+
+            const run = await runSandboxedProcess(
+                [...language.run(limits), ...record.commandLineArguments],
+                {
+                    cwd: directory,
+                    stdin: record.input ?? record.stdin,
+                    limits,
+                    limitsAddressSpace: language.limitsAddressSpace ?? true,
+                    maxOutputSize: MAX_OUTPUT_SIZE,
+                    signal,
+                    onOutput: record.onOutput,
+                    sandbox: this.#sandbox,
+                }
+            );
+
+            record.status = run.cancelled
+                ? SUBMISSION_STATUSES.CANCELLED
+                : getRunStatus(run, limits, record.expected_output);
+            record.result = {
+                stdout: run.stdout || null,
+                stderr: run.stderr || null,
+                message: run.cancelled
+                    ? 'Cancelled'
+                    : run.timedOut
+                      ? 'Time limit exceeded'
+                      : run.signal
+                        ? `Exited with signal ${run.signal}`
+                        : run.exitCode
+                          ? `Exited with error status ${run.exitCode}`
+                          : null,
+                exit_code: run.exitCode,
+                exit_signal: run.signal,
+                time: (run.cpuTime ?? run.wallTime).toFixed(3),
+                wall_time: run.wallTime.toFixed(3),
+                memory: run.memory,
+            };
+        } catch (error) {
+            console.error(
+                `Local run of submission ${record.token} failed:`,
+                error
+            );
+            record.status = SUBMISSION_STATUSES.INTERNAL_ERROR;
+            record.result = {
+                message:
+                    error.code === 'ENOENT'
+                        ? `A tool needed to run ${language.name} is not installed on the server`
+                        : error.message,
+            };
+        } finally {
+            record.finished_at = new Date().toISOString();
+            record.additionalFiles = [];
+            if (directory) {
+                await fs
+                    .rm(directory, { recursive: true, force: true })
+                    .catch((error) =>
+                        console.error(
+                            `Failed to remove working directory ${directory}:`,
+                            error
+                        )
+                    );
+            }
+        }
+    }
+
+    #removeExpired() {
+        const expiredBefore = Date.now() - this.#resultTtl;
+        this.#submissions.forEach((record, token) => {
+            if (
+                record.finished_at &&
+                Date.parse(record.finished_at) < expiredBefore
+            ) {
+                this.#submissions.delete(token);
+            }
+        });
+    }
+}
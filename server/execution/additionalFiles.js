@@ -0,0 +1,132 @@
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import JSZip from 'jszip';
+
+import ExecutionError from './ExecutionError.js';
+
+const MAX_ADDITIONAL_FILES = 200;
+const MAX_ADDITIONAL_FILES_SIZE = 5 * 1024 * 1024; // 5 MB, uncompressed
+
+function createTooLargeError() {
+    return new ExecutionError(
+        `additional_files is larger than ${MAX_ADDITIONAL_FILES_SIZE / 1024 / 1024} MB`,
+        422,
+        'invalid_additional_files'
+    );
+}
+
+/**
+ * Inflates a zip entry chunk by chunk, stopping as soon as it exceeds the bytes left, whatever size the zip declares.
+ * @param {import('jszip').JSZipObject} entry - The zip entry.
+ * @param {number} maxSize - Bytes the entry may inflate to.
+ * @returns {Promise<Uint8Array>} The content of the entry.
+ * @throws {ExecutionError} If the entry inflates to more than `maxSize` bytes.
+ */
+function inflateEntry(entry, maxSize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.internalStream('uint8array');
+        stream
+            .on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxSize) {
+                    stream.pause();
+                    reject(createTooLargeError());
+                    return;
+                }
+                chunks.push(chunk);
+            })
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks, size)))
+            .resume();
+    });
+}
+
+/**
+ * Reads the `additional_files` of a submission: a base64 encoded zip whose files are placed next to the source code.
+ * Sizes are checked before anything is inflated, so a zip bomb is rejected without filling the memory.
+ * @param {string} base64Zip - The base64 encoded zip.
+ * @returns {Promise<Array<{path: string, content: Uint8Array}>>} The files, with relative paths.
+ * @throws {ExecutionError} If the zip is invalid, too large or has paths outside of the working directory.
+ */
+export async function readAdditionalFiles(base64Zip) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(base64Zip, { base64: true });
+    } catch (error) {
+        throw new ExecutionError(
+            `additional_files is not a valid base64 encoded zip: ${error.message}`,
+            422,
+            'invalid_additional_files'
+        );
+    }
+
+    const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+    if (entries.length > MAX_ADDITIONAL_FILES) {
+        throw new ExecutionError(
+            `additional_files has more than ${MAX_ADDITIONAL_FILES} files`,
+            422,
+            'invalid_additional_files'
+        );
+    }
+
+    // Sizes declared in the central directory of the zip, the inflated sizes are checked again as entries stream
+    const declaredSize = entries.reduce(
+        (size, entry) => size + (entry._data?.uncompressedSize ?? 0),
+        0
+    );
+    if (declaredSize > MAX_ADDITIONAL_FILES_SIZE) {
+        throw createTooLargeError();
+    }
+
+    const files = [];
+    let totalSize = 0;
+    for (const entry of entries) {
+        const relativePath = path.posix.normalize(entry.name);
+        if (
+            relativePath === '..' ||
+            relativePath.startsWith('../') ||
+            path.isAbsolute(relativePath)
+        ) {
+            throw new ExecutionError(
+                `additional_files has a path outside of the working directory: ${entry.name}`,
+                422,
+                'invalid_additional_files'
+            );
+        }
+
+        let content;
+        try {
+            content = await inflateEntry(
+                entry,
+                MAX_ADDITIONAL_FILES_SIZE - totalSize
+            );
+        } catch (error) {
+            if (error instanceof ExecutionError) throw error;
+            throw new ExecutionError(
+                `additional_files has an invalid file ${entry.name}: ${error.message}`,
+                422,
+                'invalid_additional_files'
+            );
+        }
+        totalSize += content.length;
+        files.push({ path: relativePath, content });
+    }
+    return files;
+}
+
+/**
+ * Writes additional files into a working directory.
+ * @param {Array<{path: string, content: Uint8Array}>} files - Files read by {@link readAdditionalFiles}.
+ * @param {string} directory - The working directory.
+ * @returns {Promise<void>}
+ */
+export async function writeAdditionalFiles(files, directory) {
+    for (const file of files) {
+        const filePath = path.join(directory, file.path);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content);
+    }
+}
@@ -0,0 +1,72 @@
+import { setTimeout as delay } from 'node:timers/promises';
+
+import ExecutionError from './ExecutionError.js';
+
+const FIRST_POLL_INTERVAL = 500; // ms, grows up to MAX_POLL_INTERVAL while the submission waits
+const MAX_POLL_INTERVAL = 3000; // ms
+const MAX_FOLLOW_TIME = 15 * 60 * 1000; // 15 minutes, long Judge0 queues included
+const MAX_CONSECUTIVE_ERRORS = 3; // Failed polls in a row before giving up, e.g. rate limited
+
+/**
+ * Polls a submission on behalf of a client until it finishes, reporting every status change on the way.
+ * @param {import('./index.js').ExecutionBackend} backend - Backend running the submission.
+ * @param {string} token - Token of the submission.
+ * @param {Object} options
+ * @param {boolean} options.base64Encoded - Whether the fields of the result are base64 encoded.
+ * @param {AbortSignal} options.signal - Stops following, e.g. when the client disconnects.
+ * @param {(status: {id: number, description: string}) => void} options.onStatus - Called when the submission is
+ * queued or starts processing.
+ * @returns {Promise<Object|null>} The finished submission, null if following was aborted.
+ * @throws {ExecutionError} If the submission takes too long or cannot be polled anymore.
+ */
+export async function followSubmission(
+    backend,
+    token,
+    { base64Encoded, signal, onStatus }
+) {
+    const startedAt = Date.now();
+    let interval = FIRST_POLL_INTERVAL;
+    let lastStatusId = null;
+    let consecutiveErrors = 0;
+
+    while (!signal.aborted) {
+        try {
+            const submission = await backend.getSubmission(token, {
+                base64Encoded,
+            });
+            consecutiveErrors = 0;
+
+            if (signal.aborted) break;
+            if (submission.status?.id > 2) return submission;
+            if (submission.status?.id !== lastStatusId) {
+                lastStatusId = submission.status?.id;
+                onStatus(submission.status);
+            }
+        } catch (error) {
+            const status = error.status || error.response?.status;
+            // Only retry failures that may go away: rate limits and server errors
+            if (
+                (status && status !== 429 && status < 500) ||
+                ++consecutiveErrors >= MAX_CONSECUTIVE_ERRORS
+            ) {
+                throw error;
+            }
+        }
+
+        if (Date.now() - startedAt > MAX_FOLLOW_TIME) {
+            throw new ExecutionError(
+                `Submission ${token} did not finish within ${MAX_FOLLOW_TIME / 60000} minutes`,
+                504,
+                'follow_timeout'
+            );
+        }
+
+        try {
+            await delay(interval, undefined, { signal });
+        } catch {
+            break; // Aborted while waiting
+        }
+        interval = Math.min(interval * 1.5, MAX_POLL_INTERVAL);
+    }
+    return null;
+}
@@ -0,0 +1,108 @@
+import os from 'node:os';
+import path from 'node:path';
+
+import Judge0Backend from './Judge0Backend.js';
+import LocalRunnerBackend from './LocalRunnerBackend.js';
+import { SANDBOX_ISOLATIONS } from './sandboxedProcess.js';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+/**
+ * @typedef {Object} ExecutionBackend
+ * @property {(submission: Object, options: {base64Encoded: boolean}) => Promise<{token: string}>} createSubmission - Queues a Judge0 submission.
+ * @property {(token: string, options: {base64Encoded: boolean}) => Promise<Object>} getSubmission - Returns the current state of a submission, in the Judge0 shape.
+ * @property {(submissions: Object[], options: {base64Encoded: boolean}) => Promise<Array<{token: string}|{error: string}>>} createSubmissionBatch - Queues several submissions.
+ * @property {(tokens: string[], options: {base64Encoded: boolean}) => Promise<{submissions: Array<Object|null>}>} getSubmissionBatch - Returns the current state of several submissions.
+ * @property {(token: string) => Promise<boolean>} cancelSubmission - Stops a queued or running submission if the backend can.
+ * @property {(submission: Object, options: {stdin: import('node:stream').Readable, onOutput: Function, signal: AbortSignal}) => Promise<Object>} [runInteractive] - Runs a submission attached to a terminal, streaming its input and output, if the backend can.
+ * @property {() => Promise<Array<{id: number, name: string}>>} getLanguages - Lists the available languages by Judge0
+ * language id, named with their version like Judge0 does.
+ */
+
+/**
+ * Most submissions in one batch, the default of Judge0.
+ */
+export const MAX_BATCH_SIZE = 20;
+
+const EXECUTION_BACKEND = process.env.EXECUTION_BACKEND || 'judge0'; // judge0 | local
+const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
+const JUDGE0_API_KEY = process.env.JUDGE0_API_KEY;
+const LOCAL_RUNNER_CONCURRENCY =
+    parseInt(process.env.LOCAL_RUNNER_CONCURRENCY) || 2;
+const LOCAL_RUNNER_WORK_DIR =
+    process.env.LOCAL_RUNNER_WORK_DIR ||
+    path.join(os.tmpdir(), 'bytetogether-runs');
+const LOCAL_RUNNER_RESULT_TTL =
+    parseInt(process.env.LOCAL_RUNNER_RESULT_TTL) || 10 * 60 * 1000; // 10 minutes
+const LOCAL_RUNNER_MAX_QUEUE =
+    parseInt(process.env.LOCAL_RUNNER_MAX_QUEUE) || 50;
+const LOCAL_RUNNER_SANDBOX =
+    process.env.LOCAL_RUNNER_SANDBOX || SANDBOX_ISOLATIONS.BWRAP; // bwrap | none
+const LOCAL_RUNNER_UID = parseInt(process.env.LOCAL_RUNNER_UID);
+const LOCAL_RUNNER_GID = parseInt(process.env.LOCAL_RUNNER_GID);
+
+/**
+ * Reads how the local runner isolates programs, warning when they could reach the server.
+ * @returns {import('./sandboxedProcess.js').SandboxOptions}
+ */
+function getLocalSandbox() {
+    if (!Object.values(SANDBOX_ISOLATIONS).includes(LOCAL_RUNNER_SANDBOX)) {
+        throw new Error(
+            `Unknown LOCAL_RUNNER_SANDBOX "${LOCAL_RUNNER_SANDBOX}"`
+        );
+    }
+    const uid = Number.isInteger(LOCAL_RUNNER_UID) ? LOCAL_RUNNER_UID : null;
+    if (LOCAL_RUNNER_SANDBOX === SANDBOX_ISOLATIONS.NONE) {
+        console.warn(
+            'LOCAL_RUNNER_SANDBOX is "none", submitted programs can read and write everything the server can.'
+        );
+    }
+    if (uid === null && process.getuid?.() === 0) {
+        console.warn(
+            'The server runs as root and LOCAL_RUNNER_UID is not set, submitted programs run as root.'
+        );
+    }
+    return {
+        isolation: LOCAL_RUNNER_SANDBOX,
+        uid,
+        gid:
+            uid === null
+                ? null
+                : Number.isInteger(LOCAL_RUNNER_GID)
+                  ? LOCAL_RUNNER_GID
+                  : uid,
+    };
+}
+
+/**
+ * Creates the execution backend configured through environment variables.
+ * @returns {ExecutionBackend} The backend.
+ */
+export function createExecutionBackend() {
+    switch (EXECUTION_BACKEND) {
+        case 'judge0':
+            return new Judge0Backend({
+                url: JUDGE0_URL,
+                apiKey: JUDGE0_API_KEY,
+            });
+        case 'local':
+            return new LocalRunnerBackend({
+                concurrency: LOCAL_RUNNER_CONCURRENCY,
+                maxQueueLength: LOCAL_RUNNER_MAX_QUEUE,
+                workDirectory: LOCAL_RUNNER_WORK_DIR,
+                resultTtl: LOCAL_RUNNER_RESULT_TTL,
+                sandbox: getLocalSandbox(),
+            });
+        default:
+            throw new Error(`Unknown EXECUTION_BACKEND "${EXECUTION_BACKEND}"`);
+    }
+}
+
+/**
+ * Backend that runs the code of submissions, shared by the submission routes.
+ * @type {ExecutionBackend}
+ */
+export const executionBackend = createExecutionBackend();
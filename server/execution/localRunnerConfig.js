@@ -0,0 +1,184 @@
+/**
+ * @typedef {Object} JudgeLimits
+ * @property {number} cpu_time_limit - CPU time in seconds.
+ * @property {number} cpu_extra_time - Extra CPU time in seconds before the process is killed.
+ * @property {number} wall_time_limit - Wall clock time in seconds.
+ * @property {number} memory_limit - Memory in KB.
+ * @property {number} stack_limit - Stack size in KB.
+ * @property {number} max_processes_and_or_threads - Processes and threads of the user.
+ * @property {number} max_file_size - Size of files the program may create, in KB.
+ */
+
+/**
+ * @typedef {Object} LocalLanguage
+ * @property {string} name - Display name of the language, reported with the version of its toolchain.
+ * @property {string[]} [version] - Command printing the version of the toolchain, languages without one are always
+ * available.
+ * @property {string} [fileName] - Name the source code is saved as in the working directory, unused by multi-file programs.
+ * @property {string[]} [compile] - Compiler command, run before every execution.
+ * @property {(limits: JudgeLimits) => string[]} run - Command running the program.
+ * @property {boolean} [limitsAddressSpace=true] - Whether the memory limit applies to the address space.
+ * Runtimes that reserve a large heap up front (Node.js, the JVM) get a heap limit flag instead.
+ * @property {boolean} [isMultiFile=false] - Whether the program is made of `additional_files` only, built and run by
+ * their `compile` (optional) and `run` bash scripts, like Judge0 multi-file programs.
+ */
+
+/**
+ * Limits used when a submission does not set them, the same as the client `judge0Limits`.
+ * @type {JudgeLimits}
+ */
+export const defaultLimits = {
+    cpu_time_limit: 3,
+    cpu_extra_time: 1,
+    wall_time_limit: 6,
+    memory_limit: 262144, // 256 MB
+    stack_limit: 65536, // 64 MB
+    max_processes_and_or_threads: 64,
+    max_file_size: 4096, // 4 MB
+};
+
+/**
+ * Highest limits a submission may ask for, the defaults of a Judge0 CE instance.
+ * @type {JudgeLimits}
+ */
+export const maxLimits = {
+    cpu_time_limit: 15,
+    cpu_extra_time: 5,
+    wall_time_limit: 20,
+    memory_limit: 512000, // 500 MB
+    stack_limit: 128000, // 125 MB
+    max_processes_and_or_threads: 120,
+    max_file_size: 4096, // 4 MB
+};
+
+/**
+ * Limits of the compile step, whatever the submission asks for. Compilers get more time, memory and room for their
+ * output than programs, and the `compile` script of multi-file programs is user code like any program.
+ * @type {JudgeLimits}
+ */
+export const compileLimits = {
+    cpu_time_limit: 10,
+    cpu_extra_time: 0,
+    wall_time_limit: 15,
+    memory_limit: 1048576, // 1 GB
+    stack_limit: 65536, // 64 MB
+    max_processes_and_or_threads: 64,
+    max_file_size: 65536, // 64 MB
+};
+
+/**
+ * Wall clock limit of programs run in a terminal, in seconds. They wait for their user to type, so they get more time
+ * than the wall time limit of submissions, and the same CPU and memory limits.
+ */
+export const INTERACTIVE_WALL_TIME_LIMIT = 300; // 5 minutes
+
+/**
+ * Most bytes kept of each output stream, the rest is dropped.
+ */
+export const MAX_OUTPUT_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * Toolchains of the local runner by Judge0 language id.
+ * Only toolchains whose `version` command runs are reported by `/languages`, submissions of missing ones fail with an
+ * internal error.
+ * @type {Object<number, LocalLanguage>}
+ */
+export const localLanguages = {
+    43: {
+        name: 'Plain Text',
+        fileName: 'main.txt',
+        run: () => ['cat', 'main.txt'],
+    },
+    50: {
+        name: 'C (GCC)',
+        version: ['gcc', '-dumpfullversion'],
+        fileName: 'main.c',
+        compile: ['gcc', '-O2', '-o', 'main', 'main.c', '-lm'],
+        run: () => ['./main'],
+    },
+    54: {
+        name: 'C++ (GCC)',
+        version: ['g++', '-dumpfullversion'],
+        fileName: 'main.cpp',
+        compile: ['g++', '-O2', '-o', 'main', 'main.cpp'],
+        run: () => ['./main'],
+    },
+    60: {
+        name: 'Go',
+        version: ['go', 'version'],
+        fileName: 'main.go',
+        compile: ['go', 'build', '-o', 'main', 'main.go'],
+        run: () => ['./main'],
+        limitsAddressSpace: false, // The Go runtime reserves its heap arenas up front
+    },
+    62: {
+        name: 'Java (OpenJDK)',
+        version: ['javac', '-version'],
+        fileName: 'Main.java',
+        compile: ['javac', 'Main.java'],
+        run: (limits) => [
+            'java',
+            `-Xmx${limits.memory_limit}k`,
+            `-Xss${limits.stack_limit}k`,
+            'Main',
+        ],
+        limitsAddressSpace: false,
+    },
+    63: {
+        name: 'JavaScript (Node.js)',
+        version: ['node', '--version'],
+        fileName: 'main.js',
+        run: (limits) => [
+            'node',
+            `--max-old-space-size=${Math.floor(limits.memory_limit / 1024)}`,
+            'main.js',
+        ],
+        limitsAddressSpace: false,
+    },
+    71: {
+        name: 'Python',
+        version: ['python3', '--version'],
+        fileName: 'main.py',
+        run: () => ['python3', 'main.py'],
+    },
+    72: {
+        name: 'Ruby',
+        version: ['ruby', '--version'],
+        fileName: 'main.rb',
+        run: () => ['ruby', 'main.rb'],
+        limitsAddressSpace: false, // YJIT reserves its code memory up front
+    },
+    73: {
+        name: 'Rust',
+        version: ['rustc', '--version'],
+        fileName: 'main.rs',
+        compile: ['rustc', '-O', '-o', 'main', 'main.rs'],
+        run: () => ['./main'],
+    },
+    74: {
+        name: 'TypeScript',
+        version: ['tsc', '--version'],
+        fileName: 'main.ts',
+        compile: [
+            'tsc',
+            '--target',
+            'es2020',
+            '--module',
+            'commonjs',
+            'main.ts',
+        ],
+        run: (limits) => [
+            'node',
+            `--max-old-space-size=${Math.floor(limits.memory_limit / 1024)}`,
+            'main.js',
+        ],
+        limitsAddressSpace: false,
+    },
+    89: {
+        name: 'Multi-file program',
+        compile: ['bash', 'compile'],
+        run: () => ['bash', 'run'],
+        limitsAddressSpace: false, // The scripts may start any runtime
+        isMultiFile: true,
+    },
+};
@@ -0,0 +1,116 @@
+import ExecutionError from './ExecutionError.js';
+import { maxLimits } from './localRunnerConfig.js';
+
+/**
+ * Most characters of `compiler_options` and `command_line_arguments`, the limit of Judge0.
+ */
+export const MAX_RUN_OPTION_LENGTH = 512;
+
+const RUN_OPTION_FIELDS = ['compiler_options', 'command_line_arguments'];
+
+/**
+ * Compiler flags a submission may pass to gcc, g++ and javac: optimisation, language standard, warnings, macros,
+ * debug information and standard libraries. Flags choosing files or programs, like `-o`, `-B`, `-fplugin=`,
+ * `-wrapper`, `-Wl,` or `@file`, are rejected.
+ */
+const ALLOWED_COMPILER_OPTIONS = [
+    /^-O([0-3sgz]|fast)?$/,
+    /^-std=[\w+.-]+$/,
+    /^-W[\w=+-]*$/,
+    /^-[DU][A-Za-z_]\w*(=[^\s]*)?$/,
+    /^-g[0-3]?$/,
+    /^-l(m|pthread|stdc\+\+)$/,
+    /^-(w|ansi|pedantic|pedantic-errors|pthread)$/,
+    /^-(Xlint(:[\w,-]+)?|nowarn|deprecation|parameters)$/,
+];
+
+/**
+ * Checks the compiler options and program arguments of a submission and caps its limits to the maxima of the server,
+ * so every backend enforces the same limits. Unset limits are left to the backend defaults.
+ * @param {Object} submission - Judge0 submission body.
+ * @returns {Object} The submission with its limits capped.
+ * @throws {ExecutionError} If an option is not a string, is too long, or is a compiler flag that is not allowed, or a
+ * limit is not a positive number.
+ */
+export function capRunOptions(submission) {
+    RUN_OPTION_FIELDS.forEach((field) => {
+        const value = submission?.[field];
+        if (value == null) return;
+        if (typeof value !== 'string' || value.length > MAX_RUN_OPTION_LENGTH) {
+            throw new ExecutionError(
+                `${field} must be a string of at most ${MAX_RUN_OPTION_LENGTH} characters`,
+                400,
+                'invalid_run_options'
+            );
+        }
+    });
+
+    const rejected = splitShellWords(submission?.compiler_options).find(
+        (option) =>
+            !ALLOWED_COMPILER_OPTIONS.some((pattern) => pattern.test(option))
+    );
+    if (rejected !== undefined) {
+        throw new ExecutionError(
+            `compiler_options may not contain "${rejected}", only optimisation, standard, warning, macro and debug flags are allowed`,
+            400,
+            'invalid_run_options'
+        );
+    }
+
+    const capped = { ...submission };
+    Object.entries(maxLimits).forEach(([name, maxValue]) => {
+        if (submission?.[name] == null) return;
+        const value = parseFloat(submission[name]);
+        if (!(value > 0)) {
+            throw new ExecutionError(
+                `${name} must be a positive number`,
+                400,
+                'invalid_run_options'
+            );
+        }
+        capped[name] = Math.min(value, maxValue);
+    });
+    return capped;
+}
+
+/**
+ * Splits compiler options or program arguments into words the way a shell does, honouring single and double quotes
+ * and backslash escapes, without expanding anything.
+ * @param {string} [text] - The options.
+ * @returns {string[]} The words.
+ * @throws {ExecutionError} If a quote is not closed.
+ */
+export function splitShellWords(text) {
+    const words = [];
+    let word = null;
+    let quote = null;
+    for (let i = 0; i < (text ?? '').length; i++) {
+        const char = text[i];
+        if (quote === "'") {
+            if (char === "'") quote = null;
+            else word += char;
+        } else if (char === '\\' && i + 1 < text.length) {
+            word = (word ?? '') + text[++i];
+        } else if (quote === '"') {
+            if (char === '"') quote = null;
+            else word += char;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            word ??= '';
+        } else if (/\s/.test(char)) {
+            if (word !== null) words.push(word);
+            word = null;
+        } else {
+            word = (word ?? '') + char;
+        }
+    }
+    if (quote) {
+        throw new ExecutionError(
+            `Unclosed ${quote} quote in the run options`,
+            422,
+            'invalid_run_options'
+        );
+    }
+    if (word !== null) words.push(word);
+    return words;
+}
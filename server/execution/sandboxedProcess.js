@@ -0,0 +1,379 @@
+import { Buffer } from 'node:buffer';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+
+const USAGE_SAMPLE_INTERVAL = 10; // ms
+const CLOCK_TICKS_PER_SECOND = 100; // USER_HZ of /proc/<pid>/stat on Linux
+const LINE_BUFFERED_COMMAND = ['stdbuf', '-oL', '-eL']; // C stdio buffers whole blocks when writing to a pipe
+
+// System directories the programs see read-only in a bubblewrap sandbox, toolchains must be installed under them
+const SANDBOX_SYSTEM_PATHS = [
+    '/usr',
+    '/bin',
+    '/sbin',
+    '/lib',
+    '/lib32',
+    '/lib64',
+    '/etc',
+    '/opt',
+];
+
+/**
+ * How programs are isolated from the server: `bwrap` runs them in bubblewrap namespaces, `none` only applies the
+ * resource limits and must not face untrusted code.
+ */
+export const SANDBOX_ISOLATIONS = {
+    BWRAP: 'bwrap',
+    NONE: 'none',
+};
+
+/**
+ * @typedef {Object} SandboxOptions
+ * @property {string} isolation - One of SANDBOX_ISOLATIONS.
+ * @property {number|null} uid - Dedicated unprivileged user the processes run as, null to keep the user of the server.
+ * @property {number|null} gid - Group the processes run as.
+ */
+
+/**
+ * @typedef {Object} ProcessResult
+ * @property {string} stdout - Standard output, truncated to the output limit.
+ * @property {string} stderr - Standard error, truncated to the output limit.
+ * @property {number|null} exitCode - Exit code, null if the process was killed by a signal.
+ * @property {string|null} signal - Name of the signal that killed the process.
+ * @property {boolean} timedOut - Whether the process was killed for exceeding the wall time limit.
+ * @property {boolean} cancelled - Whether the process was killed because the run was cancelled.
+ * @property {boolean} memoryExceeded - Whether the process was killed for exceeding the resident memory limit.
+ * @property {number} wallTime - Wall clock time in seconds.
+ * @property {number|null} cpuTime - CPU time in seconds, null if it could not be sampled.
+ * @property {number|null} memory - Peak resident memory in KB, null if it could not be sampled.
+ */
+
+/**
+ * Builds the `prlimit` flags for the given limits, unset limits are not applied.
+ * @param {Object} limits - Judge0 style limits, see {@link import('./localRunnerConfig.js').JudgeLimits}.
+ * @param {boolean} limitsAddressSpace - Whether the memory limit applies to the address space.
+ * @returns {string[]} The flags.
+ */
+function getLimitFlags(limits, limitsAddressSpace) {
+    const flags = [];
+    if (limits.cpu_time_limit) {
+        // Soft limit sends SIGXCPU, the hard limit a second later SIGKILL
+        const seconds = Math.ceil(
+            limits.cpu_time_limit + (limits.cpu_extra_time || 0)
+        );
+        flags.push(`--cpu=${seconds}:${seconds + 1}`);
+    }
+    if (limits.memory_limit && limitsAddressSpace) {
+        flags.push(`--as=${limits.memory_limit * 1024}`);
+    }
+    if (limits.stack_limit) {
+        flags.push(`--stack=${limits.stack_limit * 1024}`);
+    }
+    if (limits.max_file_size) {
+        flags.push(`--fsize=${limits.max_file_size * 1024}`);
+    }
+    if (limits.max_processes_and_or_threads) {
+        flags.push(`--nproc=${limits.max_processes_and_or_threads}`);
+    }
+    return flags;
+}
+
+/**
+ * Reads the CPU time and peak memory of a running process from procfs.
+ * @param {number} pid - The process id.
+ * @returns {Promise<{cpuTime: number, memory: number|null}|null>} The usage, or null once the process exited.
+ */
+async function readSingleProcessUsage(pid) {
+    try {
+        const [stat, status] = await Promise.all([
+            fs.readFile(`/proc/${pid}/stat`, 'utf8'),
+            fs.readFile(`/proc/${pid}/status`, 'utf8'),
+        ]);
+        // Fields after the command name, which may contain spaces: utime, stime, cutime and cstime are the 12th to
+        // 15th, the last two count the children it already waited for
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const ticks = fields
+            .slice(11, 15)
+            .reduce((sum, field) => sum + Number(field), 0);
+        const peakMemory = /^VmHWM:\s+(\d+)/m.exec(status);
+        return {
+            cpuTime: ticks / CLOCK_TICKS_PER_SECOND,
+            memory: peakMemory ? Number(peakMemory[1]) : null,
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the CPU time and peak memory of a running process and its descendants from procfs, the program runs as a
+ * child of the sandbox. CPU times add up, the memory is the peak of the largest process.
+ * @param {number} pid - The process id.
+ * @returns {Promise<{cpuTime: number, memory: number|null}|null>} The usage, or null without procfs or once the
+ * process exited.
+ */
+async function readProcessUsage(pid) {
+    const pids = [pid];
+    for (let index = 0; index < pids.length; index++) {
+        const children = await fs
+            .readFile(
+                `/proc/${pids[index]}/task/${pids[index]}/children`,
+                'utf8'
+            )
+            .catch(() => '');
+        pids.push(...children.split(' ').filter(Boolean).map(Number));
+    }
+
+    const [root, ...descendants] = await Promise.all(
+        pids.map(readSingleProcessUsage)
+    );
+    if (!root) return null;
+    return descendants.filter(Boolean).reduce(
+        (usage, descendant) => ({
+            cpuTime: usage.cpuTime + descendant.cpuTime,
+            memory: Math.max(usage.memory ?? 0, descendant.memory ?? 0) || null,
+        }),
+        root
+    );
+}
+
+/**
+ * Builds the bubblewrap command isolating a program: new user, PID, network, IPC, UTS and cgroup namespaces, the
+ * system directories read-only, a private `/tmp`, and the working directory as the only writable directory.
+ * @param {string} isolation - One of SANDBOX_ISOLATIONS.
+ * @param {string} cwd - Working directory of the program.
+ * @returns {string[]} The command to put before the program, empty without isolation.
+ */
+function getIsolationCommand(isolation, cwd) {
+    if (isolation !== SANDBOX_ISOLATIONS.BWRAP) return [];
+    return [
+        'bwrap',
+        '--unshare-all',
+        '--die-with-parent',
+        ...SANDBOX_SYSTEM_PATHS.flatMap((systemPath) => [
+            '--ro-bind-try',
+            systemPath,
+            systemPath,
+        ]),
+        '--proc',
+        '/proc',
+        '--dev',
+        '/dev',
+        '--tmpfs',
+        '/tmp',
+        '--bind',
+        cwd,
+        cwd,
+        '--chdir',
+        cwd,
+        '--',
+    ];
+}
+
+/**
+ * Names the signal that killed a sandboxed program. Bubblewrap exits with 128 plus the signal number instead of
+ * being killed itself.
+ * @param {number|null} exitCode - Exit code of the sandbox.
+ * @returns {string|null} The name of the signal, e.g. `SIGSEGV`.
+ */
+function getSandboxedSignal(exitCode) {
+    if (!(exitCode > 128)) return null;
+    return (
+        Object.entries(os.constants.signals).find(
+            ([, number]) => number === exitCode - 128
+        )?.[0] ?? null
+    );
+}
+
+/**
+ * Collects a stream up to a byte limit.
+ * @param {import('node:stream').Readable} stream - The stream.
+ * @param {number} maxSize - Most bytes kept.
+ * @param {(chunk: Buffer) => void} [onChunk] - Called with every kept chunk as it is written.
+ * @returns {() => string} Returns what was collected.
+ */
+function collectOutput(stream, maxSize, onChunk) {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+        if (size >= maxSize) return;
+        const kept = chunk.subarray(0, maxSize - size);
+        chunks.push(kept);
+        size += chunk.length;
+        onChunk?.(kept);
+    });
+    return () => Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Runs a command with OS resource limits (`prlimit`, Linux only), a wall clock timeout and a minimal environment.
+ * The process gets its own process group, so a timeout kills the programs it started too.
+ *
+ * Threat model: the command runs code of any visitor, which may try to read the secrets and files of the server, reach
+ * other hosts or the metadata endpoints of the cloud, signal the server, or exhaust its resources.
+ * - With the `bwrap` isolation, the program runs in fresh namespaces: it has no network, sees only its own processes,
+ *   reads the system directories, and writes only to its working directory and a private `/tmp`. The server code,
+ *   its `.env`, the home directories and the other submissions are not mounted.
+ * - With a dedicated `uid`, the processes also run as an unprivileged user outside of the namespaces, so a sandbox
+ *   escape lands without the rights of the server, and `--nproc` counts the processes of all runs.
+ * - `prlimit` caps CPU time, memory, stack, file size and processes, and the wall time limit kills stuck programs.
+ * It does not defend against kernel exploits or limit the disk space of the working directory, run the server in a
+ * container or VM too when it faces the internet.
+ * @param {string[]} command - The command and its arguments.
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory of the process.
+ * @param {string|import('node:stream').Readable} [options.stdin=''] - Standard input, a stream for interactive
+ * programs.
+ * @param {(stream: 'stdout'|'stderr', chunk: Buffer) => void} [options.onOutput] - Called with the output as the
+ * process writes it.
+ * @param {Object} options.limits - Judge0 style limits, `wall_time_limit` is enforced here.
+ * @param {boolean} [options.limitsAddressSpace=true] - Whether the memory limit applies to the address space.
+ * @param {boolean} [options.limitsResidentMemory=false] - Whether the process is killed once one of its processes
+ * uses more resident memory than the memory limit, for runtimes whose address space can't be limited. It is sampled,
+ * so a fast allocation may go past the limit briefly.
+ * @param {number} options.maxOutputSize - Most bytes kept of each output stream.
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted.
+ * @param {SandboxOptions} [options.sandbox] - How the process is isolated, not isolated by default.
+ * @returns {Promise<ProcessResult>}
+ */
+export function runSandboxedProcess(
+    command,
+    {
+        cwd,
+        stdin = '',
+        limits,
+        limitsAddressSpace = true,
+        limitsResidentMemory = false,
+        maxOutputSize,
+        signal,
+        onOutput,
+        sandbox = { isolation: SANDBOX_ISOLATIONS.NONE, uid: null, gid: null },
+    }
+) {
+    return new Promise((resolve, reject) => {
+        const startedAt = process.hrtime.bigint();
+        // Streamed output is line buffered, so prompts and lines show up as they are written, as in a terminal
+        const child = spawn(
+            'prlimit',
+            [
+                ...getLimitFlags(limits, limitsAddressSpace),
+                '--',
+                ...getIsolationCommand(sandbox.isolation, cwd),
+                ...(onOutput ? LINE_BUFFERED_COMMAND : []),
+                ...command,
+            ],
+            {
+                cwd,
+                ...(sandbox.uid != null && {
+                    uid: sandbox.uid,
+                    gid: sandbox.gid ?? sandbox.uid,
+                }),
+                env: {
+                    PATH: process.env.PATH,
+                    HOME: cwd,
+                    LANG: 'C.UTF-8',
+                    ...(onOutput && { PYTHONUNBUFFERED: '1' }),
+                },
+                detached: true,
+                stdio: 'pipe',
+            }
+        );
+
+        const getStdout = collectOutput(
+            child.stdout,
+            maxOutputSize,
+            onOutput && ((chunk) => onOutput('stdout', chunk))
+        );
+        const getStderr = collectOutput(
+            child.stderr,
+            maxOutputSize,
+            onOutput && ((chunk) => onOutput('stderr', chunk))
+        );
+        let usage = null;
+        let timedOut = false;
+        let cancelled = false;
+        let memoryExceeded = false;
+
+        function killGroup() {
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch {
+                // Already exited
+            }
+        }
+
+        const sampler = setInterval(async () => {
+            usage = (await readProcessUsage(child.pid)) ?? usage;
+            if (
+                limitsResidentMemory &&
+                limits.memory_limit &&
+                usage?.memory > limits.memory_limit
+            ) {
+                memoryExceeded = true;
+                killGroup();
+            }
+        }, USAGE_SAMPLE_INTERVAL);
+        const timeout = setTimeout(() => {
+            timedOut = true;
+            killGroup();
+        }, limits.wall_time_limit * 1000);
+        function cancel() {
+            cancelled = true;
+            killGroup();
+        }
+        signal?.addEventListener('abort', cancel, { once: true });
+        if (signal?.aborted) cancel();
+
+        child.on('error', (error) => {
+            clearInterval(sampler);
+            clearTimeout(timeout);
+            signal?.removeEventListener('abort', cancel);
+            reject(error);
+        });
+
+        child.on('close', (exitCode, exitSignal) => {
+            if (typeof stdin !== 'string') stdin.unpipe(child.stdin);
+            clearInterval(sampler);
+            clearTimeout(timeout);
+            signal?.removeEventListener('abort', cancel);
+            killGroup(); // Leftover background processes
+
+            const stderr = getStderr();
+            // prlimit or bubblewrap could not start the next command
+            if (
+                (exitCode === 127 && stderr.startsWith('prlimit: failed')) ||
+                (exitCode === 1 && stderr.startsWith('bwrap: execvp'))
+            ) {
+                reject(
+                    Object.assign(new Error(stderr.split('\n')[0]), {
+                        code: 'ENOENT',
+                    })
+                );
+                return;
+            }
+
+            const sandboxedSignal =
+                sandbox.isolation === SANDBOX_ISOLATIONS.BWRAP && !exitSignal
+                    ? getSandboxedSignal(exitCode)
+                    : null;
+            resolve({
+                stdout: getStdout(),
+                stderr,
+                exitCode: sandboxedSignal ? null : exitCode,
+                signal: exitSignal ?? sandboxedSignal,
+                timedOut,
+                cancelled,
+                memoryExceeded,
+                wallTime: Number(process.hrtime.bigint() - startedAt) / 1e9,
+                cpuTime: usage?.cpuTime ?? null,
+                memory: usage?.memory ?? null,
+            });
+        });
+
+        // Programs that don't read their input close the pipe early
+        child.stdin.on('error', () => {});
+        if (typeof stdin === 'string') child.stdin.end(stdin);
+        else stdin.pipe(child.stdin);
+    });
+}
@@ -0,0 +1,46 @@
+const MAX_SHARED_TEXT_LENGTH = 64 * 1024; // Characters kept of stdin and outputs broadcast to a room
+const RUN_PHASES = ['started', 'finished'];
+
+/**
+ * Truncates a text field of a shared run.
+ * @param {unknown} value - The value sent by the client.
+ * @param {number} [maxLength] - Most characters kept.
+ * @returns {string}
+ */
+function parseText(value, maxLength = MAX_SHARED_TEXT_LENGTH) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+/**
+ * Validates a run a collaborator shares with its room. Who ran it comes from the room token, never from the message.
+ * @param {unknown} run - The run sent by the client.
+ * @param {{username: string, clientId: number}} runner - Identity of the client that ran it.
+ * @returns {Object|null} The run to broadcast, null if it is invalid.
+ */
+export function parseSharedRun(run, { username, clientId }) {
+    if (!run || typeof run !== 'object' || !RUN_PHASES.includes(run.phase)) {
+        return null;
+    }
+
+    const statusId = Number(run.status?.id);
+    return {
+        id: parseText(run.id, 64),
+        phase: run.phase,
+        fileName: parseText(run.fileName, 256),
+        language: parseText(run.language, 32),
+        stdin: parseText(run.stdin),
+        stdout: parseText(run.stdout),
+        stderr: parseText(run.stderr),
+        status: Number.isInteger(statusId)
+            ? {
+                  id: statusId,
+                  description: parseText(run.status.description, 64),
+              }
+            : null,
+        time: run.time != null ? String(run.time).slice(0, 16) : null,
+        memory: Number(run.memory) || null,
+        username,
+        clientId,
+        sharedAt: Date.now(),
+    };
+}
@@ -0,0 +1,151 @@
+import { PassThrough } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+
+import { executionBackend } from './index.js';
+import { capRunOptions } from './runOptions.js';
+import { authorizeRun, getQuotaSubjects } from '../auth/runners.js';
+import { executionQuotas } from '../quotas/index.js';
+
+/**
+ * Sends a JSON message to a terminal client if its connection is still open.
+ * @param {import('ws').WebSocket} ws - The connection.
+ * @param {Object} message - The message.
+ */
+function send(ws, message) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Sends an error to a terminal client, with the retry delay of quota errors.
+ * @param {import('ws').WebSocket} ws - The connection.
+ * @param {Error} error - An ExecutionError, a QuotaError or an unexpected error.
+ */
+function sendError(ws, error) {
+    send(ws, {
+        type: 'error',
+        error: error.message,
+        code: error.type || 'execution_failed',
+        retryAfter: error.retryAfter,
+    });
+}
+
+/**
+ * Handles a terminal connection: runs programs one at a time with their input and output attached to the connection.
+ *
+ * Client messages, once the server sent `ready`: `start` with a Judge0 `submission` (not base64 encoded), `input`
+ * with `data` typed by the user, `eof` to close the input and `interrupt` to kill the program (Ctrl+C).
+ * Server messages: `ready`, `started`, `output` with the `stream` and `data` written by the program, `exit` with the
+ * `status`, `exitCode`, `time`, `memory`, `compileOutput` and `message` of the finished run, and `error` with the
+ * `error`, its `code` and the `retryAfter` of quota errors.
+ * @param {import('ws').WebSocket} ws - The connection.
+ * @param {import('../auth/runners.js').Runner} runner - Who opened the terminal.
+ */
+export function handleTerminalConnection(ws, runner) {
+    let run = null; // { stdin, abortController }
+
+    async function start(submission) {
+        if (run) {
+            sendError(ws, {
+                message: 'A program is already running',
+                type: 'run_in_progress',
+            });
+            return;
+        }
+        if (!executionBackend.runInteractive) {
+            sendError(ws, {
+                message:
+                    'The execution backend cannot run programs in a terminal',
+                type: 'terminal_unavailable',
+            });
+            return;
+        }
+
+        let cappedSubmission;
+        try {
+            authorizeRun(runner); // Checked on every run, the policy may have changed since the terminal opened
+            cappedSubmission = capRunOptions(submission);
+            executionQuotas.consume(getQuotaSubjects(runner));
+        } catch (error) {
+            sendError(ws, error);
+            return;
+        }
+
+        const currentRun = {
+            stdin: new PassThrough(),
+            abortController: new AbortController(),
+        };
+        run = currentRun;
+        const decoders = {
+            stdout: new StringDecoder('utf8'),
+            stderr: new StringDecoder('utf8'),
+        };
+
+        send(ws, { type: 'started' });
+        try {
+            const result = await executionBackend.runInteractive(
+                cappedSubmission,
+                {
+                    stdin: currentRun.stdin,
+                    onOutput: (stream, chunk) => {
+                        const data = decoders[stream].write(chunk);
+                        if (data) send(ws, { type: 'output', stream, data });
+                    },
+                    signal: currentRun.abortController.signal,
+                }
+            );
+            Object.entries(decoders).forEach(([stream, decoder]) => {
+                const data = decoder.end();
+                if (data) send(ws, { type: 'output', stream, data });
+            });
+            send(ws, {
+                type: 'exit',
+                status: result.status,
+                exitCode: result.exit_code ?? null,
+                time: result.time ?? null,
+                memory: result.memory ?? null,
+                compileOutput: result.compile_output ?? null,
+                message: result.message ?? null,
+            });
+        } catch (error) {
+            if (!error.type) console.error('Terminal run failed:', error);
+            sendError(ws, error);
+        } finally {
+            currentRun.stdin.destroy();
+            run = null;
+        }
+    }
+
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+
+        switch (message?.type) {
+            case 'start':
+                start(message.submission);
+                break;
+            case 'input':
+                if (typeof message.data === 'string' && run?.stdin.writable) {
+                    run.stdin.write(message.data);
+                }
+                break;
+            case 'eof':
+                run?.stdin.end();
+                break;
+            case 'interrupt':
+                run?.abortController.abort();
+                break;
+        }
+    });
+
+    ws.on('close', () => run?.abortController.abort());
+    ws.on('error', (error) =>
+        console.error('Terminal connection error:', error)
+    );
+
+    send(ws, { type: 'ready' });
+}
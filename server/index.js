@@ -9,6 +9,32 @@ import {
     docs,
 } from '@y/websocket-server/utils';
 import judge0Routes from './routes/judge0.js';
+import roomRoutes from './routes/rooms.js';
+import {
+    ROOM_ROLES,
+    RoomTokenError,
+    WS_CLOSE_CODES,
+    verifyRoomToken,
+} from './auth/roomTokens.js';
+import {
+    canRunInRoom,
+    connectRoomMember,
+    disconnectRoomMember,
+    endRoomSession,
+    getLastRun,
+    getRoomSession,
+    getRunPolicy,
+    setLastRun,
+    setRunPolicy,
+} from './auth/roomSessions.js';
+import { resolveRunner } from './auth/runners.js';
+import { parseSharedRun } from './execution/sharedRuns.js';
+import { handleTerminalConnection } from './execution/terminalSessions.js';
+import {
+    createPersistenceAdapter,
+    createYjsPersistence,
+} from './persistence/index.js';
+import { createRoomRecorder, recordingStore } from './recordings/index.js';
 
 if (process.env.NODE_ENV !== 'production') {
     const dotenv = await import('dotenv');
@@ -22,6 +48,9 @@ const PORT = process.env.PORT || 3000;
 
 const MAX_CLIENTS_PER_ROOM = 5;
 
+// Hops of reverse proxies in front of the server, so run quotas see the IP address of the client
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY) || 0;
+
 const ALLOWED_ORIGINS = ALLOWED_ORIGINS_STRING.split(',').map((origin) => {
     const trimmed = origin.trim();
 
@@ -39,7 +68,7 @@ const ALLOWED_ORIGINS = ALLOWED_ORIGINS_STRING.split(',').map((origin) => {
 });
 
 // Track yDocs and clients per room
-const roomClients = new Map(); // room -> Map<wsInstance, { clientId: number, username: string }>
+const roomClients = new Map(); // room -> Map<wsInstance, { clientId: number, userId: string, username: string }>
 const roomAdmins = new Map(); // room -> wsInstance (admin client)
 
 const app = express();
@@ -59,22 +88,83 @@ const httpServer = createServer(app);
     next();
 }); */
 // Cors package middleware
+app.set('trust proxy', TRUST_PROXY);
 app.use(cors({ origin: ALLOWED_ORIGINS }));
-app.use(express.json());
+// Routers parse JSON bodies themselves, only submissions may be large
 app.use('/', judge0Routes); // Mount Judge0 routes
+app.use('/', roomRoutes); // Mount room session/token routes
 
 // WebSocket server instance.
 // Attach it to the HTTP server and keep noServer to handle custom ws upgrade logic
 const wsServer = new WebSocketServer({ noServer: true });
 
-// Disable default persistence (not using y-indexeddb or y-leveldb)
-setPersistence(null);
+// Persist Yjs updates per room so the docs survive all clients dropping off (YJS_PERSISTENCE=none disables it)
+const persistenceAdapter = createPersistenceAdapter();
+const yjsPersistence = persistenceAdapter
+    ? createYjsPersistence(persistenceAdapter)
+    : null;
+setPersistence(yjsPersistence);
+
+// Record timestamped updates and awareness changes for session replay (YJS_RECORDING=off disables it)
+const roomRecorder = recordingStore ? createRoomRecorder(recordingStore) : null;
 
 // Helper to safely get connected clients Map size
 function getRoomClientCount(room) {
     return roomClients.get(room)?.size ?? 0;
 }
 
+/**
+ * Verifies the room token sent with an upgrade request and returns the identity it grants.
+ * A token is only valid for the project room it was issued for.
+ * @param {string|null} token - The token from the query string.
+ * @param {string} room - The requested room.
+ * @returns {{userId: string, username: string, isAdmin: boolean}} Identity of the client.
+ * @throws {RoomTokenError} If the token is invalid or not valid for the room.
+ */
+function authorizeRoomConnection(token, room) {
+    const claims = verifyRoomToken(token);
+
+    if (claims.room !== room) {
+        throw new RoomTokenError(
+            'Room token is not valid for this room',
+            WS_CLOSE_CODES.FORBIDDEN,
+            'room_mismatch'
+        );
+    }
+
+    if (!getRoomSession(claims.room)) {
+        throw new RoomTokenError(
+            `Room "${claims.room}" has no active session`,
+            WS_CLOSE_CODES.FORBIDDEN,
+            'session_ended'
+        );
+    }
+
+    return {
+        userId: claims.userId,
+        username: claims.username,
+        isAdmin: claims.role === ROOM_ROLES.ADMIN,
+    };
+}
+
+/**
+ * Returns the IP address of the client of an upgrade request, read from `x-forwarded-for` behind TRUST_PROXY proxies
+ * like Express does for `req.ip`.
+ * @param {import('http').IncomingMessage} request - The upgrade request.
+ * @returns {string} The IP address.
+ */
+function getClientIp(request) {
+    const addresses = [
+        request.socket.remoteAddress,
+        ...(request.headers['x-forwarded-for'] ?? '')
+            .split(',')
+            .map((address) => address.trim())
+            .filter(Boolean)
+            .reverse(),
+    ];
+    return addresses[Math.min(TRUST_PROXY, addresses.length - 1)];
+}
+
 // Handle WebSocket upgrade requests
 httpServer.on('upgrade', (request, socket, head) => {
     // Parse the URL to determine the room
@@ -93,8 +183,13 @@ httpServer.on('upgrade', (request, socket, head) => {
         // return origin.test(clientOrigin);
     });
 
-    // Check if pathname doesn't include yjs OR origin exists AND is not in allowed list
-    if (!pathname.includes('/yjs') || (clientOrigin && !isOriginAllowed)) {
+    const isTerminal = pathname === '/terminal';
+
+    // Check if pathname doesn't include yjs or terminal OR origin exists AND is not in allowed list
+    if (
+        (!pathname.includes('/yjs') && !isTerminal) ||
+        (clientOrigin && !isOriginAllowed)
+    ) {
         console.log(
             `WebSocket upgrade rejected from origin: ${clientOrigin} for path: ${pathname}`
         );
@@ -103,13 +198,58 @@ httpServer.on('upgrade', (request, socket, head) => {
         return;
     }
 
+    // Terminals attached to programs run by the local runner, runs are counted like the HTTP ones
+    if (isTerminal) {
+        wsServer.handleUpgrade(request, socket, head, async (wsInstance) => {
+            try {
+                const runner = await resolveRunner({
+                    ip: getClientIp(request),
+                    jwt: searchParams.get('jwt'),
+                    roomToken: searchParams.get('token'),
+                });
+                handleTerminalConnection(wsInstance, runner);
+            } catch (error) {
+                wsInstance.send(
+                    JSON.stringify({
+                        type: 'error',
+                        error: error.message,
+                        code: error.type,
+                    })
+                );
+                wsInstance.close(WS_CLOSE_CODES.TOKEN_INVALID, error.message);
+            }
+        });
+        return;
+    }
+
     // Handle WebSocket connections on the /yjs path
     wsServer.handleUpgrade(request, socket, head, (wsInstance) => {
         // Extract room from search params or fallback to default
         const room = searchParams.get('room') || 'bytetogether'; // fallback to 'bytetogether' as the default room
-        const isAdmin = searchParams.get('admin') === 'true'; // Set by client in handleInvite
-        const clientId = parseInt(searchParams.get('clientId')) || 0; // Unique client ID
-        const username = searchParams.get('username') || `User${clientId}`; // From awareness
+        const clientId = parseInt(searchParams.get('clientId')) || 0; // Yjs client ID, only used for presence
+
+        // Role and identity come from the signed room token, never from the query string
+        let identity;
+        try {
+            identity = authorizeRoomConnection(searchParams.get('token'), room);
+        } catch (error) {
+            const code =
+                error instanceof RoomTokenError
+                    ? error.code
+                    : WS_CLOSE_CODES.TOKEN_INVALID;
+
+            console.warn(
+                `Client rejected from room "${room}": ${error.message}`
+            );
+
+            wsInstance.send(
+                JSON.stringify({ type: 'unauthorized', error: error.message })
+            );
+            wsInstance.close(code, error.message);
+            return;
+        }
+        const { userId, username, isAdmin } = identity;
+        const ip = getClientIp(request);
 
         const currentClientCount = getRoomClientCount(room);
         if (currentClientCount >= MAX_CLIENTS_PER_ROOM) {
@@ -123,7 +263,7 @@ httpServer.on('upgrade', (request, socket, head) => {
             );
 
             wsInstance.send(message); // Inform the client why they’re unable to join
-            wsInstance.close(4001, 'Room is full'); // Close with custom code (4001 = custom app limit)
+            wsInstance.close(WS_CLOSE_CODES.ROOM_FULL, 'Room is full'); // Close with custom code (4001 = custom app limit)
             return;
         }
 
@@ -131,13 +271,21 @@ httpServer.on('upgrade', (request, socket, head) => {
         if (!roomClients.has(room)) {
             roomClients.set(room, new Map());
         }
-        roomClients.get(room).set(wsInstance, { clientId, username });
+        roomClients.get(room).set(wsInstance, { clientId, userId, username });
         if (isAdmin) {
             roomAdmins.set(room, wsInstance);
         }
+        // Runs from the address of a member follow the run policy of the room, even without credentials
+        connectRoomMember(room, { userId, username }, ip);
 
         // Handle the Yjs protocol using y-websocket-server
         setupWSConnection(wsInstance, request, { docName: room });
+        // Transactions from a client use its connection as origin
+        roomRecorder?.attach(
+            room,
+            getYDoc(room),
+            (origin) => roomClients.get(room)?.get(origin)?.username ?? null
+        );
         console.log(
             `WebSocket client ${username} (ID: ${clientId}) connected to room: ${room}`
         );
@@ -154,16 +302,15 @@ httpServer.on('upgrade', (request, socket, head) => {
                 if (roomClients.get(room)) {
                     const clients = [...roomClients.get(room).entries()];
                     const connectedClients = clients.map(
-                        ([_, { clientId, username }]) => ({
+                        ([_, { clientId, userId, username }]) => ({
                             clientId,
+                            userId,
                             username,
                         })
                     );
+                    // The admin picks who may run code from the verified users of this list
                     roomClients.get(room).forEach((_, client) => {
-                        if (
-                            client !== wsInstance &&
-                            client.readyState === client.OPEN
-                        ) {
+                        if (client.readyState === client.OPEN) {
                             client.send(
                                 JSON.stringify({
                                     type: 'client-update',
@@ -196,6 +343,19 @@ httpServer.on('upgrade', (request, socket, head) => {
             }
         }
 
+        // Sends a JSON message to every other open client of the room, or to all of them
+        function broadcast(message, { includeSelf = false } = {}) {
+            const data = JSON.stringify(message);
+            roomClients.get(room)?.forEach((_, client) => {
+                if (
+                    (includeSelf || client !== wsInstance) &&
+                    client.readyState === client.OPEN
+                ) {
+                    client.send(data);
+                }
+            });
+        }
+
         wsInstance.on('message', (data, isBinary) => {
             if (isBinary || data instanceof ArrayBuffer) return;
             try {
@@ -205,10 +365,16 @@ httpServer.on('upgrade', (request, socket, head) => {
                     isAdmin &&
                     roomAdmins.get(room) === wsInstance
                 ) {
-                    // Destroy yDoc and disconnect all clients
+                    // Destroy yDoc, drop its stored updates and disconnect all clients
                     const yDoc = getYDoc(room);
                     yDoc.destroy();
                     docs.delete(room);
+                    yjsPersistence?.clearRoom(room).catch((error) => {
+                        console.error(
+                            `Failed to clear stored room ${room}:`,
+                            error
+                        );
+                    });
                     roomClients.get(room).forEach((_, client) => {
                         if (
                             client !== wsInstance &&
@@ -225,9 +391,11 @@ httpServer.on('upgrade', (request, socket, head) => {
                     });
                     roomClients.delete(room);
                     roomAdmins.delete(room);
+                    endRoomSession(room); // Invalidate issued tokens
                     console.log(`Room ${room} destroyed by admin`);
                 } else if (message.type === 'client-left') {
-                    roomClients.get(room).delete(wsInstance);
+                    // The member leaves once its socket is closed, see the close handler
+                    wsInstance.close();
                 } else if (message.type === 'client-joined') {
                     const { clientId, username } = message;
                     notifyClients(
@@ -237,6 +405,50 @@ httpServer.on('upgrade', (request, socket, head) => {
                         username,
                         `${username} joined the room`
                     );
+
+                    // Catch the joining client up with who may run code and the latest shared run
+                    wsInstance.send(
+                        JSON.stringify({
+                            type: 'run-policy',
+                            policy: getRunPolicy(room),
+                        })
+                    );
+                    const lastRun = getLastRun(room);
+                    if (lastRun) {
+                        wsInstance.send(
+                            JSON.stringify({ type: 'run-update', run: lastRun })
+                        );
+                    }
+                } else if (message.type === 'run-update') {
+                    if (!canRunInRoom(room, userId)) {
+                        wsInstance.send(
+                            JSON.stringify({
+                                type: 'run-rejected',
+                                error: 'The room admin does not allow you to run code',
+                            })
+                        );
+                        return;
+                    }
+
+                    const run = parseSharedRun(message.run, {
+                        username,
+                        clientId,
+                    });
+                    if (!run) return;
+                    setLastRun(room, run);
+                    broadcast({ type: 'run-update', run });
+                } else if (
+                    message.type === 'run-policy' &&
+                    isAdmin &&
+                    roomAdmins.get(room) === wsInstance
+                ) {
+                    const policy = setRunPolicy(room, message.policy);
+                    if (policy) {
+                        broadcast(
+                            { type: 'run-policy', policy },
+                            { includeSelf: true }
+                        );
+                    }
                 }
             } catch (error) {
                 console.error(
@@ -251,8 +463,10 @@ httpServer.on('upgrade', (request, socket, head) => {
                 `WebSocket client ${username} (ID: ${clientId}) disconnected from room: ${room}`
             );
             try {
+                disconnectRoomMember(room, userId, ip);
                 const roomMap = roomClients.get(room);
                 if (roomMap) {
+                    roomMap.delete(wsInstance);
                     notifyClients(
                         true,
                         'client-left',
@@ -260,17 +474,18 @@ httpServer.on('upgrade', (request, socket, head) => {
                         username,
                         `${username} left the room`
                     );
-                    roomMap?.delete(wsInstance);
                 }
                 if (roomAdmins.get(room) === wsInstance) {
                     roomAdmins.delete(room);
                 }
 
                 if (getRoomClientCount(room) === 0) {
-                    const yDoc = getYDoc(room);
-                    yDoc.destroy();
                     roomClients.delete(room);
-                    docs.delete(room);
+                    // With persistence, y-websocket-server stores and destroys the doc itself once its last connection closes
+                    if (!yjsPersistence) {
+                        docs.get(room)?.destroy();
+                        docs.delete(room);
+                    }
                     console.log(`Room ${room} destroyed (no clients left)`);
                 }
             } catch (error) {
@@ -289,6 +504,23 @@ httpServer.on('upgrade', (request, socket, head) => {
 
 httpServer.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 
+// Flush pending Yjs writes before exiting
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down`);
+    try {
+        await Promise.all(
+            [...docs.keys()].map((room) => yjsPersistence?.writeState(room))
+        );
+        await yjsPersistence?.destroy();
+        await recordingStore?.destroy();
+    } catch (error) {
+        console.error('Error while flushing Yjs persistence:', error);
+    }
+    process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 //TODO Remove these before pushing to prod
 wsServer.on('error', (error) => {
     console.error('WebSocket server error:', error);
@@ -0,0 +1,138 @@
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as Y from 'yjs';
+
+import RoomTaskQueue from './RoomTaskQueue.js';
+
+const UPDATE_HEADER_BYTES = 4; // Each stored update is prefixed with its byte length
+
+/**
+ * Persistence adapter that stores Yjs updates per room in append-only files on disk.
+ * Every room gets a single `<room>.ylog` file made of length-prefixed binary updates.
+ */
+export default class FileSystemAdapter {
+    #directory;
+    #queue = new RoomTaskQueue(); // Reads, appends and compactions of one room never interleave
+
+    /**
+     * @param {string} directory - Directory in which room logs are stored.
+     */
+    constructor(directory) {
+        this.#directory = path.resolve(directory);
+    }
+
+    /**
+     * Resolves the log file path for a room. Room names are URL encoded to keep them filesystem safe.
+     * @param {string} room - The room name.
+     * @returns {string} Absolute path of the room's log file.
+     */
+    #getRoomFile(room) {
+        return path.join(this.#directory, `${encodeURIComponent(room)}.ylog`);
+    }
+
+    /**
+     * Reads and decodes all updates from a room's log file.
+     * @param {string} room - The room name.
+     * @returns {Promise<Uint8Array[]>} Stored updates in write order.
+     */
+    async #readUpdates(room) {
+        let buffer;
+        try {
+            buffer = await fs.readFile(this.#getRoomFile(room));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const updates = [];
+        let offset = 0;
+        while (offset + UPDATE_HEADER_BYTES <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            offset += UPDATE_HEADER_BYTES;
+            if (offset + length > buffer.length) {
+                // Partially written tail (e.g. crash mid-append), ignore it
+                console.warn(`Truncated Yjs update found in room ${room}`);
+                break;
+            }
+            updates.push(
+                new Uint8Array(buffer.subarray(offset, offset + length))
+            );
+            offset += length;
+        }
+        return updates;
+    }
+
+    /**
+     * Encodes an update with its length prefix.
+     * @param {Uint8Array} update - The Yjs update.
+     * @returns {Buffer} Encoded record.
+     */
+    #encodeRecord(update) {
+        const header = Buffer.alloc(UPDATE_HEADER_BYTES);
+        header.writeUInt32BE(update.byteLength, 0);
+        return Buffer.concat([header, Buffer.from(update)]);
+    }
+
+    /**
+     * Returns all stored updates of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<Uint8Array[]>} Stored updates.
+     */
+    getUpdates(room) {
+        return this.#queue.enqueue(room, () => this.#readUpdates(room));
+    }
+
+    /**
+     * Appends an update to a room's log.
+     * @param {string} room - The room name.
+     * @param {Uint8Array} update - The Yjs update.
+     * @returns {Promise<void>}
+     */
+    storeUpdate(room, update) {
+        return this.#queue.enqueue(room, async () => {
+            await fs.mkdir(this.#directory, { recursive: true });
+            await fs.appendFile(
+                this.#getRoomFile(room),
+                this.#encodeRecord(update)
+            );
+        });
+    }
+
+    /**
+     * Merges all updates of a room into a single update and atomically rewrites the log.
+     * @param {string} room - The room name.
+     * @returns {Promise<void>}
+     */
+    compact(room) {
+        return this.#queue.enqueue(room, async () => {
+            const updates = await this.#readUpdates(room);
+            if (updates.length < 2) return;
+
+            const merged = Y.mergeUpdates(updates);
+            const roomFile = this.#getRoomFile(room);
+            const tempFile = `${roomFile}.tmp`;
+            await fs.writeFile(tempFile, this.#encodeRecord(merged));
+            await fs.rename(tempFile, roomFile);
+        });
+    }
+
+    /**
+     * Deletes all stored updates of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<void>}
+     */
+    clearRoom(room) {
+        return this.#queue.enqueue(room, () =>
+            fs.rm(this.#getRoomFile(room), { force: true })
+        );
+    }
+
+    /**
+     * Waits for all pending writes to finish.
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        await this.#queue.drain();
+    }
+}
@@ -0,0 +1,65 @@
+import * as Y from 'yjs';
+import { LeveldbPersistence } from 'y-leveldb';
+
+/**
+ * Persistence adapter backed by LevelDB through `y-leveldb`.
+ * y-leveldb already stores updates incrementally and knows how to merge them, so this is a thin wrapper.
+ */
+export default class LevelDbAdapter {
+    #ldb;
+
+    /**
+     * @param {string} directory - Directory of the LevelDB database.
+     */
+    constructor(directory) {
+        this.#ldb = new LeveldbPersistence(directory);
+    }
+
+    /**
+     * Returns the stored state of a room as a single update.
+     * @param {string} room - The room name.
+     * @returns {Promise<Uint8Array[]>} Stored updates.
+     */
+    async getUpdates(room) {
+        const persistedYDoc = await this.#ldb.getYDoc(room);
+        const update = Y.encodeStateAsUpdate(persistedYDoc);
+        persistedYDoc.destroy();
+        return [update];
+    }
+
+    /**
+     * Stores an update for a room.
+     * @param {string} room - The room name.
+     * @param {Uint8Array} update - The Yjs update.
+     * @returns {Promise<void>}
+     */
+    async storeUpdate(room, update) {
+        await this.#ldb.storeUpdate(room, update);
+    }
+
+    /**
+     * Merges the stored updates of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<void>}
+     */
+    async compact(room) {
+        await this.#ldb.flushDocument(room);
+    }
+
+    /**
+     * Deletes all stored data of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<void>}
+     */
+    async clearRoom(room) {
+        await this.#ldb.clearDocument(room);
+    }
+
+    /**
+     * Closes the database.
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        await this.#ldb.destroy();
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Serializes asynchronous tasks per room, so that reads and writes of one room's files never interleave while
+ * different rooms still run in parallel.
+ */
+export default class RoomTaskQueue {
+    #queues = new Map(); // room -> Promise chain
+
+    /**
+     * Queues a task after the pending tasks of its room. A failed task does not stop the next ones.
+     * @template T
+     * @param {string} room - The room name.
+     * @param {() => Promise<T>} task - The task to run.
+     * @returns {Promise<T>} Result of the task.
+     */
+    enqueue(room, task) {
+        const previous = this.#queues.get(room) || Promise.resolve();
+        const next = previous.then(task, task);
+        const settled = next.catch(() => {});
+        this.#queues.set(room, settled);
+        settled.then(() => {
+            if (this.#queues.get(room) === settled) {
+                this.#queues.delete(room);
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Waits for all pending tasks to finish.
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        await Promise.all([...this.#queues.values()]);
+    }
+}
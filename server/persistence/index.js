@@ -0,0 +1,153 @@
+import * as Y from 'yjs';
+
+import FileSystemAdapter from './FileSystemAdapter.js';
+import LevelDbAdapter from './LevelDbAdapter.js';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+/**
+ * @typedef {Object} PersistenceAdapter
+ * @property {(room: string) => Promise<Uint8Array[]>} getUpdates - Returns all stored updates of a room.
+ * @property {(room: string, update: Uint8Array) => Promise<void>} storeUpdate - Stores a single update of a room.
+ * @property {(room: string) => Promise<void>} compact - Merges the stored updates of a room.
+ * @property {(room: string) => Promise<void>} clearRoom - Deletes all stored updates of a room.
+ * @property {() => Promise<void>} destroy - Flushes pending writes and releases resources.
+ */
+
+const PERSISTENCE_DRIVER = process.env.YJS_PERSISTENCE || 'filesystem'; // filesystem | leveldb | none
+const PERSISTENCE_DIR = process.env.YJS_PERSISTENCE_DIR || './data/yjs';
+const COMPACTION_THRESHOLD =
+    parseInt(process.env.YJS_COMPACTION_THRESHOLD) || 500; // updates per room
+const COMPACTION_INTERVAL =
+    parseInt(process.env.YJS_COMPACTION_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Creates the persistence adapter configured through environment variables.
+ * @returns {PersistenceAdapter|null} The adapter, or null if persistence is disabled.
+ */
+export function createPersistenceAdapter() {
+    switch (PERSISTENCE_DRIVER) {
+        case 'none':
+            return null;
+        case 'leveldb':
+            return new LevelDbAdapter(PERSISTENCE_DIR);
+        case 'filesystem':
+            return new FileSystemAdapter(PERSISTENCE_DIR);
+        default:
+            throw new Error(
+                `Unknown YJS_PERSISTENCE driver "${PERSISTENCE_DRIVER}"`
+            );
+    }
+}
+
+/**
+ * Builds a y-websocket-server compatible persistence layer on top of an adapter.
+ * Stored updates are applied when a room's yDoc is created (first client connects), every new update is stored,
+ * and rooms are compacted once they collect too many updates, periodically and when the last client leaves.
+ * @param {PersistenceAdapter} adapter - Storage adapter.
+ * @returns {{provider: PersistenceAdapter, bindState: Function, writeState: Function, clearRoom: Function, destroy: Function}} Persistence layer for `setPersistence`.
+ */
+export function createYjsPersistence(adapter) {
+    const pendingUpdates = new Map(); // room -> number of updates stored since last compaction
+
+    async function compactRoom(room, force = false) {
+        if (!force && !pendingUpdates.get(room)) return;
+        pendingUpdates.set(room, 0);
+        try {
+            await adapter.compact(room);
+        } catch (error) {
+            console.error(`Failed to compact Yjs room ${room}:`, error);
+        }
+    }
+
+    const compactionTimer = setInterval(() => {
+        pendingUpdates.forEach((_, room) => compactRoom(room));
+    }, COMPACTION_INTERVAL);
+    compactionTimer.unref();
+
+    return {
+        provider: adapter,
+
+        /**
+         * Loads the stored state into a freshly created room doc and persists its future updates.
+         * @param {string} room - The room name.
+         * @param {Y.Doc} yDoc - The shared room doc.
+         */
+        async bindState(room, yDoc) {
+            // Subscribe before loading so updates from early clients are not lost
+            yDoc.on('update', (update, origin) => {
+                if (origin === adapter) return; // Skip updates loaded from storage
+
+                adapter
+                    .storeUpdate(room, update)
+                    .then(() => {
+                        const count = (pendingUpdates.get(room) || 0) + 1;
+                        pendingUpdates.set(room, count);
+                        if (count >= COMPACTION_THRESHOLD) {
+                            compactRoom(room);
+                        }
+                    })
+                    .catch((error) =>
+                        console.error(
+                            `Failed to store Yjs update for room ${room}:`,
+                            error
+                        )
+                    );
+            });
+
+            try {
+                const storedUpdates = await adapter.getUpdates(room);
+                Y.transact(
+                    yDoc,
+                    () => {
+                        storedUpdates.forEach((update) =>
+                            Y.applyUpdate(yDoc, update)
+                        );
+                    },
+                    adapter
+                );
+                pendingUpdates.set(
+                    room,
+                    (pendingUpdates.get(room) || 0) + storedUpdates.length
+                );
+                console.log(
+                    `Restored room ${room} from ${storedUpdates.length} stored update(s)`
+                );
+            } catch (error) {
+                console.error(`Failed to restore Yjs room ${room}:`, error);
+            }
+        },
+
+        /**
+         * Compacts a room when its doc is about to be destroyed (last client left).
+         * @param {string} room - The room name.
+         * @returns {Promise<void>}
+         */
+        async writeState(room) {
+            await compactRoom(room, true);
+            pendingUpdates.delete(room);
+        },
+
+        /**
+         * Removes all stored data of a room, e.g. when the admin ends the session.
+         * @param {string} room - The room name.
+         * @returns {Promise<void>}
+         */
+        async clearRoom(room) {
+            pendingUpdates.delete(room);
+            await adapter.clearRoom(room);
+        },
+
+        /**
+         * Stops the compaction timer and closes the adapter.
+         * @returns {Promise<void>}
+         */
+        async destroy() {
+            clearInterval(compactionTimer);
+            await adapter.destroy();
+        },
+    };
+}
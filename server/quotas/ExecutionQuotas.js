@@ -0,0 +1,156 @@
+import QuotaError from './QuotaError.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const CLEANUP_INTERVAL = 10 * MINUTE;
+
+/**
+ * @typedef {Object} QuotaLimits
+ * @property {number} perMinute - Most runs per minute, 0 for no limit.
+ * @property {number} perDay - Most runs per UTC day, 0 for no quota.
+ */
+
+/**
+ * @typedef {Object} QuotaSubject
+ * @property {string} scope - What the runs are counted against: "user", "ip", "anonymous" or "room".
+ * @property {string} id - The user ID, IP address or room name.
+ */
+
+/**
+ * Counts the runs of users, IP addresses and rooms in fixed one minute windows and per UTC day, in memory.
+ * Counters are per server process and start over on restart.
+ */
+export default class ExecutionQuotas {
+    #limits;
+    #counters = new Map(); // "scope:id" -> {minute, minuteCount, day, dayCount}
+    #cleanupTimer;
+
+    /**
+     * @param {Object<string, QuotaLimits>} limits - Limits per scope.
+     */
+    constructor(limits) {
+        this.#limits = limits;
+        this.#cleanupTimer = setInterval(
+            () => this.#removeStaleCounters(),
+            CLEANUP_INTERVAL
+        );
+        this.#cleanupTimer.unref();
+    }
+
+    /**
+     * Returns the counter of a subject for the current windows, starting new windows when they passed.
+     * @param {QuotaSubject} subject
+     * @param {number} now - Current time in ms.
+     * @returns {{minute: number, minuteCount: number, day: number, dayCount: number}}
+     */
+    #getCounter({ scope, id }, now) {
+        const key = `${scope}:${id}`;
+        const minute = Math.floor(now / MINUTE);
+        const day = Math.floor(now / DAY);
+        const counter = this.#counters.get(key) || {
+            minute,
+            minuteCount: 0,
+            day,
+            dayCount: 0,
+        };
+
+        if (counter.minute !== minute) {
+            counter.minute = minute;
+            counter.minuteCount = 0;
+        }
+        if (counter.day !== day) {
+            counter.day = day;
+            counter.dayCount = 0;
+        }
+        this.#counters.set(key, counter);
+        return counter;
+    }
+
+    #removeStaleCounters() {
+        const day = Math.floor(Date.now() / DAY);
+        this.#counters.forEach((counter, key) => {
+            if (counter.day !== day) this.#counters.delete(key);
+        });
+    }
+
+    /**
+     * Counts runs against all subjects, or none of them if one would go over its limits.
+     * @param {QuotaSubject[]} subjects - What the runs are counted against.
+     * @param {number} [count] - Number of runs, e.g. the submissions of a batch.
+     * @throws {QuotaError} If a subject is rate limited (429) or used up its daily quota (429).
+     */
+    consume(subjects, count = 1) {
+        const now = Date.now();
+        const counters = subjects.map((subject) =>
+            this.#getCounter(subject, now)
+        );
+
+        subjects.forEach(({ scope }, index) => {
+            const { perMinute, perDay } = this.#limits[scope];
+            const counter = counters[index];
+
+            if (perDay && counter.dayCount + count > perDay) {
+                throw new QuotaError(
+                    `The daily ${scope} quota of ${perDay} runs is used up`,
+                    429,
+                    'quota_exceeded',
+                    {
+                        scope,
+                        retryAfter: Math.ceil(
+                            ((counter.day + 1) * DAY - now) / 1000
+                        ),
+                    }
+                );
+            }
+            if (perMinute && counter.minuteCount + count > perMinute) {
+                throw new QuotaError(
+                    `Too many runs, at most ${perMinute} per minute are allowed per ${scope}`,
+                    429,
+                    'rate_limited',
+                    {
+                        scope,
+                        retryAfter: Math.ceil(
+                            ((counter.minute + 1) * MINUTE - now) / 1000
+                        ),
+                    }
+                );
+            }
+        });
+
+        counters.forEach((counter) => {
+            counter.minuteCount += count;
+            counter.dayCount += count;
+        });
+    }
+
+    /**
+     * Returns how many runs subjects have left.
+     * @param {QuotaSubject[]} subjects
+     * @returns {Array<Object>} Per subject its scope, the limits, the runs used and left (null without limit), and
+     * when the daily quota resets.
+     */
+    getUsage(subjects) {
+        const now = Date.now();
+        return subjects.map((subject) => {
+            const { perMinute, perDay } = this.#limits[subject.scope];
+            const counter = this.#getCounter(subject, now);
+            return {
+                scope: subject.scope,
+                perMinute: perMinute || null,
+                perDay: perDay || null,
+                usedToday: counter.dayCount,
+                remainingToday: perDay
+                    ? Math.max(perDay - counter.dayCount, 0)
+                    : null,
+                resetsAt: new Date((counter.day + 1) * DAY).toISOString(),
+            };
+        });
+    }
+
+    /**
+     * Stops the cleanup timer.
+     */
+    destroy() {
+        clearInterval(this.#cleanupTimer);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Custom error class for runs refused by a rate limit or a daily quota.
+ */
+export default class QuotaError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status to answer the request with.
+     * @param {string} type - The type of error ("rate_limited" or "quota_exceeded").
+     * @param {Object} details
+     * @param {string} details.scope - The exhausted scope ("user", "ip" or "room").
+     * @param {number} details.retryAfter - Seconds until runs are accepted again.
+     */
+    constructor(message, status, type, { scope, retryAfter }) {
+        super(message);
+        this.name = 'QuotaError';
+        this.status = status;
+        this.type = type;
+        this.scope = scope;
+        this.retryAfter = retryAfter;
+    }
+}
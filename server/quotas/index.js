@@ -0,0 +1,52 @@
+import ExecutionQuotas from './ExecutionQuotas.js';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+/**
+ * Reads a limit from the environment, 0 turns it off.
+ * @param {string} name - Name of the environment variable.
+ * @param {number} fallback - Limit when the variable is not set.
+ * @returns {number}
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : Math.max(value, 0);
+}
+
+/**
+ * Scopes runs are counted against. Every run is counted by IP address, so new accounts do not add runs to a network,
+ * then signed in users by user ID and anonymous clients by IP address again with lower limits. Runs of the members
+ * of a live session are counted by room as well.
+ */
+export const QUOTA_SCOPES = {
+    USER: 'user',
+    IP: 'ip',
+    ANONYMOUS: 'anonymous',
+    ROOM: 'room',
+};
+
+/**
+ * Run limits shared by all submission routes.
+ * @type {ExecutionQuotas}
+ */
+export const executionQuotas = new ExecutionQuotas({
+    [QUOTA_SCOPES.USER]: {
+        perMinute: readLimit('QUOTA_USER_PER_MINUTE', 20),
+        perDay: readLimit('QUOTA_USER_PER_DAY', 500),
+    },
+    [QUOTA_SCOPES.IP]: {
+        perMinute: readLimit('QUOTA_IP_PER_MINUTE', 40),
+        perDay: readLimit('QUOTA_IP_PER_DAY', 1000),
+    },
+    [QUOTA_SCOPES.ANONYMOUS]: {
+        perMinute: readLimit('QUOTA_ANONYMOUS_PER_MINUTE', 10),
+        perDay: readLimit('QUOTA_ANONYMOUS_PER_DAY', 100),
+    },
+    [QUOTA_SCOPES.ROOM]: {
+        perMinute: readLimit('QUOTA_ROOM_PER_MINUTE', 40),
+        perDay: readLimit('QUOTA_ROOM_PER_DAY', 1000),
+    },
+});
@@ -0,0 +1,241 @@
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as Y from 'yjs';
+
+import RoomTaskQueue from '../persistence/RoomTaskQueue.js';
+
+const RECORDING_EXTENSION = '.jsonl';
+const EXPIRY_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * @typedef {Object} RecordingEvent
+ * @property {number} t - Time the event was received by the server (ms since epoch).
+ * @property {'update'|'awareness'} type - Kind of event.
+ * @property {string|null} author - Username of the client that sent it, null for server side changes (e.g. restored state).
+ * @property {string} [data] - Base64 encoded Yjs update, for `update` events.
+ * @property {Array<{clientId: number, state: Object|null}>} [states] - Changed awareness states, for `awareness` events.
+ */
+
+/**
+ * Parses the lines of a recording file.
+ * @param {string} content - Content of the file.
+ * @param {string} room - The room name, for warnings.
+ * @returns {RecordingEvent[]} Recorded events in order.
+ */
+function parseEvents(content, room) {
+    const events = [];
+    for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+            events.push(JSON.parse(line));
+        } catch {
+            // Partially written tail (e.g. crash mid-append), ignore it
+            console.warn(`Truncated recording event in room ${room}`);
+        }
+    }
+    return events;
+}
+
+/**
+ * Stores session recordings per room as JSON Lines files on disk.
+ * Every room gets a single `<room>.jsonl` file with one event per line. A recording growing past its size limit is
+ * compacted: its older half is merged into a single update, so it still replays to the same document. Recordings
+ * not written to for longer than their maximum age are deleted.
+ */
+export default class RecordingStore {
+    #directory;
+    #maxBytes;
+    #maxAge;
+    #queue = new RoomTaskQueue(); // Reads, appends and deletions of one room never interleave
+    #sizes = new Map(); // room -> size of its recording file in bytes
+    #expiryTimer;
+
+    /**
+     * @param {string} directory - Directory in which recordings are stored.
+     * @param {Object} options
+     * @param {number} options.maxBytes - Size past which a recording is compacted.
+     * @param {number} options.maxAge - Time after the last write at which a recording is deleted, in ms.
+     */
+    constructor(directory, { maxBytes, maxAge }) {
+        this.#directory = path.resolve(directory);
+        this.#maxBytes = maxBytes;
+        this.#maxAge = maxAge;
+
+        this.#expiryTimer = setInterval(
+            () => this.#expireRecordings(),
+            EXPIRY_INTERVAL
+        );
+        this.#expiryTimer.unref();
+        this.#expireRecordings();
+    }
+
+    /**
+     * Resolves the recording file path for a room. Room names are URL encoded to keep them filesystem safe.
+     * @param {string} room - The room name.
+     * @returns {string} Absolute path of the room's recording.
+     */
+    #getRoomFile(room) {
+        return path.join(
+            this.#directory,
+            `${encodeURIComponent(room)}${RECORDING_EXTENSION}`
+        );
+    }
+
+    /**
+     * Reads the recorded events of a room, without queueing.
+     * @param {string} room - The room name.
+     * @returns {Promise<RecordingEvent[]>} Recorded events in order.
+     */
+    async #readEvents(room) {
+        let content;
+        try {
+            content = await fs.readFile(this.#getRoomFile(room), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return parseEvents(content, room);
+    }
+
+    /**
+     * Returns the size of a room's recording, read from disk the first time.
+     * @param {string} room - The room name.
+     * @returns {Promise<number>} Size in bytes.
+     */
+    async #getSize(room) {
+        if (!this.#sizes.has(room)) {
+            const stats = await fs
+                .stat(this.#getRoomFile(room))
+                .catch(() => null);
+            this.#sizes.set(room, stats?.size ?? 0);
+        }
+        return this.#sizes.get(room);
+    }
+
+    /**
+     * Merges the older half of a room's recording into a single update event and atomically rewrites it.
+     * Awareness changes of that half are dropped, the merged update is timed at the last event it replaces.
+     * @param {string} room - The room name.
+     */
+    async #compact(room) {
+        const events = await this.#readEvents(room);
+        const splitIndex = Math.ceil(events.length / 2);
+        const older = events.slice(0, splitIndex);
+        const updates = older
+            .filter((event) => event.type === 'update')
+            .map((event) => new Uint8Array(Buffer.from(event.data, 'base64')));
+
+        const kept = events.slice(splitIndex);
+        if (updates.length) {
+            kept.unshift({
+                t: older[older.length - 1].t,
+                type: 'update',
+                author: null,
+                data: Buffer.from(Y.mergeUpdates(updates)).toString('base64'),
+            });
+        }
+
+        const content = kept
+            .map((event) => `${JSON.stringify(event)}\n`)
+            .join('');
+        const roomFile = this.#getRoomFile(room);
+        const tempFile = `${roomFile}.tmp`;
+        await fs.writeFile(tempFile, content);
+        await fs.rename(tempFile, roomFile);
+        this.#sizes.set(room, Buffer.byteLength(content));
+    }
+
+    /**
+     * Deletes the recordings that were not written to for longer than their maximum age.
+     */
+    async #expireRecordings() {
+        let fileNames;
+        try {
+            fileNames = await fs.readdir(this.#directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to list recordings:', error);
+            }
+            return;
+        }
+
+        const expiredBefore = Date.now() - this.#maxAge;
+        const rooms = fileNames
+            .filter((fileName) => fileName.endsWith(RECORDING_EXTENSION))
+            .map((fileName) =>
+                decodeURIComponent(
+                    fileName.slice(0, -RECORDING_EXTENSION.length)
+                )
+            );
+        await Promise.all(
+            rooms.map((room) =>
+                this.#queue
+                    .enqueue(room, async () => {
+                        const stats = await fs
+                            .stat(this.#getRoomFile(room))
+                            .catch(() => null);
+                        if (!stats || stats.mtimeMs >= expiredBefore) return;
+                        await fs.rm(this.#getRoomFile(room), { force: true });
+                        this.#sizes.delete(room);
+                    })
+                    .catch((error) =>
+                        console.error(
+                            `Failed to expire recording of room ${room}:`,
+                            error
+                        )
+                    )
+            )
+        );
+    }
+
+    /**
+     * Appends an event to a room's recording, compacting the recording first if it would grow past its size limit.
+     * @param {string} room - The room name.
+     * @param {RecordingEvent} event - The event.
+     * @returns {Promise<void>}
+     */
+    append(room, event) {
+        return this.#queue.enqueue(room, async () => {
+            const line = `${JSON.stringify(event)}\n`;
+            const size = Buffer.byteLength(line);
+            if ((await this.#getSize(room)) + size > this.#maxBytes) {
+                await this.#compact(room);
+            }
+
+            await fs.mkdir(this.#directory, { recursive: true });
+            await fs.appendFile(this.#getRoomFile(room), line);
+            this.#sizes.set(room, this.#sizes.get(room) + size);
+        });
+    }
+
+    /**
+     * Returns all recorded events of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<RecordingEvent[]>} Recorded events in order.
+     */
+    read(room) {
+        return this.#queue.enqueue(room, () => this.#readEvents(room));
+    }
+
+    /**
+     * Deletes the recording of a room.
+     * @param {string} room - The room name.
+     * @returns {Promise<void>}
+     */
+    clearRoom(room) {
+        return this.#queue.enqueue(room, async () => {
+            await fs.rm(this.#getRoomFile(room), { force: true });
+            this.#sizes.delete(room);
+        });
+    }
+
+    /**
+     * Stops expiring recordings and waits for all pending writes to finish.
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        clearInterval(this.#expiryTimer);
+        await this.#queue.drain();
+    }
+}
@@ -0,0 +1,88 @@
+import { Buffer } from 'node:buffer';
+
+import RecordingStore from './RecordingStore.js';
+
+if (process.env.NODE_ENV !== 'production') {
+    const dotenv = await import('dotenv');
+    dotenv.config();
+}
+
+const RECORDING_ENABLED = process.env.YJS_RECORDING !== 'off'; // on by default
+const RECORDING_DIR = process.env.YJS_RECORDING_DIR || './data/recordings';
+const RECORDING_MAX_BYTES =
+    parseInt(process.env.YJS_RECORDING_MAX_BYTES) || 20 * 1024 * 1024; // 20 MB per room
+const RECORDING_MAX_AGE =
+    parseInt(process.env.YJS_RECORDING_MAX_AGE) || 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Version of the recording format, bumped on breaking changes so old exports can be detected.
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ * Store of session recordings, or null if recording is disabled (YJS_RECORDING=off).
+ * @type {RecordingStore|null}
+ */
+export const recordingStore = RECORDING_ENABLED
+    ? new RecordingStore(RECORDING_DIR, {
+          maxBytes: RECORDING_MAX_BYTES,
+          maxAge: RECORDING_MAX_AGE,
+      })
+    : null;
+
+/**
+ * Records the timestamped Yjs updates and awareness changes of room docs. Awareness heartbeats, which renew states
+ * without changing them, are not recorded.
+ * @param {RecordingStore} store - Where events are stored.
+ * @returns {{attach: Function}} The recorder.
+ */
+export function createRoomRecorder(store) {
+    const recordedDocs = new WeakSet();
+
+    function record(room, event) {
+        store.append(room, event).catch((error) => {
+            console.error(`Failed to record event in room ${room}:`, error);
+        });
+    }
+
+    return {
+        /**
+         * Starts recording a room doc. Attaching the same doc twice is a no-op.
+         * @param {string} room - The room name.
+         * @param {import('@y/websocket-server/utils').WSSharedDoc} doc - The shared room doc.
+         * @param {(origin: unknown) => string|null} getAuthor - Resolves the username behind a transaction origin (the client connection).
+         */
+        attach(room, doc, getAuthor) {
+            if (recordedDocs.has(doc)) return;
+            recordedDocs.add(doc);
+
+            doc.on('update', (update, origin) => {
+                record(room, {
+                    t: Date.now(),
+                    type: 'update',
+                    author: getAuthor(origin),
+                    data: Buffer.from(update).toString('base64'),
+                });
+            });
+
+            doc.awareness.on(
+                'change',
+                ({ added, updated, removed }, origin) => {
+                    const states = [...added, ...updated, ...removed].map(
+                        (clientId) => ({
+                            clientId,
+                            state:
+                                doc.awareness.getStates().get(clientId) ?? null,
+                        })
+                    );
+                    record(room, {
+                        t: Date.now(),
+                        type: 'awareness',
+                        author: getAuthor(origin),
+                        states,
+                    });
+                }
+            );
+        },
+    };
+}
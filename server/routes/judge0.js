@@ -1,125 +1,383 @@
-import { Buffer } from 'node:buffer';
 import express from 'express';
-import axios from 'axios';
 
-if (process.env.NODE_ENV !== 'production') {
-    const dotenv = await import('dotenv');
-    dotenv.config();
-}
+import { MAX_BATCH_SIZE, executionBackend } from '../execution/index.js';
+import { followSubmission } from '../execution/followSubmission.js';
+import { capRunOptions } from '../execution/runOptions.js';
+import {
+    authorizeCancel,
+    authorizeRun,
+    getQuotaSubjects,
+    recordSubmissionRunner,
+    resolveRunner,
+} from '../auth/runners.js';
+import { executionQuotas } from '../quotas/index.js';
 
 const router = express.Router();
-const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
-const JUDGE0_API_KEY = process.env.JUDGE0_API_KEY;
+
+// Multi-file submissions carry a zipped project, the only request bodies allowed past the default 100 KB
+const parseSubmissionBody = express.json({ limit: '10mb' });
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // Keeps idle event streams open through proxies
+
+// Open event streams per submission, so cancelling a submission ends them
+const submissionStreams = new Map(); // token -> Set<AbortController>
+
+/**
+ * Sends a failed backend call as a JSON error, with the status of the backend when there is one.
+ * @param {Object} res - Express response object.
+ * @param {Error} error - Error of the backend, an ExecutionError or an axios error.
+ */
+function sendExecutionError(res, error) {
+    const status = error.status || error.response?.status || 500;
+    return res.status(status).json({
+        error: error.message,
+        code:
+            error.type ||
+            (status === 429 ? 'upstream_rate_limited' : 'execution_failed'),
+    });
+}
+
+/**
+ * Resolves who makes a run request into `req.runner`: the signed in user from the Appwrite JWT in the
+ * `x-appwrite-jwt` header, or from the room token in the `x-room-token` header during a live session, and the IP
+ * address.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+async function identifyRunner(req, res, next) {
+    try {
+        req.runner = await resolveRunner({
+            ip: req.ip,
+            jwt: req.get('x-appwrite-jwt'),
+            roomToken: req.get('x-room-token'),
+        });
+    } catch (error) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, code: error.type });
+    }
+    return next();
+}
+
+/**
+ * Rejects runs of collaborators the room admin does not allow to run code, whether or not they send their room
+ * token. Runs of users outside of a session are not restricted.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+function authorizeRoomRun(req, res, next) {
+    try {
+        authorizeRun(req.runner);
+    } catch (error) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, code: error.type });
+    }
+    return next();
+}
 
 /**
- * POST /api/submissions - Create a Judge0 submission.
+ * Counts the runs of a request against the rate limits and daily quotas of the runner, every submission of a batch
+ * counts as a run.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
  */
-router.post('/submissions', async (req, res) => {
+function limitRuns(req, res, next) {
+    const { submissions } = req.body || {};
     try {
-        const response = await axios.post(
-            `${JUDGE0_URL}/submissions${req.query.base64_encoded ? '?base64_encoded=true' : ''}&wait=false&fields=*`,
-            req.body,
-            {
-                headers: {
-                    'content-type': 'application/json',
-                    'x-rapidapi-key': JUDGE0_API_KEY,
-                    'x-rapidapi-host': 'judge0-ce.p.rapidapi.com',
-                },
-            }
+        executionQuotas.consume(
+            getQuotaSubjects(req.runner),
+            Array.isArray(submissions) ? submissions.length : 1
         );
-        return res.status(response.status).json(response.data);
     } catch (error) {
-        return res.status(error.response?.status || 500).json({
-            error: error.message,
-        });
+        return res
+            .status(error.status)
+            .set('retry-after', String(error.retryAfter))
+            .json({
+                error: error.message,
+                code: error.type,
+                scope: error.scope,
+                retryAfter: error.retryAfter,
+            });
     }
+    return next();
+}
+
+/**
+ * Checks the compiler options and arguments of the submissions of a request and caps their limits to the maxima of
+ * the server, before they are counted as runs.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+function checkRunOptions(req, res, next) {
+    try {
+        if (Array.isArray(req.body?.submissions)) {
+            req.body.submissions = req.body.submissions.map(capRunOptions);
+        } else {
+            req.body = capRunOptions(req.body);
+        }
+    } catch (error) {
+        return sendExecutionError(res, error);
+    }
+    return next();
+}
+
+/**
+ * GET /api/quota - Runs left today for the caller, identified like run requests.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.get('/quota', identifyRunner, (req, res) => {
+    return res.status(200).json({
+        quotas: executionQuotas.getUsage(getQuotaSubjects(req.runner)),
+    });
 });
 
-// fetch variant
-/* router.post('/submissions', async (req, res) => {
+/**
+ * GET /api/languages - Languages of the configured execution backend, named with their version.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.get('/languages', async (req, res) => {
     try {
-        const response = await fetch(
-            `${JUDGE0_URL}/submissions${req.query.base64_encoded ? '?base64_encoded=true' : ''}&wait=false&fields=*`,
-            {
-                method: 'POST',
-                headers: {
-                    'content-type': 'application/json',
-                    'x-rapidapi-key': JUDGE0_API_KEY,
-                    'x-rapidapi-host': 'judge0-ce.p.rapidapi.com',
-                },
-                body: JSON.stringify(req.body),
-            }
-        );
+        const languages = await executionBackend.getLanguages();
+        return res
+            .status(200)
+            .set('cache-control', 'public, max-age=3600')
+            .json({ languages });
+    } catch (error) {
+        return sendExecutionError(res, error);
+    }
+});
 
-        if (!response.ok) {
-            throw new Error(
-                `Judge0 API error: ${response.status} - ${response.statusText}`
+/**
+ * POST /api/submissions - Create a submission on the configured execution backend.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.post(
+    '/submissions',
+    parseSubmissionBody,
+    identifyRunner,
+    authorizeRoomRun,
+    checkRunOptions,
+    limitRuns,
+    async (req, res) => {
+        try {
+            const data = await executionBackend.createSubmission(req.body, {
+                base64Encoded: req.query.base64_encoded === 'true',
+            });
+            recordSubmissionRunner(data.token, req.runner);
+            return res.status(201).json(data);
+        } catch (error) {
+            return sendExecutionError(res, error);
+        }
+    }
+);
+
+/**
+ * Rejects batches with too few or too many submissions before they are counted as runs.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+function validateBatch(req, res, next) {
+    const { submissions } = req.body || {};
+    if (
+        !Array.isArray(submissions) ||
+        !submissions.length ||
+        submissions.length > MAX_BATCH_SIZE
+    ) {
+        return res.status(400).json({
+            error: `A batch needs between 1 and ${MAX_BATCH_SIZE} submissions`,
+            code: 'invalid_batch',
+        });
+    }
+    return next();
+}
+
+/**
+ * POST /api/submissions/batch - Create several submissions at once, e.g. one per test case.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.post(
+    '/submissions/batch',
+    parseSubmissionBody,
+    identifyRunner,
+    authorizeRoomRun,
+    validateBatch,
+    checkRunOptions,
+    limitRuns,
+    async (req, res) => {
+        try {
+            const data = await executionBackend.createSubmissionBatch(
+                req.body.submissions,
+                { base64Encoded: req.query.base64_encoded === 'true' }
             );
+            data.forEach(({ token }) => {
+                if (token) recordSubmissionRunner(token, req.runner);
+            });
+            return res.status(201).json(data);
+        } catch (error) {
+            return sendExecutionError(res, error);
         }
+    }
+);
 
-        const data = await response.json();
-        return res.status(response.status).json(data);
-    } catch (error) {
-        return res.status(error.response?.status || 500).json({
-            error: error.message,
+/**
+ * GET /api/submissions/batch?tokens=a,b - Poll several submission results.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.get('/submissions/batch', async (req, res) => {
+    const tokens = String(req.query.tokens || '')
+        .split(',')
+        .filter(Boolean);
+    if (!tokens.length || tokens.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({
+            error: `Between 1 and ${MAX_BATCH_SIZE} tokens are required`,
+        });
+    }
+
+    try {
+        const data = await executionBackend.getSubmissionBatch(tokens, {
+            base64Encoded: req.query.base64_encoded === 'true',
         });
+        return res.status(200).json(data);
+    } catch (error) {
+        return sendExecutionError(res, error);
     }
-}); */
+});
 
 /**
- * GET /api/submissions/:token - Poll Judge0 submission result.
+ * Writes a Server-Sent Event.
+ * @param {Object} res - Express response object.
+ * @param {string} event - Name of the event.
+ * @param {Object} data - Payload of the event, sent as JSON.
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/submissions/:token/events - Follow a submission as Server-Sent Events instead of polling it.
+ * Sends a `status` event when the submission is queued or starts processing, then ends the stream with a `result`
+ * event carrying the finished submission, a `cancelled` event or a `failed` event carrying an error.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  */
-router.get('/submissions/:token', async (req, res) => {
+router.get('/submissions/:token/events', async (req, res) => {
     const { token } = req.params;
+    const controller = new AbortController();
+    if (!submissionStreams.has(token)) {
+        submissionStreams.set(token, new Set());
+    }
+    submissionStreams.get(token).add(controller);
+
+    res.set({
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache',
+        connection: 'keep-alive',
+        'x-accel-buffering': 'no', // No buffering by nginx based proxies
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(
+        () => res.write(': ping\n\n'),
+        HEARTBEAT_INTERVAL
+    );
+    req.on('close', () => controller.abort());
+
     try {
-        const response = await axios.get(
-            `${JUDGE0_URL}/submissions/${token}${req.query.base64_encoded ? '?base64_encoded=true' : ''}&fields=*`,
-            {
-                headers: {
-                    'x-rapidapi-key': JUDGE0_API_KEY,
-                    'x-rapidapi-host': 'judge0-ce.p.rapidapi.com',
-                },
-            }
-        );
-        return res.status(response.status).json(response.data);
+        const submission = await followSubmission(executionBackend, token, {
+            base64Encoded: req.query.base64_encoded === 'true',
+            signal: controller.signal,
+            onStatus: (status) => writeEvent(res, 'status', { status }),
+        });
+        if (submission) {
+            writeEvent(res, 'result', submission);
+        } else if (controller.signal.reason?.cancelled) {
+            writeEvent(res, 'cancelled', controller.signal.reason);
+        }
     } catch (error) {
-        return res.status(error.response?.status || 500).json({
+        writeEvent(res, 'failed', {
             error: error.message,
+            status: error.status || error.response?.status || 500,
         });
+    } finally {
+        clearInterval(heartbeat);
+        submissionStreams.get(token)?.delete(controller);
+        if (!submissionStreams.get(token)?.size) {
+            submissionStreams.delete(token);
+        }
+        res.end();
     }
 });
 
-// fetch variant
-/* router.get('/submissions/:token', async (req, res) => {
-    const { token } = req.params;
+/**
+ * Rejects cancellations by anyone but who created the submission or a member of its room.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+function authorizeSubmissionCancel(req, res, next) {
     try {
-        const response = await fetch(
-            `${JUDGE0_URL}/submissions/${token}${req.query.base64_encoded ? '?base64_encoded=true' : ''}&fields=*`,
-            {
-                headers: {
-                    'x-rapidapi-key': JUDGE0_API_KEY,
-                    'x-rapidapi-host': 'judge0-ce.p.rapidapi.com',
-                },
-            }
-        );
+        authorizeCancel(req.runner, req.params.token);
+    } catch (error) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, code: error.type });
+    }
+    return next();
+}
 
-        if (!response.ok) {
-            throw new Error(
-                `Judge0 API error: ${response.status} - ${response.statusText}`
-            );
+/**
+ * POST /api/submissions/:token/cancel - Cancel a submission and end the event streams following it.
+ * Only who created the submission or a member of its room can. The local runner stops the program, Judge0 runs it to
+ * the end but its result is not followed anymore.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.post(
+    '/submissions/:token/cancel',
+    identifyRunner,
+    authorizeRoomRun,
+    authorizeSubmissionCancel,
+    async (req, res) => {
+        const { token } = req.params;
+        try {
+            const stopped = await executionBackend.cancelSubmission(token);
+            submissionStreams
+                .get(token)
+                ?.forEach((controller) =>
+                    controller.abort({ token, cancelled: true, stopped })
+                );
+            return res.status(200).json({ token, stopped });
+        } catch (error) {
+            return sendExecutionError(res, error);
         }
+    }
+);
 
-        const data = await response.json();
-        return res.status(response.status).json(data);
-    } catch (error) {
-        return res.status(error.response?.status || 500).json({
-            error: error.message,
+/**
+ * GET /api/submissions/:token - Poll a submission result.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.get('/submissions/:token', async (req, res) => {
+    try {
+        const data = await executionBackend.getSubmission(req.params.token, {
+            base64Encoded: req.query.base64_encoded === 'true',
         });
+        return res.status(200).json(data);
+    } catch (error) {
+        return sendExecutionError(res, error);
     }
-}); */
+});
 
 export default router;
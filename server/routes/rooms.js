@@ -0,0 +1,183 @@
+import express from 'express';
+
+import { isProjectOwner, verifyAppwriteJwt } from '../auth/appwriteUsers.js';
+import {
+    addRoomMember,
+    createRoomSession,
+    getRoomSession,
+    isRoomInviteKey,
+    isRoomOwner,
+    isRoomOwnerKey,
+} from '../auth/roomSessions.js';
+import {
+    ROOM_ROLES,
+    RoomTokenError,
+    signRoomToken,
+    verifyRoomToken,
+} from '../auth/roomTokens.js';
+import { RECORDING_VERSION, recordingStore } from '../recordings/index.js';
+
+const router = express.Router();
+router.use(express.json());
+
+/**
+ * Resolves the signed in user of a request into `req.user` from the Appwrite JWT in the `x-appwrite-jwt` header.
+ * Live sessions are only open to signed in users, and their username comes from their account, never from the body.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+async function identifyUser(req, res, next) {
+    const jwt = req.get('x-appwrite-jwt');
+    if (!jwt) {
+        return res.status(401).json({
+            error: 'Sign in to join live sessions',
+            code: 'user_required',
+        });
+    }
+
+    try {
+        req.user = await verifyAppwriteJwt(jwt);
+    } catch (error) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, code: error.type });
+    }
+    if (!req.user) {
+        return res.status(503).json({
+            error: 'Could not verify your account, try again',
+            code: 'user_check_failed',
+        });
+    }
+    return next();
+}
+
+/**
+ * POST /rooms/:room/session - Start (or resume) a collaboration session as the room owner.
+ * Only the signed in owner of the project the room is named after can start its session.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.post('/rooms/:room/session', identifyUser, async (req, res) => {
+    const { room } = req.params;
+    const { userId, username } = req.user;
+
+    try {
+        if (!(await isProjectOwner(req.get('x-appwrite-jwt'), userId, room))) {
+            return res.status(403).json({
+                error: 'Only the owner of the project can start its live session',
+                code: 'not_project_owner',
+            });
+        }
+    } catch (error) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, code: error.type });
+    }
+
+    // The owner resumes an active session, e.g. after a reload or from another device
+    let session = getRoomSession(room);
+    if (!session) {
+        session = createRoomSession(room, req.user);
+        // A new session starts a new recording
+        await recordingStore?.clearRoom(room);
+    }
+
+    const { token, expiresIn } = signRoomToken({
+        room,
+        userId,
+        username,
+        role: ROOM_ROLES.ADMIN,
+    });
+
+    return res.status(200).json({
+        token,
+        expiresIn,
+        role: ROOM_ROLES.ADMIN,
+        ownerKey: session.ownerKey,
+        inviteKey: session.inviteKey,
+    });
+});
+
+/**
+ * POST /rooms/:room/token - Issue a fresh room token for the owner or an invited collaborator.
+ * The owner key only grants the admin role to the user who started the session.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.post('/rooms/:room/token', identifyUser, (req, res) => {
+    const { room } = req.params;
+    const { key } = req.body || {};
+    const { userId, username } = req.user;
+
+    if (!getRoomSession(room)) {
+        return res
+            .status(404)
+            .json({ error: `Room "${room}" has no active session` });
+    }
+
+    let role;
+    if (isRoomOwnerKey(room, key) && isRoomOwner(room, userId)) {
+        role = ROOM_ROLES.ADMIN;
+    } else if (isRoomInviteKey(room, key)) {
+        role = ROOM_ROLES.EDITOR;
+    } else {
+        return res.status(403).json({ error: 'Invalid room key' });
+    }
+
+    // The run policy of the room applies to the runs of its members from now on
+    addRoomMember(room, req.user);
+
+    const { token, expiresIn } = signRoomToken({
+        room,
+        userId,
+        username,
+        role,
+    });
+    return res.status(200).json({ token, expiresIn, role });
+});
+
+/**
+ * GET /rooms/:room/recording - Download the session recording of a room.
+ * Requires an admin room token in the `Authorization: Bearer <token>` header.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+router.get('/rooms/:room/recording', async (req, res) => {
+    const { room } = req.params;
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    let claims;
+    try {
+        claims = verifyRoomToken(scheme === 'Bearer' ? token : null);
+    } catch (error) {
+        const status = error instanceof RoomTokenError ? 401 : 500;
+        return res.status(status).json({ error: error.message });
+    }
+
+    if (claims.room !== room || claims.role !== ROOM_ROLES.ADMIN) {
+        return res
+            .status(403)
+            .json({ error: 'Only the room owner can download recordings' });
+    }
+
+    if (!recordingStore) {
+        return res
+            .status(404)
+            .json({ error: 'Session recording is disabled on this server' });
+    }
+
+    try {
+        const events = await recordingStore.read(room);
+        return res.status(200).json({
+            version: RECORDING_VERSION,
+            room,
+            events,
+        });
+    } catch (error) {
+        console.error(`Failed to read recording of room ${room}:`, error);
+        return res.status(500).json({ error: 'Failed to read recording' });
+    }
+});
+
+export default router;